@@ -0,0 +1,10 @@
+module.exports = class DomainEvent {
+	constructor(type, { userId = null, ip = null, userAgent = null, ...data } = {}) {
+		this.type = type
+		this.occurredAt = new Date()
+		this.userId = userId
+		this.ip = ip
+		this.userAgent = userAgent
+		this.data = data
+	}
+}
@@ -0,0 +1,12 @@
+const LoginSucceeded = require('./login-succeeded');
+const LoginFailed = require('./login-failed');
+const TokenIssued = require('./token-issued');
+const PasswordChanged = require('./password-changed');
+
+
+module.exports = {
+	LoginSucceeded,
+	LoginFailed,
+	TokenIssued,
+	PasswordChanged
+}
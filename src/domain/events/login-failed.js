@@ -0,0 +1,7 @@
+const DomainEvent = require('./domain-event');
+
+module.exports = class LoginFailed extends DomainEvent {
+	constructor(payload) {
+		super('LoginFailed', payload)
+	}
+}
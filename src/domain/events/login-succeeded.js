@@ -0,0 +1,7 @@
+const DomainEvent = require('./domain-event');
+
+module.exports = class LoginSucceeded extends DomainEvent {
+	constructor(payload) {
+		super('LoginSucceeded', payload)
+	}
+}
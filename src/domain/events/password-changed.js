@@ -0,0 +1,7 @@
+const DomainEvent = require('./domain-event');
+
+module.exports = class PasswordChanged extends DomainEvent {
+	constructor(payload) {
+		super('PasswordChanged', payload)
+	}
+}
@@ -0,0 +1,7 @@
+const DomainEvent = require('./domain-event');
+
+module.exports = class TokenIssued extends DomainEvent {
+	constructor(payload) {
+		super('TokenIssued', payload)
+	}
+}
@@ -0,0 +1,64 @@
+const { MissingParamError } = require("../../utils/errors")
+const { TokenIssued } = require('../events')
+const normalizeEmail = require('../../utils/helpers/normalize-email')
+
+module.exports = class AddAccountUseCase {
+
+	constructor({ loadUserByEmailRepository, addAccountRepository, addSessionRepository, encrypter, tokenGenerator, permissionResolver, refreshTokenUseCase, emailVerificationUseCase, backgroundTask, eventBus, requireVerifiedEmail = false } = {}) {
+		this.loadUserByEmailRepository = loadUserByEmailRepository
+		this.addAccountRepository = addAccountRepository
+		this.addSessionRepository = addSessionRepository
+		this.encrypter = encrypter
+		this.tokenGenerator = tokenGenerator
+		this.permissionResolver = permissionResolver
+		this.refreshTokenUseCase = refreshTokenUseCase
+		this.emailVerificationUseCase = emailVerificationUseCase
+		this.backgroundTask = backgroundTask
+		this.eventBus = eventBus
+		this.requireVerifiedEmail = requireVerifiedEmail
+	}
+
+	async add({ name, email: rawEmail, password } = {}, { userAgent, ip } = {}) {
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+
+		if (!rawEmail) {
+			throw new MissingParamError('email')
+		}
+
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+
+		const email = normalizeEmail(rawEmail)
+		const existingUser = await this.loadUserByEmailRepository.load(email)
+		if (existingUser) {
+			return null
+		}
+
+		const hashedPassword = await this.encrypter.hash(password)
+		const user = await this.addAccountRepository.add({
+			name,
+			email,
+			password: hashedPassword,
+			roles: this.permissionResolver.defaultRoles
+		})
+		// another signup for the same email got in after the lookup above
+		if (!user) {
+			return null
+		}
+		// the account exists by now, so a failing mail sender must not turn the signup into an error
+		this.backgroundTask.run(() => this.emailVerificationUseCase.send(user._id, email))
+		// login refuses unverified accounts in this mode, so signup must not hand out tokens either
+		if (this.requireVerifiedEmail) {
+			return { verificationRequired: true }
+		}
+		const sessionId = await this.addSessionRepository.add({ userId: user._id, userAgent, ip })
+		const { roles, permissions } = this.permissionResolver.resolve(user)
+		const accessToken = await this.tokenGenerator.generate(user._id, { sid: sessionId, roles, permissions })
+		const refreshToken = await this.refreshTokenUseCase.generate(user._id, sessionId)
+		await this.eventBus.publish(new TokenIssued({ userId: user._id, sessionId, grant: 'signup', ip, userAgent }))
+		return { accessToken, refreshToken }
+	}
+}
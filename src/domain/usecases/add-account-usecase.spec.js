@@ -0,0 +1,520 @@
+const { MissingParamError } = require("../../utils/errors")
+const AddAccountUseCase = require('./add-account-usecase');
+
+
+const makeSut = () => {
+	const encrypterSpy = makeEncrypter();
+	const loadUserByEmailRepositorySpy = makeLoadUserByEmailRepository();
+	const addAccountRepositorySpy = makeAddAccountRepository();
+	const tokenGeneratorSpy = makeTokenGenerator();
+	const addSessionRepositorySpy = makeAddSessionRepository();
+	const refreshTokenUseCaseSpy = makeRefreshTokenUseCase();
+	const emailVerificationUseCaseSpy = makeEmailVerificationUseCase();
+	const backgroundTaskSpy = makeBackgroundTask();
+	const permissionResolverSpy = makePermissionResolver();
+	const eventBusSpy = makeEventBus();
+	const sut = new AddAccountUseCase({
+		loadUserByEmailRepository: loadUserByEmailRepositorySpy,
+		addAccountRepository: addAccountRepositorySpy,
+		encrypter: encrypterSpy,
+		tokenGenerator: tokenGeneratorSpy,
+		permissionResolver: permissionResolverSpy,
+		addSessionRepository: addSessionRepositorySpy,
+		refreshTokenUseCase: refreshTokenUseCaseSpy,
+		emailVerificationUseCase: emailVerificationUseCaseSpy,
+		backgroundTask: backgroundTaskSpy,
+		eventBus: eventBusSpy
+	});
+	return { sut, loadUserByEmailRepositorySpy, addAccountRepositorySpy, encrypterSpy, tokenGeneratorSpy, addSessionRepositorySpy, refreshTokenUseCaseSpy, emailVerificationUseCaseSpy, backgroundTaskSpy, permissionResolverSpy, eventBusSpy }
+}
+
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeEventBusWithError = () => {
+	class EventBusSpy {
+		async publish() {
+			throw new Error()
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makePermissionResolver = () => {
+	class PermissionResolverSpy {
+		resolve(user) {
+			this.user = user
+			return { roles: ['user'], permissions: ['any_permission'] }
+		}
+	}
+	const permissionResolverSpy = new PermissionResolverSpy()
+	permissionResolverSpy.defaultRoles = ['user']
+	return permissionResolverSpy
+}
+
+const makeBackgroundTask = () => {
+	class BackgroundTaskSpy {
+		run(task) {
+			this.task = task
+		}
+	}
+	return new BackgroundTaskSpy()
+}
+
+const makeEmailVerificationUseCase = () => {
+	class EmailVerificationUseCaseSpy {
+		async send(userId, email) {
+			this.userId = userId
+			this.email = email
+		}
+	}
+	return new EmailVerificationUseCaseSpy()
+}
+
+const makeEmailVerificationUseCaseWithError = () => {
+	class EmailVerificationUseCaseSpy {
+		async send() {
+			throw new Error()
+		}
+	}
+	return new EmailVerificationUseCaseSpy()
+}
+
+const makeRefreshTokenUseCase = () => {
+	class RefreshTokenUseCaseSpy {
+		async generate(userId, family) {
+			this.userId = userId
+			this.family = family
+			return this.refreshToken
+		}
+	}
+	const refreshTokenUseCaseSpy = new RefreshTokenUseCaseSpy()
+	refreshTokenUseCaseSpy.refreshToken = 'any_refresh_token'
+	return refreshTokenUseCaseSpy
+}
+
+const makeRefreshTokenUseCaseWithError = () => {
+	class RefreshTokenUseCaseSpy {
+		async generate() {
+			throw new Error()
+		}
+	}
+	return new RefreshTokenUseCaseSpy()
+}
+
+const makeAccount = () => ({
+	name: 'any_name',
+	email: 'any_email@mail.com',
+	password: 'any_password'
+})
+
+const makeAddSessionRepository = () => {
+	class AddSessionRepositorySpy {
+		async add(session) {
+			this.session = session
+			return this.sessionId
+		}
+	}
+	const addSessionRepositorySpy = new AddSessionRepositorySpy()
+	addSessionRepositorySpy.sessionId = 'any_session_id'
+	return addSessionRepositorySpy
+}
+
+const makeAddSessionRepositoryWithError = () => {
+	class AddSessionRepositorySpy {
+		async add() {
+			throw new Error()
+		}
+	}
+	return new AddSessionRepositorySpy()
+}
+
+const makeLoadUserByEmailRepository = () => {
+	class LoadUserByEmailRepositorySpy {
+		async load(email) {
+			this.email = email
+			return this.user
+		}
+	}
+	const loadUserByEmailRepositorySpy = new LoadUserByEmailRepositorySpy()
+	loadUserByEmailRepositorySpy.user = null;
+	return loadUserByEmailRepositorySpy
+}
+
+const makeLoadUserByEmailRepositoryWithError = () => {
+	class LoadUserByEmailRepositorySpy {
+		async load() {
+			throw new Error()
+		}
+	}
+	return new LoadUserByEmailRepositorySpy()
+}
+
+const makeAddAccountRepository = () => {
+	class AddAccountRepositorySpy {
+		async add(account) {
+			this.account = account
+			return this.user
+		}
+	}
+	const addAccountRepositorySpy = new AddAccountRepositorySpy()
+	addAccountRepositorySpy.user = {
+		_id: 'any_id',
+		name: 'any_name',
+		email: 'any_email@mail.com'
+	};
+	return addAccountRepositorySpy
+}
+
+const makeAddAccountRepositoryWithError = () => {
+	class AddAccountRepositorySpy {
+		async add() {
+			throw new Error()
+		}
+	}
+	return new AddAccountRepositorySpy()
+}
+
+const makeEncrypter = () => {
+	class EncrypterSpy {
+		async hash(password) {
+			this.password = password
+			return this.hashedPassword
+		}
+	}
+	const encrypterSpy = new EncrypterSpy();
+	encrypterSpy.hashedPassword = 'hashed_password';
+	return encrypterSpy;
+}
+
+const makeEncrypterWithError = () => {
+	class EncrypterSpy {
+		async hash() {
+			throw new Error();
+		}
+	}
+	return new EncrypterSpy();
+}
+
+const makeTokenGenerator = () => {
+	class TokenGeneratorSpy {
+		async generate(userId, claims) {
+			this.userId = userId
+			this.claims = claims
+			return this.accessToken
+		}
+	}
+	const tokenGeneratorSpy = new TokenGeneratorSpy();
+	tokenGeneratorSpy.accessToken = "any_token"
+	return tokenGeneratorSpy;
+}
+
+const makeTokenGeneratorWithError = () => {
+	class TokenGeneratorSpy {
+		async generate() {
+			throw new Error()
+		}
+	}
+	return new TokenGeneratorSpy();
+}
+
+describe('AddAccount UseCase', () => {
+
+	test('Should throw if no name is provided', async () => {
+		const { sut } = makeSut()
+		const promise = sut.add({ email: 'any_email@mail.com', password: 'any_password' })
+		expect(promise).rejects.toThrow(new MissingParamError('name'))
+	})
+
+	test('Should throw if no email is provided', async () => {
+		const { sut } = makeSut()
+		const promise = sut.add({ name: 'any_name', password: 'any_password' })
+		expect(promise).rejects.toThrow(new MissingParamError('email'))
+	})
+
+	test('Should throw if no password is provided', async () => {
+		const { sut } = makeSut()
+		const promise = sut.add({ name: 'any_name', email: 'any_email@mail.com' })
+		expect(promise).rejects.toThrow(new MissingParamError('password'))
+	})
+
+	test('Should call LoadUserByEmailRepository with correct email', async () => {
+		const { sut, loadUserByEmailRepositorySpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should look the email up and store it trimmed and in lower case', async () => {
+		const { sut, loadUserByEmailRepositorySpy, addAccountRepositorySpy } = makeSut()
+		await sut.add({ ...makeAccount(), email: ' Any_Email@Mail.com ' })
+		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
+		expect(addAccountRepositorySpy.account.email).toBe('any_email@mail.com')
+	})
+
+	test('Should return null for an email in use that differs only in case', async () => {
+		const { sut, loadUserByEmailRepositorySpy, addAccountRepositorySpy } = makeSut()
+		loadUserByEmailRepositorySpy.load = async function (email) {
+			this.email = email
+			return email === 'any_email@mail.com' ? { _id: 'other_id' } : null
+		}
+		expect(await sut.add({ ...makeAccount(), email: 'ANY_EMAIL@mail.com' })).toBeNull()
+		expect(addAccountRepositorySpy.account).toBeUndefined()
+	})
+
+	test('Should return null if the email is already in use', async () => {
+		const { sut, loadUserByEmailRepositorySpy, addAccountRepositorySpy } = makeSut()
+		loadUserByEmailRepositorySpy.user = { _id: 'other_id' }
+		const tokens = await sut.add(makeAccount())
+		expect(tokens).toBeNull()
+		expect(addAccountRepositorySpy.account).toBeUndefined()
+	})
+
+	test('Should return null if a concurrent signup took the email first', async () => {
+		const { sut, addAccountRepositorySpy, emailVerificationUseCaseSpy, addSessionRepositorySpy } = makeSut()
+		addAccountRepositorySpy.user = null
+		const tokens = await sut.add(makeAccount())
+		expect(tokens).toBeNull()
+		expect(emailVerificationUseCaseSpy.userId).toBeUndefined()
+		expect(addSessionRepositorySpy.session).toBeUndefined()
+	})
+
+	test('Should call Encrypter with correct password', async () => {
+		const { sut, encrypterSpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(encrypterSpy.password).toBe('any_password')
+	})
+
+	test('Should call AddAccountRepository with the hashed password and the default roles', async () => {
+		const { sut, addAccountRepositorySpy, encrypterSpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(addAccountRepositorySpy.account).toEqual({
+			name: 'any_name',
+			email: 'any_email@mail.com',
+			password: encrypterSpy.hashedPassword,
+			roles: ['user']
+		})
+	})
+
+	test('Should send the verification mail to the new account', async () => {
+		const { sut, addAccountRepositorySpy, emailVerificationUseCaseSpy, backgroundTaskSpy } = makeSut()
+		await sut.add(makeAccount())
+		await backgroundTaskSpy.task()
+		expect(emailVerificationUseCaseSpy.userId).toBe(addAccountRepositorySpy.user._id)
+		expect(emailVerificationUseCaseSpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should call TokenGenerator with correct userId', async () => {
+		const { sut, addAccountRepositorySpy, tokenGeneratorSpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(tokenGeneratorSpy.userId).toBe(addAccountRepositorySpy.user._id)
+	})
+
+	test('Should start a session and bind both tokens to it', async () => {
+		const { sut, addSessionRepositorySpy, addAccountRepositorySpy, tokenGeneratorSpy, refreshTokenUseCaseSpy } = makeSut()
+		await sut.add(makeAccount(), { userAgent: 'any_agent', ip: '127.0.0.1' })
+		expect(addSessionRepositorySpy.session).toEqual({ userId: addAccountRepositorySpy.user._id, userAgent: 'any_agent', ip: '127.0.0.1' })
+		expect(tokenGeneratorSpy.claims).toEqual({ sid: 'any_session_id', roles: ['user'], permissions: ['any_permission'] })
+		expect(refreshTokenUseCaseSpy.family).toBe('any_session_id')
+	})
+
+	test('Should resolve the permissions of the new account', async () => {
+		const { sut, addAccountRepositorySpy, permissionResolverSpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(permissionResolverSpy.user).toBe(addAccountRepositorySpy.user)
+	})
+
+	test('Should call RefreshTokenUseCase with correct userId', async () => {
+		const { sut, addAccountRepositorySpy, refreshTokenUseCaseSpy } = makeSut()
+		await sut.add(makeAccount())
+		expect(refreshTokenUseCaseSpy.userId).toBe(addAccountRepositorySpy.user._id)
+	})
+
+	test('Should return accessToken and refreshToken if the account is created', async () => {
+		const { sut, tokenGeneratorSpy, refreshTokenUseCaseSpy } = makeSut()
+		const tokens = await sut.add(makeAccount())
+		expect(tokens).toEqual({
+			accessToken: tokenGeneratorSpy.accessToken,
+			refreshToken: refreshTokenUseCaseSpy.refreshToken
+		})
+	})
+
+	test('Should still sign the user up if the verification mail fails', async () => {
+		const { sut, backgroundTaskSpy } = makeSut()
+		sut.emailVerificationUseCase = makeEmailVerificationUseCaseWithError()
+		const result = await sut.add(makeAccount())
+		expect(result).toEqual({ accessToken: 'any_token', refreshToken: 'any_refresh_token' })
+		await expect(backgroundTaskSpy.task()).rejects.toThrow()
+	})
+
+	test('Should not issue tokens if a verified email is required', async () => {
+		const { sut, emailVerificationUseCaseSpy, backgroundTaskSpy, addSessionRepositorySpy, tokenGeneratorSpy, refreshTokenUseCaseSpy, eventBusSpy } = makeSut()
+		sut.requireVerifiedEmail = true
+		const result = await sut.add(makeAccount())
+		expect(result).toEqual({ verificationRequired: true })
+		await backgroundTaskSpy.task()
+		expect(emailVerificationUseCaseSpy.email).toBe('any_email@mail.com')
+		expect(addSessionRepositorySpy.session).toBeUndefined()
+		expect(tokenGeneratorSpy.userId).toBeUndefined()
+		expect(refreshTokenUseCaseSpy.userId).toBeUndefined()
+		expect(eventBusSpy.events).toHaveLength(0)
+	})
+
+	test('Should publish TokenIssued for the new account', async () => {
+		const { sut, addAccountRepositorySpy, eventBusSpy } = makeSut()
+		await sut.add(makeAccount(), { ip: '127.0.0.1', userAgent: 'any_agent' })
+		expect(eventBusSpy.events).toHaveLength(1)
+		expect(eventBusSpy.events[0]).toMatchObject({
+			type: 'TokenIssued',
+			userId: addAccountRepositorySpy.user._id,
+			ip: '127.0.0.1',
+			userAgent: 'any_agent',
+			data: { sessionId: 'any_session_id', grant: 'signup' }
+		})
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const suts = [].concat(
+			new AddAccountUseCase(),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: makeTokenGenerator(),
+				addSessionRepository: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: makeTokenGenerator(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: {}
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: makeTokenGenerator(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				eventBus: {}
+			}),
+		)
+		for (const sut of suts) {
+			const promise = sut.add(makeAccount())
+			expect(promise).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepositoryWithError()
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypterWithError(),
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				permissionResolver: makePermissionResolver(),
+				addAccountRepository: makeAddAccountRepositoryWithError()
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				addSessionRepository: makeAddSessionRepository(),
+				tokenGenerator: makeTokenGeneratorWithError()
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				addSessionRepository: makeAddSessionRepositoryWithError()
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: makeTokenGenerator(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCaseWithError()
+			}),
+			new AddAccountUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addAccountRepository: makeAddAccountRepository(),
+				permissionResolver: makePermissionResolver(),
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				backgroundTask: makeBackgroundTask(),
+				tokenGenerator: makeTokenGenerator(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				eventBus: makeEventBusWithError()
+			}),
+		)
+		for (const sut of suts) {
+			const promise = sut.add(makeAccount())
+			expect(promise).rejects.toThrow()
+		}
+	})
+})
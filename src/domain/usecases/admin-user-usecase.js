@@ -0,0 +1,99 @@
+const { MissingParamError } = require("../../utils/errors")
+
+const toUser = user => ({
+	id: user._id,
+	name: user.name,
+	email: user.email,
+	emailVerified: !!user.emailVerified,
+	roles: user.roles || [],
+	twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+	disabled: !!user.disabledAt,
+	disabledAt: user.disabledAt || null,
+	passwordResetRequired: !!user.passwordResetRequired
+})
+
+module.exports = class AdminUserUseCase {
+
+	constructor({ loadUsersRepository, loadUserByIdRepository, disableUserRepository, enableUserRepository, flagPasswordResetRepository, revokeUserSessionsRepository, revokeUserRefreshTokensRepository, revokeUserApiKeysRepository, forgotPasswordUseCase, pageSize = 20 } = {}) {
+		this.loadUsersRepository = loadUsersRepository
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.disableUserRepository = disableUserRepository
+		this.enableUserRepository = enableUserRepository
+		this.flagPasswordResetRepository = flagPasswordResetRepository
+		this.revokeUserSessionsRepository = revokeUserSessionsRepository
+		this.revokeUserRefreshTokensRepository = revokeUserRefreshTokensRepository
+		this.revokeUserApiKeysRepository = revokeUserApiKeysRepository
+		this.forgotPasswordUseCase = forgotPasswordUseCase
+		this.pageSize = pageSize
+	}
+
+	async list({ cursor, limit = this.pageSize, email, status } = {}) {
+		// one extra row tells whether there is a next page without a separate count
+		const users = await this.loadUsersRepository.load({ after: cursor, limit: limit + 1, email, status })
+		const page = users.slice(0, limit)
+		return {
+			users: page.map(toUser),
+			nextCursor: users.length > limit ? String(page[page.length - 1]._id) : null
+		}
+	}
+
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		return user && toUser(user)
+	}
+
+	async disable(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user) {
+			return null
+		}
+
+		await this.disableUserRepository.disable(user._id)
+		await this.revokeSessions(user._id)
+		await this.revokeUserApiKeysRepository.revoke(user._id)
+		return this.load(userId)
+	}
+
+	async enable(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user) {
+			return null
+		}
+
+		await this.enableUserRepository.enable(user._id)
+		return this.load(userId)
+	}
+
+	async forcePasswordReset(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user) {
+			return null
+		}
+
+		await this.flagPasswordResetRepository.flag(user._id)
+		await this.revokeSessions(user._id)
+		await this.forgotPasswordUseCase.send(user.email)
+		return this.load(userId)
+	}
+
+	async revokeSessions(userId) {
+		await this.revokeUserSessionsRepository.revoke(userId)
+		await this.revokeUserRefreshTokensRepository.revoke(userId)
+	}
+}
@@ -0,0 +1,225 @@
+const { MissingParamError } = require("../../utils/errors")
+const AdminUserUseCase = require('./admin-user-usecase');
+
+
+const makeSut = () => {
+	const loadUsersRepositorySpy = makeLoadUsersRepository();
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const disableUserRepositorySpy = makeUserRepository('disable');
+	const enableUserRepositorySpy = makeUserRepository('enable');
+	const flagPasswordResetRepositorySpy = makeUserRepository('flag');
+	const revokeUserSessionsRepositorySpy = makeUserRepository('revoke');
+	const revokeUserRefreshTokensRepositorySpy = makeUserRepository('revoke');
+	const revokeUserApiKeysRepositorySpy = makeUserRepository('revoke');
+	const forgotPasswordUseCaseSpy = makeForgotPasswordUseCase();
+	const sut = new AdminUserUseCase({
+		loadUsersRepository: loadUsersRepositorySpy,
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		disableUserRepository: disableUserRepositorySpy,
+		enableUserRepository: enableUserRepositorySpy,
+		flagPasswordResetRepository: flagPasswordResetRepositorySpy,
+		revokeUserSessionsRepository: revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepository: revokeUserRefreshTokensRepositorySpy,
+		revokeUserApiKeysRepository: revokeUserApiKeysRepositorySpy,
+		forgotPasswordUseCase: forgotPasswordUseCaseSpy,
+		pageSize: 2
+	});
+	return {
+		sut,
+		loadUsersRepositorySpy,
+		loadUserByIdRepositorySpy,
+		disableUserRepositorySpy,
+		enableUserRepositorySpy,
+		flagPasswordResetRepositorySpy,
+		revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepositorySpy,
+		revokeUserApiKeysRepositorySpy,
+		forgotPasswordUseCaseSpy
+	}
+}
+
+const makeLoadUsersRepository = () => {
+	class LoadUsersRepositorySpy {
+		async load(query) {
+			this.query = query
+			return this.users.slice(0, query.limit)
+		}
+	}
+	const loadUsersRepositorySpy = new LoadUsersRepositorySpy()
+	loadUsersRepositorySpy.users = [
+		{ _id: 'first_id', email: 'first@mail.com', password: 'hashed_password' },
+		{ _id: 'second_id', email: 'second@mail.com', disabledAt: new Date() },
+		{ _id: 'third_id', email: 'third@mail.com' }
+	]
+	return loadUsersRepositorySpy
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = {
+		_id: 'stored_user_id',
+		name: 'any_name',
+		email: 'any_email@mail.com',
+		emailVerified: true,
+		roles: ['user'],
+		twoFactor: { enabled: true, secret: 'any_secret' },
+		disabledAt: null
+	}
+	return loadUserByIdRepositorySpy
+}
+
+const makeUserRepository = method => {
+	class UserRepositorySpy {
+		async [method](userId) {
+			this.userId = userId
+		}
+	}
+	return new UserRepositorySpy()
+}
+
+const makeForgotPasswordUseCase = () => {
+	class ForgotPasswordUseCaseSpy {
+		async send(email) {
+			this.email = email
+		}
+	}
+	return new ForgotPasswordUseCaseSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('AdminUser UseCase', () => {
+
+	test('Should throw if no userId is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.disable()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.enable()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.forcePasswordReset()).rejects.toThrow(new MissingParamError('userId'))
+	})
+
+	test('Should ask for one user more than the page size to find the next cursor', async () => {
+		const { sut, loadUsersRepositorySpy } = makeSut()
+		const { users, nextCursor } = await sut.list({ email: 'mail.com', status: 'active' })
+		expect(loadUsersRepositorySpy.query).toEqual({ after: undefined, limit: 3, email: 'mail.com', status: 'active' })
+		expect(users.map(({ id }) => id)).toEqual(['first_id', 'second_id'])
+		expect(nextCursor).toBe('second_id')
+	})
+
+	test('Should continue from the cursor and end without a next cursor', async () => {
+		const { sut, loadUsersRepositorySpy } = makeSut()
+		const { users, nextCursor } = await sut.list({ cursor: 'second_id', limit: 5 })
+		expect(loadUsersRepositorySpy.query.after).toBe('second_id')
+		expect(loadUsersRepositorySpy.query.limit).toBe(6)
+		expect(users).toHaveLength(3)
+		expect(nextCursor).toBeNull()
+	})
+
+	test('Should not expose credentials of the listed users', async () => {
+		const { sut } = makeSut()
+		const { users } = await sut.list()
+		expect(users[0]).toEqual({
+			id: 'first_id',
+			name: undefined,
+			email: 'first@mail.com',
+			emailVerified: false,
+			roles: [],
+			twoFactorEnabled: false,
+			disabled: false,
+			disabledAt: null,
+			passwordResetRequired: false
+		})
+		expect(users[1].disabled).toBe(true)
+	})
+
+	test('Should return the user or null if not found', async () => {
+		const { sut, loadUserByIdRepositorySpy } = makeSut()
+		const user = await sut.load('any_user_id')
+		expect(loadUserByIdRepositorySpy.userId).toBe('any_user_id')
+		expect(user.id).toBe('stored_user_id')
+		expect(user.twoFactorEnabled).toBe(true)
+		expect(user.twoFactor).toBeUndefined()
+		loadUserByIdRepositorySpy.user = null
+		expect(await sut.load('any_user_id')).toBeNull()
+	})
+
+	test('Should disable the user and revoke every credential it holds', async () => {
+		const { sut, disableUserRepositorySpy, revokeUserSessionsRepositorySpy, revokeUserRefreshTokensRepositorySpy, revokeUserApiKeysRepositorySpy } = makeSut()
+		const user = await sut.disable('any_user_id')
+		expect(user.id).toBe('stored_user_id')
+		expect(disableUserRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserSessionsRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserRefreshTokensRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserApiKeysRepositorySpy.userId).toBe('stored_user_id')
+	})
+
+	test('Should enable the user', async () => {
+		const { sut, enableUserRepositorySpy, revokeUserSessionsRepositorySpy } = makeSut()
+		const user = await sut.enable('any_user_id')
+		expect(user.id).toBe('stored_user_id')
+		expect(enableUserRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserSessionsRepositorySpy.userId).toBeUndefined()
+	})
+
+	test('Should force a password reset, sign the user out and send the reset link', async () => {
+		const { sut, flagPasswordResetRepositorySpy, revokeUserSessionsRepositorySpy, revokeUserRefreshTokensRepositorySpy, revokeUserApiKeysRepositorySpy, forgotPasswordUseCaseSpy } = makeSut()
+		const user = await sut.forcePasswordReset('any_user_id')
+		expect(user.id).toBe('stored_user_id')
+		expect(flagPasswordResetRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserSessionsRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserRefreshTokensRepositorySpy.userId).toBe('stored_user_id')
+		expect(revokeUserApiKeysRepositorySpy.userId).toBeUndefined()
+		expect(forgotPasswordUseCaseSpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should return null and change nothing if the user is not found', async () => {
+		const { sut, loadUserByIdRepositorySpy, disableUserRepositorySpy, enableUserRepositorySpy, flagPasswordResetRepositorySpy, forgotPasswordUseCaseSpy } = makeSut()
+		loadUserByIdRepositorySpy.user = null
+		expect(await sut.disable('any_user_id')).toBeNull()
+		expect(await sut.enable('any_user_id')).toBeNull()
+		expect(await sut.forcePasswordReset('any_user_id')).toBeNull()
+		expect(disableUserRepositorySpy.userId).toBeUndefined()
+		expect(enableUserRepositorySpy.userId).toBeUndefined()
+		expect(flagPasswordResetRepositorySpy.userId).toBeUndefined()
+		expect(forgotPasswordUseCaseSpy.email).toBeUndefined()
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUsersRepository: [makeWithError('load'), sut => sut.list()],
+			loadUserByIdRepository: [makeWithError('load'), sut => sut.load('any_user_id')],
+			disableUserRepository: [makeWithError('disable'), sut => sut.disable('any_user_id')],
+			enableUserRepository: [makeWithError('enable'), sut => sut.enable('any_user_id')],
+			flagPasswordResetRepository: [makeWithError('flag'), sut => sut.forcePasswordReset('any_user_id')],
+			revokeUserSessionsRepository: [makeWithError('revoke'), sut => sut.disable('any_user_id')],
+			revokeUserRefreshTokensRepository: [makeWithError('revoke'), sut => sut.disable('any_user_id')],
+			revokeUserApiKeysRepository: [makeWithError('revoke'), sut => sut.disable('any_user_id')],
+			forgotPasswordUseCase: [makeWithError('send'), sut => sut.forcePasswordReset('any_user_id')]
+		}
+		for (const [name, [dependency, call]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(call(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new AdminUserUseCase()
+		await expect(sut.list()).rejects.toThrow()
+		await expect(sut.load('any_user_id')).rejects.toThrow()
+		await expect(sut.disable('any_user_id')).rejects.toThrow()
+	})
+})
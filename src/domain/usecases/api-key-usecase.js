@@ -0,0 +1,98 @@
+const { MissingParamError } = require("../../utils/errors")
+
+const KEY_PATTERN = /^ak_([0-9a-f]+)_([0-9a-f]+)$/
+
+module.exports = class ApiKeyUseCase {
+
+	constructor({
+		addApiKeyRepository,
+		loadUserApiKeysRepository,
+		loadApiKeyByPrefixRepository,
+		revokeApiKeyRepository,
+		touchApiKeyRepository,
+		loadUserByIdRepository,
+		permissionResolver,
+		prefixGenerator,
+		randomTokenGenerator,
+		touchInterval = 60 * 1000
+	} = {}) {
+		this.addApiKeyRepository = addApiKeyRepository
+		this.loadUserApiKeysRepository = loadUserApiKeysRepository
+		this.loadApiKeyByPrefixRepository = loadApiKeyByPrefixRepository
+		this.revokeApiKeyRepository = revokeApiKeyRepository
+		this.touchApiKeyRepository = touchApiKeyRepository
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.permissionResolver = permissionResolver
+		this.prefixGenerator = prefixGenerator
+		this.randomTokenGenerator = randomTokenGenerator
+		this.touchInterval = touchInterval
+	}
+
+	async create(userId, { name, scopes = [], expiresAt = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+
+		const prefix = await this.prefixGenerator.generate()
+		const secret = await this.randomTokenGenerator.generate()
+		const key = `ak_${prefix}_${secret}`
+		const keyHash = await this.randomTokenGenerator.hash(key)
+		const id = await this.addApiKeyRepository.add({ userId, name, scopes, prefix, keyHash, expiresAt })
+		return { id, key, prefix, name, scopes, expiresAt }
+	}
+
+	async list(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		return this.loadUserApiKeysRepository.load(userId)
+	}
+
+	async revoke(userId, apiKeyId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!apiKeyId) {
+			throw new MissingParamError('apiKeyId')
+		}
+
+		return this.revokeApiKeyRepository.revoke(userId, apiKeyId)
+	}
+
+	async authenticate(key) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+
+		const [, prefix] = key.match(KEY_PATTERN) || []
+		if (!prefix) {
+			return null
+		}
+
+		const apiKey = await this.loadApiKeyByPrefixRepository.load(prefix)
+		if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+			return null
+		}
+
+		const keyHash = await this.randomTokenGenerator.hash(key)
+		if (keyHash !== apiKey.keyHash) {
+			return null
+		}
+
+		const owner = await this.loadUserByIdRepository.load(apiKey.userId)
+		if (!owner || owner.disabledAt) {
+			return null
+		}
+		// the scopes were checked against the owner's grant at creation, which may have shrunk since
+		const { permissions } = this.permissionResolver.resolve(owner)
+
+		if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() >= this.touchInterval) {
+			await this.touchApiKeyRepository.touch(apiKey._id)
+		}
+		return { ...apiKey, permissions: apiKey.scopes.filter(scope => permissions.includes(scope)) }
+	}
+}
@@ -0,0 +1,325 @@
+const { MissingParamError } = require("../../utils/errors")
+const ApiKeyUseCase = require('./api-key-usecase');
+
+
+const makeSut = () => {
+	const addApiKeyRepositorySpy = makeAddApiKeyRepository();
+	const loadUserApiKeysRepositorySpy = makeLoadUserApiKeysRepository();
+	const loadApiKeyByPrefixRepositorySpy = makeLoadApiKeyByPrefixRepository();
+	const revokeApiKeyRepositorySpy = makeRevokeApiKeyRepository();
+	const touchApiKeyRepositorySpy = makeTouchApiKeyRepository();
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const permissionResolverSpy = makePermissionResolver();
+	const prefixGeneratorSpy = makePrefixGenerator();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const sut = new ApiKeyUseCase({
+		addApiKeyRepository: addApiKeyRepositorySpy,
+		loadUserApiKeysRepository: loadUserApiKeysRepositorySpy,
+		loadApiKeyByPrefixRepository: loadApiKeyByPrefixRepositorySpy,
+		revokeApiKeyRepository: revokeApiKeyRepositorySpy,
+		touchApiKeyRepository: touchApiKeyRepositorySpy,
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		permissionResolver: permissionResolverSpy,
+		prefixGenerator: prefixGeneratorSpy,
+		randomTokenGenerator: randomTokenGeneratorSpy
+	});
+	return {
+		sut,
+		addApiKeyRepositorySpy,
+		loadUserApiKeysRepositorySpy,
+		loadApiKeyByPrefixRepositorySpy,
+		revokeApiKeyRepositorySpy,
+		touchApiKeyRepositorySpy,
+		loadUserByIdRepositorySpy,
+		permissionResolverSpy,
+		prefixGeneratorSpy,
+		randomTokenGeneratorSpy
+	}
+}
+
+const validKey = 'ak_0a1b2c_3d4e5f'
+
+const makeAddApiKeyRepository = () => {
+	class AddApiKeyRepositorySpy {
+		async add(apiKey) {
+			this.apiKey = apiKey
+			return 'any_api_key_id'
+		}
+	}
+	return new AddApiKeyRepositorySpy()
+}
+
+const makeLoadUserApiKeysRepository = () => {
+	class LoadUserApiKeysRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.apiKeys
+		}
+	}
+	const loadUserApiKeysRepositorySpy = new LoadUserApiKeysRepositorySpy()
+	loadUserApiKeysRepositorySpy.apiKeys = [{ _id: 'any_api_key_id', name: 'any_name' }]
+	return loadUserApiKeysRepositorySpy
+}
+
+const makeLoadApiKeyByPrefixRepository = () => {
+	class LoadApiKeyByPrefixRepositorySpy {
+		async load(prefix) {
+			this.prefix = prefix
+			return this.apiKey
+		}
+	}
+	const loadApiKeyByPrefixRepositorySpy = new LoadApiKeyByPrefixRepositorySpy()
+	loadApiKeyByPrefixRepositorySpy.apiKey = {
+		_id: 'any_api_key_id',
+		userId: 'any_user_id',
+		scopes: ['any_scope', 'other_scope'],
+		keyHash: `hashed_${validKey}`,
+		expiresAt: null,
+		lastUsedAt: null,
+		revokedAt: null
+	}
+	return loadApiKeyByPrefixRepositorySpy
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = { _id: 'any_user_id', roles: ['user'], disabledAt: null }
+	return loadUserByIdRepositorySpy
+}
+
+const makePermissionResolver = () => {
+	class PermissionResolverSpy {
+		resolve(user) {
+			this.user = user
+			return { roles: user.roles, permissions: this.permissions }
+		}
+	}
+	const permissionResolverSpy = new PermissionResolverSpy()
+	permissionResolverSpy.permissions = ['any_scope', 'other_scope']
+	return permissionResolverSpy
+}
+
+const makeRevokeApiKeyRepository = () => {
+	class RevokeApiKeyRepositorySpy {
+		async revoke(userId, apiKeyId) {
+			this.userId = userId
+			this.apiKeyId = apiKeyId
+			return this.isRevoked
+		}
+	}
+	const revokeApiKeyRepositorySpy = new RevokeApiKeyRepositorySpy()
+	revokeApiKeyRepositorySpy.isRevoked = true
+	return revokeApiKeyRepositorySpy
+}
+
+const makeTouchApiKeyRepository = () => {
+	class TouchApiKeyRepositorySpy {
+		async touch(apiKeyId) {
+			this.apiKeyId = apiKeyId
+		}
+	}
+	return new TouchApiKeyRepositorySpy()
+}
+
+const makePrefixGenerator = () => {
+	class PrefixGeneratorSpy {
+		async generate() {
+			return '0a1b2c'
+		}
+	}
+	return new PrefixGeneratorSpy()
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return '3d4e5f'
+		}
+
+		async hash(token) {
+			return `hashed_${token}`
+		}
+	}
+	return new RandomTokenGeneratorSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('ApiKey UseCase', () => {
+
+	test('Should throw if no userId is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.create()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.list()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	})
+
+	test('Should throw if no name is provided on create', async () => {
+		const { sut } = makeSut()
+		await expect(sut.create('any_user_id', {})).rejects.toThrow(new MissingParamError('name'))
+	})
+
+	test('Should store only the hash and the lookup prefix of a new key', async () => {
+		const { sut, addApiKeyRepositorySpy } = makeSut()
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.create('any_user_id', { name: 'any_name', scopes: ['any_scope'], expiresAt })
+		expect(addApiKeyRepositorySpy.apiKey).toEqual({
+			userId: 'any_user_id',
+			name: 'any_name',
+			scopes: ['any_scope'],
+			prefix: '0a1b2c',
+			keyHash: `hashed_${validKey}`,
+			expiresAt
+		})
+	})
+
+	test('Should return the plain key once on create', async () => {
+		const { sut } = makeSut()
+		const apiKey = await sut.create('any_user_id', { name: 'any_name' })
+		expect(apiKey).toEqual({
+			id: 'any_api_key_id',
+			key: validKey,
+			prefix: '0a1b2c',
+			name: 'any_name',
+			scopes: [],
+			expiresAt: null
+		})
+	})
+
+	test('Should return the api keys of the user', async () => {
+		const { sut, loadUserApiKeysRepositorySpy } = makeSut()
+		const apiKeys = await sut.list('any_user_id')
+		expect(loadUserApiKeysRepositorySpy.userId).toBe('any_user_id')
+		expect(apiKeys).toEqual(loadUserApiKeysRepositorySpy.apiKeys)
+	})
+
+	test('Should throw if no apiKeyId is provided on revoke', async () => {
+		const { sut } = makeSut()
+		await expect(sut.revoke('any_user_id')).rejects.toThrow(new MissingParamError('apiKeyId'))
+	})
+
+	test('Should revoke the api key of the user', async () => {
+		const { sut, revokeApiKeyRepositorySpy } = makeSut()
+		const isRevoked = await sut.revoke('any_user_id', 'any_api_key_id')
+		expect(isRevoked).toBe(true)
+		expect(revokeApiKeyRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeApiKeyRepositorySpy.apiKeyId).toBe('any_api_key_id')
+	})
+
+	test('Should throw if no key is provided on authenticate', async () => {
+		const { sut } = makeSut()
+		await expect(sut.authenticate()).rejects.toThrow(new MissingParamError('key'))
+	})
+
+	test('Should return null for a malformed key without a lookup', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy } = makeSut()
+		expect(await sut.authenticate('any_key')).toBeNull()
+		expect(loadApiKeyByPrefixRepositorySpy.prefix).toBeUndefined()
+	})
+
+	test('Should look the key up by its prefix', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy } = makeSut()
+		await sut.authenticate(validKey)
+		expect(loadApiKeyByPrefixRepositorySpy.prefix).toBe('0a1b2c')
+	})
+
+	test('Should return null if no key has the prefix', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy } = makeSut()
+		loadApiKeyByPrefixRepositorySpy.apiKey = null
+		expect(await sut.authenticate(validKey)).toBeNull()
+	})
+
+	test('Should return null if the secret does not match', async () => {
+		const { sut } = makeSut()
+		expect(await sut.authenticate('ak_0a1b2c_ffffff')).toBeNull()
+	})
+
+	test('Should return null if the key was revoked', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy } = makeSut()
+		loadApiKeyByPrefixRepositorySpy.apiKey.revokedAt = new Date()
+		expect(await sut.authenticate(validKey)).toBeNull()
+	})
+
+	test('Should return null if the key expired', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy } = makeSut()
+		loadApiKeyByPrefixRepositorySpy.apiKey.expiresAt = new Date(Date.now() - 1000)
+		expect(await sut.authenticate(validKey)).toBeNull()
+	})
+
+	test('Should return the api key and record its use', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy, touchApiKeyRepositorySpy } = makeSut()
+		loadApiKeyByPrefixRepositorySpy.apiKey.expiresAt = new Date(Date.now() + 60000)
+		const apiKey = await sut.authenticate(validKey)
+		expect(apiKey).toEqual({ ...loadApiKeyByPrefixRepositorySpy.apiKey, permissions: ['any_scope', 'other_scope'] })
+		expect(touchApiKeyRepositorySpy.apiKeyId).toBe('any_api_key_id')
+	})
+
+	test('Should resolve the current permissions of the key owner', async () => {
+		const { sut, loadUserByIdRepositorySpy, permissionResolverSpy } = makeSut()
+		await sut.authenticate(validKey)
+		expect(loadUserByIdRepositorySpy.userId).toBe('any_user_id')
+		expect(permissionResolverSpy.user).toBe(loadUserByIdRepositorySpy.user)
+	})
+
+	test('Should drop scopes the owner no longer has', async () => {
+		const { sut, permissionResolverSpy } = makeSut()
+		permissionResolverSpy.permissions = ['other_scope', 'unrelated_permission']
+		const apiKey = await sut.authenticate(validKey)
+		expect(apiKey.scopes).toEqual(['any_scope', 'other_scope'])
+		expect(apiKey.permissions).toEqual(['other_scope'])
+	})
+
+	test('Should return null if the owner is missing or disabled', async () => {
+		const { sut, loadUserByIdRepositorySpy } = makeSut()
+		loadUserByIdRepositorySpy.user.disabledAt = new Date()
+		expect(await sut.authenticate(validKey)).toBeNull()
+		loadUserByIdRepositorySpy.user = null
+		expect(await sut.authenticate(validKey)).toBeNull()
+	})
+
+	test('Should not record a use within the touch interval', async () => {
+		const { sut, loadApiKeyByPrefixRepositorySpy, touchApiKeyRepositorySpy } = makeSut()
+		loadApiKeyByPrefixRepositorySpy.apiKey.lastUsedAt = new Date()
+		await sut.authenticate(validKey)
+		expect(touchApiKeyRepositorySpy.apiKeyId).toBeUndefined()
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			addApiKeyRepository: ['add', sut => sut.create('any_user_id', { name: 'any_name' })],
+			prefixGenerator: ['generate', sut => sut.create('any_user_id', { name: 'any_name' })],
+			loadUserApiKeysRepository: ['load', sut => sut.list('any_user_id')],
+			revokeApiKeyRepository: ['revoke', sut => sut.revoke('any_user_id', 'any_api_key_id')],
+			loadApiKeyByPrefixRepository: ['load', sut => sut.authenticate(validKey)],
+			randomTokenGenerator: ['hash', sut => sut.authenticate(validKey)],
+			loadUserByIdRepository: ['load', sut => sut.authenticate(validKey)],
+			touchApiKeyRepository: ['touch', sut => sut.authenticate(validKey)]
+		}
+		for (const [name, [method, call]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = makeWithError(method)
+			await expect(call(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new ApiKeyUseCase()
+		await expect(sut.create('any_user_id', { name: 'any_name' })).rejects.toThrow()
+		await expect(sut.list('any_user_id')).rejects.toThrow()
+		await expect(sut.revoke('any_user_id', 'any_api_key_id')).rejects.toThrow()
+		await expect(sut.authenticate(validKey)).rejects.toThrow()
+	})
+})
@@ -0,0 +1,38 @@
+const { MissingParamError } = require("../../utils/errors")
+
+const toEntry = entry => ({
+	id: entry._id,
+	type: entry.type,
+	occurredAt: entry.occurredAt,
+	userId: entry.userId || null,
+	ip: entry.ip || null,
+	userAgent: entry.userAgent || null,
+	data: entry.data || {}
+})
+
+module.exports = class AuditLogUseCase {
+
+	constructor({ addAuditLogRepository, loadAuditLogRepository, pageSize = 50 } = {}) {
+		this.addAuditLogRepository = addAuditLogRepository
+		this.loadAuditLogRepository = loadAuditLogRepository
+		this.pageSize = pageSize
+	}
+
+	async record(event) {
+		if (!event) {
+			throw new MissingParamError('event')
+		}
+
+		const { type, occurredAt, userId, ip, userAgent, data } = event
+		await this.addAuditLogRepository.add({ type, occurredAt, userId, ip, userAgent, data })
+	}
+
+	async list({ cursor, limit = this.pageSize, userId, type, from, to } = {}) {
+		const entries = await this.loadAuditLogRepository.load({ before: cursor, limit: limit + 1, userId, type, from, to })
+		const page = entries.slice(0, limit)
+		return {
+			entries: page.map(toEntry),
+			nextCursor: entries.length > limit ? String(page[page.length - 1]._id) : null
+		}
+	}
+}
@@ -0,0 +1,122 @@
+const { MissingParamError } = require("../../utils/errors")
+const AuditLogUseCase = require('./audit-log-usecase');
+const { LoginFailed } = require('../events');
+
+
+const makeSut = () => {
+	const addAuditLogRepositorySpy = makeAddAuditLogRepository();
+	const loadAuditLogRepositorySpy = makeLoadAuditLogRepository();
+	const sut = new AuditLogUseCase({
+		addAuditLogRepository: addAuditLogRepositorySpy,
+		loadAuditLogRepository: loadAuditLogRepositorySpy,
+		pageSize: 2
+	});
+	return { sut, addAuditLogRepositorySpy, loadAuditLogRepositorySpy }
+}
+
+const makeAddAuditLogRepository = () => {
+	class AddAuditLogRepositorySpy {
+		async add(entry) {
+			this.entry = entry
+		}
+	}
+	return new AddAuditLogRepositorySpy()
+}
+
+const makeLoadAuditLogRepository = () => {
+	class LoadAuditLogRepositorySpy {
+		async load(query) {
+			this.query = query
+			return this.entries.slice(0, query.limit)
+		}
+	}
+	const loadAuditLogRepositorySpy = new LoadAuditLogRepositorySpy()
+	loadAuditLogRepositorySpy.entries = [
+		{ _id: 'third_id', type: 'TokenIssued', occurredAt: new Date('2024-01-03'), userId: 'any_user_id', data: { grant: 'password' } },
+		{ _id: 'second_id', type: 'LoginSucceeded', occurredAt: new Date('2024-01-02'), userId: 'any_user_id', ip: '127.0.0.1', data: { method: 'password' } },
+		{ _id: 'first_id', type: 'LoginFailed', occurredAt: new Date('2024-01-01'), userId: null, data: { reason: 'unknown-user' } }
+	]
+	return loadAuditLogRepositorySpy
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('AuditLog UseCase', () => {
+
+	test('Should throw if no event is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.record()).rejects.toThrow(new MissingParamError('event'))
+	})
+
+	test('Should append the event to the audit log', async () => {
+		const { sut, addAuditLogRepositorySpy } = makeSut()
+		const event = new LoginFailed({ userId: 'any_user_id', ip: '127.0.0.1', userAgent: 'any_agent', reason: 'bad-password' })
+		await sut.record(event)
+		expect(addAuditLogRepositorySpy.entry).toEqual({
+			type: 'LoginFailed',
+			occurredAt: event.occurredAt,
+			userId: 'any_user_id',
+			ip: '127.0.0.1',
+			userAgent: 'any_agent',
+			data: { reason: 'bad-password' }
+		})
+	})
+
+	test('Should return the first page with a cursor to the next one', async () => {
+		const { sut, loadAuditLogRepositorySpy } = makeSut()
+		const from = new Date('2024-01-01')
+		const { entries, nextCursor } = await sut.list({ userId: 'any_user_id', type: 'LoginSucceeded', from })
+		expect(loadAuditLogRepositorySpy.query).toEqual({ before: undefined, limit: 3, userId: 'any_user_id', type: 'LoginSucceeded', from, to: undefined })
+		expect(entries.map(({ id }) => id)).toEqual(['third_id', 'second_id'])
+		expect(nextCursor).toBe('second_id')
+	})
+
+	test('Should continue from the cursor and stop at the last page', async () => {
+		const { sut, loadAuditLogRepositorySpy } = makeSut()
+		const { entries, nextCursor } = await sut.list({ cursor: 'third_id', limit: 5 })
+		expect(loadAuditLogRepositorySpy.query.before).toBe('third_id')
+		expect(loadAuditLogRepositorySpy.query.limit).toBe(6)
+		expect(entries).toHaveLength(3)
+		expect(nextCursor).toBeNull()
+	})
+
+	test('Should return the entries in a stable shape', async () => {
+		const { sut } = makeSut()
+		const { entries } = await sut.list({ limit: 5 })
+		expect(entries[1]).toEqual({
+			id: 'second_id',
+			type: 'LoginSucceeded',
+			occurredAt: new Date('2024-01-02'),
+			userId: 'any_user_id',
+			ip: '127.0.0.1',
+			userAgent: null,
+			data: { method: 'password' }
+		})
+		expect(entries[2].userId).toBeNull()
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			addAuditLogRepository: [makeWithError('add'), sut => sut.record(new LoginFailed())],
+			loadAuditLogRepository: [makeWithError('load'), sut => sut.list()]
+		}
+		for (const [name, [dependency, act]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(act(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new AuditLogUseCase()
+		await expect(sut.record(new LoginFailed())).rejects.toThrow()
+		await expect(sut.list()).rejects.toThrow()
+	})
+})
@@ -1,16 +1,44 @@
-const { MissingParamError } = require("../../utils/errors")
+const { MissingParamError, TooManyAttemptsError, UnverifiedEmailError, AccountDisabledError, PasswordResetRequiredError } = require("../../utils/errors")
+const { LoginSucceeded, LoginFailed, TokenIssued } = require('../events')
+const normalizeEmail = require('../../utils/helpers/normalize-email')
+
+// only checked once the password is known to be right, so the reason does not leak to strangers
+const signInDenial = user => {
+	if (user.disabledAt) {
+		return new AccountDisabledError()
+	}
+	if (user.passwordResetRequired) {
+		return new PasswordResetRequiredError()
+	}
+	return null
+}
 
 module.exports = class AuthUseCase {
 
-	constructor({ loadUserByEmailRepository, updateAccessTokenRepository, encrypter, tokenGenerator } = {}) {
+	constructor({ loadUserByEmailRepository, addSessionRepository, updatePasswordRepository, encrypter, tokenGenerator, permissionResolver, refreshTokenUseCase, loginAttemptsUseCase, twoFactorUseCase, eventBus, requireVerifiedEmail = false } = {}) {
 		this.loadUserByEmailRepository = loadUserByEmailRepository
 		this.encrypter = encrypter
 		this.tokenGenerator = tokenGenerator
-		this.updateAccessTokenRepository = updateAccessTokenRepository
+		this.permissionResolver = permissionResolver
+		this.addSessionRepository = addSessionRepository
+		this.updatePasswordRepository = updatePasswordRepository
+		this.refreshTokenUseCase = refreshTokenUseCase
+		this.loginAttemptsUseCase = loginAttemptsUseCase
+		this.twoFactorUseCase = twoFactorUseCase
+		this.eventBus = eventBus
+		this.requireVerifiedEmail = requireVerifiedEmail
+	}
+
+	async auth(email, password, { ip, userAgent } = {}) {
+		const result = await this.authenticate(email, password, { ip, userAgent })
+		if (!result || !result.user) {
+			return result
+		}
+		return this.generateTokens(result.user, { ip, userAgent, method: 'password' })
 	}
 
-	async auth(email, password) {
-		if (!email) {
+	async authenticate(rawEmail, password, { ip, userAgent } = {}) {
+		if (!rawEmail) {
 			throw new MissingParamError('email')
 		}
 
@@ -18,18 +46,93 @@ module.exports = class AuthUseCase {
 			throw new MissingParamError('password')
 		}
 
+		const email = normalizeEmail(rawEmail)
+		const emailKey = `email:${email}`
+		const attemptKeys = ip ? [emailKey, `ip:${ip}`] : [emailKey]
+		try {
+			await this.loginAttemptsUseCase.check(attemptKeys)
+		} catch (error) {
+			if (error instanceof TooManyAttemptsError) {
+				await this.eventBus.publish(new LoginFailed({ email, reason: error.code, ip, userAgent }))
+			}
+			throw error
+		}
+
 		const user = await this.loadUserByEmailRepository.load(email)
 		if (!user) {
+			await this.loginAttemptsUseCase.registerFailure(attemptKeys)
+			await this.eventBus.publish(new LoginFailed({ email, reason: 'unknown-user', ip, userAgent }))
 			return null
 		}
 
 		const isValid = await this.encrypter.compare(password, user.password)
 		if (!isValid) {
+			await this.loginAttemptsUseCase.registerFailure(attemptKeys)
+			await this.eventBus.publish(new LoginFailed({ userId: user._id, email, reason: 'bad-password', ip, userAgent }))
 			return null
 		}
 
-		const accessToken = await this.tokenGenerator.generate(user._id);
-		await this.updateAccessTokenRepository.update(user._id, accessToken);
-		return accessToken;
+		await this.loginAttemptsUseCase.reset([emailKey])
+		const denial = signInDenial(user)
+		if (denial) {
+			await this.eventBus.publish(new LoginFailed({ userId: user._id, email, reason: denial.code, ip, userAgent }))
+			throw denial
+		}
+		if (this.encrypter.needsRehash(user.password)) {
+			const hashedPassword = await this.encrypter.hash(password)
+			await this.updatePasswordRepository.update(user._id, hashedPassword)
+		}
+		if (this.requireVerifiedEmail && !user.emailVerified) {
+			const error = new UnverifiedEmailError()
+			await this.eventBus.publish(new LoginFailed({ userId: user._id, email, reason: error.code, ip, userAgent }))
+			throw error
+		}
+
+		if (user.twoFactor && user.twoFactor.enabled) {
+			const challenge = await this.twoFactorUseCase.createChallenge(user._id)
+			return { twoFactorRequired: true, challenge }
+		}
+		return { user }
+	}
+
+	async authTwoFactor(challenge, code, { ip, userAgent } = {}) {
+		const user = await this.authenticateTwoFactor(challenge, code, { ip, userAgent })
+		if (!user) {
+			return null
+		}
+		return this.generateTokens(user, { ip, userAgent, method: 'two-factor' })
+	}
+
+	async authenticateTwoFactor(challenge, code, { ip, userAgent } = {}) {
+		if (!challenge) {
+			throw new MissingParamError('challenge')
+		}
+
+		if (!code) {
+			throw new MissingParamError('code')
+		}
+
+		const user = await this.twoFactorUseCase.verifyChallenge(challenge, code)
+		if (!user) {
+			await this.eventBus.publish(new LoginFailed({ reason: 'bad-two-factor-code', ip, userAgent }))
+			return null
+		}
+
+		const denial = signInDenial(user)
+		if (denial) {
+			await this.eventBus.publish(new LoginFailed({ userId: user._id, reason: denial.code, ip, userAgent }))
+			throw denial
+		}
+		return user
+	}
+
+	async generateTokens(user, { ip, userAgent, method }) {
+		const sessionId = await this.addSessionRepository.add({ userId: user._id, userAgent, ip });
+		const { roles, permissions } = this.permissionResolver.resolve(user);
+		const accessToken = await this.tokenGenerator.generate(user._id, { sid: sessionId, roles, permissions });
+		const refreshToken = await this.refreshTokenUseCase.generate(user._id, sessionId);
+		await this.eventBus.publish(new LoginSucceeded({ userId: user._id, sessionId, method, ip, userAgent }));
+		await this.eventBus.publish(new TokenIssued({ userId: user._id, sessionId, grant: method, ip, userAgent }));
+		return { accessToken, refreshToken };
 	}
-}
\ No newline at end of file
+}
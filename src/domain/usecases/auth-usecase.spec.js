@@ -1,4 +1,4 @@
-const { MissingParamError } = require("../../utils/errors")
+const { MissingParamError, TooManyAttemptsError, UnverifiedEmailError, AccountDisabledError, PasswordResetRequiredError } = require("../../utils/errors")
 const AuthUseCase = require('./auth-usecase');
 
 
@@ -6,33 +6,156 @@ const makeSut = () => {
 	const encrypterSpy = makeEncrypter();
 	const loadUserByEmailRepositorySpy = makeLoadUserByEmailRepository();
 	const tokenGeneratorSpy = makeTokenGenerator();
-	const updateAccessTokenRepositorySpy = makeUpdateAccessTokenRepository();
+	const addSessionRepositorySpy = makeAddSessionRepository();
+	const updatePasswordRepositorySpy = makeUpdatePasswordRepository();
+	const refreshTokenUseCaseSpy = makeRefreshTokenUseCase();
+	const loginAttemptsUseCaseSpy = makeLoginAttemptsUseCase();
+	const twoFactorUseCaseSpy = makeTwoFactorUseCase();
+	const permissionResolverSpy = makePermissionResolver();
+	const eventBusSpy = makeEventBus();
 	const sut = new AuthUseCase({
 		loadUserByEmailRepository: loadUserByEmailRepositorySpy,
 		encrypter: encrypterSpy,
 		tokenGenerator: tokenGeneratorSpy,
-		updateAccessTokenRepository: updateAccessTokenRepositorySpy
+		permissionResolver: permissionResolverSpy,
+		addSessionRepository: addSessionRepositorySpy,
+		updatePasswordRepository: updatePasswordRepositorySpy,
+		refreshTokenUseCase: refreshTokenUseCaseSpy,
+		loginAttemptsUseCase: loginAttemptsUseCaseSpy,
+		twoFactorUseCase: twoFactorUseCaseSpy,
+		eventBus: eventBusSpy
 	});
-	return { sut, loadUserByEmailRepositorySpy, encrypterSpy, tokenGeneratorSpy, updateAccessTokenRepositorySpy }
+	return { sut, loadUserByEmailRepositorySpy, encrypterSpy, tokenGeneratorSpy, addSessionRepositorySpy, updatePasswordRepositorySpy, refreshTokenUseCaseSpy, loginAttemptsUseCaseSpy, twoFactorUseCaseSpy, permissionResolverSpy, eventBusSpy }
 }
 
-const makeUpdateAccessTokenRepository = () => {
-	class UpdateAccessTokenRepositorySpy {
-		async update(userId, accessToken) {
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeEventBusWithError = () => {
+	class EventBusSpy {
+		async publish() {
+			throw new Error()
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makePermissionResolver = () => {
+	class PermissionResolverSpy {
+		resolve(user) {
+			this.user = user
+			return { roles: ['user'], permissions: ['any_permission'] }
+		}
+	}
+	return new PermissionResolverSpy()
+}
+
+const makeLoginAttemptsUseCase = () => {
+	class LoginAttemptsUseCaseSpy {
+		async check(keys) {
+			this.checkedKeys = keys
+			if (this.retryAfter) {
+				throw new TooManyAttemptsError(this.retryAfter)
+			}
+		}
+		async registerFailure(keys) {
+			this.failedKeys = keys
+		}
+		async reset(keys) {
+			this.resetKeys = keys
+		}
+	}
+	return new LoginAttemptsUseCaseSpy()
+}
+
+const makeTwoFactorUseCase = () => {
+	class TwoFactorUseCaseSpy {
+		async createChallenge(userId) {
+			this.userId = userId
+			return this.challenge
+		}
+		async verifyChallenge(challenge, code) {
+			this.challenge = challenge
+			this.code = code
+			return this.verifiedUser
+		}
+	}
+	const twoFactorUseCaseSpy = new TwoFactorUseCaseSpy()
+	twoFactorUseCaseSpy.challenge = 'any_challenge'
+	twoFactorUseCaseSpy.verifiedUser = { _id: 'any_id', roles: ['admin'] }
+	return twoFactorUseCaseSpy
+}
+
+const makeRefreshTokenUseCase = () => {
+	class RefreshTokenUseCaseSpy {
+		async generate(userId, family) {
+			this.userId = userId
+			this.family = family
+			return this.refreshToken
+		}
+	}
+	const refreshTokenUseCaseSpy = new RefreshTokenUseCaseSpy()
+	refreshTokenUseCaseSpy.refreshToken = 'any_refresh_token'
+	return refreshTokenUseCaseSpy
+}
+
+const makeRefreshTokenUseCaseWithError = () => {
+	class RefreshTokenUseCaseSpy {
+		async generate() {
+			throw new Error()
+		}
+	}
+	return new RefreshTokenUseCaseSpy()
+}
+
+const makeAddSessionRepository = () => {
+	class AddSessionRepositorySpy {
+		async add(session) {
+			this.session = session
+			return this.sessionId
+		}
+	}
+	const addSessionRepositorySpy = new AddSessionRepositorySpy()
+	addSessionRepositorySpy.sessionId = 'any_session_id'
+	return addSessionRepositorySpy
+}
+
+const makeAddSessionRepositoryWithError = () => {
+	class AddSessionRepositorySpy {
+		async add() {
+			throw new Error()
+		}
+	}
+	return new AddSessionRepositorySpy()
+}
+
+const makeUpdatePasswordRepository = () => {
+	class UpdatePasswordRepositorySpy {
+		async update(userId, password) {
 			this.userId = userId
-			this.accessToken = accessToken
+			this.password = password
 		}
 	}
-	return new UpdateAccessTokenRepositorySpy()
+	return new UpdatePasswordRepositorySpy()
 }
 
-const makeUpdateAccessTokenRepositoryWithError = () => {
-	class UpdateAccessTokenRepositorySpy {
+const makeUpdatePasswordRepositoryWithError = () => {
+	class UpdatePasswordRepositorySpy {
 		async update() {
 			throw new Error()
 		}
 	}
-	return new UpdateAccessTokenRepositorySpy()
+	return new UpdatePasswordRepositorySpy()
 }
 
 const makeLoadUserByEmailRepository = () => {
@@ -44,7 +167,7 @@ const makeLoadUserByEmailRepository = () => {
 	}
 	const loadUserByEmailRepositorySpy = new LoadUserByEmailRepositorySpy()
 	loadUserByEmailRepositorySpy.user = {
-		id: 'any_id',
+		_id: 'any_id',
 		password: 'hashed_password'
 	};
 	return loadUserByEmailRepositorySpy
@@ -66,9 +189,18 @@ const makeEncrypter = () => {
 			this.hashedPassword = hashedPassword
 			return this.isValid
 		}
+		needsRehash(hashedPassword) {
+			this.rehashCheckedPassword = hashedPassword
+			return this.outdated
+		}
+		async hash(password) {
+			this.hashedValue = password
+			return 'rehashed_password'
+		}
 	}
 	const encrypterSpy = new EncrypterSpy();
 	encrypterSpy.isValid = true;
+	encrypterSpy.outdated = false;
 	return encrypterSpy;
 }
 
@@ -83,8 +215,9 @@ const makeEncrypterWithError = () => {
 
 const makeTokenGenerator = () => {
 	class TokenGeneratorSpy {
-		async generate(userId) {
+		async generate(userId, claims) {
 			this.userId = userId
+			this.claims = claims
 			return this.accessToken
 		}
 	}
@@ -122,6 +255,12 @@ describe('Auth UseCase', () => {
 		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
 	})
 
+	test('Should look the email up trimmed and in lower case', async () => {
+		const { sut, loadUserByEmailRepositorySpy } = makeSut()
+		await sut.auth(' Any_Email@Mail.com ', 'any_password')
+		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
+	})
+
 	test('Should return null if an invalid email is provided', async () => {
 		const { sut, loadUserByEmailRepositorySpy } = makeSut()
 		loadUserByEmailRepositorySpy.user = null
@@ -149,64 +288,349 @@ describe('Auth UseCase', () => {
 		expect(tokenGeneratorSpy.userId).toBe(loadUserByEmailRepositorySpy.user._id)
 	})
 
-	test('Should return accessToken if correct credentials are provided', async () => {
-		const { sut, tokenGeneratorSpy } = makeSut()
-		const accessToken = await sut.auth('valid_email@mail.com', 'valid_password')
-		expect(accessToken).toBe(tokenGeneratorSpy.accessToken)
-		expect(accessToken).toBeTruthy()
+	test('Should return accessToken and refreshToken if correct credentials are provided', async () => {
+		const { sut, tokenGeneratorSpy, refreshTokenUseCaseSpy } = makeSut()
+		const tokens = await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(tokens.accessToken).toBe(tokenGeneratorSpy.accessToken)
+		expect(tokens.refreshToken).toBe(refreshTokenUseCaseSpy.refreshToken)
+		expect(tokens.accessToken).toBeTruthy()
 	})
 
-	test('Should call UpdateAccessTokenRepository with correct values', async () => {
-		const { sut, updateAccessTokenRepositorySpy, loadUserByEmailRepositorySpy, tokenGeneratorSpy } = makeSut()
+	test('Should call RefreshTokenUseCase with correct userId', async () => {
+		const { sut, loadUserByEmailRepositorySpy, refreshTokenUseCaseSpy } = makeSut()
 		await sut.auth('valid_email@mail.com', 'valid_password')
-		expect(updateAccessTokenRepositorySpy.userId).toBe(loadUserByEmailRepositorySpy.user._id)
-		expect(updateAccessTokenRepositorySpy.accessToken).toBe(tokenGeneratorSpy.accessToken)
+		expect(refreshTokenUseCaseSpy.userId).toBe(loadUserByEmailRepositorySpy.user._id)
+	})
+
+	test('Should start a session and bind both tokens to it', async () => {
+		const { sut, addSessionRepositorySpy, loadUserByEmailRepositorySpy, tokenGeneratorSpy, refreshTokenUseCaseSpy } = makeSut()
+		await sut.auth('valid_email@mail.com', 'valid_password', { userAgent: 'any_agent', ip: '127.0.0.1' })
+		expect(addSessionRepositorySpy.session).toEqual({ userId: loadUserByEmailRepositorySpy.user._id, userAgent: 'any_agent', ip: '127.0.0.1' })
+		expect(tokenGeneratorSpy.claims).toEqual({ sid: 'any_session_id', roles: ['user'], permissions: ['any_permission'] })
+		expect(refreshTokenUseCaseSpy.family).toBe('any_session_id')
+	})
+
+	test('Should resolve the permissions of the authenticated user', async () => {
+		const { sut, loadUserByEmailRepositorySpy, permissionResolverSpy } = makeSut()
+		await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(permissionResolverSpy.user).toBe(loadUserByEmailRepositorySpy.user)
+	})
+
+	test('Should throw TooManyAttemptsError if the email or ip is locked', async () => {
+		const { sut, loginAttemptsUseCaseSpy, loadUserByEmailRepositorySpy } = makeSut()
+		loginAttemptsUseCaseSpy.retryAfter = 60
+		const promise = sut.auth('any_email@mail.com', 'any_password', { ip: '127.0.0.1' })
+		await expect(promise).rejects.toThrow(new TooManyAttemptsError(60))
+		expect(loginAttemptsUseCaseSpy.checkedKeys).toEqual(['email:any_email@mail.com', 'ip:127.0.0.1'])
+		expect(loadUserByEmailRepositorySpy.email).toBeUndefined()
+	})
+
+	test('Should register a failed attempt if the user is not found', async () => {
+		const { sut, loadUserByEmailRepositorySpy, loginAttemptsUseCaseSpy } = makeSut()
+		loadUserByEmailRepositorySpy.user = null
+		await sut.auth('Any_Email@mail.com', 'any_password', { ip: '127.0.0.1' })
+		expect(loginAttemptsUseCaseSpy.failedKeys).toEqual(['email:any_email@mail.com', 'ip:127.0.0.1'])
+	})
+
+	test('Should register a failed attempt if the password is invalid', async () => {
+		const { sut, encrypterSpy, loginAttemptsUseCaseSpy } = makeSut()
+		encrypterSpy.isValid = false
+		await sut.auth('any_email@mail.com', 'invalid_password')
+		expect(loginAttemptsUseCaseSpy.failedKeys).toEqual(['email:any_email@mail.com'])
+		expect(loginAttemptsUseCaseSpy.resetKeys).toBeUndefined()
+	})
+
+	test('Should reset the email attempts on a successful login', async () => {
+		const { sut, loginAttemptsUseCaseSpy } = makeSut()
+		await sut.auth('any_email@mail.com', 'valid_password', { ip: '127.0.0.1' })
+		expect(loginAttemptsUseCaseSpy.resetKeys).toEqual(['email:any_email@mail.com'])
+		expect(loginAttemptsUseCaseSpy.failedKeys).toBeUndefined()
+	})
+
+	test('Should throw UnverifiedEmailError if verified emails are required', async () => {
+		const { sut, loadUserByEmailRepositorySpy, tokenGeneratorSpy } = makeSut()
+		sut.requireVerifiedEmail = true
+		loadUserByEmailRepositorySpy.user.emailVerified = false
+		const promise = sut.auth('valid_email@mail.com', 'valid_password')
+		await expect(promise).rejects.toThrow(new UnverifiedEmailError())
+		expect(tokenGeneratorSpy.userId).toBeUndefined()
+	})
+
+	test('Should throw AccountDisabledError if the account is disabled', async () => {
+		const { sut, loadUserByEmailRepositorySpy, tokenGeneratorSpy } = makeSut()
+		loadUserByEmailRepositorySpy.user.disabledAt = new Date()
+		const promise = sut.auth('valid_email@mail.com', 'valid_password')
+		await expect(promise).rejects.toThrow(new AccountDisabledError())
+		expect(tokenGeneratorSpy.userId).toBeUndefined()
+	})
+
+	test('Should not reveal that the account is disabled to a wrong password', async () => {
+		const { sut, encrypterSpy, loadUserByEmailRepositorySpy } = makeSut()
+		encrypterSpy.isValid = false
+		loadUserByEmailRepositorySpy.user.disabledAt = new Date()
+		expect(await sut.auth('valid_email@mail.com', 'invalid_password')).toBeNull()
+	})
+
+	test('Should throw PasswordResetRequiredError if a reset was forced', async () => {
+		const { sut, encrypterSpy, loadUserByEmailRepositorySpy, tokenGeneratorSpy, updatePasswordRepositorySpy } = makeSut()
+		encrypterSpy.outdated = true
+		loadUserByEmailRepositorySpy.user.passwordResetRequired = true
+		const promise = sut.auth('valid_email@mail.com', 'valid_password')
+		await expect(promise).rejects.toThrow(new PasswordResetRequiredError())
+		expect(tokenGeneratorSpy.userId).toBeUndefined()
+		expect(updatePasswordRepositorySpy.password).toBeUndefined()
+	})
+
+	test('Should authenticate unverified emails unless they are required', async () => {
+		const { sut, loadUserByEmailRepositorySpy } = makeSut()
+		loadUserByEmailRepositorySpy.user.emailVerified = false
+		const tokens = await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(tokens.accessToken).toBeTruthy()
+		sut.requireVerifiedEmail = true
+		loadUserByEmailRepositorySpy.user.emailVerified = true
+		expect(await sut.auth('valid_email@mail.com', 'valid_password')).toBeTruthy()
+	})
+
+	test('Should rehash the password when the stored hash is outdated', async () => {
+		const { sut, encrypterSpy, loadUserByEmailRepositorySpy, updatePasswordRepositorySpy } = makeSut()
+		encrypterSpy.outdated = true
+		await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(encrypterSpy.rehashCheckedPassword).toBe(loadUserByEmailRepositorySpy.user.password)
+		expect(encrypterSpy.hashedValue).toBe('valid_password')
+		expect(updatePasswordRepositorySpy.userId).toBe(loadUserByEmailRepositorySpy.user._id)
+		expect(updatePasswordRepositorySpy.password).toBe('rehashed_password')
+	})
+
+	test('Should not rehash up-to-date or rejected passwords', async () => {
+		const { sut, encrypterSpy, updatePasswordRepositorySpy } = makeSut()
+		await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(updatePasswordRepositorySpy.password).toBeUndefined()
+		encrypterSpy.outdated = true
+		encrypterSpy.isValid = false
+		await sut.auth('valid_email@mail.com', 'invalid_password')
+		expect(updatePasswordRepositorySpy.password).toBeUndefined()
+	})
+
+	test('Should return a challenge instead of tokens if two-factor is enabled', async () => {
+		const { sut, loadUserByEmailRepositorySpy, twoFactorUseCaseSpy, tokenGeneratorSpy } = makeSut()
+		loadUserByEmailRepositorySpy.user.twoFactor = { enabled: true }
+		const result = await sut.auth('valid_email@mail.com', 'valid_password')
+		expect(result).toEqual({ twoFactorRequired: true, challenge: 'any_challenge' })
+		expect(twoFactorUseCaseSpy.userId).toBe(loadUserByEmailRepositorySpy.user._id)
+		expect(tokenGeneratorSpy.userId).toBeUndefined()
+	})
+
+	describe('authTwoFactor()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.authTwoFactor()).rejects.toThrow(new MissingParamError('challenge'))
+			await expect(sut.authTwoFactor('any_challenge')).rejects.toThrow(new MissingParamError('code'))
+		})
+
+		test('Should return null if the challenge cannot be verified', async () => {
+			const { sut, twoFactorUseCaseSpy, tokenGeneratorSpy } = makeSut()
+			twoFactorUseCaseSpy.verifiedUser = null
+			expect(await sut.authTwoFactor('any_challenge', '123456')).toBeNull()
+			expect(twoFactorUseCaseSpy.challenge).toBe('any_challenge')
+			expect(twoFactorUseCaseSpy.code).toBe('123456')
+			expect(tokenGeneratorSpy.userId).toBeUndefined()
+		})
+
+		test('Should throw AccountDisabledError if the account was disabled during the challenge', async () => {
+			const { sut, twoFactorUseCaseSpy, tokenGeneratorSpy } = makeSut()
+			twoFactorUseCaseSpy.verifiedUser.disabledAt = new Date()
+			await expect(sut.authTwoFactor('any_challenge', '123456')).rejects.toThrow(new AccountDisabledError())
+			expect(tokenGeneratorSpy.userId).toBeUndefined()
+		})
+
+		test('Should return tokens for the verified user', async () => {
+			const { sut, tokenGeneratorSpy, addSessionRepositorySpy, refreshTokenUseCaseSpy, twoFactorUseCaseSpy, permissionResolverSpy } = makeSut()
+			const tokens = await sut.authTwoFactor('any_challenge', '123456')
+			expect(tokens).toEqual({ accessToken: tokenGeneratorSpy.accessToken, refreshToken: refreshTokenUseCaseSpy.refreshToken })
+			expect(tokenGeneratorSpy.userId).toBe('any_id')
+			expect(addSessionRepositorySpy.session.userId).toBe('any_id')
+			expect(refreshTokenUseCaseSpy.userId).toBe('any_id')
+			expect(permissionResolverSpy.user).toBe(twoFactorUseCaseSpy.verifiedUser)
+		})
+
+		test('Should publish LoginFailed if the code is wrong', async () => {
+			const { sut, twoFactorUseCaseSpy, eventBusSpy } = makeSut()
+			twoFactorUseCaseSpy.verifiedUser = null
+			await sut.authTwoFactor('any_challenge', '123456', { ip: '127.0.0.1' })
+			expect(eventBusSpy.events).toHaveLength(1)
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'LoginFailed', ip: '127.0.0.1', data: { reason: 'bad-two-factor-code' } })
+		})
+
+		test('Should publish LoginSucceeded with the two-factor method', async () => {
+			const { sut, eventBusSpy } = makeSut()
+			await sut.authTwoFactor('any_challenge', '123456')
+			expect(eventBusSpy.events.map(({ type }) => type)).toEqual(['LoginSucceeded', 'TokenIssued'])
+			expect(eventBusSpy.events[0].data.method).toBe('two-factor')
+			expect(eventBusSpy.events[1].data.grant).toBe('two-factor')
+		})
+	})
+
+	describe('authenticate()', () => {
+		test('Should return the user without starting a session', async () => {
+			const { sut, loadUserByEmailRepositorySpy, addSessionRepositorySpy, tokenGeneratorSpy, eventBusSpy } = makeSut()
+			const result = await sut.authenticate('valid_email@mail.com', 'valid_password')
+			expect(result).toEqual({ user: loadUserByEmailRepositorySpy.user })
+			expect(addSessionRepositorySpy.session).toBeUndefined()
+			expect(tokenGeneratorSpy.userId).toBeUndefined()
+			expect(eventBusSpy.events).toHaveLength(0)
+		})
+
+		test('Should still hand out a challenge if two-factor is enabled', async () => {
+			const { sut, loadUserByEmailRepositorySpy } = makeSut()
+			loadUserByEmailRepositorySpy.user.twoFactor = { enabled: true }
+			expect(await sut.authenticate('valid_email@mail.com', 'valid_password')).toEqual({ twoFactorRequired: true, challenge: 'any_challenge' })
+		})
+	})
+
+	describe('authenticateTwoFactor()', () => {
+		test('Should return the verified user without starting a session', async () => {
+			const { sut, twoFactorUseCaseSpy, addSessionRepositorySpy } = makeSut()
+			expect(await sut.authenticateTwoFactor('any_challenge', '123456')).toBe(twoFactorUseCaseSpy.verifiedUser)
+			expect(addSessionRepositorySpy.session).toBeUndefined()
+		})
+	})
+
+	describe('events', () => {
+		test('Should publish LoginFailed with reason unknown-user if the email is not found', async () => {
+			const { sut, loadUserByEmailRepositorySpy, eventBusSpy } = makeSut()
+			loadUserByEmailRepositorySpy.user = null
+			await sut.auth('any_email@mail.com', 'any_password', { ip: '127.0.0.1', userAgent: 'any_agent' })
+			expect(eventBusSpy.events).toHaveLength(1)
+			expect(eventBusSpy.events[0]).toMatchObject({
+				type: 'LoginFailed',
+				userId: null,
+				ip: '127.0.0.1',
+				userAgent: 'any_agent',
+				data: { email: 'any_email@mail.com', reason: 'unknown-user' }
+			})
+			expect(eventBusSpy.events[0].occurredAt).toBeInstanceOf(Date)
+		})
+
+		test('Should publish LoginFailed with reason bad-password for a known user', async () => {
+			const { sut, encrypterSpy, loadUserByEmailRepositorySpy, eventBusSpy } = makeSut()
+			encrypterSpy.isValid = false
+			await sut.auth('any_email@mail.com', 'invalid_password')
+			expect(eventBusSpy.events).toHaveLength(1)
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'LoginFailed', userId: loadUserByEmailRepositorySpy.user._id, data: { reason: 'bad-password' } })
+		})
+
+		test('Should publish LoginFailed if the email or ip is locked', async () => {
+			const { sut, loginAttemptsUseCaseSpy, eventBusSpy } = makeSut()
+			loginAttemptsUseCaseSpy.retryAfter = 60
+			await expect(sut.auth('any_email@mail.com', 'any_password')).rejects.toThrow(new TooManyAttemptsError(60))
+			expect(eventBusSpy.events).toHaveLength(1)
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'LoginFailed', data: { reason: new TooManyAttemptsError(60).code } })
+		})
+
+		test('Should publish LoginFailed with the reason a known user was turned away', async () => {
+			const { sut, loadUserByEmailRepositorySpy, eventBusSpy } = makeSut()
+			loadUserByEmailRepositorySpy.user.disabledAt = new Date()
+			await expect(sut.auth('valid_email@mail.com', 'valid_password')).rejects.toThrow(new AccountDisabledError())
+			delete loadUserByEmailRepositorySpy.user.disabledAt
+			sut.requireVerifiedEmail = true
+			loadUserByEmailRepositorySpy.user.emailVerified = false
+			await expect(sut.auth('valid_email@mail.com', 'valid_password')).rejects.toThrow(new UnverifiedEmailError())
+			expect(eventBusSpy.events.map(({ data }) => data.reason)).toEqual(['account-disabled', 'email-not-verified'])
+		})
+
+		test('Should publish LoginSucceeded and TokenIssued on a successful login', async () => {
+			const { sut, loadUserByEmailRepositorySpy, eventBusSpy } = makeSut()
+			await sut.auth('valid_email@mail.com', 'valid_password', { ip: '127.0.0.1', userAgent: 'any_agent' })
+			const userId = loadUserByEmailRepositorySpy.user._id
+			expect(eventBusSpy.events).toHaveLength(2)
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'LoginSucceeded', userId, ip: '127.0.0.1', userAgent: 'any_agent', data: { sessionId: 'any_session_id', method: 'password' } })
+			expect(eventBusSpy.events[1]).toMatchObject({ type: 'TokenIssued', userId, data: { sessionId: 'any_session_id', grant: 'password' } })
+		})
+
+		test('Should not publish LoginSucceeded before the two-factor challenge is passed', async () => {
+			const { sut, loadUserByEmailRepositorySpy, eventBusSpy } = makeSut()
+			loadUserByEmailRepositorySpy.user.twoFactor = { enabled: true }
+			await sut.auth('valid_email@mail.com', 'valid_password')
+			expect(eventBusSpy.events).toEqual([])
+		})
 	})
 
 	test('Should throw if invalid dependencies are provided', async () => {
 		const suts = [].concat(
 			new AuthUseCase(),
 			new AuthUseCase({
+				loginAttemptsUseCase: {}
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: null,
 				encrypter: null,
 				tokenGenerator: null
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: {},
 				encrypter: null,
 				tokenGenerator: null
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: null,
 				tokenGenerator: null
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: {},
 				tokenGenerator: null
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
 				tokenGenerator: null
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
 				tokenGenerator: {}
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				tokenGenerator: makeTokenGenerator(),
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: null
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
 				tokenGenerator: makeTokenGenerator(),
-				updateAccessTokenRepository: null
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: {}
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
 				tokenGenerator: makeTokenGenerator(),
-				updateAccessTokenRepository: {}
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: {}
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				tokenGenerator: makeTokenGenerator(),
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				eventBus: {}
 			}),
 		)
 		for (const sut of suts) {
@@ -218,22 +642,52 @@ describe('Auth UseCase', () => {
 	test('Should throw if any dependency throws', async () => {
 		const suts = [].concat(
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepositoryWithError()
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypterWithError(),
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: Object.assign(makeEncrypter(), { outdated: true }),
+				updatePasswordRepository: makeUpdatePasswordRepositoryWithError()
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
+				addSessionRepository: makeAddSessionRepository(),
+				permissionResolver: makePermissionResolver(),
 				tokenGenerator: makeTokenGeneratorWithError()
 			}),
 			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				addSessionRepository: makeAddSessionRepositoryWithError()
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				encrypter: makeEncrypter(),
+				tokenGenerator: makeTokenGenerator(),
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCaseWithError()
+			}),
+			new AuthUseCase({
+				loginAttemptsUseCase: makeLoginAttemptsUseCase(),
 				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
 				encrypter: makeEncrypter(),
 				tokenGenerator: makeTokenGenerator(),
-				updateAccessTokenRepository: makeUpdateAccessTokenRepositoryWithError()
+				permissionResolver: makePermissionResolver(),
+				addSessionRepository: makeAddSessionRepository(),
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				eventBus: makeEventBusWithError()
 			}),
 		)
 		for (const sut of suts) {
@@ -0,0 +1,95 @@
+const { MissingParamError } = require("../../utils/errors")
+const normalizeEmail = require('../../utils/helpers/normalize-email')
+
+module.exports = class EmailVerificationUseCase {
+
+	constructor({
+		loadUserByEmailRepository,
+		randomTokenGenerator,
+		addUserTokenRepository,
+		loadLastUserTokenRepository,
+		consumeUserTokenRepository,
+		markEmailAsVerifiedRepository,
+		mailSender,
+		backgroundTask,
+		verifyUrl,
+		expiresIn,
+		resendInterval
+	} = {}) {
+		this.loadUserByEmailRepository = loadUserByEmailRepository
+		this.randomTokenGenerator = randomTokenGenerator
+		this.addUserTokenRepository = addUserTokenRepository
+		this.loadLastUserTokenRepository = loadLastUserTokenRepository
+		this.consumeUserTokenRepository = consumeUserTokenRepository
+		this.markEmailAsVerifiedRepository = markEmailAsVerifiedRepository
+		this.mailSender = mailSender
+		this.backgroundTask = backgroundTask
+		this.verifyUrl = verifyUrl
+		this.expiresIn = expiresIn
+		this.resendInterval = resendInterval
+	}
+
+	async send(userId, email) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+
+		const token = await this.randomTokenGenerator.generate()
+		const tokenHash = await this.randomTokenGenerator.hash(token)
+		await this.addUserTokenRepository.add({
+			userId,
+			type: 'emailVerification',
+			tokenHash,
+			expiresAt: new Date(Date.now() + this.expiresIn * 1000)
+		})
+		await this.mailSender.send({
+			to: email,
+			subject: 'Verify your email',
+			text: `Confirm that this address belongs to you by opening the link below.\n\n${this.verifyUrl}?token=${token}`
+		})
+	}
+
+	async resend(email) {
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+
+		// unknown, verified and throttled addresses skip the mail, which neither
+		// the time spent nor a failing mail sender may give away
+		this.backgroundTask.run(() => this.resendLink(email))
+	}
+
+	async resendLink(rawEmail) {
+		const email = normalizeEmail(rawEmail)
+		const user = await this.loadUserByEmailRepository.load(email)
+		if (!user || user.emailVerified) {
+			return
+		}
+
+		const lastToken = await this.loadLastUserTokenRepository.load(user._id, 'emailVerification')
+		if (lastToken && lastToken.createdAt.getTime() + this.resendInterval * 1000 > Date.now()) {
+			return
+		}
+
+		await this.send(user._id, email)
+	}
+
+	async verify(token) {
+		if (!token) {
+			throw new MissingParamError('token')
+		}
+
+		const tokenHash = await this.randomTokenGenerator.hash(token)
+		const userToken = await this.consumeUserTokenRepository.consume('emailVerification', tokenHash)
+		if (!userToken) {
+			return false
+		}
+
+		await this.markEmailAsVerifiedRepository.mark(userToken.userId)
+		return true
+	}
+}
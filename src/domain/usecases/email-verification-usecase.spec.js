@@ -0,0 +1,269 @@
+const { MissingParamError } = require("../../utils/errors")
+const EmailVerificationUseCase = require('./email-verification-usecase');
+
+
+const makeSut = () => {
+	const loadUserByEmailRepositorySpy = makeLoadUserByEmailRepository();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const addUserTokenRepositorySpy = makeAddUserTokenRepository();
+	const loadLastUserTokenRepositorySpy = makeLoadLastUserTokenRepository();
+	const consumeUserTokenRepositorySpy = makeConsumeUserTokenRepository();
+	const markEmailAsVerifiedRepositorySpy = makeMarkEmailAsVerifiedRepository();
+	const mailSenderSpy = makeMailSender();
+	const backgroundTaskSpy = makeBackgroundTask();
+	const sut = new EmailVerificationUseCase({
+		loadUserByEmailRepository: loadUserByEmailRepositorySpy,
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		addUserTokenRepository: addUserTokenRepositorySpy,
+		loadLastUserTokenRepository: loadLastUserTokenRepositorySpy,
+		consumeUserTokenRepository: consumeUserTokenRepositorySpy,
+		markEmailAsVerifiedRepository: markEmailAsVerifiedRepositorySpy,
+		mailSender: mailSenderSpy,
+		backgroundTask: backgroundTaskSpy,
+		verifyUrl: 'http://any_url/api/verify-email',
+		expiresIn: 86400,
+		resendInterval: 60
+	});
+	return {
+		sut,
+		loadUserByEmailRepositorySpy,
+		randomTokenGeneratorSpy,
+		addUserTokenRepositorySpy,
+		loadLastUserTokenRepositorySpy,
+		consumeUserTokenRepositorySpy,
+		markEmailAsVerifiedRepositorySpy,
+		mailSenderSpy,
+		backgroundTaskSpy
+	}
+}
+
+const makeLoadUserByEmailRepository = () => {
+	class LoadUserByEmailRepositorySpy {
+		async load(email) {
+			this.email = email
+			return this.user
+		}
+	}
+	const loadUserByEmailRepositorySpy = new LoadUserByEmailRepositorySpy()
+	loadUserByEmailRepositorySpy.user = { _id: 'any_user_id', emailVerified: false }
+	return loadUserByEmailRepositorySpy
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return this.token
+		}
+		async hash(token) {
+			this.hashedToken = token
+			return this.tokenHash
+		}
+	}
+	const randomTokenGeneratorSpy = new RandomTokenGeneratorSpy();
+	randomTokenGeneratorSpy.token = 'random_token'
+	randomTokenGeneratorSpy.tokenHash = 'hashed_token'
+	return randomTokenGeneratorSpy;
+}
+
+const makeAddUserTokenRepository = () => {
+	class AddUserTokenRepositorySpy {
+		async add(userToken) {
+			this.userToken = userToken
+		}
+	}
+	return new AddUserTokenRepositorySpy()
+}
+
+const makeLoadLastUserTokenRepository = () => {
+	class LoadLastUserTokenRepositorySpy {
+		async load(userId, type) {
+			this.userId = userId
+			this.type = type
+			return this.userToken
+		}
+	}
+	const loadLastUserTokenRepositorySpy = new LoadLastUserTokenRepositorySpy()
+	loadLastUserTokenRepositorySpy.userToken = null
+	return loadLastUserTokenRepositorySpy
+}
+
+const makeConsumeUserTokenRepository = () => {
+	class ConsumeUserTokenRepositorySpy {
+		async consume(type, tokenHash) {
+			this.type = type
+			this.tokenHash = tokenHash
+			return this.userToken
+		}
+	}
+	const consumeUserTokenRepositorySpy = new ConsumeUserTokenRepositorySpy()
+	consumeUserTokenRepositorySpy.userToken = { userId: 'any_user_id' }
+	return consumeUserTokenRepositorySpy
+}
+
+const makeMarkEmailAsVerifiedRepository = () => {
+	class MarkEmailAsVerifiedRepositorySpy {
+		async mark(userId) {
+			this.userId = userId
+		}
+	}
+	return new MarkEmailAsVerifiedRepositorySpy()
+}
+
+const makeMailSender = () => {
+	class MailSenderSpy {
+		async send(mail) {
+			this.mail = mail
+		}
+	}
+	return new MailSenderSpy()
+}
+
+const makeBackgroundTask = () => {
+	class BackgroundTaskSpy {
+		constructor() {
+			this.tasks = []
+		}
+
+		run(task) {
+			this.tasks.push(task)
+		}
+
+		async flush() {
+			for (const task of this.tasks.splice(0)) {
+				await task()
+			}
+		}
+	}
+	return new BackgroundTaskSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('EmailVerification UseCase', () => {
+
+	describe('send()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			expect(sut.send()).rejects.toThrow(new MissingParamError('userId'))
+			expect(sut.send('any_user_id')).rejects.toThrow(new MissingParamError('email'))
+		})
+
+		test('Should store the hashed verification token with its expiration', async () => {
+			const { sut, addUserTokenRepositorySpy, randomTokenGeneratorSpy } = makeSut()
+			await sut.send('any_user_id', 'any_email@mail.com')
+			const { userToken } = addUserTokenRepositorySpy
+			expect(userToken.userId).toBe('any_user_id')
+			expect(userToken.type).toBe('emailVerification')
+			expect(userToken.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+			expect(userToken.expiresAt.getTime()).toBeGreaterThan(Date.now() + 86390000)
+		})
+
+		test('Should mail the verification link to the user', async () => {
+			const { sut, mailSenderSpy } = makeSut()
+			await sut.send('any_user_id', 'any_email@mail.com')
+			expect(mailSenderSpy.mail.to).toBe('any_email@mail.com')
+			expect(mailSenderSpy.mail.text).toContain('http://any_url/api/verify-email?token=random_token')
+		})
+	})
+
+	describe('resend()', () => {
+		test('Should throw if no email is provided', async () => {
+			const { sut } = makeSut()
+			expect(sut.resend()).rejects.toThrow(new MissingParamError('email'))
+		})
+
+		test('Should answer before looking the address up', async () => {
+			const { sut, loadUserByEmailRepositorySpy, backgroundTaskSpy } = makeSut()
+			await expect(sut.resend('any_email@mail.com')).resolves.toBeUndefined()
+			expect(loadUserByEmailRepositorySpy.email).toBeUndefined()
+			expect(backgroundTaskSpy.tasks).toHaveLength(1)
+		})
+
+		test('Should not send anything if the user is unknown or already verified', async () => {
+			const { sut, loadUserByEmailRepositorySpy, mailSenderSpy, backgroundTaskSpy } = makeSut()
+			loadUserByEmailRepositorySpy.user = null
+			await sut.resend('any_email@mail.com')
+			await backgroundTaskSpy.flush()
+			loadUserByEmailRepositorySpy.user = { _id: 'any_user_id', emailVerified: true }
+			await sut.resend('any_email@mail.com')
+			await backgroundTaskSpy.flush()
+			expect(mailSenderSpy.mail).toBeUndefined()
+		})
+
+		test('Should not send anything if the last mail was sent too recently', async () => {
+			const { sut, loadLastUserTokenRepositorySpy, mailSenderSpy, backgroundTaskSpy } = makeSut()
+			loadLastUserTokenRepositorySpy.userToken = { createdAt: new Date(Date.now() - 20000) }
+			await sut.resend('any_email@mail.com')
+			await backgroundTaskSpy.flush()
+			expect(loadLastUserTokenRepositorySpy.type).toBe('emailVerification')
+			expect(mailSenderSpy.mail).toBeUndefined()
+		})
+
+		test('Should send a new verification mail once the interval has passed', async () => {
+			const { sut, loadLastUserTokenRepositorySpy, mailSenderSpy, backgroundTaskSpy } = makeSut()
+			loadLastUserTokenRepositorySpy.userToken = { createdAt: new Date(Date.now() - 61000) }
+			await sut.resend(' Any_Email@Mail.com ')
+			await backgroundTaskSpy.flush()
+			expect(loadLastUserTokenRepositorySpy.userId).toBe('any_user_id')
+			expect(mailSenderSpy.mail.to).toBe('any_email@mail.com')
+		})
+	})
+
+	describe('verify()', () => {
+		test('Should throw if no token is provided', async () => {
+			const { sut } = makeSut()
+			expect(sut.verify()).rejects.toThrow(new MissingParamError('token'))
+		})
+
+		test('Should return false if the token is invalid', async () => {
+			const { sut, consumeUserTokenRepositorySpy, markEmailAsVerifiedRepositorySpy } = makeSut()
+			consumeUserTokenRepositorySpy.userToken = null
+			expect(await sut.verify('invalid_token')).toBe(false)
+			expect(markEmailAsVerifiedRepositorySpy.userId).toBeUndefined()
+		})
+
+		test('Should consume the token and mark the email as verified', async () => {
+			const { sut, randomTokenGeneratorSpy, consumeUserTokenRepositorySpy, markEmailAsVerifiedRepositorySpy } = makeSut()
+			expect(await sut.verify('any_token')).toBe(true)
+			expect(randomTokenGeneratorSpy.hashedToken).toBe('any_token')
+			expect(consumeUserTokenRepositorySpy.type).toBe('emailVerification')
+			expect(consumeUserTokenRepositorySpy.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+			expect(markEmailAsVerifiedRepositorySpy.userId).toBe('any_user_id')
+		})
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUserByEmailRepository: makeWithError('load'),
+			loadLastUserTokenRepository: makeWithError('load'),
+			randomTokenGenerator: makeWithError('generate'),
+			addUserTokenRepository: makeWithError('add'),
+			mailSender: makeWithError('send')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut, backgroundTaskSpy } = makeSut()
+			sut[name] = dependency
+			await expect(sut.resend('any_email@mail.com')).resolves.toBeUndefined()
+			await expect(backgroundTaskSpy.flush()).rejects.toThrow()
+		}
+		for (const [name, dependency] of Object.entries({ consumeUserTokenRepository: makeWithError('consume'), markEmailAsVerifiedRepository: makeWithError('mark') })) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(sut.verify('any_token')).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new EmailVerificationUseCase()
+		await expect(sut.send('any_user_id', 'any_email@mail.com')).rejects.toThrow()
+		await expect(sut.resend('any_email@mail.com')).rejects.toThrow()
+		await expect(sut.verify('any_token')).rejects.toThrow()
+	})
+})
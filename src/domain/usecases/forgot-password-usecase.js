@@ -0,0 +1,51 @@
+const { MissingParamError } = require("../../utils/errors")
+const normalizeEmail = require('../../utils/helpers/normalize-email')
+
+module.exports = class ForgotPasswordUseCase {
+
+	constructor({ loadUserByEmailRepository, randomTokenGenerator, addUserTokenRepository, mailSender, backgroundTask, resetUrl, expiresIn } = {}) {
+		this.loadUserByEmailRepository = loadUserByEmailRepository
+		this.randomTokenGenerator = randomTokenGenerator
+		this.addUserTokenRepository = addUserTokenRepository
+		this.mailSender = mailSender
+		this.backgroundTask = backgroundTask
+		this.resetUrl = resetUrl
+		this.expiresIn = expiresIn
+	}
+
+	async request(email) {
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+
+		// only registered emails get a token and a mail, so neither the time spent
+		// nor a failing mail sender may reach the caller
+		this.backgroundTask.run(() => this.send(email))
+	}
+
+	async send(rawEmail) {
+		if (!rawEmail) {
+			throw new MissingParamError('email')
+		}
+
+		const email = normalizeEmail(rawEmail)
+		const user = await this.loadUserByEmailRepository.load(email)
+		if (!user) {
+			return
+		}
+
+		const token = await this.randomTokenGenerator.generate()
+		const tokenHash = await this.randomTokenGenerator.hash(token)
+		await this.addUserTokenRepository.add({
+			userId: user._id,
+			type: 'passwordReset',
+			tokenHash,
+			expiresAt: new Date(Date.now() + this.expiresIn * 1000)
+		})
+		await this.mailSender.send({
+			to: email,
+			subject: 'Reset your password',
+			text: `Use the link below to choose a new password. It expires in ${Math.round(this.expiresIn / 60)} minutes.\n\n${this.resetUrl}?token=${token}`
+		})
+	}
+}
@@ -0,0 +1,181 @@
+const { MissingParamError } = require("../../utils/errors")
+const ForgotPasswordUseCase = require('./forgot-password-usecase');
+
+
+const makeSut = () => {
+	const loadUserByEmailRepositorySpy = makeLoadUserByEmailRepository();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const addUserTokenRepositorySpy = makeAddUserTokenRepository();
+	const mailSenderSpy = makeMailSender();
+	const backgroundTaskSpy = makeBackgroundTask();
+	const sut = new ForgotPasswordUseCase({
+		loadUserByEmailRepository: loadUserByEmailRepositorySpy,
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		addUserTokenRepository: addUserTokenRepositorySpy,
+		mailSender: mailSenderSpy,
+		backgroundTask: backgroundTaskSpy,
+		resetUrl: 'http://any_url/reset-password',
+		expiresIn: 3600
+	});
+	return { sut, loadUserByEmailRepositorySpy, randomTokenGeneratorSpy, addUserTokenRepositorySpy, mailSenderSpy, backgroundTaskSpy }
+}
+
+const makeLoadUserByEmailRepository = () => {
+	class LoadUserByEmailRepositorySpy {
+		async load(email) {
+			this.email = email
+			return this.user
+		}
+	}
+	const loadUserByEmailRepositorySpy = new LoadUserByEmailRepositorySpy()
+	loadUserByEmailRepositorySpy.user = { _id: 'any_user_id' }
+	return loadUserByEmailRepositorySpy
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return this.token
+		}
+		async hash(token) {
+			this.hashedToken = token
+			return this.tokenHash
+		}
+	}
+	const randomTokenGeneratorSpy = new RandomTokenGeneratorSpy();
+	randomTokenGeneratorSpy.token = 'random_token'
+	randomTokenGeneratorSpy.tokenHash = 'hashed_token'
+	return randomTokenGeneratorSpy;
+}
+
+const makeAddUserTokenRepository = () => {
+	class AddUserTokenRepositorySpy {
+		async add(userToken) {
+			this.userToken = userToken
+		}
+	}
+	return new AddUserTokenRepositorySpy()
+}
+
+const makeMailSender = () => {
+	class MailSenderSpy {
+		async send(mail) {
+			this.mail = mail
+		}
+	}
+	return new MailSenderSpy()
+}
+
+const makeBackgroundTask = () => {
+	class BackgroundTaskSpy {
+		run(task) {
+			this.task = task
+		}
+	}
+	return new BackgroundTaskSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('ForgotPassword UseCase', () => {
+
+	test('Should throw if no email is provided', async () => {
+		const { sut } = makeSut()
+		expect(sut.request()).rejects.toThrow(new MissingParamError('email'))
+		expect(sut.send()).rejects.toThrow(new MissingParamError('email'))
+	})
+
+	test('Should call LoadUserByEmailRepository with correct email', async () => {
+		const { sut, loadUserByEmailRepositorySpy } = makeSut()
+		await sut.send('any_email@mail.com')
+		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should send the reset link in the background when requested', async () => {
+		const { sut, loadUserByEmailRepositorySpy, mailSenderSpy, backgroundTaskSpy } = makeSut()
+		await sut.request('any_email@mail.com')
+		expect(loadUserByEmailRepositorySpy.email).toBeUndefined()
+		await backgroundTaskSpy.task()
+		expect(mailSenderSpy.mail.to).toBe('any_email@mail.com')
+	})
+
+	test('Should leave failures of the background work to the background task', async () => {
+		const { sut, backgroundTaskSpy } = makeSut()
+		sut.mailSender = makeWithError('send')
+		await expect(sut.request('any_email@mail.com')).resolves.toBeUndefined()
+		await expect(backgroundTaskSpy.task()).rejects.toThrow()
+	})
+
+	test('Should look the email up trimmed and in lower case', async () => {
+		const { sut, loadUserByEmailRepositorySpy } = makeSut()
+		await sut.send(' Any_Email@Mail.com ')
+		expect(loadUserByEmailRepositorySpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should neither store a token nor send a mail if the user is not found', async () => {
+		const { sut, loadUserByEmailRepositorySpy, addUserTokenRepositorySpy, mailSenderSpy } = makeSut()
+		loadUserByEmailRepositorySpy.user = null
+		await sut.send('any_email@mail.com')
+		expect(addUserTokenRepositorySpy.userToken).toBeUndefined()
+		expect(mailSenderSpy.mail).toBeUndefined()
+	})
+
+	test('Should store the hashed reset token with its expiration', async () => {
+		const { sut, addUserTokenRepositorySpy, randomTokenGeneratorSpy } = makeSut()
+		await sut.send('any_email@mail.com')
+		const { userToken } = addUserTokenRepositorySpy
+		expect(randomTokenGeneratorSpy.hashedToken).toBe(randomTokenGeneratorSpy.token)
+		expect(userToken.userId).toBe('any_user_id')
+		expect(userToken.type).toBe('passwordReset')
+		expect(userToken.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+		expect(userToken.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3590000)
+	})
+
+	test('Should mail the plain reset token to the user', async () => {
+		const { sut, mailSenderSpy } = makeSut()
+		await sut.send('any_email@mail.com')
+		expect(mailSenderSpy.mail.to).toBe('any_email@mail.com')
+		expect(mailSenderSpy.mail.text).toContain('http://any_url/reset-password?token=random_token')
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUserByEmailRepository: makeWithError('load'),
+			randomTokenGenerator: makeWithError('generate'),
+			addUserTokenRepository: makeWithError('add'),
+			mailSender: makeWithError('send')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(sut.send('any_email@mail.com')).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const suts = [].concat(
+			new ForgotPasswordUseCase(),
+			new ForgotPasswordUseCase({ loadUserByEmailRepository: {} }),
+			new ForgotPasswordUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				randomTokenGenerator: {}
+			}),
+			new ForgotPasswordUseCase({
+				loadUserByEmailRepository: makeLoadUserByEmailRepository(),
+				randomTokenGenerator: makeRandomTokenGenerator(),
+				addUserTokenRepository: makeAddUserTokenRepository(),
+				mailSender: {}
+			}),
+		)
+		for (const sut of suts) {
+			await expect(sut.send('any_email@mail.com')).rejects.toThrow()
+		}
+	})
+})
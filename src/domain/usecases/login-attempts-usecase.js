@@ -0,0 +1,72 @@
+const { MissingParamError, TooManyAttemptsError } = require("../../utils/errors")
+
+module.exports = class LoginAttemptsUseCase {
+
+	constructor({
+		loadLoginAttemptsRepository,
+		incrementLoginAttemptsRepository,
+		lockLoginAttemptsRepository,
+		removeLoginAttemptsRepository,
+		maxAttempts,
+		lockoutDuration,
+		maxLockoutDuration,
+		attemptsWindow
+	} = {}) {
+		this.loadLoginAttemptsRepository = loadLoginAttemptsRepository
+		this.incrementLoginAttemptsRepository = incrementLoginAttemptsRepository
+		this.lockLoginAttemptsRepository = lockLoginAttemptsRepository
+		this.removeLoginAttemptsRepository = removeLoginAttemptsRepository
+		this.maxAttempts = maxAttempts
+		this.lockoutDuration = lockoutDuration
+		this.maxLockoutDuration = maxLockoutDuration
+		this.attemptsWindow = attemptsWindow
+	}
+
+	async check(keys) {
+		if (!keys) {
+			throw new MissingParamError('keys')
+		}
+
+		let lockedUntil = 0
+		for (const key of keys) {
+			const loginAttempts = await this.loadLoginAttemptsRepository.load(key)
+			if (loginAttempts && loginAttempts.lockedUntil > lockedUntil) {
+				lockedUntil = loginAttempts.lockedUntil
+			}
+		}
+
+		const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000)
+		if (retryAfter > 0) {
+			throw new TooManyAttemptsError(retryAfter)
+		}
+	}
+
+	async registerFailure(keys) {
+		if (!keys) {
+			throw new MissingParamError('keys')
+		}
+
+		for (const key of keys) {
+			const loginAttempts = await this.incrementLoginAttemptsRepository.increment(key, this.expiresAt(Date.now()))
+			if (loginAttempts.failures >= this.maxAttempts) {
+				const duration = Math.min(this.lockoutDuration * 2 ** loginAttempts.lockouts, this.maxLockoutDuration)
+				const lockedUntil = new Date(Date.now() + duration * 1000)
+				await this.lockLoginAttemptsRepository.lock(key, lockedUntil, this.expiresAt(lockedUntil.getTime()))
+			}
+		}
+	}
+
+	async reset(keys) {
+		if (!keys) {
+			throw new MissingParamError('keys')
+		}
+
+		for (const key of keys) {
+			await this.removeLoginAttemptsRepository.remove(key)
+		}
+	}
+
+	expiresAt(from) {
+		return new Date(from + this.attemptsWindow * 1000)
+	}
+}
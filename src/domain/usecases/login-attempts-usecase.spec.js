@@ -0,0 +1,164 @@
+const { MissingParamError, TooManyAttemptsError } = require("../../utils/errors")
+const LoginAttemptsUseCase = require('./login-attempts-usecase');
+
+
+const makeSut = () => {
+	const loadLoginAttemptsRepositorySpy = makeLoadLoginAttemptsRepository();
+	const incrementLoginAttemptsRepositorySpy = makeIncrementLoginAttemptsRepository();
+	const lockLoginAttemptsRepositorySpy = makeLockLoginAttemptsRepository();
+	const removeLoginAttemptsRepositorySpy = makeRemoveLoginAttemptsRepository();
+	const sut = new LoginAttemptsUseCase({
+		loadLoginAttemptsRepository: loadLoginAttemptsRepositorySpy,
+		incrementLoginAttemptsRepository: incrementLoginAttemptsRepositorySpy,
+		lockLoginAttemptsRepository: lockLoginAttemptsRepositorySpy,
+		removeLoginAttemptsRepository: removeLoginAttemptsRepositorySpy,
+		maxAttempts: 3,
+		lockoutDuration: 60,
+		maxLockoutDuration: 300,
+		attemptsWindow: 3600
+	});
+	return { sut, loadLoginAttemptsRepositorySpy, incrementLoginAttemptsRepositorySpy, lockLoginAttemptsRepositorySpy, removeLoginAttemptsRepositorySpy }
+}
+
+const makeLoadLoginAttemptsRepository = () => {
+	class LoadLoginAttemptsRepositorySpy {
+		async load(key) {
+			this.keys.push(key)
+			return this.loginAttempts[key] || null
+		}
+	}
+	const loadLoginAttemptsRepositorySpy = new LoadLoginAttemptsRepositorySpy()
+	loadLoginAttemptsRepositorySpy.keys = []
+	loadLoginAttemptsRepositorySpy.loginAttempts = {}
+	return loadLoginAttemptsRepositorySpy
+}
+
+const makeIncrementLoginAttemptsRepository = () => {
+	class IncrementLoginAttemptsRepositorySpy {
+		async increment(key, expiresAt) {
+			this.keys.push(key)
+			this.expiresAt = expiresAt
+			return this.loginAttempts
+		}
+	}
+	const incrementLoginAttemptsRepositorySpy = new IncrementLoginAttemptsRepositorySpy()
+	incrementLoginAttemptsRepositorySpy.keys = []
+	incrementLoginAttemptsRepositorySpy.loginAttempts = { failures: 1, lockouts: 0 }
+	return incrementLoginAttemptsRepositorySpy
+}
+
+const makeLockLoginAttemptsRepository = () => {
+	class LockLoginAttemptsRepositorySpy {
+		async lock(key, lockedUntil, expiresAt) {
+			this.key = key
+			this.lockedUntil = lockedUntil
+			this.expiresAt = expiresAt
+		}
+	}
+	return new LockLoginAttemptsRepositorySpy()
+}
+
+const makeRemoveLoginAttemptsRepository = () => {
+	class RemoveLoginAttemptsRepositorySpy {
+		async remove(key) {
+			this.keys.push(key)
+		}
+	}
+	const removeLoginAttemptsRepositorySpy = new RemoveLoginAttemptsRepositorySpy()
+	removeLoginAttemptsRepositorySpy.keys = []
+	return removeLoginAttemptsRepositorySpy
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+const keys = ['email:any_email@mail.com', 'ip:127.0.0.1']
+
+describe('LoginAttempts UseCase', () => {
+
+	test('Should throw if no keys are provided', async () => {
+		const { sut } = makeSut()
+		expect(sut.check()).rejects.toThrow(new MissingParamError('keys'))
+		expect(sut.registerFailure()).rejects.toThrow(new MissingParamError('keys'))
+		expect(sut.reset()).rejects.toThrow(new MissingParamError('keys'))
+	})
+
+	test('Should load the attempts of every key', async () => {
+		const { sut, loadLoginAttemptsRepositorySpy } = makeSut()
+		await sut.check(keys)
+		expect(loadLoginAttemptsRepositorySpy.keys).toEqual(keys)
+	})
+
+	test('Should not throw if no key is locked', async () => {
+		const { sut, loadLoginAttemptsRepositorySpy } = makeSut()
+		loadLoginAttemptsRepositorySpy.loginAttempts[keys[0]] = { failures: 2, lockedUntil: new Date(Date.now() - 1000) }
+		await expect(sut.check(keys)).resolves.toBeUndefined()
+	})
+
+	test('Should throw TooManyAttemptsError with the longest remaining lockout', async () => {
+		const { sut, loadLoginAttemptsRepositorySpy } = makeSut()
+		loadLoginAttemptsRepositorySpy.loginAttempts[keys[0]] = { lockedUntil: new Date(Date.now() + 30000) }
+		loadLoginAttemptsRepositorySpy.loginAttempts[keys[1]] = { lockedUntil: new Date(Date.now() + 90000) }
+		const promise = sut.check(keys)
+		await expect(promise).rejects.toThrow(TooManyAttemptsError)
+		await expect(promise).rejects.toHaveProperty('retryAfter', 90)
+	})
+
+	test('Should increment the failures of every key within the attempts window', async () => {
+		const { sut, incrementLoginAttemptsRepositorySpy, lockLoginAttemptsRepositorySpy } = makeSut()
+		await sut.registerFailure(keys)
+		expect(incrementLoginAttemptsRepositorySpy.keys).toEqual(keys)
+		expect(incrementLoginAttemptsRepositorySpy.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3590000)
+		expect(lockLoginAttemptsRepositorySpy.key).toBeUndefined()
+	})
+
+	test('Should lock the key when the threshold is reached', async () => {
+		const { sut, incrementLoginAttemptsRepositorySpy, lockLoginAttemptsRepositorySpy } = makeSut()
+		incrementLoginAttemptsRepositorySpy.loginAttempts = { failures: 3, lockouts: 0 }
+		await sut.registerFailure([keys[0]])
+		const duration = lockLoginAttemptsRepositorySpy.lockedUntil.getTime() - Date.now()
+		expect(lockLoginAttemptsRepositorySpy.key).toBe(keys[0])
+		expect(duration).toBeGreaterThan(59000)
+		expect(duration).toBeLessThanOrEqual(60000)
+		expect(lockLoginAttemptsRepositorySpy.expiresAt.getTime()).toBe(lockLoginAttemptsRepositorySpy.lockedUntil.getTime() + 3600000)
+	})
+
+	test('Should double the lockout on every new lockout up to the maximum', async () => {
+		const { sut, incrementLoginAttemptsRepositorySpy, lockLoginAttemptsRepositorySpy } = makeSut()
+		incrementLoginAttemptsRepositorySpy.loginAttempts = { failures: 3, lockouts: 2 }
+		await sut.registerFailure([keys[0]])
+		expect(lockLoginAttemptsRepositorySpy.lockedUntil.getTime() - Date.now()).toBeGreaterThan(239000)
+		incrementLoginAttemptsRepositorySpy.loginAttempts = { failures: 3, lockouts: 10 }
+		await sut.registerFailure([keys[0]])
+		expect(lockLoginAttemptsRepositorySpy.lockedUntil.getTime() - Date.now()).toBeLessThanOrEqual(300000)
+	})
+
+	test('Should remove the attempts of every key on reset', async () => {
+		const { sut, removeLoginAttemptsRepositorySpy } = makeSut()
+		await sut.reset(keys)
+		expect(removeLoginAttemptsRepositorySpy.keys).toEqual(keys)
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const { sut } = makeSut()
+		sut.loadLoginAttemptsRepository = makeWithError('load')
+		sut.incrementLoginAttemptsRepository = makeWithError('increment')
+		sut.removeLoginAttemptsRepository = makeWithError('remove')
+		await expect(sut.check(keys)).rejects.toThrow()
+		await expect(sut.registerFailure(keys)).rejects.toThrow()
+		await expect(sut.reset(keys)).rejects.toThrow()
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new LoginAttemptsUseCase()
+		await expect(sut.check(keys)).rejects.toThrow()
+		await expect(sut.registerFailure(keys)).rejects.toThrow()
+		await expect(sut.reset(keys)).rejects.toThrow()
+	})
+})
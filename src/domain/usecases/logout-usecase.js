@@ -0,0 +1,24 @@
+const { MissingParamError } = require("../../utils/errors")
+
+module.exports = class LogoutUseCase {
+
+	constructor({ revokeSessionRepository, revokeRefreshTokenFamilyRepository, addRevokedTokenRepository } = {}) {
+		this.revokeSessionRepository = revokeSessionRepository
+		this.revokeRefreshTokenFamilyRepository = revokeRefreshTokenFamilyRepository
+		this.addRevokedTokenRepository = addRevokedTokenRepository
+	}
+
+	async logout(userId, { sessionId, tokenId, tokenExpiresAt } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		if (sessionId) {
+			await this.revokeSessionRepository.revoke(userId, sessionId)
+			await this.revokeRefreshTokenFamilyRepository.revoke(sessionId)
+		}
+		if (tokenId && tokenExpiresAt) {
+			await this.addRevokedTokenRepository.add({ jti: tokenId, expiresAt: tokenExpiresAt })
+		}
+	}
+}
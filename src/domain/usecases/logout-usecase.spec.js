@@ -0,0 +1,135 @@
+const { MissingParamError } = require("../../utils/errors")
+const LogoutUseCase = require('./logout-usecase');
+
+
+const makeSut = () => {
+	const revokeSessionRepositorySpy = makeRevokeSessionRepository();
+	const revokeRefreshTokenFamilyRepositorySpy = makeRevokeRefreshTokenFamilyRepository();
+	const addRevokedTokenRepositorySpy = makeAddRevokedTokenRepository();
+	const sut = new LogoutUseCase({
+		revokeSessionRepository: revokeSessionRepositorySpy,
+		revokeRefreshTokenFamilyRepository: revokeRefreshTokenFamilyRepositorySpy,
+		addRevokedTokenRepository: addRevokedTokenRepositorySpy
+	});
+	return { sut, revokeSessionRepositorySpy, revokeRefreshTokenFamilyRepositorySpy, addRevokedTokenRepositorySpy }
+}
+
+const makeToken = () => ({
+	sessionId: 'any_session_id',
+	tokenId: 'any_jti',
+	tokenExpiresAt: new Date()
+})
+
+const makeRevokeSessionRepository = () => {
+	class RevokeSessionRepositorySpy {
+		async revoke(userId, sessionId) {
+			this.userId = userId
+			this.sessionId = sessionId
+			return true
+		}
+	}
+	return new RevokeSessionRepositorySpy()
+}
+
+const makeRevokeRefreshTokenFamilyRepository = () => {
+	class RevokeRefreshTokenFamilyRepositorySpy {
+		async revoke(family) {
+			this.family = family
+		}
+	}
+	return new RevokeRefreshTokenFamilyRepositorySpy()
+}
+
+const makeAddRevokedTokenRepository = () => {
+	class AddRevokedTokenRepositorySpy {
+		async add(revokedToken) {
+			this.revokedToken = revokedToken
+		}
+	}
+	return new AddRevokedTokenRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('Logout UseCase', () => {
+
+	test('Should throw if no userId is provided', async () => {
+		const { sut } = makeSut()
+		expect(sut.logout()).rejects.toThrow(new MissingParamError('userId'))
+	})
+
+	test('Should revoke the current session of the user', async () => {
+		const { sut, revokeSessionRepositorySpy } = makeSut()
+		await sut.logout('any_user_id', makeToken())
+		expect(revokeSessionRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeSessionRepositorySpy.sessionId).toBe('any_session_id')
+	})
+
+	test('Should revoke the refresh tokens of the current session', async () => {
+		const { sut, revokeRefreshTokenFamilyRepositorySpy } = makeSut()
+		await sut.logout('any_user_id', makeToken())
+		expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_session_id')
+	})
+
+	test('Should add the token id to the revocation list until it expires', async () => {
+		const { sut, addRevokedTokenRepositorySpy } = makeSut()
+		const token = makeToken()
+		await sut.logout('any_user_id', token)
+		expect(addRevokedTokenRepositorySpy.revokedToken).toEqual({ jti: token.tokenId, expiresAt: token.tokenExpiresAt })
+	})
+
+	test('Should not touch sessions or the revocation list without token data', async () => {
+		const { sut, revokeSessionRepositorySpy, addRevokedTokenRepositorySpy } = makeSut()
+		await sut.logout('any_user_id')
+		expect(revokeSessionRepositorySpy.sessionId).toBeUndefined()
+		expect(addRevokedTokenRepositorySpy.revokedToken).toBeUndefined()
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const suts = [].concat(
+			new LogoutUseCase(),
+			new LogoutUseCase({ revokeSessionRepository: {} }),
+			new LogoutUseCase({
+				revokeSessionRepository: makeRevokeSessionRepository(),
+				revokeRefreshTokenFamilyRepository: {}
+			}),
+			new LogoutUseCase({
+				revokeSessionRepository: makeRevokeSessionRepository(),
+				revokeRefreshTokenFamilyRepository: makeRevokeRefreshTokenFamilyRepository(),
+				addRevokedTokenRepository: {}
+			}),
+		)
+		for (const sut of suts) {
+			const promise = sut.logout('any_user_id', makeToken())
+			expect(promise).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new LogoutUseCase({
+				revokeSessionRepository: makeWithError('revoke')
+			}),
+			new LogoutUseCase({
+				revokeSessionRepository: makeRevokeSessionRepository(),
+				revokeRefreshTokenFamilyRepository: makeWithError('revoke')
+			}),
+			new LogoutUseCase({
+				revokeSessionRepository: makeRevokeSessionRepository(),
+				revokeRefreshTokenFamilyRepository: makeRevokeRefreshTokenFamilyRepository(),
+				addRevokedTokenRepository: makeWithError('add')
+			}),
+		)
+		for (const sut of suts) {
+			const promise = sut.logout('any_user_id', makeToken())
+			expect(promise).rejects.toThrow()
+		}
+	})
+})
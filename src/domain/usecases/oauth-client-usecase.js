@@ -0,0 +1,51 @@
+const { MissingParamError } = require("../../utils/errors")
+
+module.exports = class OAuthClientUseCase {
+
+	constructor({ addOAuthClientRepository, loadOAuthClientRepository, clientIdGenerator, randomTokenGenerator } = {}) {
+		this.addOAuthClientRepository = addOAuthClientRepository
+		this.loadOAuthClientRepository = loadOAuthClientRepository
+		this.clientIdGenerator = clientIdGenerator
+		this.randomTokenGenerator = randomTokenGenerator
+	}
+
+	async register(ownerId, { name, redirectUris = [], grantTypes = [], scopes = [], confidential = true } = {}) {
+		if (!ownerId) {
+			throw new MissingParamError('ownerId')
+		}
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+
+		const clientId = await this.clientIdGenerator.generate()
+		// public clients such as single-page and native apps cannot keep a secret, so they get none
+		const clientSecret = confidential ? await this.randomTokenGenerator.generate() : null
+		const clientSecretHash = clientSecret ? await this.randomTokenGenerator.hash(clientSecret) : null
+		const id = await this.addOAuthClientRepository.add({ clientId, clientSecretHash, name, redirectUris, grantTypes, scopes, ownerId })
+		return { id, clientId, clientSecret, name, redirectUris, grantTypes, scopes, confidential }
+	}
+
+	async load(clientId) {
+		if (!clientId) {
+			throw new MissingParamError('clientId')
+		}
+
+		return this.loadOAuthClientRepository.load(clientId)
+	}
+
+	async authenticate(clientId, clientSecret) {
+		const client = await this.load(clientId)
+		if (!client) {
+			return null
+		}
+
+		if (!client.clientSecretHash) {
+			return clientSecret ? null : client
+		}
+		if (!clientSecret) {
+			return null
+		}
+		const clientSecretHash = await this.randomTokenGenerator.hash(clientSecret)
+		return clientSecretHash === client.clientSecretHash ? client : null
+	}
+}
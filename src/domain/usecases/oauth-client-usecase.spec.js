@@ -0,0 +1,142 @@
+const { MissingParamError } = require("../../utils/errors")
+const OAuthClientUseCase = require('./oauth-client-usecase');
+
+
+const makeSut = () => {
+	const addOAuthClientRepositorySpy = makeAddOAuthClientRepository();
+	const loadOAuthClientRepositorySpy = makeLoadOAuthClientRepository();
+	const clientIdGeneratorSpy = makeRandomTokenGenerator('any_client_id');
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator('any_secret');
+	const sut = new OAuthClientUseCase({
+		addOAuthClientRepository: addOAuthClientRepositorySpy,
+		loadOAuthClientRepository: loadOAuthClientRepositorySpy,
+		clientIdGenerator: clientIdGeneratorSpy,
+		randomTokenGenerator: randomTokenGeneratorSpy
+	});
+	return { sut, addOAuthClientRepositorySpy, loadOAuthClientRepositorySpy, clientIdGeneratorSpy, randomTokenGeneratorSpy }
+}
+
+const makeAddOAuthClientRepository = () => {
+	class AddOAuthClientRepositorySpy {
+		async add(client) {
+			this.client = client
+			return 'any_id'
+		}
+	}
+	return new AddOAuthClientRepositorySpy()
+}
+
+const makeLoadOAuthClientRepository = () => {
+	class LoadOAuthClientRepositorySpy {
+		async load(clientId) {
+			this.clientId = clientId
+			return this.client
+		}
+	}
+	const loadOAuthClientRepositorySpy = new LoadOAuthClientRepositorySpy()
+	loadOAuthClientRepositorySpy.client = { _id: 'any_id', clientId: 'any_client_id', clientSecretHash: 'hashed_any_secret' }
+	return loadOAuthClientRepositorySpy
+}
+
+const makeRandomTokenGenerator = token => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return this.token
+		}
+		async hash(value) {
+			return `hashed_${value}`
+		}
+	}
+	const randomTokenGeneratorSpy = new RandomTokenGeneratorSpy()
+	randomTokenGeneratorSpy.token = token
+	return randomTokenGeneratorSpy
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+const makeClient = () => ({
+	name: 'any_name',
+	redirectUris: ['https://any.app/callback'],
+	grantTypes: ['authorization_code'],
+	scopes: ['openid']
+})
+
+describe('OAuthClient UseCase', () => {
+
+	describe('register()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.register()).rejects.toThrow(new MissingParamError('ownerId'))
+			await expect(sut.register('any_user_id', {})).rejects.toThrow(new MissingParamError('name'))
+		})
+
+		test('Should store only the hash of the secret and return the secret once', async () => {
+			const { sut, addOAuthClientRepositorySpy } = makeSut()
+			const client = await sut.register('any_user_id', makeClient())
+			expect(client).toEqual({ id: 'any_id', clientId: 'any_client_id', clientSecret: 'any_secret', ...makeClient(), confidential: true })
+			expect(addOAuthClientRepositorySpy.client).toEqual({ clientId: 'any_client_id', clientSecretHash: 'hashed_any_secret', ...makeClient(), ownerId: 'any_user_id' })
+		})
+
+		test('Should not issue a secret to public clients', async () => {
+			const { sut, addOAuthClientRepositorySpy } = makeSut()
+			const client = await sut.register('any_user_id', { ...makeClient(), confidential: false })
+			expect(client.clientSecret).toBeNull()
+			expect(addOAuthClientRepositorySpy.client.clientSecretHash).toBeNull()
+		})
+	})
+
+	describe('authenticate()', () => {
+		test('Should throw if no clientId is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.authenticate()).rejects.toThrow(new MissingParamError('clientId'))
+		})
+
+		test('Should return the client if the secret matches', async () => {
+			const { sut, loadOAuthClientRepositorySpy } = makeSut()
+			expect(await sut.authenticate('any_client_id', 'any_secret')).toBe(loadOAuthClientRepositorySpy.client)
+			expect(loadOAuthClientRepositorySpy.clientId).toBe('any_client_id')
+		})
+
+		test('Should return null for unknown clients and wrong or missing secrets', async () => {
+			const { sut, loadOAuthClientRepositorySpy } = makeSut()
+			expect(await sut.authenticate('any_client_id', 'wrong_secret')).toBeNull()
+			expect(await sut.authenticate('any_client_id')).toBeNull()
+			loadOAuthClientRepositorySpy.client = null
+			expect(await sut.authenticate('invalid_client_id', 'any_secret')).toBeNull()
+		})
+
+		test('Should only accept public clients without a secret', async () => {
+			const { sut, loadOAuthClientRepositorySpy } = makeSut()
+			loadOAuthClientRepositorySpy.client.clientSecretHash = null
+			expect(await sut.authenticate('any_client_id')).toBe(loadOAuthClientRepositorySpy.client)
+			expect(await sut.authenticate('any_client_id', 'any_secret')).toBeNull()
+		})
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			clientIdGenerator: [makeWithError('generate'), sut => sut.register('any_user_id', makeClient())],
+			randomTokenGenerator: [makeWithError('generate'), sut => sut.register('any_user_id', makeClient())],
+			addOAuthClientRepository: [makeWithError('add'), sut => sut.register('any_user_id', makeClient())],
+			loadOAuthClientRepository: [makeWithError('load'), sut => sut.authenticate('any_client_id', 'any_secret')]
+		}
+		for (const [name, [dependency, act]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(act(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new OAuthClientUseCase()
+		await expect(sut.register('any_user_id', makeClient())).rejects.toThrow()
+		await expect(sut.authenticate('any_client_id', 'any_secret')).rejects.toThrow()
+	})
+})
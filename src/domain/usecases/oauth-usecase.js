@@ -0,0 +1,228 @@
+const { MissingParamError, OAuthError } = require("../../utils/errors")
+const { LoginSucceeded, TokenIssued } = require('../events')
+
+const AUTHORIZATION_CODE = 'authorizationCode'
+
+const parseScope = scope => {
+	const scopes = [...new Set((scope || '').split(' ').filter(Boolean))]
+	return scopes.length ? scopes : null
+}
+
+module.exports = class OAuthUseCase {
+
+	constructor({
+		oauthClientUseCase,
+		authUseCase,
+		refreshTokenUseCase,
+		logoutUseCase,
+		tokenGenerator,
+		randomTokenGenerator,
+		pkceVerifier,
+		permissionResolver,
+		addUserTokenRepository,
+		consumeUserTokenRepository,
+		loadUserByIdRepository,
+		addSessionRepository,
+		loadRefreshTokenByHashRepository,
+		eventBus,
+		issuer,
+		expiresIn,
+		codeExpiresIn = 60
+	} = {}) {
+		this.oauthClientUseCase = oauthClientUseCase
+		this.authUseCase = authUseCase
+		this.refreshTokenUseCase = refreshTokenUseCase
+		this.logoutUseCase = logoutUseCase
+		this.tokenGenerator = tokenGenerator
+		this.randomTokenGenerator = randomTokenGenerator
+		this.pkceVerifier = pkceVerifier
+		this.permissionResolver = permissionResolver
+		this.addUserTokenRepository = addUserTokenRepository
+		this.consumeUserTokenRepository = consumeUserTokenRepository
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.addSessionRepository = addSessionRepository
+		this.loadRefreshTokenByHashRepository = loadRefreshTokenByHashRepository
+		this.eventBus = eventBus
+		this.issuer = issuer
+		this.expiresIn = expiresIn
+		this.codeExpiresIn = codeExpiresIn
+	}
+
+	async authorize({ clientId, redirectUri, responseType, scope, state, codeChallenge, codeChallengeMethod, nonce } = {}, credentials = {}, { ip, userAgent } = {}) {
+		if (!clientId) {
+			throw new OAuthError('invalid_request', 'client_id is required')
+		}
+		const client = await this.oauthClientUseCase.load(clientId)
+		if (!client) {
+			throw new OAuthError('invalid_request', 'Unknown client')
+		}
+		// anything but an exact match could hand the code to whoever controls the other URI
+		if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+			throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client')
+		}
+
+		const reject = (code, description) => new OAuthError(code, description, { redirectUri, state })
+		if (responseType !== 'code') {
+			throw reject('unsupported_response_type', 'Only the code response type is supported')
+		}
+		if (!client.grantTypes.includes('authorization_code')) {
+			throw reject('unauthorized_client', 'The client may not use the authorization code grant')
+		}
+		if (!codeChallenge || codeChallengeMethod !== 'S256') {
+			throw reject('invalid_request', 'A code_challenge using the S256 method is required')
+		}
+		const scopes = parseScope(scope) || client.scopes
+		if (!scopes.every(requested => client.scopes.includes(requested))) {
+			throw reject('invalid_scope', 'The requested scope exceeds what the client was registered for')
+		}
+
+		const result = await this.authenticate(credentials, { ip, userAgent })
+		if (!result || !result.user) {
+			return result
+		}
+
+		const code = await this.randomTokenGenerator.generate()
+		await this.addUserTokenRepository.add({
+			userId: result.user._id,
+			type: AUTHORIZATION_CODE,
+			tokenHash: await this.randomTokenGenerator.hash(code),
+			expiresAt: new Date(Date.now() + this.codeExpiresIn * 1000),
+			data: { clientId, redirectUri, scope: scopes.join(' '), codeChallenge, nonce: nonce || null }
+		})
+		return { redirectUri, code, state }
+	}
+
+	async authenticate({ email, password, challenge, code }, context) {
+		if (challenge) {
+			const user = await this.authUseCase.authenticateTwoFactor(challenge, code, context)
+			return user && { user }
+		}
+		return this.authUseCase.authenticate(email, password, context)
+	}
+
+	async exchangeCode({ code, redirectUri, codeVerifier } = {}, client, { ip, userAgent } = {}) {
+		if (!client) {
+			throw new MissingParamError('client')
+		}
+		if (!code) {
+			throw new OAuthError('invalid_request', 'code is required')
+		}
+		if (!client.grantTypes.includes('authorization_code')) {
+			throw new OAuthError('unauthorized_client', 'The client may not use the authorization code grant')
+		}
+
+		const authorization = await this.consumeUserTokenRepository.consume(AUTHORIZATION_CODE, await this.randomTokenGenerator.hash(code))
+		if (!authorization || authorization.data.clientId !== client.clientId || authorization.data.redirectUri !== redirectUri) {
+			throw new OAuthError('invalid_grant', 'The authorization code is invalid or expired')
+		}
+		// proves the caller is the one that started the authorization, even for clients without a secret
+		if (!await this.pkceVerifier.verify(codeVerifier, authorization.data.codeChallenge)) {
+			throw new OAuthError('invalid_grant', 'The code_verifier does not match the code_challenge')
+		}
+		const user = await this.loadUserByIdRepository.load(authorization.userId)
+		if (!user || user.disabledAt) {
+			throw new OAuthError('invalid_grant', 'The authorization code is invalid or expired')
+		}
+
+		const { scope, nonce } = authorization.data
+		const scopes = scope.split(' ')
+		// without a refresh token the session ends with the access token, otherwise generate() extends it
+		const sessionId = await this.addSessionRepository.add({ userId: user._id, userAgent, ip, expiresAt: new Date(Date.now() + this.expiresIn * 1000) })
+		const { roles, permissions } = this.permissionResolver.resolve(user)
+		const tokens = {
+			accessToken: await this.tokenGenerator.generate(user._id, {
+				sid: sessionId,
+				roles,
+				permissions: permissions.filter(permission => scopes.includes(permission)),
+				client_id: client.clientId,
+				scope
+			}),
+			tokenType: 'Bearer',
+			expiresIn: this.expiresIn,
+			scope
+		}
+		if (client.grantTypes.includes('refresh_token')) {
+			tokens.refreshToken = await this.refreshTokenUseCase.generate(user._id, sessionId, { clientId: client.clientId, scope })
+		}
+		if (scopes.includes('openid')) {
+			tokens.idToken = await this.tokenGenerator.generate(user._id, {
+				iss: this.issuer,
+				sub: String(user._id),
+				aud: client.clientId,
+				...(nonce && { nonce })
+			})
+		}
+		await this.eventBus.publish(new LoginSucceeded({ userId: user._id, sessionId, method: 'authorization_code', clientId: client.clientId, ip, userAgent }))
+		await this.eventBus.publish(new TokenIssued({ userId: user._id, sessionId, grant: 'authorization_code', clientId: client.clientId, ip, userAgent }))
+		return tokens
+	}
+
+	async clientCredentials({ scope } = {}, client, { ip, userAgent } = {}) {
+		if (!client) {
+			throw new MissingParamError('client')
+		}
+		// the client acts on its own behalf here, which only a client that can keep a secret may do
+		if (!client.clientSecretHash || !client.grantTypes.includes('client_credentials')) {
+			throw new OAuthError('unauthorized_client', 'The client may not use the client credentials grant')
+		}
+		const scopes = parseScope(scope) || client.scopes
+		if (!scopes.every(requested => client.scopes.includes(requested))) {
+			throw new OAuthError('invalid_scope', 'The requested scope exceeds what the client was registered for')
+		}
+
+		// the client acts for its owner, so it can never do more than the owner may do today
+		const owner = await this.loadUserByIdRepository.load(client.ownerId)
+		if (!owner || owner.disabledAt) {
+			throw new OAuthError('unauthorized_client', 'The owner of the client can no longer authorize it')
+		}
+		const { permissions } = this.permissionResolver.resolve(owner)
+		const grantedScopes = scopes.filter(granted => permissions.includes(granted))
+		if (!grantedScopes.length) {
+			throw new OAuthError('invalid_scope', 'The owner of the client no longer holds any of the requested scopes')
+		}
+		const grantedScope = grantedScopes.join(' ')
+		const accessToken = await this.tokenGenerator.generate(client.clientId, { client_id: client.clientId, scope: grantedScope, permissions: grantedScopes })
+		await this.eventBus.publish(new TokenIssued({ grant: 'client_credentials', clientId: client.clientId, ip, userAgent }))
+		return { accessToken, tokenType: 'Bearer', expiresIn: this.expiresIn, scope: grantedScope }
+	}
+
+	async refresh({ refreshToken } = {}, client) {
+		if (!client) {
+			throw new MissingParamError('client')
+		}
+		if (!refreshToken) {
+			throw new OAuthError('invalid_request', 'refresh_token is required')
+		}
+		if (!client.grantTypes.includes('refresh_token')) {
+			throw new OAuthError('unauthorized_client', 'The client may not use the refresh token grant')
+		}
+
+		const tokens = await this.refreshTokenUseCase.refresh(refreshToken, { clientId: client.clientId })
+		if (!tokens) {
+			throw new OAuthError('invalid_grant', 'The refresh token is invalid or expired')
+		}
+		return { ...tokens, tokenType: 'Bearer', expiresIn: this.expiresIn }
+	}
+
+	async revoke(token, client) {
+		if (!client) {
+			throw new MissingParamError('client')
+		}
+		if (!token) {
+			throw new OAuthError('invalid_request', 'token is required')
+		}
+
+		// RFC 7009: unknown tokens and tokens of other clients are ignored without telling the caller
+		const refreshToken = await this.loadRefreshTokenByHashRepository.load(await this.randomTokenGenerator.hash(token))
+		if (refreshToken) {
+			if (refreshToken.clientId === client.clientId) {
+				await this.logoutUseCase.logout(refreshToken.userId, { sessionId: refreshToken.family })
+			}
+			return
+		}
+		const payload = await this.tokenGenerator.verify(token)
+		if (payload && payload.client_id === client.clientId) {
+			await this.logoutUseCase.logout(payload._id, { sessionId: payload.sid, tokenId: payload.jti, tokenExpiresAt: new Date(payload.exp * 1000) })
+		}
+	}
+}
@@ -0,0 +1,595 @@
+const { MissingParamError, OAuthError } = require("../../utils/errors")
+const OAuthUseCase = require('./oauth-usecase');
+
+
+const makeSut = () => {
+	const oauthClientUseCaseSpy = makeOAuthClientUseCase();
+	const authUseCaseSpy = makeAuthUseCase();
+	const refreshTokenUseCaseSpy = makeRefreshTokenUseCase();
+	const logoutUseCaseSpy = makeLogoutUseCase();
+	const tokenGeneratorSpy = makeTokenGenerator();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const pkceVerifierSpy = makePkceVerifier();
+	const permissionResolverSpy = makePermissionResolver();
+	const addUserTokenRepositorySpy = makeAddUserTokenRepository();
+	const consumeUserTokenRepositorySpy = makeConsumeUserTokenRepository();
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const addSessionRepositorySpy = makeAddSessionRepository();
+	const loadRefreshTokenByHashRepositorySpy = makeLoadRefreshTokenByHashRepository();
+	const eventBusSpy = makeEventBus();
+	const sut = new OAuthUseCase({
+		oauthClientUseCase: oauthClientUseCaseSpy,
+		authUseCase: authUseCaseSpy,
+		refreshTokenUseCase: refreshTokenUseCaseSpy,
+		logoutUseCase: logoutUseCaseSpy,
+		tokenGenerator: tokenGeneratorSpy,
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		pkceVerifier: pkceVerifierSpy,
+		permissionResolver: permissionResolverSpy,
+		addUserTokenRepository: addUserTokenRepositorySpy,
+		consumeUserTokenRepository: consumeUserTokenRepositorySpy,
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		addSessionRepository: addSessionRepositorySpy,
+		loadRefreshTokenByHashRepository: loadRefreshTokenByHashRepositorySpy,
+		eventBus: eventBusSpy,
+		issuer: 'https://any.issuer',
+		expiresIn: 900,
+		codeExpiresIn: 60
+	});
+	return {
+		sut,
+		oauthClientUseCaseSpy,
+		authUseCaseSpy,
+		refreshTokenUseCaseSpy,
+		logoutUseCaseSpy,
+		tokenGeneratorSpy,
+		randomTokenGeneratorSpy,
+		pkceVerifierSpy,
+		permissionResolverSpy,
+		addUserTokenRepositorySpy,
+		consumeUserTokenRepositorySpy,
+		loadUserByIdRepositorySpy,
+		addSessionRepositorySpy,
+		loadRefreshTokenByHashRepositorySpy,
+		eventBusSpy
+	}
+}
+
+const makeClient = () => ({
+	clientId: 'any_client_id',
+	clientSecretHash: 'any_hash',
+	redirectUris: ['https://any.app/callback'],
+	grantTypes: ['authorization_code', 'refresh_token', 'client_credentials'],
+	scopes: ['openid', 'profile:read', 'sessions:read'],
+	ownerId: 'any_owner_id'
+})
+
+const makeAuthorizeRequest = () => ({
+	clientId: 'any_client_id',
+	redirectUri: 'https://any.app/callback',
+	responseType: 'code',
+	scope: 'openid profile:read',
+	state: 'any_state',
+	codeChallenge: 'any_challenge',
+	codeChallengeMethod: 'S256',
+	nonce: 'any_nonce'
+})
+
+const makeCredentials = () => ({ email: 'any_email@mail.com', password: 'any_password' })
+
+const makeOAuthClientUseCase = () => {
+	class OAuthClientUseCaseSpy {
+		async load(clientId) {
+			this.clientId = clientId
+			return this.client
+		}
+	}
+	const oauthClientUseCaseSpy = new OAuthClientUseCaseSpy()
+	oauthClientUseCaseSpy.client = makeClient()
+	return oauthClientUseCaseSpy
+}
+
+const makeAuthUseCase = () => {
+	class AuthUseCaseSpy {
+		async authenticate(email, password, context) {
+			this.email = email
+			this.password = password
+			this.context = context
+			return this.result
+		}
+
+		async authenticateTwoFactor(challenge, code) {
+			this.challenge = challenge
+			this.code = code
+			return this.verifiedUser
+		}
+	}
+	const authUseCaseSpy = new AuthUseCaseSpy()
+	authUseCaseSpy.result = { user: { _id: 'any_user_id' } }
+	authUseCaseSpy.verifiedUser = { _id: 'any_user_id' }
+	return authUseCaseSpy
+}
+
+const makeRefreshTokenUseCase = () => {
+	class RefreshTokenUseCaseSpy {
+		async generate(userId, family, options) {
+			this.userId = userId
+			this.family = family
+			this.options = options
+			return 'any_refresh_token'
+		}
+
+		async refresh(refreshToken, options) {
+			this.refreshToken = refreshToken
+			this.options = options
+			return this.tokens
+		}
+	}
+	const refreshTokenUseCaseSpy = new RefreshTokenUseCaseSpy()
+	refreshTokenUseCaseSpy.tokens = { accessToken: 'new_access_token', refreshToken: 'new_refresh_token', scope: 'openid profile:read' }
+	return refreshTokenUseCaseSpy
+}
+
+const makeLogoutUseCase = () => {
+	class LogoutUseCaseSpy {
+		async logout(userId, options) {
+			this.userId = userId
+			this.options = options
+		}
+	}
+	return new LogoutUseCaseSpy()
+}
+
+const makeTokenGenerator = () => {
+	class TokenGeneratorSpy {
+		constructor() {
+			this.generated = []
+		}
+
+		async generate(id, claims) {
+			this.generated.push({ id, claims })
+			return `token_${this.generated.length}`
+		}
+
+		async verify(token) {
+			this.verifiedToken = token
+			return this.payload
+		}
+	}
+	const tokenGeneratorSpy = new TokenGeneratorSpy()
+	tokenGeneratorSpy.payload = null
+	return tokenGeneratorSpy
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return 'any_code'
+		}
+
+		async hash(value) {
+			return `hashed_${value}`
+		}
+	}
+	return new RandomTokenGeneratorSpy()
+}
+
+const makePkceVerifier = () => {
+	class PkceVerifierSpy {
+		async verify(codeVerifier, codeChallenge) {
+			this.codeVerifier = codeVerifier
+			this.codeChallenge = codeChallenge
+			return this.isValid
+		}
+	}
+	const pkceVerifierSpy = new PkceVerifierSpy()
+	pkceVerifierSpy.isValid = true
+	return pkceVerifierSpy
+}
+
+const makePermissionResolver = () => {
+	class PermissionResolverSpy {
+		resolve(user) {
+			this.user = user
+			return { roles: ['admin'], permissions: ['profile:read', 'users:write'] }
+		}
+	}
+	return new PermissionResolverSpy()
+}
+
+const makeAddUserTokenRepository = () => {
+	class AddUserTokenRepositorySpy {
+		async add(userToken) {
+			this.userToken = userToken
+		}
+	}
+	return new AddUserTokenRepositorySpy()
+}
+
+const makeConsumeUserTokenRepository = () => {
+	class ConsumeUserTokenRepositorySpy {
+		async consume(type, tokenHash) {
+			this.type = type
+			this.tokenHash = tokenHash
+			return this.userToken
+		}
+	}
+	const consumeUserTokenRepositorySpy = new ConsumeUserTokenRepositorySpy()
+	consumeUserTokenRepositorySpy.userToken = {
+		userId: 'any_user_id',
+		data: { clientId: 'any_client_id', redirectUri: 'https://any.app/callback', scope: 'openid profile:read', codeChallenge: 'any_challenge', nonce: 'any_nonce' }
+	}
+	return consumeUserTokenRepositorySpy
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = { _id: 'any_user_id', roles: ['admin'] }
+	return loadUserByIdRepositorySpy
+}
+
+const makeAddSessionRepository = () => {
+	class AddSessionRepositorySpy {
+		async add(session) {
+			this.session = session
+			return 'any_session_id'
+		}
+	}
+	return new AddSessionRepositorySpy()
+}
+
+const makeLoadRefreshTokenByHashRepository = () => {
+	class LoadRefreshTokenByHashRepositorySpy {
+		async load(tokenHash) {
+			this.tokenHash = tokenHash
+			return this.refreshToken
+		}
+	}
+	const loadRefreshTokenByHashRepositorySpy = new LoadRefreshTokenByHashRepositorySpy()
+	loadRefreshTokenByHashRepositorySpy.refreshToken = null
+	return loadRefreshTokenByHashRepositorySpy
+}
+
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+const expectOAuthError = async (promise, code, redirect) => {
+	const error = await promise.catch(error => error)
+	expect(error).toBeInstanceOf(OAuthError)
+	expect(error.code).toBe(code)
+	expect(error.redirectUri).toBe(redirect ? 'https://any.app/callback' : undefined)
+}
+
+describe('OAuth UseCase', () => {
+
+	describe('authorize()', () => {
+		test('Should not redirect back to an unknown client or an unregistered redirect URI', async () => {
+			const { sut, oauthClientUseCaseSpy } = makeSut()
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), clientId: undefined }, makeCredentials()), 'invalid_request')
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), redirectUri: 'https://evil.app/callback' }, makeCredentials()), 'invalid_request')
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), redirectUri: 'https://any.app/callback/../evil' }, makeCredentials()), 'invalid_request')
+			oauthClientUseCaseSpy.client = null
+			await expectOAuthError(sut.authorize(makeAuthorizeRequest(), makeCredentials()), 'invalid_request')
+		})
+
+		test('Should report bad requests back to the client through its redirect URI', async () => {
+			const { sut, oauthClientUseCaseSpy } = makeSut()
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), responseType: 'token' }, makeCredentials()), 'unsupported_response_type', true)
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), codeChallenge: undefined }, makeCredentials()), 'invalid_request', true)
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), codeChallengeMethod: 'plain' }, makeCredentials()), 'invalid_request', true)
+			await expectOAuthError(sut.authorize({ ...makeAuthorizeRequest(), scope: 'openid users:write' }, makeCredentials()), 'invalid_scope', true)
+			oauthClientUseCaseSpy.client.grantTypes = ['client_credentials']
+			const error = await sut.authorize(makeAuthorizeRequest(), makeCredentials()).catch(error => error)
+			expect(error.code).toBe('unauthorized_client')
+			expect(error.state).toBe('any_state')
+		})
+
+		test('Should not check the credentials of a request that is rejected anyway', async () => {
+			const { sut, authUseCaseSpy } = makeSut()
+			await sut.authorize({ ...makeAuthorizeRequest(), responseType: 'token' }, makeCredentials()).catch(() => {})
+			expect(authUseCaseSpy.email).toBeUndefined()
+		})
+
+		test('Should return null if the credentials are invalid', async () => {
+			const { sut, authUseCaseSpy, addUserTokenRepositorySpy } = makeSut()
+			authUseCaseSpy.result = null
+			expect(await sut.authorize(makeAuthorizeRequest(), makeCredentials(), { ip: '127.0.0.1' })).toBeNull()
+			expect(authUseCaseSpy.email).toBe('any_email@mail.com')
+			expect(authUseCaseSpy.password).toBe('any_password')
+			expect(authUseCaseSpy.context).toEqual({ ip: '127.0.0.1', userAgent: undefined })
+			expect(addUserTokenRepositorySpy.userToken).toBeUndefined()
+		})
+
+		test('Should pass a two-factor challenge through to the caller', async () => {
+			const { sut, authUseCaseSpy, addUserTokenRepositorySpy } = makeSut()
+			authUseCaseSpy.result = { twoFactorRequired: true, challenge: 'any_challenge' }
+			expect(await sut.authorize(makeAuthorizeRequest(), makeCredentials())).toEqual({ twoFactorRequired: true, challenge: 'any_challenge' })
+			expect(addUserTokenRepositorySpy.userToken).toBeUndefined()
+		})
+
+		test('Should accept a passed two-factor challenge instead of a password', async () => {
+			const { sut, authUseCaseSpy } = makeSut()
+			const result = await sut.authorize(makeAuthorizeRequest(), { challenge: 'any_challenge', code: '123456' })
+			expect(authUseCaseSpy.challenge).toBe('any_challenge')
+			expect(authUseCaseSpy.code).toBe('123456')
+			expect(result.code).toBe('any_code')
+			authUseCaseSpy.verifiedUser = null
+			expect(await sut.authorize(makeAuthorizeRequest(), { challenge: 'any_challenge', code: '000000' })).toBeNull()
+		})
+
+		test('Should store a hashed, short-lived code bound to the request', async () => {
+			const { sut, addUserTokenRepositorySpy } = makeSut()
+			const result = await sut.authorize(makeAuthorizeRequest(), makeCredentials())
+			expect(result).toEqual({ redirectUri: 'https://any.app/callback', code: 'any_code', state: 'any_state' })
+			const { userToken } = addUserTokenRepositorySpy
+			expect(userToken).toMatchObject({
+				userId: 'any_user_id',
+				type: 'authorizationCode',
+				tokenHash: 'hashed_any_code',
+				data: { clientId: 'any_client_id', redirectUri: 'https://any.app/callback', scope: 'openid profile:read', codeChallenge: 'any_challenge', nonce: 'any_nonce' }
+			})
+			expect(userToken.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000)
+		})
+
+		test('Should grant every scope of the client if none is requested', async () => {
+			const { sut, addUserTokenRepositorySpy } = makeSut()
+			await sut.authorize({ ...makeAuthorizeRequest(), scope: undefined }, makeCredentials())
+			expect(addUserTokenRepositorySpy.userToken.data.scope).toBe('openid profile:read sessions:read')
+		})
+	})
+
+	describe('exchangeCode()', () => {
+		const makeExchange = () => ({ code: 'any_code', redirectUri: 'https://any.app/callback', codeVerifier: 'any_verifier' })
+
+		test('Should throw if no client or code is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.exchangeCode(makeExchange())).rejects.toThrow(new MissingParamError('client'))
+			await expectOAuthError(sut.exchangeCode({}, makeClient()), 'invalid_request')
+		})
+
+		test('Should consume the code by its hash', async () => {
+			const { sut, consumeUserTokenRepositorySpy } = makeSut()
+			await sut.exchangeCode(makeExchange(), makeClient())
+			expect(consumeUserTokenRepositorySpy.type).toBe('authorizationCode')
+			expect(consumeUserTokenRepositorySpy.tokenHash).toBe('hashed_any_code')
+		})
+
+		test('Should reject codes that are unknown or were issued for another client or redirect URI', async () => {
+			const { sut, consumeUserTokenRepositorySpy } = makeSut()
+			await expectOAuthError(sut.exchangeCode(makeExchange(), { ...makeClient(), clientId: 'other_client_id' }), 'invalid_grant')
+			await expectOAuthError(sut.exchangeCode({ ...makeExchange(), redirectUri: 'https://any.app/other' }, makeClient()), 'invalid_grant')
+			consumeUserTokenRepositorySpy.userToken = null
+			await expectOAuthError(sut.exchangeCode(makeExchange(), makeClient()), 'invalid_grant')
+		})
+
+		test('Should reject a code_verifier that does not match the challenge', async () => {
+			const { sut, pkceVerifierSpy, addSessionRepositorySpy } = makeSut()
+			pkceVerifierSpy.isValid = false
+			await expectOAuthError(sut.exchangeCode(makeExchange(), makeClient()), 'invalid_grant')
+			expect(pkceVerifierSpy.codeVerifier).toBe('any_verifier')
+			expect(pkceVerifierSpy.codeChallenge).toBe('any_challenge')
+			expect(addSessionRepositorySpy.session).toBeUndefined()
+		})
+
+		test('Should reject the code if the user was disabled meanwhile', async () => {
+			const { sut, loadUserByIdRepositorySpy } = makeSut()
+			loadUserByIdRepositorySpy.user.disabledAt = new Date()
+			await expectOAuthError(sut.exchangeCode(makeExchange(), makeClient()), 'invalid_grant')
+			loadUserByIdRepositorySpy.user = null
+			await expectOAuthError(sut.exchangeCode(makeExchange(), makeClient()), 'invalid_grant')
+		})
+
+		test('Should reject clients not allowed to use the grant', async () => {
+			const { sut } = makeSut()
+			await expectOAuthError(sut.exchangeCode(makeExchange(), { ...makeClient(), grantTypes: ['client_credentials'] }), 'unauthorized_client')
+		})
+
+		test('Should start a session and issue tokens narrowed to the granted scope', async () => {
+			const { sut, addSessionRepositorySpy, tokenGeneratorSpy, refreshTokenUseCaseSpy } = makeSut()
+			const tokens = await sut.exchangeCode(makeExchange(), makeClient(), { ip: '127.0.0.1', userAgent: 'any_agent' })
+			expect(addSessionRepositorySpy.session).toEqual({ userId: 'any_user_id', ip: '127.0.0.1', userAgent: 'any_agent', expiresAt: expect.any(Date) })
+			expect(addSessionRepositorySpy.session.expiresAt.getTime()).toBeGreaterThan(Date.now())
+			expect(tokenGeneratorSpy.generated[0]).toEqual({
+				id: 'any_user_id',
+				claims: { sid: 'any_session_id', roles: ['admin'], permissions: ['profile:read'], client_id: 'any_client_id', scope: 'openid profile:read' }
+			})
+			expect(refreshTokenUseCaseSpy.family).toBe('any_session_id')
+			expect(refreshTokenUseCaseSpy.options).toEqual({ clientId: 'any_client_id', scope: 'openid profile:read' })
+			expect(tokens).toEqual({
+				accessToken: 'token_1',
+				tokenType: 'Bearer',
+				expiresIn: 900,
+				scope: 'openid profile:read',
+				refreshToken: 'any_refresh_token',
+				idToken: 'token_2'
+			})
+		})
+
+		test('Should issue an id token for the client if openid was granted', async () => {
+			const { sut, tokenGeneratorSpy } = makeSut()
+			await sut.exchangeCode(makeExchange(), makeClient())
+			expect(tokenGeneratorSpy.generated[1]).toEqual({
+				id: 'any_user_id',
+				claims: { iss: 'https://any.issuer', sub: 'any_user_id', aud: 'any_client_id', nonce: 'any_nonce' }
+			})
+		})
+
+		test('Should leave out the id and refresh tokens unless granted', async () => {
+			const { sut, consumeUserTokenRepositorySpy } = makeSut()
+			consumeUserTokenRepositorySpy.userToken.data.scope = 'profile:read'
+			const tokens = await sut.exchangeCode(makeExchange(), { ...makeClient(), grantTypes: ['authorization_code'] })
+			expect(tokens.idToken).toBeUndefined()
+			expect(tokens.refreshToken).toBeUndefined()
+		})
+
+		test('Should publish LoginSucceeded and TokenIssued for the client', async () => {
+			const { sut, eventBusSpy } = makeSut()
+			await sut.exchangeCode(makeExchange(), makeClient())
+			expect(eventBusSpy.events.map(({ type }) => type)).toEqual(['LoginSucceeded', 'TokenIssued'])
+			expect(eventBusSpy.events[0]).toMatchObject({ userId: 'any_user_id', data: { sessionId: 'any_session_id', method: 'authorization_code', clientId: 'any_client_id' } })
+			expect(eventBusSpy.events[1].data.grant).toBe('authorization_code')
+		})
+	})
+
+	describe('clientCredentials()', () => {
+		test('Should only serve confidential clients allowed to use the grant', async () => {
+			const { sut } = makeSut()
+			await expect(sut.clientCredentials({})).rejects.toThrow(new MissingParamError('client'))
+			await expectOAuthError(sut.clientCredentials({}, { ...makeClient(), clientSecretHash: null }), 'unauthorized_client')
+			await expectOAuthError(sut.clientCredentials({}, { ...makeClient(), grantTypes: ['authorization_code'] }), 'unauthorized_client')
+		})
+
+		test('Should reject scopes the client was not registered for', async () => {
+			const { sut } = makeSut()
+			await expectOAuthError(sut.clientCredentials({ scope: 'users:write' }, makeClient()), 'invalid_scope')
+		})
+
+		test('Should issue a token for the client itself without a session', async () => {
+			const { sut, tokenGeneratorSpy, eventBusSpy } = makeSut()
+			const tokens = await sut.clientCredentials({ scope: 'profile:read' }, makeClient())
+			expect(tokens).toEqual({ accessToken: 'token_1', tokenType: 'Bearer', expiresIn: 900, scope: 'profile:read' })
+			expect(tokenGeneratorSpy.generated[0]).toEqual({ id: 'any_client_id', claims: { client_id: 'any_client_id', scope: 'profile:read', permissions: ['profile:read'] } })
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'TokenIssued', userId: null, data: { grant: 'client_credentials', clientId: 'any_client_id' } })
+		})
+
+		test('Should only grant the scopes the owner still has', async () => {
+			const { sut, tokenGeneratorSpy, loadUserByIdRepositorySpy, permissionResolverSpy } = makeSut()
+			const tokens = await sut.clientCredentials({}, makeClient())
+			expect(loadUserByIdRepositorySpy.userId).toBe('any_owner_id')
+			expect(permissionResolverSpy.user).toBe(loadUserByIdRepositorySpy.user)
+			expect(tokens.scope).toBe('profile:read')
+			expect(tokenGeneratorSpy.generated[0].claims).toEqual({ client_id: 'any_client_id', scope: 'profile:read', permissions: ['profile:read'] })
+			await expectOAuthError(sut.clientCredentials({ scope: 'sessions:read' }, makeClient()), 'invalid_scope')
+		})
+
+		test('Should refuse a client whose owner is gone or disabled', async () => {
+			const { sut, loadUserByIdRepositorySpy, tokenGeneratorSpy } = makeSut()
+			loadUserByIdRepositorySpy.user = { _id: 'any_owner_id', roles: ['admin'], disabledAt: new Date() }
+			await expectOAuthError(sut.clientCredentials({}, makeClient()), 'unauthorized_client')
+			loadUserByIdRepositorySpy.user = null
+			await expectOAuthError(sut.clientCredentials({}, makeClient()), 'unauthorized_client')
+			expect(tokenGeneratorSpy.generated).toHaveLength(0)
+		})
+	})
+
+	describe('refresh()', () => {
+		test('Should throw if no client or refresh token is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.refresh({ refreshToken: 'any_refresh_token' })).rejects.toThrow(new MissingParamError('client'))
+			await expectOAuthError(sut.refresh({}, makeClient()), 'invalid_request')
+			await expectOAuthError(sut.refresh({ refreshToken: 'any_refresh_token' }, { ...makeClient(), grantTypes: ['authorization_code'] }), 'unauthorized_client')
+		})
+
+		test('Should rotate the refresh token on behalf of the client', async () => {
+			const { sut, refreshTokenUseCaseSpy } = makeSut()
+			const tokens = await sut.refresh({ refreshToken: 'any_refresh_token' }, makeClient())
+			expect(refreshTokenUseCaseSpy.refreshToken).toBe('any_refresh_token')
+			expect(refreshTokenUseCaseSpy.options).toEqual({ clientId: 'any_client_id' })
+			expect(tokens).toEqual({ accessToken: 'new_access_token', refreshToken: 'new_refresh_token', scope: 'openid profile:read', tokenType: 'Bearer', expiresIn: 900 })
+		})
+
+		test('Should return invalid_grant if the refresh token is rejected', async () => {
+			const { sut, refreshTokenUseCaseSpy } = makeSut()
+			refreshTokenUseCaseSpy.tokens = null
+			await expectOAuthError(sut.refresh({ refreshToken: 'any_refresh_token' }, makeClient()), 'invalid_grant')
+		})
+	})
+
+	describe('revoke()', () => {
+		test('Should throw if no client or token is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.revoke('any_token')).rejects.toThrow(new MissingParamError('client'))
+			await expectOAuthError(sut.revoke(undefined, makeClient()), 'invalid_request')
+		})
+
+		test('Should end the session of a refresh token issued to the client', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, logoutUseCaseSpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken = { userId: 'any_user_id', family: 'any_family', clientId: 'any_client_id' }
+			await sut.revoke('any_refresh_token', makeClient())
+			expect(loadRefreshTokenByHashRepositorySpy.tokenHash).toBe('hashed_any_refresh_token')
+			expect(logoutUseCaseSpy.userId).toBe('any_user_id')
+			expect(logoutUseCaseSpy.options).toEqual({ sessionId: 'any_family' })
+		})
+
+		test('Should revoke an access token issued to the client along with its session', async () => {
+			const { sut, tokenGeneratorSpy, logoutUseCaseSpy } = makeSut()
+			tokenGeneratorSpy.payload = { _id: 'any_user_id', sid: 'any_session_id', jti: 'any_jti', exp: 1700000000, client_id: 'any_client_id' }
+			await sut.revoke('any_access_token', makeClient())
+			expect(tokenGeneratorSpy.verifiedToken).toBe('any_access_token')
+			expect(logoutUseCaseSpy.userId).toBe('any_user_id')
+			expect(logoutUseCaseSpy.options).toEqual({ sessionId: 'any_session_id', tokenId: 'any_jti', tokenExpiresAt: new Date(1700000000 * 1000) })
+		})
+
+		test('Should silently ignore unknown tokens and tokens of other clients', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, tokenGeneratorSpy, logoutUseCaseSpy } = makeSut()
+			await sut.revoke('unknown_token', makeClient())
+			tokenGeneratorSpy.payload = { _id: 'any_user_id', sid: 'any_session_id', client_id: 'other_client_id' }
+			await sut.revoke('other_access_token', makeClient())
+			tokenGeneratorSpy.payload = { _id: 'any_user_id', sid: 'any_session_id' }
+			await sut.revoke('first_party_access_token', makeClient())
+			loadRefreshTokenByHashRepositorySpy.refreshToken = { userId: 'any_user_id', family: 'any_family', clientId: null }
+			await sut.revoke('first_party_refresh_token', makeClient())
+			expect(logoutUseCaseSpy.userId).toBeUndefined()
+		})
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const authorize = sut => sut.authorize(makeAuthorizeRequest(), makeCredentials())
+		const exchange = sut => sut.exchangeCode({ code: 'any_code', redirectUri: 'https://any.app/callback', codeVerifier: 'any_verifier' }, makeClient())
+		const dependencies = {
+			oauthClientUseCase: [makeWithError('load'), authorize],
+			authUseCase: [makeWithError('authenticate'), authorize],
+			addUserTokenRepository: [makeWithError('add'), authorize],
+			randomTokenGenerator: [makeWithError('generate'), authorize],
+			consumeUserTokenRepository: [makeWithError('consume'), exchange],
+			pkceVerifier: [makeWithError('verify'), exchange],
+			loadUserByIdRepository: [makeWithError('load'), exchange],
+			addSessionRepository: [makeWithError('add'), exchange],
+			tokenGenerator: [makeWithError('generate'), exchange],
+			refreshTokenUseCase: [makeWithError('generate'), exchange],
+			eventBus: [makeWithError('publish'), exchange],
+			loadRefreshTokenByHashRepository: [makeWithError('load'), sut => sut.revoke('any_token', makeClient())],
+			logoutUseCase: [makeWithError('logout'), sut => {
+				sut.loadRefreshTokenByHashRepository.refreshToken = { userId: 'any_user_id', family: 'any_family', clientId: 'any_client_id' }
+				return sut.revoke('any_token', makeClient())
+			}]
+		}
+		for (const [name, [dependency, act]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(act(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new OAuthUseCase()
+		await expect(sut.authorize(makeAuthorizeRequest(), makeCredentials())).rejects.toThrow()
+		await expect(sut.exchangeCode({ code: 'any_code' }, makeClient())).rejects.toThrow()
+		await expect(sut.revoke('any_token', makeClient())).rejects.toThrow()
+	})
+})
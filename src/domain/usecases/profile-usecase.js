@@ -0,0 +1,74 @@
+const { MissingParamError } = require("../../utils/errors")
+const { PasswordChanged } = require('../events')
+
+const toProfile = user => ({
+	id: user._id,
+	name: user.name,
+	email: user.email,
+	emailVerified: !!user.emailVerified,
+	roles: user.roles || [],
+	twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
+})
+
+module.exports = class ProfileUseCase {
+
+	constructor({ loadUserByIdRepository, updateProfileRepository, loadUserPasswordRepository, encrypter, updatePasswordRepository, revokeUserSessionsRepository, revokeUserRefreshTokensRepository, eventBus } = {}) {
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.updateProfileRepository = updateProfileRepository
+		this.loadUserPasswordRepository = loadUserPasswordRepository
+		this.encrypter = encrypter
+		this.updatePasswordRepository = updatePasswordRepository
+		this.revokeUserSessionsRepository = revokeUserSessionsRepository
+		this.revokeUserRefreshTokensRepository = revokeUserRefreshTokensRepository
+		this.eventBus = eventBus
+	}
+
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		return user && toProfile(user)
+	}
+
+	async update(userId, { name } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+
+		await this.updateProfileRepository.update(userId, { name })
+		return this.load(userId)
+	}
+
+	async changePassword(userId, { currentPassword, password, sessionId } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		if (!currentPassword) {
+			throw new MissingParamError('currentPassword')
+		}
+
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+
+		const hashedPassword = await this.loadUserPasswordRepository.load(userId)
+		const isValid = hashedPassword && await this.encrypter.compare(currentPassword, hashedPassword)
+		if (!isValid) {
+			return false
+		}
+
+		await this.updatePasswordRepository.update(userId, await this.encrypter.hash(password))
+		// the session that made the change stays signed in, every other one has to log in again
+		await this.revokeUserSessionsRepository.revoke(userId, { exceptSessionId: sessionId })
+		await this.revokeUserRefreshTokensRepository.revoke(userId, { exceptFamily: sessionId })
+		await this.eventBus.publish(new PasswordChanged({ userId, sessionId, via: 'change' }))
+		return true
+	}
+}
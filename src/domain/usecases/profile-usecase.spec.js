@@ -0,0 +1,287 @@
+const { MissingParamError } = require("../../utils/errors")
+const ProfileUseCase = require('./profile-usecase');
+
+
+const makeSut = () => {
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const updateProfileRepositorySpy = makeUpdateProfileRepository();
+	const loadUserPasswordRepositorySpy = makeLoadUserPasswordRepository();
+	const encrypterSpy = makeEncrypter();
+	const updatePasswordRepositorySpy = makeUpdatePasswordRepository();
+	const revokeUserSessionsRepositorySpy = makeRevokeUserSessionsRepository();
+	const revokeUserRefreshTokensRepositorySpy = makeRevokeUserRefreshTokensRepository();
+	const eventBusSpy = makeEventBus();
+	const sut = new ProfileUseCase({
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		updateProfileRepository: updateProfileRepositorySpy,
+		loadUserPasswordRepository: loadUserPasswordRepositorySpy,
+		encrypter: encrypterSpy,
+		updatePasswordRepository: updatePasswordRepositorySpy,
+		revokeUserSessionsRepository: revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepository: revokeUserRefreshTokensRepositorySpy,
+		eventBus: eventBusSpy
+	});
+	return {
+		sut,
+		loadUserByIdRepositorySpy,
+		updateProfileRepositorySpy,
+		loadUserPasswordRepositorySpy,
+		encrypterSpy,
+		updatePasswordRepositorySpy,
+		revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepositorySpy,
+		eventBusSpy
+	}
+}
+
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = {
+		_id: 'any_user_id',
+		name: 'any_name',
+		email: 'any_email@mail.com',
+		emailVerified: true,
+		roles: ['user'],
+		twoFactor: { enabled: true, secret: 'any_secret' }
+	}
+	return loadUserByIdRepositorySpy
+}
+
+const makeUpdateProfileRepository = () => {
+	class UpdateProfileRepositorySpy {
+		async update(userId, profile) {
+			this.userId = userId
+			this.profile = profile
+		}
+	}
+	return new UpdateProfileRepositorySpy()
+}
+
+const makeLoadUserPasswordRepository = () => {
+	class LoadUserPasswordRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.password
+		}
+	}
+	const loadUserPasswordRepositorySpy = new LoadUserPasswordRepositorySpy()
+	loadUserPasswordRepositorySpy.password = 'hashed_password'
+	return loadUserPasswordRepositorySpy
+}
+
+const makeEncrypter = () => {
+	class EncrypterSpy {
+		async compare(password, hashedPassword) {
+			this.password = password
+			this.hashedPassword = hashedPassword
+			return this.isValid
+		}
+
+		async hash(password) {
+			this.hashedValue = password
+			return 'new_hashed_password'
+		}
+	}
+	const encrypterSpy = new EncrypterSpy()
+	encrypterSpy.isValid = true
+	return encrypterSpy
+}
+
+const makeUpdatePasswordRepository = () => {
+	class UpdatePasswordRepositorySpy {
+		async update(userId, password) {
+			this.userId = userId
+			this.password = password
+		}
+	}
+	return new UpdatePasswordRepositorySpy()
+}
+
+const makeRevokeUserSessionsRepository = () => {
+	class RevokeUserSessionsRepositorySpy {
+		async revoke(userId, options) {
+			this.userId = userId
+			this.options = options
+		}
+	}
+	return new RevokeUserSessionsRepositorySpy()
+}
+
+const makeRevokeUserRefreshTokensRepository = () => {
+	class RevokeUserRefreshTokensRepositorySpy {
+		async revoke(userId, options) {
+			this.userId = userId
+			this.options = options
+		}
+	}
+	return new RevokeUserRefreshTokensRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+const makePasswordChange = () => ({
+	currentPassword: 'any_password',
+	password: 'new_password',
+	sessionId: 'any_session_id'
+})
+
+describe('Profile UseCase', () => {
+
+	test('Should throw if no userId is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.changePassword()).rejects.toThrow(new MissingParamError('userId'))
+	})
+
+	test('Should throw if no name is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.update('any_user_id', {})).rejects.toThrow(new MissingParamError('name'))
+	})
+
+	test('Should throw if no passwords are provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.changePassword('any_user_id', {})).rejects.toThrow(new MissingParamError('currentPassword'))
+		await expect(sut.changePassword('any_user_id', { currentPassword: 'any_password' })).rejects.toThrow(new MissingParamError('password'))
+	})
+
+	test('Should return the profile of the user without secrets', async () => {
+		const { sut, loadUserByIdRepositorySpy } = makeSut()
+		const profile = await sut.load('any_user_id')
+		expect(loadUserByIdRepositorySpy.userId).toBe('any_user_id')
+		expect(profile).toEqual({
+			id: 'any_user_id',
+			name: 'any_name',
+			email: 'any_email@mail.com',
+			emailVerified: true,
+			roles: ['user'],
+			twoFactorEnabled: true
+		})
+	})
+
+	test('Should return null if the user is not found', async () => {
+		const { sut, loadUserByIdRepositorySpy } = makeSut()
+		loadUserByIdRepositorySpy.user = null
+		expect(await sut.load('any_user_id')).toBeNull()
+	})
+
+	test('Should only update the editable fields and return the updated profile', async () => {
+		const { sut, updateProfileRepositorySpy, loadUserByIdRepositorySpy } = makeSut()
+		const profile = await sut.update('any_user_id', { name: 'new_name', email: 'other_email@mail.com' })
+		expect(updateProfileRepositorySpy.userId).toBe('any_user_id')
+		expect(updateProfileRepositorySpy.profile).toEqual({ name: 'new_name' })
+		expect(loadUserByIdRepositorySpy.userId).toBe('any_user_id')
+		expect(profile.id).toBe('any_user_id')
+	})
+
+	test('Should call Encrypter with the current password and the stored hash', async () => {
+		const { sut, loadUserPasswordRepositorySpy, encrypterSpy } = makeSut()
+		await sut.changePassword('any_user_id', makePasswordChange())
+		expect(loadUserPasswordRepositorySpy.userId).toBe('any_user_id')
+		expect(encrypterSpy.password).toBe('any_password')
+		expect(encrypterSpy.hashedPassword).toBe('hashed_password')
+	})
+
+	test('Should return false and keep the password if the current password is wrong', async () => {
+		const { sut, encrypterSpy, updatePasswordRepositorySpy, revokeUserSessionsRepositorySpy } = makeSut()
+		encrypterSpy.isValid = false
+		const isChanged = await sut.changePassword('any_user_id', makePasswordChange())
+		expect(isChanged).toBe(false)
+		expect(updatePasswordRepositorySpy.password).toBeUndefined()
+		expect(revokeUserSessionsRepositorySpy.userId).toBeUndefined()
+	})
+
+	test('Should return false if the user is not found', async () => {
+		const { sut, loadUserPasswordRepositorySpy, encrypterSpy } = makeSut()
+		loadUserPasswordRepositorySpy.password = null
+		const isChanged = await sut.changePassword('any_user_id', makePasswordChange())
+		expect(isChanged).toBe(false)
+		expect(encrypterSpy.password).toBeUndefined()
+	})
+
+	test('Should store the hash of the new password', async () => {
+		const { sut, encrypterSpy, updatePasswordRepositorySpy } = makeSut()
+		const isChanged = await sut.changePassword('any_user_id', makePasswordChange())
+		expect(isChanged).toBe(true)
+		expect(encrypterSpy.hashedValue).toBe('new_password')
+		expect(updatePasswordRepositorySpy.userId).toBe('any_user_id')
+		expect(updatePasswordRepositorySpy.password).toBe('new_hashed_password')
+	})
+
+	test('Should revoke every other session and refresh token of the user', async () => {
+		const { sut, revokeUserSessionsRepositorySpy, revokeUserRefreshTokensRepositorySpy } = makeSut()
+		await sut.changePassword('any_user_id', makePasswordChange())
+		expect(revokeUserSessionsRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeUserSessionsRepositorySpy.options).toEqual({ exceptSessionId: 'any_session_id' })
+		expect(revokeUserRefreshTokensRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeUserRefreshTokensRepositorySpy.options).toEqual({ exceptFamily: 'any_session_id' })
+	})
+
+	test('Should publish PasswordChanged with the session that made the change', async () => {
+		const { sut, eventBusSpy } = makeSut()
+		await sut.changePassword('any_user_id', makePasswordChange())
+		expect(eventBusSpy.events).toHaveLength(1)
+		expect(eventBusSpy.events[0]).toMatchObject({ type: 'PasswordChanged', userId: 'any_user_id', data: { sessionId: 'any_session_id', via: 'change' } })
+	})
+
+	test('Should not publish PasswordChanged if the current password is wrong', async () => {
+		const { sut, encrypterSpy, eventBusSpy } = makeSut()
+		encrypterSpy.isValid = false
+		await sut.changePassword('any_user_id', makePasswordChange())
+		expect(eventBusSpy.events).toEqual([])
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUserByIdRepository: makeWithError('load'),
+			updateProfileRepository: makeWithError('update'),
+			loadUserPasswordRepository: makeWithError('load'),
+			encrypter: makeWithError('compare'),
+			updatePasswordRepository: makeWithError('update'),
+			revokeUserSessionsRepository: makeWithError('revoke'),
+			revokeUserRefreshTokensRepository: makeWithError('revoke'),
+			eventBus: makeWithError('publish')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			const promise = ['loadUserByIdRepository', 'updateProfileRepository'].includes(name)
+				? sut.update('any_user_id', { name: 'new_name' })
+				: sut.changePassword('any_user_id', makePasswordChange())
+			await expect(promise).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new ProfileUseCase()
+		await expect(sut.load('any_user_id')).rejects.toThrow()
+		await expect(sut.update('any_user_id', { name: 'new_name' })).rejects.toThrow()
+		await expect(sut.changePassword('any_user_id', makePasswordChange())).rejects.toThrow()
+	})
+})
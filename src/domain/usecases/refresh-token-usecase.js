@@ -0,0 +1,110 @@
+const { MissingParamError } = require("../../utils/errors")
+const { TokenIssued } = require('../events')
+
+module.exports = class RefreshTokenUseCase {
+
+	constructor({
+		tokenGenerator,
+		randomTokenGenerator,
+		permissionResolver,
+		loadUserByIdRepository,
+		touchSessionRepository,
+		revokeSessionRepository,
+		addRefreshTokenRepository,
+		loadRefreshTokenByHashRepository,
+		markRefreshTokenAsUsedRepository,
+		revokeRefreshTokenFamilyRepository,
+		eventBus,
+		expiresIn
+	} = {}) {
+		this.tokenGenerator = tokenGenerator
+		this.randomTokenGenerator = randomTokenGenerator
+		this.permissionResolver = permissionResolver
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.touchSessionRepository = touchSessionRepository
+		this.revokeSessionRepository = revokeSessionRepository
+		this.addRefreshTokenRepository = addRefreshTokenRepository
+		this.loadRefreshTokenByHashRepository = loadRefreshTokenByHashRepository
+		this.markRefreshTokenAsUsedRepository = markRefreshTokenAsUsedRepository
+		this.revokeRefreshTokenFamilyRepository = revokeRefreshTokenFamilyRepository
+		this.eventBus = eventBus
+		this.expiresIn = expiresIn
+	}
+
+	async generate(userId, family, { clientId = null, scope = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const refreshToken = await this.randomTokenGenerator.generate()
+		const tokenHash = await this.randomTokenGenerator.hash(refreshToken)
+		const expiresAt = new Date(Date.now() + this.expiresIn * 1000)
+		await this.addRefreshTokenRepository.add({
+			userId,
+			family: family || await this.randomTokenGenerator.generate(),
+			tokenHash,
+			expiresAt,
+			clientId,
+			scope
+		})
+		// the family is the session, which is over once its newest refresh token expires
+		if (family) {
+			await this.touchSessionRepository.touch(family, { expiresAt })
+		}
+		return refreshToken
+	}
+
+	async refresh(refreshToken, { clientId = null } = {}) {
+		if (!refreshToken) {
+			throw new MissingParamError('refreshToken')
+		}
+
+		const tokenHash = await this.randomTokenGenerator.hash(refreshToken)
+		const storedToken = await this.loadRefreshTokenByHashRepository.load(tokenHash)
+		if (!storedToken || storedToken.revokedAt) {
+			return null
+		}
+
+		// a token issued to a third-party client is only redeemable by that client, and never by the first-party endpoint
+		if ((storedToken.clientId || null) !== clientId) {
+			return null
+		}
+
+		if (storedToken.usedAt) {
+			await this.revokeSession(storedToken)
+			return null
+		}
+
+		if (storedToken.expiresAt <= new Date()) {
+			return null
+		}
+
+		const isMarked = await this.markRefreshTokenAsUsedRepository.mark(storedToken._id)
+		if (!isMarked) {
+			await this.revokeSession(storedToken)
+			return null
+		}
+
+		// roles are read again so that a refresh picks up grants changed since login
+		const user = await this.loadUserByIdRepository.load(storedToken.userId)
+		if (!user || user.disabledAt) {
+			await this.revokeSession(storedToken)
+			return null
+		}
+
+		const { roles, permissions } = this.permissionResolver.resolve(user)
+		const { scope } = storedToken
+		const claims = scope
+			? { sid: storedToken.family, roles, permissions: permissions.filter(permission => scope.split(' ').includes(permission)), client_id: clientId, scope }
+			: { sid: storedToken.family, roles, permissions }
+		const accessToken = await this.tokenGenerator.generate(storedToken.userId, claims)
+		const newRefreshToken = await this.generate(storedToken.userId, storedToken.family, { clientId, scope })
+		await this.eventBus.publish(new TokenIssued({ userId: storedToken.userId, sessionId: storedToken.family, grant: 'refresh', ...(clientId && { clientId }) }))
+		return scope ? { accessToken, refreshToken: newRefreshToken, scope } : { accessToken, refreshToken: newRefreshToken }
+	}
+
+	async revokeSession({ userId, family }) {
+		await this.revokeRefreshTokenFamilyRepository.revoke(family)
+		await this.revokeSessionRepository.revoke(userId, family)
+	}
+}
@@ -0,0 +1,395 @@
+const { MissingParamError } = require("../../utils/errors")
+const RefreshTokenUseCase = require('./refresh-token-usecase');
+
+
+const makeSut = () => {
+	const tokenGeneratorSpy = makeTokenGenerator();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const touchSessionRepositorySpy = makeTouchSessionRepository();
+	const revokeSessionRepositorySpy = makeRevokeSessionRepository();
+	const addRefreshTokenRepositorySpy = makeAddRefreshTokenRepository();
+	const loadRefreshTokenByHashRepositorySpy = makeLoadRefreshTokenByHashRepository();
+	const markRefreshTokenAsUsedRepositorySpy = makeMarkRefreshTokenAsUsedRepository();
+	const revokeRefreshTokenFamilyRepositorySpy = makeRevokeRefreshTokenFamilyRepository();
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const permissionResolverSpy = makePermissionResolver();
+	const eventBusSpy = makeEventBus();
+	const sut = new RefreshTokenUseCase({
+		tokenGenerator: tokenGeneratorSpy,
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		permissionResolver: permissionResolverSpy,
+		touchSessionRepository: touchSessionRepositorySpy,
+		revokeSessionRepository: revokeSessionRepositorySpy,
+		addRefreshTokenRepository: addRefreshTokenRepositorySpy,
+		loadRefreshTokenByHashRepository: loadRefreshTokenByHashRepositorySpy,
+		markRefreshTokenAsUsedRepository: markRefreshTokenAsUsedRepositorySpy,
+		revokeRefreshTokenFamilyRepository: revokeRefreshTokenFamilyRepositorySpy,
+		eventBus: eventBusSpy,
+		expiresIn: 60
+	});
+	return {
+		sut,
+		tokenGeneratorSpy,
+		randomTokenGeneratorSpy,
+		touchSessionRepositorySpy,
+		revokeSessionRepositorySpy,
+		addRefreshTokenRepositorySpy,
+		loadRefreshTokenByHashRepositorySpy,
+		markRefreshTokenAsUsedRepositorySpy,
+		revokeRefreshTokenFamilyRepositorySpy,
+		loadUserByIdRepositorySpy,
+		permissionResolverSpy,
+		eventBusSpy
+	}
+}
+
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = { _id: 'any_user_id', roles: ['admin'] }
+	return loadUserByIdRepositorySpy
+}
+
+const makePermissionResolver = () => {
+	class PermissionResolverSpy {
+		resolve(user) {
+			this.user = user
+			return { roles: ['admin'], permissions: ['any_permission'] }
+		}
+	}
+	return new PermissionResolverSpy()
+}
+
+const makeTokenGenerator = () => {
+	class TokenGeneratorSpy {
+		async generate(userId, claims) {
+			this.userId = userId
+			this.claims = claims
+			return this.accessToken
+		}
+	}
+	const tokenGeneratorSpy = new TokenGeneratorSpy();
+	tokenGeneratorSpy.accessToken = 'any_token'
+	return tokenGeneratorSpy;
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			return this.token
+		}
+		async hash(token) {
+			this.hashedToken = token
+			return this.tokenHash
+		}
+	}
+	const randomTokenGeneratorSpy = new RandomTokenGeneratorSpy();
+	randomTokenGeneratorSpy.token = 'random_token'
+	randomTokenGeneratorSpy.tokenHash = 'hashed_token'
+	return randomTokenGeneratorSpy;
+}
+
+const makeTouchSessionRepository = () => {
+	class TouchSessionRepositorySpy {
+		async touch(sessionId, { expiresAt } = {}) {
+			this.sessionId = sessionId
+			this.expiresAt = expiresAt
+		}
+	}
+	return new TouchSessionRepositorySpy()
+}
+
+const makeRevokeSessionRepository = () => {
+	class RevokeSessionRepositorySpy {
+		async revoke(userId, sessionId) {
+			this.userId = userId
+			this.sessionId = sessionId
+			return true
+		}
+	}
+	return new RevokeSessionRepositorySpy()
+}
+
+const makeAddRefreshTokenRepository = () => {
+	class AddRefreshTokenRepositorySpy {
+		async add(refreshToken) {
+			this.refreshToken = refreshToken
+		}
+	}
+	return new AddRefreshTokenRepositorySpy()
+}
+
+const makeLoadRefreshTokenByHashRepository = () => {
+	class LoadRefreshTokenByHashRepositorySpy {
+		async load(tokenHash) {
+			this.tokenHash = tokenHash
+			return this.refreshToken
+		}
+	}
+	const loadRefreshTokenByHashRepositorySpy = new LoadRefreshTokenByHashRepositorySpy()
+	loadRefreshTokenByHashRepositorySpy.refreshToken = {
+		_id: 'any_id',
+		userId: 'any_user_id',
+		family: 'any_family',
+		expiresAt: new Date(Date.now() + 60000),
+		usedAt: null,
+		revokedAt: null
+	}
+	return loadRefreshTokenByHashRepositorySpy
+}
+
+const makeMarkRefreshTokenAsUsedRepository = () => {
+	class MarkRefreshTokenAsUsedRepositorySpy {
+		async mark(id) {
+			this.id = id
+			return this.isMarked
+		}
+	}
+	const markRefreshTokenAsUsedRepositorySpy = new MarkRefreshTokenAsUsedRepositorySpy()
+	markRefreshTokenAsUsedRepositorySpy.isMarked = true
+	return markRefreshTokenAsUsedRepositorySpy
+}
+
+const makeRevokeRefreshTokenFamilyRepository = () => {
+	class RevokeRefreshTokenFamilyRepositorySpy {
+		async revoke(family) {
+			this.family = family
+		}
+	}
+	return new RevokeRefreshTokenFamilyRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('RefreshToken UseCase', () => {
+
+	describe('generate()', () => {
+		test('Should throw if no userId is provided', async () => {
+			const { sut } = makeSut()
+			expect(sut.generate()).rejects.toThrow(new MissingParamError('userId'))
+		})
+
+		test('Should store the hashed token in a new family with its expiration', async () => {
+			const { sut, addRefreshTokenRepositorySpy, randomTokenGeneratorSpy } = makeSut()
+			const refreshToken = await sut.generate('any_user_id')
+			const { refreshToken: storedToken } = addRefreshTokenRepositorySpy
+			expect(refreshToken).toBe(randomTokenGeneratorSpy.token)
+			expect(randomTokenGeneratorSpy.hashedToken).toBe(refreshToken)
+			expect(storedToken.userId).toBe('any_user_id')
+			expect(storedToken.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+			expect(storedToken.family).toBeTruthy()
+			expect(storedToken.expiresAt.getTime()).toBeGreaterThan(Date.now())
+		})
+
+		test('Should keep the given family', async () => {
+			const { sut, addRefreshTokenRepositorySpy } = makeSut()
+			await sut.generate('any_user_id', 'any_family')
+			expect(addRefreshTokenRepositorySpy.refreshToken.family).toBe('any_family')
+		})
+
+		test('Should keep the session of the family alive as long as the new token', async () => {
+			const { sut, addRefreshTokenRepositorySpy, touchSessionRepositorySpy } = makeSut()
+			await sut.generate('any_user_id', 'any_family')
+			expect(touchSessionRepositorySpy.sessionId).toBe('any_family')
+			expect(touchSessionRepositorySpy.expiresAt).toEqual(addRefreshTokenRepositorySpy.refreshToken.expiresAt)
+		})
+
+		test('Should not touch a session for a token without a family', async () => {
+			const { sut, touchSessionRepositorySpy } = makeSut()
+			await sut.generate('any_user_id')
+			expect(touchSessionRepositorySpy.sessionId).toBeUndefined()
+		})
+
+		test('Should bind the token to the given client and scope', async () => {
+			const { sut, addRefreshTokenRepositorySpy } = makeSut()
+			await sut.generate('any_user_id', 'any_family', { clientId: 'any_client_id', scope: 'openid profile:read' })
+			expect(addRefreshTokenRepositorySpy.refreshToken).toMatchObject({ clientId: 'any_client_id', scope: 'openid profile:read' })
+			await sut.generate('any_user_id', 'any_family')
+			expect(addRefreshTokenRepositorySpy.refreshToken).toMatchObject({ clientId: null, scope: null })
+		})
+	})
+
+	describe('refresh()', () => {
+		test('Should throw if no refreshToken is provided', async () => {
+			const { sut } = makeSut()
+			expect(sut.refresh()).rejects.toThrow(new MissingParamError('refreshToken'))
+		})
+
+		test('Should call LoadRefreshTokenByHashRepository with the token hash', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, randomTokenGeneratorSpy } = makeSut()
+			await sut.refresh('any_refresh_token')
+			expect(randomTokenGeneratorSpy.hashedToken).toBe('random_token')
+			expect(loadRefreshTokenByHashRepositorySpy.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+		})
+
+		test('Should return null if the refresh token is unknown', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken = null
+			expect(await sut.refresh('invalid_refresh_token')).toBeNull()
+		})
+
+		test('Should return null if the refresh token was revoked', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken.revokedAt = new Date()
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+		})
+
+		test('Should return null if the refresh token is expired', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, markRefreshTokenAsUsedRepositorySpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken.expiresAt = new Date(Date.now() - 1000)
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(markRefreshTokenAsUsedRepositorySpy.id).toBeUndefined()
+		})
+
+		test('Should revoke the whole family and its session if a used refresh token is reused', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, revokeRefreshTokenFamilyRepositorySpy, revokeSessionRepositorySpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken.usedAt = new Date()
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_family')
+			expect(revokeSessionRepositorySpy.userId).toBe('any_user_id')
+			expect(revokeSessionRepositorySpy.sessionId).toBe('any_family')
+		})
+
+		test('Should revoke the whole family if the refresh token was used concurrently', async () => {
+			const { sut, markRefreshTokenAsUsedRepositorySpy, revokeRefreshTokenFamilyRepositorySpy } = makeSut()
+			markRefreshTokenAsUsedRepositorySpy.isMarked = false
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(markRefreshTokenAsUsedRepositorySpy.id).toBe('any_id')
+			expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_family')
+		})
+
+		test('Should rotate the tokens within the same family', async () => {
+			const { sut, tokenGeneratorSpy, touchSessionRepositorySpy, addRefreshTokenRepositorySpy, randomTokenGeneratorSpy } = makeSut()
+			const tokens = await sut.refresh('any_refresh_token')
+			expect(tokens).toEqual({ accessToken: tokenGeneratorSpy.accessToken, refreshToken: randomTokenGeneratorSpy.token })
+			expect(tokenGeneratorSpy.userId).toBe('any_user_id')
+			expect(tokenGeneratorSpy.claims).toEqual({ sid: 'any_family', roles: ['admin'], permissions: ['any_permission'] })
+			expect(touchSessionRepositorySpy.sessionId).toBe('any_family')
+			expect(touchSessionRepositorySpy.expiresAt).toEqual(addRefreshTokenRepositorySpy.refreshToken.expiresAt)
+			expect(addRefreshTokenRepositorySpy.refreshToken.family).toBe('any_family')
+		})
+
+		test('Should only let the client a token was issued to redeem it', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, markRefreshTokenAsUsedRepositorySpy, revokeRefreshTokenFamilyRepositorySpy } = makeSut()
+			expect(await sut.refresh('any_refresh_token', { clientId: 'any_client_id' })).toBeNull()
+			loadRefreshTokenByHashRepositorySpy.refreshToken.clientId = 'any_client_id'
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(await sut.refresh('any_refresh_token', { clientId: 'other_client_id' })).toBeNull()
+			expect(markRefreshTokenAsUsedRepositorySpy.id).toBeUndefined()
+			expect(revokeRefreshTokenFamilyRepositorySpy.family).toBeUndefined()
+		})
+
+		test('Should keep a client token narrowed to its scope', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, permissionResolverSpy, tokenGeneratorSpy, addRefreshTokenRepositorySpy, randomTokenGeneratorSpy, eventBusSpy } = makeSut()
+			Object.assign(loadRefreshTokenByHashRepositorySpy.refreshToken, { clientId: 'any_client_id', scope: 'openid profile:read' })
+			permissionResolverSpy.resolve = () => ({ roles: ['admin'], permissions: ['profile:read', 'users:write'] })
+			const tokens = await sut.refresh('any_refresh_token', { clientId: 'any_client_id' })
+			expect(tokens).toEqual({ accessToken: tokenGeneratorSpy.accessToken, refreshToken: randomTokenGeneratorSpy.token, scope: 'openid profile:read' })
+			expect(tokenGeneratorSpy.claims).toEqual({ sid: 'any_family', roles: ['admin'], permissions: ['profile:read'], client_id: 'any_client_id', scope: 'openid profile:read' })
+			expect(addRefreshTokenRepositorySpy.refreshToken).toMatchObject({ family: 'any_family', clientId: 'any_client_id', scope: 'openid profile:read' })
+			expect(eventBusSpy.events[0].data.clientId).toBe('any_client_id')
+		})
+
+		test('Should publish TokenIssued for the refreshed session', async () => {
+			const { sut, eventBusSpy } = makeSut()
+			await sut.refresh('any_refresh_token')
+			expect(eventBusSpy.events).toHaveLength(1)
+			expect(eventBusSpy.events[0]).toMatchObject({ type: 'TokenIssued', userId: 'any_user_id', data: { sessionId: 'any_family', grant: 'refresh' } })
+		})
+
+		test('Should not publish TokenIssued if the refresh is rejected', async () => {
+			const { sut, loadRefreshTokenByHashRepositorySpy, eventBusSpy } = makeSut()
+			loadRefreshTokenByHashRepositorySpy.refreshToken.usedAt = new Date()
+			await sut.refresh('any_refresh_token')
+			expect(eventBusSpy.events).toEqual([])
+		})
+
+		test('Should embed the current roles of the user in the new access token', async () => {
+			const { sut, loadUserByIdRepositorySpy, permissionResolverSpy } = makeSut()
+			await sut.refresh('any_refresh_token')
+			expect(loadUserByIdRepositorySpy.userId).toBe('any_user_id')
+			expect(permissionResolverSpy.user).toBe(loadUserByIdRepositorySpy.user)
+		})
+
+		test('Should revoke the session if the user no longer exists', async () => {
+			const { sut, loadUserByIdRepositorySpy, revokeRefreshTokenFamilyRepositorySpy, tokenGeneratorSpy } = makeSut()
+			loadUserByIdRepositorySpy.user = null
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_family')
+			expect(tokenGeneratorSpy.userId).toBeUndefined()
+		})
+
+		test('Should revoke the session if the user was disabled', async () => {
+			const { sut, loadUserByIdRepositorySpy, revokeRefreshTokenFamilyRepositorySpy, tokenGeneratorSpy } = makeSut()
+			loadUserByIdRepositorySpy.user.disabledAt = new Date()
+			expect(await sut.refresh('any_refresh_token')).toBeNull()
+			expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_family')
+			expect(tokenGeneratorSpy.userId).toBeUndefined()
+		})
+
+		test('Should throw if any dependency throws', async () => {
+			const dependencies = {
+				loadUserByIdRepository: makeWithError('load'),
+				randomTokenGenerator: makeWithError('hash'),
+				loadRefreshTokenByHashRepository: makeWithError('load'),
+				markRefreshTokenAsUsedRepository: makeWithError('mark'),
+				tokenGenerator: makeWithError('generate'),
+				touchSessionRepository: makeWithError('touch'),
+				addRefreshTokenRepository: makeWithError('add'),
+				eventBus: makeWithError('publish')
+			}
+			for (const [name, dependency] of Object.entries(dependencies)) {
+				const { sut } = makeSut()
+				sut[name] = dependency
+				const promise = sut.refresh('any_refresh_token')
+				await expect(promise).rejects.toThrow()
+			}
+		})
+
+		test('Should throw if invalid dependencies are provided', async () => {
+			const suts = [].concat(
+				new RefreshTokenUseCase(),
+				new RefreshTokenUseCase({ randomTokenGenerator: {} }),
+				new RefreshTokenUseCase({
+					randomTokenGenerator: makeRandomTokenGenerator(),
+					loadRefreshTokenByHashRepository: {}
+				}),
+				new RefreshTokenUseCase({
+					randomTokenGenerator: makeRandomTokenGenerator(),
+					loadRefreshTokenByHashRepository: makeLoadRefreshTokenByHashRepository(),
+					markRefreshTokenAsUsedRepository: {}
+				}),
+			)
+			for (const sut of suts) {
+				const promise = sut.refresh('any_refresh_token')
+				await expect(promise).rejects.toThrow()
+			}
+		})
+	})
+})
@@ -0,0 +1,38 @@
+const { MissingParamError } = require("../../utils/errors")
+const { PasswordChanged } = require('../events')
+
+module.exports = class ResetPasswordUseCase {
+
+	constructor({ randomTokenGenerator, consumeUserTokenRepository, encrypter, updatePasswordRepository, revokeUserSessionsRepository, revokeUserRefreshTokensRepository, eventBus } = {}) {
+		this.randomTokenGenerator = randomTokenGenerator
+		this.consumeUserTokenRepository = consumeUserTokenRepository
+		this.encrypter = encrypter
+		this.updatePasswordRepository = updatePasswordRepository
+		this.revokeUserSessionsRepository = revokeUserSessionsRepository
+		this.revokeUserRefreshTokensRepository = revokeUserRefreshTokensRepository
+		this.eventBus = eventBus
+	}
+
+	async reset(token, password) {
+		if (!token) {
+			throw new MissingParamError('token')
+		}
+
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+
+		const tokenHash = await this.randomTokenGenerator.hash(token)
+		const userToken = await this.consumeUserTokenRepository.consume('passwordReset', tokenHash)
+		if (!userToken) {
+			return false
+		}
+
+		const hashedPassword = await this.encrypter.hash(password)
+		await this.updatePasswordRepository.update(userToken.userId, hashedPassword)
+		await this.revokeUserSessionsRepository.revoke(userToken.userId)
+		await this.revokeUserRefreshTokensRepository.revoke(userToken.userId)
+		await this.eventBus.publish(new PasswordChanged({ userId: userToken.userId, via: 'reset' }))
+		return true
+	}
+}
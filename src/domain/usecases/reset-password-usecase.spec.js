@@ -0,0 +1,206 @@
+const { MissingParamError } = require("../../utils/errors")
+const ResetPasswordUseCase = require('./reset-password-usecase');
+
+
+const makeSut = () => {
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const consumeUserTokenRepositorySpy = makeConsumeUserTokenRepository();
+	const encrypterSpy = makeEncrypter();
+	const updatePasswordRepositorySpy = makeUpdatePasswordRepository();
+	const revokeUserSessionsRepositorySpy = makeRevokeUserSessionsRepository();
+	const revokeUserRefreshTokensRepositorySpy = makeRevokeUserRefreshTokensRepository();
+	const eventBusSpy = makeEventBus();
+	const sut = new ResetPasswordUseCase({
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		consumeUserTokenRepository: consumeUserTokenRepositorySpy,
+		encrypter: encrypterSpy,
+		updatePasswordRepository: updatePasswordRepositorySpy,
+		revokeUserSessionsRepository: revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepository: revokeUserRefreshTokensRepositorySpy,
+		eventBus: eventBusSpy
+	});
+	return {
+		sut,
+		randomTokenGeneratorSpy,
+		consumeUserTokenRepositorySpy,
+		encrypterSpy,
+		updatePasswordRepositorySpy,
+		revokeUserSessionsRepositorySpy,
+		revokeUserRefreshTokensRepositorySpy,
+		eventBusSpy
+	}
+}
+
+const makeEventBus = () => {
+	class EventBusSpy {
+		constructor() {
+			this.events = []
+		}
+
+		async publish(event) {
+			this.events.push(event)
+		}
+	}
+	return new EventBusSpy()
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async hash(token) {
+			this.token = token
+			return this.tokenHash
+		}
+	}
+	const randomTokenGeneratorSpy = new RandomTokenGeneratorSpy();
+	randomTokenGeneratorSpy.tokenHash = 'hashed_token'
+	return randomTokenGeneratorSpy;
+}
+
+const makeConsumeUserTokenRepository = () => {
+	class ConsumeUserTokenRepositorySpy {
+		async consume(type, tokenHash) {
+			this.type = type
+			this.tokenHash = tokenHash
+			return this.userToken
+		}
+	}
+	const consumeUserTokenRepositorySpy = new ConsumeUserTokenRepositorySpy()
+	consumeUserTokenRepositorySpy.userToken = { userId: 'any_user_id' }
+	return consumeUserTokenRepositorySpy
+}
+
+const makeEncrypter = () => {
+	class EncrypterSpy {
+		async hash(password) {
+			this.password = password
+			return this.hashedPassword
+		}
+	}
+	const encrypterSpy = new EncrypterSpy();
+	encrypterSpy.hashedPassword = 'hashed_password';
+	return encrypterSpy;
+}
+
+const makeUpdatePasswordRepository = () => {
+	class UpdatePasswordRepositorySpy {
+		async update(userId, password) {
+			this.userId = userId
+			this.password = password
+		}
+	}
+	return new UpdatePasswordRepositorySpy()
+}
+
+const makeRevokeUserSessionsRepository = () => {
+	class RevokeUserSessionsRepositorySpy {
+		async revoke(userId) {
+			this.userId = userId
+		}
+	}
+	return new RevokeUserSessionsRepositorySpy()
+}
+
+const makeRevokeUserRefreshTokensRepository = () => {
+	class RevokeUserRefreshTokensRepositorySpy {
+		async revoke(userId) {
+			this.userId = userId
+		}
+	}
+	return new RevokeUserRefreshTokensRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('ResetPassword UseCase', () => {
+
+	test('Should throw if no params are provided', async () => {
+		const { sut } = makeSut()
+		expect(sut.reset()).rejects.toThrow(new MissingParamError('token'))
+		expect(sut.reset('any_token')).rejects.toThrow(new MissingParamError('password'))
+	})
+
+	test('Should consume the reset token by its hash', async () => {
+		const { sut, randomTokenGeneratorSpy, consumeUserTokenRepositorySpy } = makeSut()
+		await sut.reset('any_token', 'new_password')
+		expect(randomTokenGeneratorSpy.token).toBe('any_token')
+		expect(consumeUserTokenRepositorySpy.type).toBe('passwordReset')
+		expect(consumeUserTokenRepositorySpy.tokenHash).toBe(randomTokenGeneratorSpy.tokenHash)
+	})
+
+	test('Should return false and keep the password if the token is invalid', async () => {
+		const { sut, consumeUserTokenRepositorySpy, updatePasswordRepositorySpy } = makeSut()
+		consumeUserTokenRepositorySpy.userToken = null
+		const isReset = await sut.reset('invalid_token', 'new_password')
+		expect(isReset).toBe(false)
+		expect(updatePasswordRepositorySpy.userId).toBeUndefined()
+	})
+
+	test('Should store the new password hash', async () => {
+		const { sut, encrypterSpy, updatePasswordRepositorySpy } = makeSut()
+		const isReset = await sut.reset('any_token', 'new_password')
+		expect(isReset).toBe(true)
+		expect(encrypterSpy.password).toBe('new_password')
+		expect(updatePasswordRepositorySpy.userId).toBe('any_user_id')
+		expect(updatePasswordRepositorySpy.password).toBe(encrypterSpy.hashedPassword)
+	})
+
+	test('Should invalidate the tokens already issued to the user', async () => {
+		const { sut, revokeUserSessionsRepositorySpy, revokeUserRefreshTokensRepositorySpy } = makeSut()
+		await sut.reset('any_token', 'new_password')
+		expect(revokeUserSessionsRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeUserRefreshTokensRepositorySpy.userId).toBe('any_user_id')
+	})
+
+	test('Should publish PasswordChanged only if the password was reset', async () => {
+		const { sut, consumeUserTokenRepositorySpy, eventBusSpy } = makeSut()
+		await sut.reset('any_token', 'new_password')
+		expect(eventBusSpy.events).toHaveLength(1)
+		expect(eventBusSpy.events[0]).toMatchObject({ type: 'PasswordChanged', userId: 'any_user_id', data: { via: 'reset' } })
+		consumeUserTokenRepositorySpy.userToken = null
+		await sut.reset('any_token', 'new_password')
+		expect(eventBusSpy.events).toHaveLength(1)
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			randomTokenGenerator: makeWithError('hash'),
+			consumeUserTokenRepository: makeWithError('consume'),
+			encrypter: makeWithError('hash'),
+			updatePasswordRepository: makeWithError('update'),
+			revokeUserSessionsRepository: makeWithError('revoke'),
+			revokeUserRefreshTokensRepository: makeWithError('revoke'),
+			eventBus: makeWithError('publish')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(sut.reset('any_token', 'new_password')).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const suts = [].concat(
+			new ResetPasswordUseCase(),
+			new ResetPasswordUseCase({ randomTokenGenerator: {} }),
+			new ResetPasswordUseCase({
+				randomTokenGenerator: makeRandomTokenGenerator(),
+				consumeUserTokenRepository: {}
+			}),
+			new ResetPasswordUseCase({
+				randomTokenGenerator: makeRandomTokenGenerator(),
+				consumeUserTokenRepository: makeConsumeUserTokenRepository(),
+				encrypter: {}
+			}),
+		)
+		for (const sut of suts) {
+			await expect(sut.reset('any_token', 'new_password')).rejects.toThrow()
+		}
+	})
+})
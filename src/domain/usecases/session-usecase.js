@@ -0,0 +1,36 @@
+const { MissingParamError } = require("../../utils/errors")
+
+module.exports = class SessionUseCase {
+
+	constructor({ loadUserSessionsRepository, revokeSessionRepository, revokeRefreshTokenFamilyRepository } = {}) {
+		this.loadUserSessionsRepository = loadUserSessionsRepository
+		this.revokeSessionRepository = revokeSessionRepository
+		this.revokeRefreshTokenFamilyRepository = revokeRefreshTokenFamilyRepository
+	}
+
+	async list(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		return this.loadUserSessionsRepository.load(userId)
+	}
+
+	async revoke(userId, sessionId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+
+		const isRevoked = await this.revokeSessionRepository.revoke(userId, sessionId)
+		if (!isRevoked) {
+			return false
+		}
+
+		await this.revokeRefreshTokenFamilyRepository.revoke(sessionId)
+		return true
+	}
+}
@@ -0,0 +1,118 @@
+const { MissingParamError } = require("../../utils/errors")
+const SessionUseCase = require('./session-usecase');
+
+
+const makeSut = () => {
+	const loadUserSessionsRepositorySpy = makeLoadUserSessionsRepository();
+	const revokeSessionRepositorySpy = makeRevokeSessionRepository();
+	const revokeRefreshTokenFamilyRepositorySpy = makeRevokeRefreshTokenFamilyRepository();
+	const sut = new SessionUseCase({
+		loadUserSessionsRepository: loadUserSessionsRepositorySpy,
+		revokeSessionRepository: revokeSessionRepositorySpy,
+		revokeRefreshTokenFamilyRepository: revokeRefreshTokenFamilyRepositorySpy
+	});
+	return { sut, loadUserSessionsRepositorySpy, revokeSessionRepositorySpy, revokeRefreshTokenFamilyRepositorySpy }
+}
+
+const makeLoadUserSessionsRepository = () => {
+	class LoadUserSessionsRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.sessions
+		}
+	}
+	const loadUserSessionsRepositorySpy = new LoadUserSessionsRepositorySpy()
+	loadUserSessionsRepositorySpy.sessions = [{ _id: 'any_session_id', userId: 'any_user_id' }]
+	return loadUserSessionsRepositorySpy
+}
+
+const makeRevokeSessionRepository = () => {
+	class RevokeSessionRepositorySpy {
+		async revoke(userId, sessionId) {
+			this.userId = userId
+			this.sessionId = sessionId
+			return this.isRevoked
+		}
+	}
+	const revokeSessionRepositorySpy = new RevokeSessionRepositorySpy()
+	revokeSessionRepositorySpy.isRevoked = true
+	return revokeSessionRepositorySpy
+}
+
+const makeRevokeRefreshTokenFamilyRepository = () => {
+	class RevokeRefreshTokenFamilyRepositorySpy {
+		async revoke(family) {
+			this.family = family
+		}
+	}
+	return new RevokeRefreshTokenFamilyRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('Session UseCase', () => {
+
+	test('Should throw if no userId is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.list()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	})
+
+	test('Should throw if no sessionId is provided', async () => {
+		const { sut } = makeSut()
+		await expect(sut.revoke('any_user_id')).rejects.toThrow(new MissingParamError('sessionId'))
+	})
+
+	test('Should return the active sessions of the user', async () => {
+		const { sut, loadUserSessionsRepositorySpy } = makeSut()
+		const sessions = await sut.list('any_user_id')
+		expect(loadUserSessionsRepositorySpy.userId).toBe('any_user_id')
+		expect(sessions).toEqual(loadUserSessionsRepositorySpy.sessions)
+	})
+
+	test('Should revoke the session and its refresh tokens', async () => {
+		const { sut, revokeSessionRepositorySpy, revokeRefreshTokenFamilyRepositorySpy } = makeSut()
+		const isRevoked = await sut.revoke('any_user_id', 'any_session_id')
+		expect(isRevoked).toBe(true)
+		expect(revokeSessionRepositorySpy.userId).toBe('any_user_id')
+		expect(revokeSessionRepositorySpy.sessionId).toBe('any_session_id')
+		expect(revokeRefreshTokenFamilyRepositorySpy.family).toBe('any_session_id')
+	})
+
+	test('Should return false if the user has no such active session', async () => {
+		const { sut, revokeSessionRepositorySpy, revokeRefreshTokenFamilyRepositorySpy } = makeSut()
+		revokeSessionRepositorySpy.isRevoked = false
+		const isRevoked = await sut.revoke('any_user_id', 'any_session_id')
+		expect(isRevoked).toBe(false)
+		expect(revokeRefreshTokenFamilyRepositorySpy.family).toBeUndefined()
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUserSessionsRepository: makeWithError('load'),
+			revokeSessionRepository: makeWithError('revoke'),
+			revokeRefreshTokenFamilyRepository: makeWithError('revoke')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			const promise = name === 'loadUserSessionsRepository'
+				? sut.list('any_user_id')
+				: sut.revoke('any_user_id', 'any_session_id')
+			await expect(promise).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new SessionUseCase()
+		await expect(sut.list('any_user_id')).rejects.toThrow()
+		await expect(sut.revoke('any_user_id', 'any_session_id')).rejects.toThrow()
+	})
+})
@@ -0,0 +1,82 @@
+const { MissingParamError } = require("../../utils/errors")
+
+module.exports = class SigningKeyUseCase {
+
+	constructor({ loadSigningKeysRepository, addSigningKeyRepository, retireSigningKeysRepository, signingKeyGenerator, algorithm = 'RS256', rotationInterval, retention, cacheTtl = 60, reloadInterval = 5 } = {}) {
+		this.loadSigningKeysRepository = loadSigningKeysRepository
+		this.addSigningKeyRepository = addSigningKeyRepository
+		this.retireSigningKeysRepository = retireSigningKeysRepository
+		this.signingKeyGenerator = signingKeyGenerator
+		this.algorithm = algorithm
+		this.rotationInterval = rotationInterval
+		this.retention = retention
+		this.cacheTtl = cacheTtl
+		this.reloadInterval = reloadInterval
+		this.keys = null
+		this.loadedAt = 0
+		this.privateKeys = new Map()
+		this.rotation = null
+	}
+
+	async getSigningKey() {
+		const keys = await this.loadKeys()
+		let activeKey = keys.find(key => !key.retiredAt)
+		if (!activeKey || this.isDue(activeKey)) {
+			activeKey = await this.rotate()
+		}
+		if (!this.privateKeys.has(activeKey.kid)) {
+			this.privateKeys.set(activeKey.kid, this.signingKeyGenerator.loadPrivateKey(activeKey.privateKey))
+		}
+		return { kid: activeKey.kid, algorithm: activeKey.algorithm, privateKey: this.privateKeys.get(activeKey.kid) }
+	}
+
+	async getVerificationKey(kid) {
+		if (!kid) {
+			throw new MissingParamError('kid')
+		}
+
+		// an unknown kid may have been issued by another instance since the keys were cached,
+		// but random kids in forged tokens must not turn into one database read per request
+		const key = (await this.loadKeys()).find(key => key.kid === kid) ||
+			(await this.loadKeys({ force: true })).find(key => key.kid === kid)
+		return key ? { kid: key.kid, algorithm: key.algorithm, publicKey: key.publicKey } : null
+	}
+
+	async listPublicKeys() {
+		await this.getSigningKey()
+		const keys = await this.loadKeys()
+		return keys.map(key => this.signingKeyGenerator.toJwk(key))
+	}
+
+	async rotate() {
+		// concurrent requests that find no usable key share one rotation instead of each minting a key
+		if (!this.rotation) {
+			this.rotation = this.createKey().finally(() => {
+				this.rotation = null
+			})
+		}
+		return this.rotation
+	}
+
+	async createKey() {
+		const key = await this.signingKeyGenerator.generate(this.algorithm)
+		await this.addSigningKeyRepository.add(key)
+		// tokens signed just before the rotation must still verify until they expire
+		await this.retireSigningKeysRepository.retire({ exceptKid: key.kid, expiresAt: new Date(Date.now() + this.retention * 1000) })
+		this.keys = null
+		return { ...key, createdAt: new Date(), retiredAt: null }
+	}
+
+	async loadKeys({ force = false } = {}) {
+		const age = Date.now() - this.loadedAt
+		if (!this.keys || age >= this.cacheTtl * 1000 || (force && age >= this.reloadInterval * 1000)) {
+			this.keys = await this.loadSigningKeysRepository.load()
+			this.loadedAt = Date.now()
+		}
+		return this.keys
+	}
+
+	isDue(key) {
+		return !!this.rotationInterval && Date.now() - key.createdAt.getTime() >= this.rotationInterval * 1000
+	}
+}
@@ -0,0 +1,231 @@
+const { MissingParamError } = require("../../utils/errors")
+const SigningKeyUseCase = require('./signing-key-usecase');
+
+const DAY = 24 * 60 * 60
+
+
+const makeSut = () => {
+	const loadSigningKeysRepositorySpy = makeLoadSigningKeysRepository();
+	const addSigningKeyRepositorySpy = makeAddSigningKeyRepository();
+	const retireSigningKeysRepositorySpy = makeRetireSigningKeysRepository();
+	const signingKeyGeneratorSpy = makeSigningKeyGenerator();
+	const sut = new SigningKeyUseCase({
+		loadSigningKeysRepository: loadSigningKeysRepositorySpy,
+		addSigningKeyRepository: addSigningKeyRepositorySpy,
+		retireSigningKeysRepository: retireSigningKeysRepositorySpy,
+		signingKeyGenerator: signingKeyGeneratorSpy,
+		algorithm: 'ES256',
+		rotationInterval: 30 * DAY,
+		retention: 900
+	});
+	return { sut, loadSigningKeysRepositorySpy, addSigningKeyRepositorySpy, retireSigningKeysRepositorySpy, signingKeyGeneratorSpy }
+}
+
+const makeLoadSigningKeysRepository = () => {
+	class LoadSigningKeysRepositorySpy {
+		constructor() {
+			this.calls = 0
+		}
+
+		async load() {
+			this.calls++
+			return this.keys
+		}
+	}
+	const loadSigningKeysRepositorySpy = new LoadSigningKeysRepositorySpy()
+	loadSigningKeysRepositorySpy.keys = [
+		{ kid: 'active_kid', algorithm: 'ES256', publicKey: 'active_public_key', privateKey: 'active_private_key', createdAt: new Date(), retiredAt: null },
+		{ kid: 'retired_kid', algorithm: 'RS256', publicKey: 'retired_public_key', privateKey: 'retired_private_key', createdAt: new Date(Date.now() - DAY * 1000), retiredAt: new Date() }
+	]
+	return loadSigningKeysRepositorySpy
+}
+
+const makeAddSigningKeyRepository = () => {
+	class AddSigningKeyRepositorySpy {
+		async add(key) {
+			this.key = key
+		}
+	}
+	return new AddSigningKeyRepositorySpy()
+}
+
+const makeRetireSigningKeysRepository = () => {
+	class RetireSigningKeysRepositorySpy {
+		async retire(options) {
+			this.options = options
+		}
+	}
+	return new RetireSigningKeysRepositorySpy()
+}
+
+const makeSigningKeyGenerator = () => {
+	class SigningKeyGeneratorSpy {
+		constructor() {
+			this.generated = 0
+		}
+
+		async generate(algorithm) {
+			this.algorithm = algorithm
+			this.generated++
+			return { kid: `new_kid_${this.generated}`, algorithm, publicKey: 'new_public_key', privateKey: 'new_private_key' }
+		}
+
+		loadPrivateKey(privateKey) {
+			this.loadedPrivateKey = privateKey
+			return `loaded_${privateKey}`
+		}
+
+		toJwk({ kid, algorithm }) {
+			return { kid, alg: algorithm }
+		}
+	}
+	return new SigningKeyGeneratorSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('SigningKey UseCase', () => {
+
+	describe('getSigningKey()', () => {
+		test('Should return the active key with its private key loaded', async () => {
+			const { sut, signingKeyGeneratorSpy } = makeSut()
+			const signingKey = await sut.getSigningKey()
+			expect(signingKey).toEqual({ kid: 'active_kid', algorithm: 'ES256', privateKey: 'loaded_active_private_key' })
+			expect(signingKeyGeneratorSpy.generated).toBe(0)
+		})
+
+		test('Should only hit the repository again once the cache is stale', async () => {
+			const { sut, loadSigningKeysRepositorySpy, signingKeyGeneratorSpy } = makeSut()
+			await sut.getSigningKey()
+			signingKeyGeneratorSpy.loadedPrivateKey = undefined
+			await sut.getSigningKey()
+			expect(loadSigningKeysRepositorySpy.calls).toBe(1)
+			expect(signingKeyGeneratorSpy.loadedPrivateKey).toBeUndefined()
+			sut.loadedAt = 0
+			await sut.getSigningKey()
+			expect(loadSigningKeysRepositorySpy.calls).toBe(2)
+		})
+
+		test('Should create the first key if there is none', async () => {
+			const { sut, loadSigningKeysRepositorySpy, addSigningKeyRepositorySpy, signingKeyGeneratorSpy } = makeSut()
+			loadSigningKeysRepositorySpy.keys = []
+			const signingKey = await sut.getSigningKey()
+			expect(signingKeyGeneratorSpy.algorithm).toBe('ES256')
+			expect(addSigningKeyRepositorySpy.key).toEqual({ kid: 'new_kid_1', algorithm: 'ES256', publicKey: 'new_public_key', privateKey: 'new_private_key' })
+			expect(signingKey).toEqual({ kid: 'new_kid_1', algorithm: 'ES256', privateKey: 'loaded_new_private_key' })
+		})
+
+		test('Should rotate once the active key is older than the rotation interval', async () => {
+			const { sut, loadSigningKeysRepositorySpy, retireSigningKeysRepositorySpy } = makeSut()
+			loadSigningKeysRepositorySpy.keys[0].createdAt = new Date(Date.now() - 31 * DAY * 1000)
+			const signingKey = await sut.getSigningKey()
+			expect(signingKey.kid).toBe('new_kid_1')
+			expect(retireSigningKeysRepositorySpy.options.exceptKid).toBe('new_kid_1')
+			expect(retireSigningKeysRepositorySpy.options.expiresAt.getTime()).toBeGreaterThan(Date.now() + 899 * 1000)
+			expect(retireSigningKeysRepositorySpy.options.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 900 * 1000)
+		})
+
+		test('Should never rotate without a rotation interval', async () => {
+			const { sut, loadSigningKeysRepositorySpy } = makeSut()
+			sut.rotationInterval = undefined
+			loadSigningKeysRepositorySpy.keys[0].createdAt = new Date(0)
+			expect((await sut.getSigningKey()).kid).toBe('active_kid')
+		})
+	})
+
+	describe('rotate()', () => {
+		test('Should share one rotation between concurrent callers', async () => {
+			const { sut, signingKeyGeneratorSpy } = makeSut()
+			const [first, second] = await Promise.all([sut.rotate(), sut.rotate()])
+			expect(first.kid).toBe(second.kid)
+			expect(signingKeyGeneratorSpy.generated).toBe(1)
+			await sut.rotate()
+			expect(signingKeyGeneratorSpy.generated).toBe(2)
+		})
+
+		test('Should reload the keys after a rotation', async () => {
+			const { sut, loadSigningKeysRepositorySpy } = makeSut()
+			await sut.getSigningKey()
+			await sut.rotate()
+			await sut.getSigningKey()
+			expect(loadSigningKeysRepositorySpy.calls).toBe(2)
+		})
+	})
+
+	describe('getVerificationKey()', () => {
+		test('Should throw if no kid is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.getVerificationKey()).rejects.toThrow(new MissingParamError('kid'))
+		})
+
+		test('Should return the public key of active and retired keys', async () => {
+			const { sut } = makeSut()
+			expect(await sut.getVerificationKey('active_kid')).toEqual({ kid: 'active_kid', algorithm: 'ES256', publicKey: 'active_public_key' })
+			expect(await sut.getVerificationKey('retired_kid')).toEqual({ kid: 'retired_kid', algorithm: 'RS256', publicKey: 'retired_public_key' })
+		})
+
+		test('Should reload the keys before giving up on an unknown kid', async () => {
+			const { sut, loadSigningKeysRepositorySpy } = makeSut()
+			await sut.getVerificationKey('active_kid')
+			sut.loadedAt -= 5 * 1000
+			loadSigningKeysRepositorySpy.keys = [{ kid: 'other_kid', algorithm: 'ES256', publicKey: 'other_public_key' }]
+			expect((await sut.getVerificationKey('other_kid')).publicKey).toBe('other_public_key')
+			expect(loadSigningKeysRepositorySpy.calls).toBe(2)
+		})
+
+		test('Should reload at most once per reload interval for unknown kids', async () => {
+			const { sut, loadSigningKeysRepositorySpy } = makeSut()
+			await sut.getVerificationKey('active_kid')
+			for (const kid of ['unknown_kid_1', 'unknown_kid_2', 'unknown_kid_3']) {
+				expect(await sut.getVerificationKey(kid)).toBeNull()
+			}
+			expect(loadSigningKeysRepositorySpy.calls).toBe(1)
+			sut.loadedAt -= 5 * 1000
+			expect(await sut.getVerificationKey('unknown_kid_4')).toBeNull()
+			expect(await sut.getVerificationKey('unknown_kid_5')).toBeNull()
+			expect(loadSigningKeysRepositorySpy.calls).toBe(2)
+		})
+	})
+
+	describe('listPublicKeys()', () => {
+		test('Should return every key still valid for verification as a JWK', async () => {
+			const { sut } = makeSut()
+			expect(await sut.listPublicKeys()).toEqual([{ kid: 'active_kid', alg: 'ES256' }, { kid: 'retired_kid', alg: 'RS256' }])
+		})
+
+		test('Should publish a key even before the first token is signed', async () => {
+			const { sut, loadSigningKeysRepositorySpy } = makeSut()
+			loadSigningKeysRepositorySpy.keys = []
+			await sut.listPublicKeys()
+			expect(loadSigningKeysRepositorySpy.calls).toBe(2)
+		})
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadSigningKeysRepository: [makeWithError('load'), sut => sut.getSigningKey()],
+			addSigningKeyRepository: [makeWithError('add'), sut => sut.rotate()],
+			retireSigningKeysRepository: [makeWithError('retire'), sut => sut.rotate()],
+			signingKeyGenerator: [makeWithError('generate'), sut => sut.rotate()]
+		}
+		for (const [name, [dependency, act]] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(act(sut)).rejects.toThrow()
+		}
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new SigningKeyUseCase()
+		await expect(sut.getSigningKey()).rejects.toThrow()
+		await expect(sut.getVerificationKey('any_kid')).rejects.toThrow()
+		await expect(sut.rotate()).rejects.toThrow()
+	})
+})
@@ -0,0 +1,147 @@
+const { MissingParamError } = require("../../utils/errors")
+
+module.exports = class TwoFactorUseCase {
+
+	constructor({
+		loadUserByIdRepository,
+		saveTwoFactorSecretRepository,
+		enableTwoFactorRepository,
+		updateRecoveryCodesRepository,
+		consumeRecoveryCodeRepository,
+		consumeTotpStepRepository,
+		addUserTokenRepository,
+		consumeUserTokenRepository,
+		totp,
+		randomTokenGenerator,
+		recoveryCodeGenerator,
+		recoveryCodesCount = 10,
+		challengeExpiresIn
+	} = {}) {
+		this.loadUserByIdRepository = loadUserByIdRepository
+		this.saveTwoFactorSecretRepository = saveTwoFactorSecretRepository
+		this.enableTwoFactorRepository = enableTwoFactorRepository
+		this.updateRecoveryCodesRepository = updateRecoveryCodesRepository
+		this.consumeRecoveryCodeRepository = consumeRecoveryCodeRepository
+		this.consumeTotpStepRepository = consumeTotpStepRepository
+		this.addUserTokenRepository = addUserTokenRepository
+		this.consumeUserTokenRepository = consumeUserTokenRepository
+		this.totp = totp
+		this.randomTokenGenerator = randomTokenGenerator
+		this.recoveryCodeGenerator = recoveryCodeGenerator
+		this.recoveryCodesCount = recoveryCodesCount
+		this.challengeExpiresIn = challengeExpiresIn
+	}
+
+	async enroll(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user || (user.twoFactor && user.twoFactor.enabled)) {
+			return null
+		}
+
+		const secret = this.totp.generateSecret()
+		await this.saveTwoFactorSecretRepository.save(userId, secret)
+		return { secret, uri: this.totp.uri(secret, user.email) }
+	}
+
+	async confirm(userId, code) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!code) {
+			throw new MissingParamError('code')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user || !user.twoFactor || user.twoFactor.enabled || !await this.verifyCode(user, code)) {
+			return null
+		}
+
+		const recoveryCodes = await this.generateRecoveryCodes(userId)
+		await this.enableTwoFactorRepository.enable(userId)
+		return recoveryCodes
+	}
+
+	async regenerateRecoveryCodes(userId, code) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!code) {
+			throw new MissingParamError('code')
+		}
+
+		const user = await this.loadUserByIdRepository.load(userId)
+		if (!user || !user.twoFactor || !user.twoFactor.enabled || !await this.verifyCode(user, code)) {
+			return null
+		}
+
+		return this.generateRecoveryCodes(userId)
+	}
+
+	async createChallenge(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+
+		const challenge = await this.randomTokenGenerator.generate()
+		await this.addUserTokenRepository.add({
+			userId,
+			type: 'twoFactorChallenge',
+			tokenHash: await this.randomTokenGenerator.hash(challenge),
+			expiresAt: new Date(Date.now() + this.challengeExpiresIn * 1000)
+		})
+		return challenge
+	}
+
+	async verifyChallenge(challenge, code) {
+		if (!challenge) {
+			throw new MissingParamError('challenge')
+		}
+		if (!code) {
+			throw new MissingParamError('code')
+		}
+
+		const tokenHash = await this.randomTokenGenerator.hash(challenge)
+		const userToken = await this.consumeUserTokenRepository.consume('twoFactorChallenge', tokenHash)
+		if (!userToken) {
+			return null
+		}
+
+		const user = await this.loadUserByIdRepository.load(userToken.userId)
+		if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+			return null
+		}
+
+		if (await this.verifyCode(user, code)) {
+			return user
+		}
+
+		const codeHash = await this.recoveryCodeGenerator.hash(code.trim().toLowerCase())
+		const isRecoveryCode = await this.consumeRecoveryCodeRepository.consume(user._id, codeHash)
+		return isRecoveryCode ? user : null
+	}
+
+	async verifyCode(user, code) {
+		const step = this.totp.match(user.twoFactor.secret, code)
+		if (step === null) {
+			return false
+		}
+		// a code stays valid for the whole window, so each time step is only accepted once
+		return this.consumeTotpStepRepository.consume(user._id, step)
+	}
+
+	async generateRecoveryCodes(userId) {
+		const recoveryCodes = []
+		const codeHashes = []
+		for (let i = 0; i < this.recoveryCodesCount; i++) {
+			const recoveryCode = await this.recoveryCodeGenerator.generate()
+			recoveryCodes.push(recoveryCode)
+			codeHashes.push(await this.recoveryCodeGenerator.hash(recoveryCode))
+		}
+		await this.updateRecoveryCodesRepository.update(userId, codeHashes)
+		return recoveryCodes
+	}
+}
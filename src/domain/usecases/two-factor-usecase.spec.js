@@ -0,0 +1,381 @@
+const { MissingParamError } = require("../../utils/errors")
+const TwoFactorUseCase = require('./two-factor-usecase');
+
+
+const makeSut = () => {
+	const loadUserByIdRepositorySpy = makeLoadUserByIdRepository();
+	const saveTwoFactorSecretRepositorySpy = makeSaveTwoFactorSecretRepository();
+	const enableTwoFactorRepositorySpy = makeEnableTwoFactorRepository();
+	const updateRecoveryCodesRepositorySpy = makeUpdateRecoveryCodesRepository();
+	const consumeRecoveryCodeRepositorySpy = makeConsumeRecoveryCodeRepository();
+	const consumeTotpStepRepositorySpy = makeConsumeTotpStepRepository();
+	const addUserTokenRepositorySpy = makeAddUserTokenRepository();
+	const consumeUserTokenRepositorySpy = makeConsumeUserTokenRepository();
+	const totpSpy = makeTotp();
+	const randomTokenGeneratorSpy = makeRandomTokenGenerator();
+	const recoveryCodeGeneratorSpy = makeRandomTokenGenerator();
+	const sut = new TwoFactorUseCase({
+		loadUserByIdRepository: loadUserByIdRepositorySpy,
+		saveTwoFactorSecretRepository: saveTwoFactorSecretRepositorySpy,
+		enableTwoFactorRepository: enableTwoFactorRepositorySpy,
+		updateRecoveryCodesRepository: updateRecoveryCodesRepositorySpy,
+		consumeRecoveryCodeRepository: consumeRecoveryCodeRepositorySpy,
+		consumeTotpStepRepository: consumeTotpStepRepositorySpy,
+		addUserTokenRepository: addUserTokenRepositorySpy,
+		consumeUserTokenRepository: consumeUserTokenRepositorySpy,
+		totp: totpSpy,
+		randomTokenGenerator: randomTokenGeneratorSpy,
+		recoveryCodeGenerator: recoveryCodeGeneratorSpy,
+		recoveryCodesCount: 3,
+		challengeExpiresIn: 300
+	});
+	return {
+		sut,
+		loadUserByIdRepositorySpy,
+		saveTwoFactorSecretRepositorySpy,
+		enableTwoFactorRepositorySpy,
+		updateRecoveryCodesRepositorySpy,
+		consumeRecoveryCodeRepositorySpy,
+		consumeTotpStepRepositorySpy,
+		addUserTokenRepositorySpy,
+		consumeUserTokenRepositorySpy,
+		totpSpy,
+		randomTokenGeneratorSpy,
+		recoveryCodeGeneratorSpy
+	}
+}
+
+const makeLoadUserByIdRepository = () => {
+	class LoadUserByIdRepositorySpy {
+		async load(userId) {
+			this.userId = userId
+			return this.user
+		}
+	}
+	const loadUserByIdRepositorySpy = new LoadUserByIdRepositorySpy()
+	loadUserByIdRepositorySpy.user = {
+		_id: 'any_user_id',
+		email: 'any_email@mail.com',
+		twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] }
+	}
+	return loadUserByIdRepositorySpy
+}
+
+const makeSaveTwoFactorSecretRepository = () => {
+	class SaveTwoFactorSecretRepositorySpy {
+		async save(userId, secret) {
+			this.userId = userId
+			this.secret = secret
+		}
+	}
+	return new SaveTwoFactorSecretRepositorySpy()
+}
+
+const makeEnableTwoFactorRepository = () => {
+	class EnableTwoFactorRepositorySpy {
+		async enable(userId) {
+			this.userId = userId
+		}
+	}
+	return new EnableTwoFactorRepositorySpy()
+}
+
+const makeUpdateRecoveryCodesRepository = () => {
+	class UpdateRecoveryCodesRepositorySpy {
+		async update(userId, recoveryCodes) {
+			this.userId = userId
+			this.recoveryCodes = recoveryCodes
+		}
+	}
+	return new UpdateRecoveryCodesRepositorySpy()
+}
+
+const makeConsumeRecoveryCodeRepository = () => {
+	class ConsumeRecoveryCodeRepositorySpy {
+		async consume(userId, codeHash) {
+			this.userId = userId
+			this.codeHash = codeHash
+			return this.isValid
+		}
+	}
+	const consumeRecoveryCodeRepositorySpy = new ConsumeRecoveryCodeRepositorySpy()
+	consumeRecoveryCodeRepositorySpy.isValid = false
+	return consumeRecoveryCodeRepositorySpy
+}
+
+const makeConsumeTotpStepRepository = () => {
+	class ConsumeTotpStepRepositorySpy {
+		async consume(userId, step) {
+			this.userId = userId
+			this.step = step
+			const isNew = this.lastUsedStep === undefined || step > this.lastUsedStep
+			if (isNew) {
+				this.lastUsedStep = step
+			}
+			return isNew
+		}
+	}
+	return new ConsumeTotpStepRepositorySpy()
+}
+
+const makeAddUserTokenRepository = () => {
+	class AddUserTokenRepositorySpy {
+		async add(userToken) {
+			this.userToken = userToken
+		}
+	}
+	return new AddUserTokenRepositorySpy()
+}
+
+const makeConsumeUserTokenRepository = () => {
+	class ConsumeUserTokenRepositorySpy {
+		async consume(type, tokenHash) {
+			this.type = type
+			this.tokenHash = tokenHash
+			return this.userToken
+		}
+	}
+	const consumeUserTokenRepositorySpy = new ConsumeUserTokenRepositorySpy()
+	consumeUserTokenRepositorySpy.userToken = { userId: 'any_user_id' }
+	return consumeUserTokenRepositorySpy
+}
+
+const makeTotp = () => {
+	class TotpSpy {
+		generateSecret() {
+			return this.secret
+		}
+		uri(secret, account) {
+			this.account = account
+			return `otpauth://totp/${account}?secret=${secret}`
+		}
+		match(secret, code) {
+			this.verifiedSecret = secret
+			this.code = code
+			return this.isValid ? this.step : null
+		}
+	}
+	const totpSpy = new TotpSpy()
+	totpSpy.secret = 'new_secret'
+	totpSpy.isValid = true
+	totpSpy.step = 12345
+	return totpSpy
+}
+
+const makeRandomTokenGenerator = () => {
+	class RandomTokenGeneratorSpy {
+		async generate() {
+			this.count = (this.count || 0) + 1
+			return `random_token_${this.count}`
+		}
+		async hash(token) {
+			this.hashedToken = token
+			return `hashed_${token}`
+		}
+	}
+	return new RandomTokenGeneratorSpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('TwoFactor UseCase', () => {
+
+	describe('enroll()', () => {
+		test('Should throw if no userId is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.enroll()).rejects.toThrow(new MissingParamError('userId'))
+		})
+
+		test('Should return null if the user is unknown or already enrolled', async () => {
+			const { sut, loadUserByIdRepositorySpy, saveTwoFactorSecretRepositorySpy } = makeSut()
+			expect(await sut.enroll('any_user_id')).toBeNull()
+			loadUserByIdRepositorySpy.user = null
+			expect(await sut.enroll('any_user_id')).toBeNull()
+			expect(saveTwoFactorSecretRepositorySpy.secret).toBeUndefined()
+		})
+
+		test('Should store a new secret and return it with the otpauth URI', async () => {
+			const { sut, loadUserByIdRepositorySpy, saveTwoFactorSecretRepositorySpy, totpSpy } = makeSut()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			const enrollment = await sut.enroll('any_user_id')
+			expect(saveTwoFactorSecretRepositorySpy.userId).toBe('any_user_id')
+			expect(saveTwoFactorSecretRepositorySpy.secret).toBe(totpSpy.secret)
+			expect(totpSpy.account).toBe('any_email@mail.com')
+			expect(enrollment).toEqual({ secret: 'new_secret', uri: 'otpauth://totp/any_email@mail.com?secret=new_secret' })
+		})
+	})
+
+	describe('confirm()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.confirm()).rejects.toThrow(new MissingParamError('userId'))
+			await expect(sut.confirm('any_user_id')).rejects.toThrow(new MissingParamError('code'))
+		})
+
+		test('Should return null if the code is invalid or there is nothing to confirm', async () => {
+			const { sut, loadUserByIdRepositorySpy, enableTwoFactorRepositorySpy, totpSpy } = makeSut()
+			expect(await sut.confirm('any_user_id', '123456')).toBeNull()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			totpSpy.isValid = false
+			expect(await sut.confirm('any_user_id', '123456')).toBeNull()
+			loadUserByIdRepositorySpy.user.twoFactor = undefined
+			expect(await sut.confirm('any_user_id', '123456')).toBeNull()
+			expect(enableTwoFactorRepositorySpy.userId).toBeUndefined()
+		})
+
+		test('Should enable two-factor and store only the hashes of the recovery codes', async () => {
+			const { sut, loadUserByIdRepositorySpy, enableTwoFactorRepositorySpy, updateRecoveryCodesRepositorySpy, totpSpy } = makeSut()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			const recoveryCodes = await sut.confirm('any_user_id', '123456')
+			expect(totpSpy.verifiedSecret).toBe('any_secret')
+			expect(totpSpy.code).toBe('123456')
+			expect(enableTwoFactorRepositorySpy.userId).toBe('any_user_id')
+			expect(recoveryCodes).toEqual(['random_token_1', 'random_token_2', 'random_token_3'])
+			expect(updateRecoveryCodesRepositorySpy.userId).toBe('any_user_id')
+			expect(updateRecoveryCodesRepositorySpy.recoveryCodes).toEqual(recoveryCodes.map(code => `hashed_${code}`))
+		})
+
+		test('Should consume the time step of the code', async () => {
+			const { sut, loadUserByIdRepositorySpy, consumeTotpStepRepositorySpy } = makeSut()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			await sut.confirm('any_user_id', '123456')
+			expect(consumeTotpStepRepositorySpy.userId).toBe('any_user_id')
+			expect(consumeTotpStepRepositorySpy.step).toBe(12345)
+			expect(await sut.confirm('any_user_id', '123456')).toBeNull()
+		})
+	})
+
+	describe('regenerateRecoveryCodes()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.regenerateRecoveryCodes()).rejects.toThrow(new MissingParamError('userId'))
+			await expect(sut.regenerateRecoveryCodes('any_user_id')).rejects.toThrow(new MissingParamError('code'))
+		})
+
+		test('Should return null if two-factor is not enabled or the code is invalid', async () => {
+			const { sut, loadUserByIdRepositorySpy, updateRecoveryCodesRepositorySpy, totpSpy } = makeSut()
+			totpSpy.isValid = false
+			expect(await sut.regenerateRecoveryCodes('any_user_id', '123456')).toBeNull()
+			totpSpy.isValid = true
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			expect(await sut.regenerateRecoveryCodes('any_user_id', '123456')).toBeNull()
+			expect(updateRecoveryCodesRepositorySpy.recoveryCodes).toBeUndefined()
+		})
+
+		test('Should replace the recovery codes', async () => {
+			const { sut, updateRecoveryCodesRepositorySpy } = makeSut()
+			const recoveryCodes = await sut.regenerateRecoveryCodes('any_user_id', '123456')
+			expect(recoveryCodes).toHaveLength(3)
+			expect(updateRecoveryCodesRepositorySpy.recoveryCodes).toEqual(recoveryCodes.map(code => `hashed_${code}`))
+		})
+
+		test('Should reject a code that was already used', async () => {
+			const { sut } = makeSut()
+			expect(await sut.regenerateRecoveryCodes('any_user_id', '123456')).toHaveLength(3)
+			expect(await sut.regenerateRecoveryCodes('any_user_id', '123456')).toBeNull()
+		})
+	})
+
+	describe('createChallenge()', () => {
+		test('Should throw if no userId is provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.createChallenge()).rejects.toThrow(new MissingParamError('userId'))
+		})
+
+		test('Should store the hashed challenge with its expiration', async () => {
+			const { sut, addUserTokenRepositorySpy } = makeSut()
+			const challenge = await sut.createChallenge('any_user_id')
+			const { userToken } = addUserTokenRepositorySpy
+			expect(challenge).toBe('random_token_1')
+			expect(userToken.userId).toBe('any_user_id')
+			expect(userToken.type).toBe('twoFactorChallenge')
+			expect(userToken.tokenHash).toBe('hashed_random_token_1')
+			expect(userToken.expiresAt.getTime()).toBeGreaterThan(Date.now() + 290000)
+		})
+	})
+
+	describe('verifyChallenge()', () => {
+		test('Should throw if no params are provided', async () => {
+			const { sut } = makeSut()
+			await expect(sut.verifyChallenge()).rejects.toThrow(new MissingParamError('challenge'))
+			await expect(sut.verifyChallenge('any_challenge')).rejects.toThrow(new MissingParamError('code'))
+		})
+
+		test('Should return null if the challenge is invalid or expired', async () => {
+			const { sut, consumeUserTokenRepositorySpy } = makeSut()
+			consumeUserTokenRepositorySpy.userToken = null
+			expect(await sut.verifyChallenge('any_challenge', '123456')).toBeNull()
+			expect(consumeUserTokenRepositorySpy.type).toBe('twoFactorChallenge')
+			expect(consumeUserTokenRepositorySpy.tokenHash).toBe('hashed_any_challenge')
+		})
+
+		test('Should return the user for a valid TOTP code', async () => {
+			const { sut, consumeRecoveryCodeRepositorySpy, loadUserByIdRepositorySpy } = makeSut()
+			expect(await sut.verifyChallenge('any_challenge', '123456')).toBe(loadUserByIdRepositorySpy.user)
+			expect(consumeRecoveryCodeRepositorySpy.codeHash).toBeUndefined()
+		})
+
+		test('Should reject the same TOTP code the second time', async () => {
+			const { sut, loadUserByIdRepositorySpy, consumeRecoveryCodeRepositorySpy, consumeTotpStepRepositorySpy } = makeSut()
+			expect(await sut.verifyChallenge('any_challenge', '123456')).toBe(loadUserByIdRepositorySpy.user)
+			expect(consumeTotpStepRepositorySpy.step).toBe(12345)
+			expect(await sut.verifyChallenge('other_challenge', '123456')).toBeNull()
+			expect(consumeRecoveryCodeRepositorySpy.userId).toBe('any_user_id')
+		})
+
+		test('Should fall back to a recovery code', async () => {
+			const { sut, totpSpy, consumeRecoveryCodeRepositorySpy } = makeSut()
+			totpSpy.isValid = false
+			expect(await sut.verifyChallenge('any_challenge', ' ANY_CODE ')).toBeNull()
+			expect(consumeRecoveryCodeRepositorySpy.userId).toBe('any_user_id')
+			expect(consumeRecoveryCodeRepositorySpy.codeHash).toBe('hashed_any_code')
+			consumeRecoveryCodeRepositorySpy.isValid = true
+			expect((await sut.verifyChallenge('any_challenge', 'any_code'))._id).toBe('any_user_id')
+		})
+
+		test('Should return null if two-factor was disabled in the meantime', async () => {
+			const { sut, loadUserByIdRepositorySpy } = makeSut()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			expect(await sut.verifyChallenge('any_challenge', '123456')).toBeNull()
+		})
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const dependencies = {
+			loadUserByIdRepository: makeWithError('load'),
+			consumeUserTokenRepository: makeWithError('consume'),
+			consumeTotpStepRepository: makeWithError('consume'),
+			randomTokenGenerator: makeWithError('hash')
+		}
+		for (const [name, dependency] of Object.entries(dependencies)) {
+			const { sut } = makeSut()
+			sut[name] = dependency
+			await expect(sut.verifyChallenge('any_challenge', '123456')).rejects.toThrow()
+		}
+		for (const [name, dependency] of Object.entries({ updateRecoveryCodesRepository: makeWithError('update'), enableTwoFactorRepository: makeWithError('enable') })) {
+			const { sut, loadUserByIdRepositorySpy } = makeSut()
+			loadUserByIdRepositorySpy.user.twoFactor.enabled = false
+			sut[name] = dependency
+			await expect(sut.confirm('any_user_id', '123456')).rejects.toThrow()
+		}
+		const { sut } = makeSut()
+		sut.addUserTokenRepository = makeWithError('add')
+		await expect(sut.createChallenge('any_user_id')).rejects.toThrow()
+	})
+
+	test('Should throw if invalid dependencies are provided', async () => {
+		const sut = new TwoFactorUseCase()
+		await expect(sut.enroll('any_user_id')).rejects.toThrow()
+		await expect(sut.confirm('any_user_id', '123456')).rejects.toThrow()
+		await expect(sut.regenerateRecoveryCodes('any_user_id', '123456')).rejects.toThrow()
+		await expect(sut.createChallenge('any_user_id')).rejects.toThrow()
+		await expect(sut.verifyChallenge('any_challenge', '123456')).rejects.toThrow()
+	})
+})
@@ -0,0 +1,34 @@
+const crypto = require('crypto')
+const indexes = require('./mongo-indexes')
+
+const ttlIndexes = indexes.filter(({ options }) => options.expireAfterSeconds !== undefined)
+
+const isExpired = (document, now) => ttlIndexes.some(({ key, options }) => {
+	const date = document[Object.keys(key)[0]]
+	return date instanceof Date && date.getTime() + options.expireAfterSeconds * 1000 <= now
+})
+
+module.exports = {
+	collections: {},
+	async getCollection(name) {
+		if (!this.collections[name]) {
+			this.collections[name] = []
+		}
+		const collection = this.collections[name]
+		if (ttlIndexes.some(({ collection }) => collection === name)) {
+			const now = Date.now()
+			for (let i = collection.length - 1; i >= 0; i--) {
+				if (isExpired(collection[i], now)) {
+					collection.splice(i, 1)
+				}
+			}
+		}
+		return collection
+	},
+	generateId() {
+		return crypto.randomUUID()
+	},
+	clear() {
+		this.collections = {}
+	}
+}
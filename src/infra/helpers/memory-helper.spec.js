@@ -0,0 +1,56 @@
+const MemoryHelper = require('./memory-helper')
+
+describe('Memory Helper', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	})
+
+	test('Should return the same collection for the same name', async () => {
+		const collection = await MemoryHelper.getCollection('users')
+		collection.push({ _id: 'any_id' })
+		expect(await MemoryHelper.getCollection('users')).toEqual([{ _id: 'any_id' }])
+	})
+
+	test('Should drop expired documents from collections with a TTL index', async () => {
+		const collection = await MemoryHelper.getCollection('revokedTokens')
+		collection.push({ jti: 'expired_jti', expiresAt: new Date(Date.now() - 1000) })
+		collection.push({ jti: 'valid_jti', expiresAt: new Date(Date.now() + 60000) })
+		const revokedTokens = await MemoryHelper.getCollection('revokedTokens')
+		expect(revokedTokens.map(({ jti }) => jti)).toEqual(['valid_jti'])
+	})
+
+	test('Should keep expired documents in collections without a TTL index', async () => {
+		const collection = await MemoryHelper.getCollection('apiKeys')
+		collection.push({ prefix: 'any_prefix', expiresAt: new Date(Date.now() - 1000) })
+		expect(await MemoryHelper.getCollection('apiKeys')).toHaveLength(1)
+	})
+
+	test('Should drop expired refresh tokens', async () => {
+		const collection = await MemoryHelper.getCollection('refreshTokens')
+		collection.push({ tokenHash: 'expired_hash', expiresAt: new Date(Date.now() - 1000) })
+		collection.push({ tokenHash: 'valid_hash', expiresAt: new Date(Date.now() + 60000) })
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		expect(refreshTokens.map(({ tokenHash }) => tokenHash)).toEqual(['valid_hash'])
+	})
+
+	test('Should drop expired sessions and sessions revoked over a day ago', async () => {
+		const collection = await MemoryHelper.getCollection('sessions')
+		collection.push({ _id: 'expired_id', expiresAt: new Date(Date.now() - 1000), revokedAt: null })
+		collection.push({ _id: 'old_revoked_id', expiresAt: null, revokedAt: new Date(Date.now() - 25 * 60 * 60 * 1000) })
+		collection.push({ _id: 'revoked_id', expiresAt: null, revokedAt: new Date() })
+		collection.push({ _id: 'active_id', expiresAt: new Date(Date.now() + 60000), revokedAt: null })
+		const sessions = await MemoryHelper.getCollection('sessions')
+		expect(sessions.map(({ _id }) => _id)).toEqual(['revoked_id', 'active_id'])
+	})
+
+	test('Should generate unique ids', () => {
+		expect(MemoryHelper.generateId()).not.toBe(MemoryHelper.generateId())
+	})
+
+	test('Should remove every collection on clear', async () => {
+		const collection = await MemoryHelper.getCollection('users')
+		collection.push({ _id: 'any_id' })
+		MemoryHelper.clear()
+		expect(await MemoryHelper.getCollection('users')).toEqual([])
+	})
+})
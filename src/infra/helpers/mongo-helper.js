@@ -1,17 +1,88 @@
-const { MongoClient } = require('mongodb')
+const { MongoClient, ObjectId } = require('mongodb')
+const indexes = require('./mongo-indexes')
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i
 
 module.exports = {
+	client: null,
+	db: null,
+	uri: null,
+	connecting: null,
 	async connect(uri) {
-		this.client = await MongoClient.connect(uri, {
+		if (this.client && uri === this.uri) {
+			return
+		}
+		// callers racing to connect share one client instead of each opening and closing their own
+		if (!this.connecting) {
+			this.connecting = this.open(uri).finally(() => {
+				this.connecting = null
+			})
+		}
+		return this.connecting
+	},
+	async open(uri) {
+		this.uri = uri
+		const client = await MongoClient.connect(uri, {
 			useNewUrlParser: true,
 			useUnifiedTopology: true,
 		});
-		this.db = await this.client.db();
+		const previous = this.client
+		this.client = client
+		this.db = await client.db();
+		// only reached when switching to another uri on purpose, never from a request
+		if (previous) {
+			await previous.close().catch(() => {})
+		}
+	},
+	async connectWithRetry(uri, { retries = 5, delay = 1000, maxDelay = 30000 } = {}) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await this.connect(uri)
+			} catch (error) {
+				if (attempt >= retries) {
+					throw error
+				}
+				await wait(Math.min(delay * 2 ** attempt, maxDelay))
+			}
+		}
+	},
+	isConnected() {
+		return !!this.client && !!this.client.topology && this.client.topology.isConnected()
 	},
 	async disconnect() {
-		await this.client.close()
+		if (this.client) {
+			await this.client.close()
+		}
+		this.client = null
+		this.db = null
+	},
+	// ids that come back from the outside as strings have to be turned back into ObjectIds
+	parseId(id) {
+		return typeof id === 'string' && OBJECT_ID_PATTERN.test(id) ? new ObjectId(id) : id
 	},
 	async getCollection(name) {
+		// the driver recovers a dropped connection by itself, so only connect if there is no client at all
+		if (!this.client) {
+			await this.connect(this.uri)
+		}
 		return this.db.collection(name)
+	},
+	async ping() {
+		if (!this.isConnected()) {
+			return false
+		}
+		try {
+			await this.db.command({ ping: 1 })
+			return true
+		} catch (error) {
+			return false
+		}
+	},
+	async createIndexes() {
+		for (const { collection, key, options } of indexes) {
+			await this.db.collection(collection).createIndex(key, options)
+		}
 	}
-}
\ No newline at end of file
+}
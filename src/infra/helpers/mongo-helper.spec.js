@@ -0,0 +1,119 @@
+jest.mock('mongodb', () => ({
+	ObjectId: class ObjectId {
+		constructor(id) {
+			this.id = id
+		}
+	},
+	MongoClient: {
+		failures: 0,
+		clients: [],
+		async connect(uri) {
+			this.uri = uri
+			if (this.failures > 0) {
+				this.failures--
+				throw new Error()
+			}
+			const client = {
+				connected: true,
+				pingError: null,
+				topology: { isConnected: () => client.connected },
+				async close() {
+					client.connected = false
+				},
+				db() {
+					return {
+						collection: name => ({ name }),
+						async command() {
+							if (client.pingError) {
+								throw client.pingError
+							}
+							return { ok: 1 }
+						}
+					}
+				}
+			}
+			this.clients.push(client)
+			return client
+		}
+	}
+}))
+
+const { MongoClient, ObjectId } = require('mongodb')
+const sut = require('./mongo-helper')
+
+describe('Mongo Helper', () => {
+	beforeEach(async () => {
+		MongoClient.failures = 0
+		MongoClient.clients = []
+		await sut.disconnect()
+	})
+
+	test('Should open a single client for parallel getCollection calls after a disconnect', async () => {
+		await sut.connect('any_uri')
+		await sut.disconnect()
+		const collections = await Promise.all([sut.getCollection('users'), sut.getCollection('sessions'), sut.getCollection('users')])
+		expect(collections.map(({ name }) => name)).toEqual(['users', 'sessions', 'users'])
+		expect(MongoClient.clients).toHaveLength(2)
+		expect(MongoClient.clients[1].connected).toBe(true)
+		expect(MongoClient.uri).toBe('any_uri')
+	})
+
+	test('Should leave a dropped connection to the driver instead of closing the client', async () => {
+		await sut.connect('any_uri')
+		MongoClient.clients[0].connected = false
+		await Promise.all([sut.getCollection('users'), sut.getCollection('users')])
+		expect(MongoClient.clients).toHaveLength(1)
+	})
+
+	test('Should only replace the client when connecting to another uri', async () => {
+		await sut.connect('any_uri')
+		await sut.connect('any_uri')
+		expect(MongoClient.clients).toHaveLength(1)
+		await sut.connect('other_uri')
+		expect(MongoClient.clients).toHaveLength(2)
+		expect(MongoClient.clients[0].connected).toBe(false)
+		expect(MongoClient.clients[1].connected).toBe(true)
+	})
+
+	test('Should reuse the connection while it is alive', async () => {
+		await sut.connect('any_uri')
+		await sut.getCollection('users')
+		await sut.getCollection('users')
+		expect(MongoClient.clients).toHaveLength(1)
+	})
+
+	test('Should ping the database', async () => {
+		expect(await sut.ping()).toBe(false)
+		await sut.connect('any_uri')
+		expect(await sut.ping()).toBe(true)
+		MongoClient.clients[0].pingError = new Error()
+		expect(await sut.ping()).toBe(false)
+	})
+
+	test('Should retry the connection with backoff', async () => {
+		MongoClient.failures = 2
+		await sut.connectWithRetry('any_uri', { retries: 2, delay: 1 })
+		expect(sut.isConnected()).toBe(true)
+	})
+
+	test('Should throw once the retries are exhausted', async () => {
+		MongoClient.failures = 3
+		await expect(sut.connectWithRetry('any_uri', { retries: 2, delay: 1 })).rejects.toThrow()
+		expect(sut.isConnected()).toBe(false)
+	})
+
+	test('Should parse hex strings into ObjectIds and leave other ids untouched', () => {
+		const objectId = sut.parseId('5f8d0d55b54764421b7156c3')
+		expect(objectId).toBeInstanceOf(ObjectId)
+		expect(objectId.id).toBe('5f8d0d55b54764421b7156c3')
+		expect(sut.parseId('any_uuid')).toBe('any_uuid')
+		expect(sut.parseId(objectId)).toBe(objectId)
+	})
+
+	test('Should close the client on disconnect', async () => {
+		await sut.connect('any_uri')
+		await sut.disconnect()
+		expect(MongoClient.clients[0].connected).toBe(false)
+		expect(sut.isConnected()).toBe(false)
+	})
+})
@@ -0,0 +1,23 @@
+module.exports = [
+	{ collection: 'users', key: { email: 1 }, options: { unique: true } },
+	{ collection: 'revokedTokens', key: { jti: 1 }, options: { unique: true } },
+	{ collection: 'revokedTokens', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	{ collection: 'loginAttempts', key: { key: 1 }, options: { unique: true } },
+	{ collection: 'loginAttempts', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	{ collection: 'userTokens', key: { type: 1, tokenHash: 1 }, options: { unique: true } },
+	{ collection: 'userTokens', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	{ collection: 'refreshTokens', key: { tokenHash: 1 }, options: { unique: true } },
+	{ collection: 'refreshTokens', key: { family: 1 }, options: {} },
+	{ collection: 'refreshTokens', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	{ collection: 'sessions', key: { userId: 1, revokedAt: 1 }, options: {} },
+	{ collection: 'sessions', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	// revoked sessions stay listed for a day so support can still see how a user was signed out
+	{ collection: 'sessions', key: { revokedAt: 1 }, options: { expireAfterSeconds: 24 * 60 * 60 } },
+	{ collection: 'apiKeys', key: { prefix: 1 }, options: { unique: true } },
+	{ collection: 'apiKeys', key: { userId: 1, revokedAt: 1 }, options: {} },
+	{ collection: 'audit_log', key: { userId: 1, _id: -1 }, options: {} },
+	{ collection: 'audit_log', key: { type: 1, _id: -1 }, options: {} },
+	{ collection: 'signingKeys', key: { kid: 1 }, options: { unique: true } },
+	{ collection: 'signingKeys', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+	{ collection: 'oauthClients', key: { clientId: 1 }, options: { unique: true } }
+]
@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../utils/errors')
+
+module.exports = class ConsoleMailSender {
+	constructor(logger = console) {
+		this.logger = logger
+	}
+
+	async send({ to, subject, text } = {}) {
+		if (!to) {
+			throw new MissingParamError('to')
+		}
+		if (!subject) {
+			throw new MissingParamError('subject')
+		}
+		this.logger.log(`To: ${to}\nSubject: ${subject}\n\n${text || ''}`)
+	}
+}
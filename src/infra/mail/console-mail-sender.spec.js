@@ -0,0 +1,33 @@
+const ConsoleMailSender = require('./console-mail-sender')
+const { MissingParamError } = require('../../utils/errors')
+
+const makeSut = () => {
+	const loggerSpy = makeLogger()
+	const sut = new ConsoleMailSender(loggerSpy)
+	return { sut, loggerSpy }
+}
+
+const makeLogger = () => {
+	class LoggerSpy {
+		log(message) {
+			this.message = message
+		}
+	}
+	return new LoggerSpy()
+}
+
+describe('Console Mail Sender', () => {
+	test('Should log the mail recipient, subject and text', async () => {
+		const { sut, loggerSpy } = makeSut()
+		await sut.send({ to: 'any_email@mail.com', subject: 'any_subject', text: 'any_text' })
+		expect(loggerSpy.message).toContain('To: any_email@mail.com')
+		expect(loggerSpy.message).toContain('Subject: any_subject')
+		expect(loggerSpy.message).toContain('any_text')
+	})
+
+	test('Should throw if no params are provided', async () => {
+		const { sut } = makeSut()
+		expect(sut.send()).rejects.toThrow(new MissingParamError('to'))
+		expect(sut.send({ to: 'any_email@mail.com' })).rejects.toThrow(new MissingParamError('subject'))
+	})
+})
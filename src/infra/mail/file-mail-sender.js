@@ -0,0 +1,24 @@
+const fs = require('fs')
+const path = require('path')
+const { MissingParamError } = require('../../utils/errors')
+
+module.exports = class FileMailSender {
+	constructor(outputPath) {
+		this.outputPath = outputPath
+	}
+
+	async send({ to, subject, text } = {}) {
+		if (!this.outputPath) {
+			throw new MissingParamError('outputPath')
+		}
+		if (!to) {
+			throw new MissingParamError('to')
+		}
+		if (!subject) {
+			throw new MissingParamError('subject')
+		}
+		await fs.promises.mkdir(path.dirname(this.outputPath), { recursive: true })
+		const mail = JSON.stringify({ to, subject, text, sentAt: new Date() })
+		await fs.promises.appendFile(this.outputPath, `${mail}\n`)
+	}
+}
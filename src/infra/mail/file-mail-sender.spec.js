@@ -0,0 +1,36 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const FileMailSender = require('./file-mail-sender')
+const { MissingParamError } = require('../../utils/errors')
+let outputDir;
+
+const makeSut = () => {
+	return new FileMailSender(path.join(outputDir, 'mails', 'outbox.jsonl'))
+}
+
+describe('File Mail Sender', () => {
+	beforeEach(async () => {
+		outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-'))
+	})
+
+	afterEach(async () => {
+		await fs.promises.rm(outputDir, { recursive: true, force: true })
+	})
+
+	test('Should append every mail as a JSON line', async () => {
+		const sut = makeSut()
+		await sut.send({ to: 'any_email@mail.com', subject: 'any_subject', text: 'any_text' })
+		await sut.send({ to: 'other_email@mail.com', subject: 'other_subject', text: 'other_text' })
+		const lines = (await fs.promises.readFile(sut.outputPath, 'utf8')).trim().split('\n')
+		expect(lines).toHaveLength(2)
+		expect(JSON.parse(lines[0])).toMatchObject({ to: 'any_email@mail.com', subject: 'any_subject', text: 'any_text' })
+	})
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut()
+		expect(new FileMailSender().send({ to: 'any_email@mail.com', subject: 'any_subject' })).rejects.toThrow(new MissingParamError('outputPath'))
+		expect(sut.send()).rejects.toThrow(new MissingParamError('to'))
+		expect(sut.send({ to: 'any_email@mail.com' })).rejects.toThrow(new MissingParamError('subject'))
+	})
+})
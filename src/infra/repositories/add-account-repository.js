@@ -0,0 +1,26 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+const DUPLICATE_KEY = 11000
+
+module.exports = class AddAccountRepository {
+	async add({ name, email, password, roles = [] } = {}) {
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		try {
+			const { insertedId } = await userModel.insertOne({ name, email, password, roles, emailVerified: false })
+			return { _id: insertedId, name, email, roles }
+		} catch (error) {
+			// the unique index settles concurrent signups that both passed the email lookup
+			if (error.code === DUPLICATE_KEY) {
+				return null
+			}
+			throw error
+		}
+	}
+}
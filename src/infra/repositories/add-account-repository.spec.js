@@ -0,0 +1,56 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddAccountRepository = require('./add-account-repository')
+const { MissingParamError } = require('../../utils/errors')
+let userModel;
+
+const makeSut = () => {
+	return new AddAccountRepository()
+}
+
+
+describe('AddAccount Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should persist the user and return it with its id', async () => {
+		const sut = makeSut();
+		const user = await sut.add({
+			name: 'any_name',
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			roles: ['user']
+		})
+		const persistedUser = await userModel.findOne({ _id: user._id })
+		expect(persistedUser.email).toBe('valid_email@mail.com')
+		expect(persistedUser.password).toBe('hashed_password')
+		expect(persistedUser.emailVerified).toBe(false)
+		expect(persistedUser.roles).toEqual(['user'])
+		expect(user.password).toBeUndefined()
+	});
+
+	test('Should return null instead of storing a second account with the same email', async () => {
+		await MongoHelper.createIndexes()
+		const sut = makeSut();
+		const account = { name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password' }
+		const [first, second] = await Promise.all([sut.add(account), sut.add(account)])
+		expect([first, second].filter(Boolean)).toHaveLength(1)
+		expect(await userModel.countDocuments({ email: 'valid_email@mail.com' })).toBe(1)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('email'))
+		expect(sut.add({ email: 'valid_email@mail.com' })).rejects.toThrow(new MissingParamError('password'))
+	});
+})
@@ -0,0 +1,31 @@
+const crypto = require('crypto')
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddApiKeyRepository {
+	async add({ userId, name, scopes, prefix, keyHash, expiresAt } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!prefix) {
+			throw new MissingParamError('prefix')
+		}
+		if (!keyHash) {
+			throw new MissingParamError('keyHash')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		const { insertedId } = await apiKeyModel.insertOne({
+			_id: crypto.randomUUID(),
+			userId,
+			name: name || null,
+			scopes: scopes || [],
+			prefix,
+			keyHash,
+			createdAt: new Date(),
+			expiresAt: expiresAt || null,
+			lastUsedAt: null,
+			revokedAt: null
+		})
+		return insertedId
+	}
+}
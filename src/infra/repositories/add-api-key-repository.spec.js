@@ -0,0 +1,49 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddApiKeyRepository = require('./add-api-key-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new AddApiKeyRepository()
+}
+
+
+describe('AddApiKey Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store an active api key and return its id', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		const apiKeyId = await sut.add({ userId: 'any_user_id', name: 'any_name', scopes: ['any_scope'], prefix: 'any_prefix', keyHash: 'any_hash', expiresAt })
+		const apiKey = await apiKeyModel.findOne({ _id: apiKeyId })
+		expect(typeof apiKeyId).toBe('string')
+		expect(apiKey.userId).toBe('any_user_id')
+		expect(apiKey.name).toBe('any_name')
+		expect(apiKey.scopes).toEqual(['any_scope'])
+		expect(apiKey.prefix).toBe('any_prefix')
+		expect(apiKey.keyHash).toBe('any_hash')
+		expect(apiKey.createdAt).toBeInstanceOf(Date)
+		expect(apiKey.expiresAt).toEqual(expiresAt)
+		expect(apiKey.lastUsedAt).toBeNull()
+		expect(apiKey.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.add({ userId: 'any_user_id' })).rejects.toThrow(new MissingParamError('prefix'))
+		expect(sut.add({ userId: 'any_user_id', prefix: 'any_prefix' })).rejects.toThrow(new MissingParamError('keyHash'))
+	});
+})
@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddAuditLogRepository {
+	async add({ type, occurredAt, userId, ip, userAgent, data } = {}) {
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		const auditLogModel = await MongoHelper.getCollection('audit_log')
+		await auditLogModel.insertOne({
+			type,
+			occurredAt: occurredAt || new Date(),
+			userId: userId ? MongoHelper.parseId(userId) : null,
+			ip: ip || null,
+			userAgent: userAgent || null,
+			data: data || {}
+		})
+	}
+}
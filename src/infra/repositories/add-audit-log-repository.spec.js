@@ -0,0 +1,49 @@
+const { ObjectId } = require('mongodb')
+const MongoHelper = require('../helpers/mongo-helper')
+const AddAuditLogRepository = require('./add-audit-log-repository')
+const { MissingParamError } = require('../../utils/errors')
+let auditLogModel;
+
+const makeSut = () => {
+	return new AddAuditLogRepository()
+}
+
+
+describe('AddAuditLog Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		auditLogModel = await MongoHelper.getCollection('audit_log');
+	});
+
+	beforeEach(async () => {
+		await auditLogModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should append the event to the audit log', async () => {
+		const sut = makeSut();
+		const userId = new ObjectId()
+		const occurredAt = new Date()
+		await sut.add({ type: 'LoginSucceeded', occurredAt, userId: userId.toHexString(), ip: '127.0.0.1', userAgent: 'any_agent', data: { method: 'password' } })
+		const entries = await auditLogModel.find().toArray()
+		expect(entries).toHaveLength(1)
+		expect(entries[0]).toMatchObject({ type: 'LoginSucceeded', occurredAt, userId, ip: '127.0.0.1', userAgent: 'any_agent', data: { method: 'password' } })
+	});
+
+	test('Should store anonymous events without a user', async () => {
+		const sut = makeSut();
+		await sut.add({ type: 'LoginFailed', data: { reason: 'unknown-user' } })
+		const entry = await auditLogModel.findOne()
+		expect(entry.userId).toBeNull()
+		expect(entry.occurredAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no type is provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('type'))
+	});
+})
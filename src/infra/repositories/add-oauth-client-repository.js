@@ -0,0 +1,25 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddOAuthClientRepository {
+	async add({ clientId, clientSecretHash, name, redirectUris, grantTypes, scopes, ownerId } = {}) {
+		if (!clientId) {
+			throw new MissingParamError('clientId')
+		}
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+		const oauthClientModel = await MongoHelper.getCollection('oauthClients')
+		const { insertedId } = await oauthClientModel.insertOne({
+			clientId,
+			clientSecretHash: clientSecretHash || null,
+			name,
+			redirectUris: redirectUris || [],
+			grantTypes: grantTypes || [],
+			scopes: scopes || [],
+			ownerId: ownerId || null,
+			createdAt: new Date()
+		})
+		return insertedId
+	}
+}
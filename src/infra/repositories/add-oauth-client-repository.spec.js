@@ -0,0 +1,60 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddOAuthClientRepository = require('./add-oauth-client-repository')
+const { MissingParamError } = require('../../utils/errors')
+let oauthClientModel;
+
+const makeSut = () => {
+	return new AddOAuthClientRepository()
+}
+
+
+describe('AddOAuthClient Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		oauthClientModel = await MongoHelper.getCollection('oauthClients');
+	});
+
+	beforeEach(async () => {
+		await oauthClientModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store the client and return its id', async () => {
+		const sut = makeSut();
+		const id = await sut.add({
+			clientId: 'any_client_id',
+			clientSecretHash: 'any_hash',
+			name: 'any_name',
+			redirectUris: ['https://any.app/callback'],
+			grantTypes: ['authorization_code'],
+			scopes: ['openid'],
+			ownerId: 'any_user_id'
+		})
+		const oauthClient = await oauthClientModel.findOne({ _id: id })
+		expect(oauthClient.clientId).toBe('any_client_id')
+		expect(oauthClient.clientSecretHash).toBe('any_hash')
+		expect(oauthClient.redirectUris).toEqual(['https://any.app/callback'])
+		expect(oauthClient.grantTypes).toEqual(['authorization_code'])
+		expect(oauthClient.scopes).toEqual(['openid'])
+		expect(oauthClient.ownerId).toBe('any_user_id')
+		expect(oauthClient.createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should store public clients without a secret', async () => {
+		const sut = makeSut();
+		const id = await sut.add({ clientId: 'any_client_id', name: 'any_name' })
+		const oauthClient = await oauthClientModel.findOne({ _id: id })
+		expect(oauthClient.clientSecretHash).toBeNull()
+		expect(oauthClient.redirectUris).toEqual([])
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('clientId'))
+		await expect(sut.add({ clientId: 'any_client_id' })).rejects.toThrow(new MissingParamError('name'))
+	});
+})
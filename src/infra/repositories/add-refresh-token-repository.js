@@ -0,0 +1,31 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddRefreshTokenRepository {
+	async add({ userId, family, tokenHash, expiresAt, clientId = null, scope = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!family) {
+			throw new MissingParamError('family')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const refreshTokenModel = await MongoHelper.getCollection('refreshTokens')
+		await refreshTokenModel.insertOne({
+			userId,
+			family,
+			tokenHash,
+			expiresAt,
+			clientId,
+			scope,
+			createdAt: new Date(),
+			usedAt: null,
+			revokedAt: null
+		})
+	}
+}
@@ -0,0 +1,59 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddRefreshTokenRepository = require('./add-refresh-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let refreshTokenModel;
+
+const makeSut = () => {
+	return new AddRefreshTokenRepository()
+}
+
+const makeRefreshToken = () => ({
+	userId: 'any_user_id',
+	family: 'any_family',
+	tokenHash: 'hashed_token',
+	expiresAt: new Date()
+})
+
+
+describe('AddRefreshToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await refreshTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should persist an unused refresh token', async () => {
+		const sut = makeSut();
+		await sut.add(makeRefreshToken())
+		const refreshToken = await refreshTokenModel.findOne({ tokenHash: 'hashed_token' })
+		expect(refreshToken.userId).toBe('any_user_id')
+		expect(refreshToken.family).toBe('any_family')
+		expect(refreshToken.usedAt).toBeNull()
+		expect(refreshToken.revokedAt).toBeNull()
+	});
+
+	test('Should bind the refresh token to the client and scope it was issued for', async () => {
+		const sut = makeSut();
+		await sut.add({ ...makeRefreshToken(), clientId: 'any_client_id', scope: 'openid profile:read' })
+		const refreshToken = await refreshTokenModel.findOne({ tokenHash: 'hashed_token' })
+		expect(refreshToken.clientId).toBe('any_client_id')
+		expect(refreshToken.scope).toBe('openid profile:read')
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		for (const field of ['userId', 'family', 'tokenHash', 'expiresAt']) {
+			const refreshToken = makeRefreshToken()
+			delete refreshToken[field]
+			expect(sut.add(refreshToken)).rejects.toThrow(new MissingParamError(field))
+		}
+	});
+})
@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddRevokedTokenRepository {
+	async add({ jti, expiresAt } = {}) {
+		if (!jti) {
+			throw new MissingParamError('jti')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const revokedTokenModel = await MongoHelper.getCollection('revokedTokens')
+		await revokedTokenModel.updateOne(
+			{ jti },
+			{ $set: { jti, expiresAt }, $setOnInsert: { revokedAt: new Date() } },
+			{ upsert: true }
+		)
+	}
+}
@@ -0,0 +1,47 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddRevokedTokenRepository = require('./add-revoked-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let revokedTokenModel;
+
+const makeSut = () => {
+	return new AddRevokedTokenRepository()
+}
+
+
+describe('AddRevokedToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		revokedTokenModel = await MongoHelper.getCollection('revokedTokens');
+	});
+
+	beforeEach(async () => {
+		await revokedTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should add the token id to the revocation list', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date()
+		await sut.add({ jti: 'any_jti', expiresAt })
+		const revokedToken = await revokedTokenModel.findOne({ jti: 'any_jti' })
+		expect(revokedToken.expiresAt).toEqual(expiresAt)
+		expect(revokedToken.revokedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should not duplicate a token id revoked twice', async () => {
+		const sut = makeSut();
+		await sut.add({ jti: 'any_jti', expiresAt: new Date() })
+		await sut.add({ jti: 'any_jti', expiresAt: new Date() })
+		expect(await revokedTokenModel.countDocuments({ jti: 'any_jti' })).toBe(1)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('jti'))
+		expect(sut.add({ jti: 'any_jti' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
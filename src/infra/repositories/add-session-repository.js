@@ -0,0 +1,24 @@
+const crypto = require('crypto')
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddSessionRepository {
+	async add({ userId, userAgent, ip, expiresAt = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		const now = new Date()
+		const { insertedId } = await sessionModel.insertOne({
+			_id: crypto.randomUUID(),
+			userId,
+			userAgent: userAgent || null,
+			ip: ip || null,
+			createdAt: now,
+			lastSeenAt: now,
+			expiresAt,
+			revokedAt: null
+		})
+		return insertedId
+	}
+}
@@ -0,0 +1,52 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddSessionRepository = require('./add-session-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new AddSessionRepository()
+}
+
+
+describe('AddSession Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store an active session and return its id', async () => {
+		const sut = makeSut();
+		const sessionId = await sut.add({ userId: 'any_user_id', userAgent: 'any_agent', ip: '127.0.0.1' })
+		const session = await sessionModel.findOne({ _id: sessionId })
+		expect(typeof sessionId).toBe('string')
+		expect(session.userId).toBe('any_user_id')
+		expect(session.userAgent).toBe('any_agent')
+		expect(session.ip).toBe('127.0.0.1')
+		expect(session.createdAt).toBeInstanceOf(Date)
+		expect(session.lastSeenAt).toEqual(session.createdAt)
+		expect(session.expiresAt).toBeNull()
+		expect(session.revokedAt).toBeNull()
+	});
+
+	test('Should store the expiration when one is given', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		const sessionId = await sut.add({ userId: 'any_user_id', expiresAt })
+		const session = await sessionModel.findOne({ _id: sessionId })
+		expect(session.expiresAt).toEqual(expiresAt)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
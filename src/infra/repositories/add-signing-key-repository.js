@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddSigningKeyRepository {
+	async add({ kid, algorithm, publicKey, privateKey } = {}) {
+		if (!kid) {
+			throw new MissingParamError('kid')
+		}
+		const signingKeyModel = await MongoHelper.getCollection('signingKeys')
+		await signingKeyModel.insertOne({
+			kid,
+			algorithm,
+			publicKey,
+			privateKey,
+			createdAt: new Date(),
+			retiredAt: null,
+			expiresAt: null
+		})
+	}
+}
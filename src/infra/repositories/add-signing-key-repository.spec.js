@@ -0,0 +1,38 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddSigningKeyRepository = require('./add-signing-key-repository')
+const { MissingParamError } = require('../../utils/errors')
+let signingKeyModel;
+
+const makeSut = () => {
+	return new AddSigningKeyRepository()
+}
+
+
+describe('AddSigningKey Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		signingKeyModel = await MongoHelper.getCollection('signingKeys');
+	});
+
+	beforeEach(async () => {
+		await signingKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store an active signing key', async () => {
+		const sut = makeSut();
+		await sut.add({ kid: 'any_kid', algorithm: 'RS256', publicKey: 'any_public_key', privateKey: 'any_private_key' })
+		const signingKey = await signingKeyModel.findOne({ kid: 'any_kid' })
+		expect(signingKey).toMatchObject({ algorithm: 'RS256', publicKey: 'any_public_key', privateKey: 'any_private_key', retiredAt: null, expiresAt: null })
+		expect(signingKey.createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no kid is provided', async () => {
+		const sut = makeSut();
+		expect(sut.add()).rejects.toThrow(new MissingParamError('kid'))
+	});
+})
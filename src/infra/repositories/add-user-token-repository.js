@@ -0,0 +1,29 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class AddUserTokenRepository {
+	async add({ userId, type, tokenHash, expiresAt, data = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const userTokenModel = await MongoHelper.getCollection('userTokens')
+		await userTokenModel.insertOne({
+			userId,
+			type,
+			tokenHash,
+			expiresAt,
+			data,
+			createdAt: new Date(),
+			usedAt: null
+		})
+	}
+}
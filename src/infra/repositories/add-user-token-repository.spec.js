@@ -0,0 +1,57 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const AddUserTokenRepository = require('./add-user-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let userTokenModel;
+
+const makeSut = () => {
+	return new AddUserTokenRepository()
+}
+
+const makeUserToken = () => ({
+	userId: 'any_user_id',
+	type: 'any_type',
+	tokenHash: 'hashed_token',
+	expiresAt: new Date()
+})
+
+
+describe('AddUserToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should persist an unused user token', async () => {
+		const sut = makeSut();
+		await sut.add(makeUserToken())
+		const userToken = await userTokenModel.findOne({ tokenHash: 'hashed_token' })
+		expect(userToken.userId).toBe('any_user_id')
+		expect(userToken.type).toBe('any_type')
+		expect(userToken.usedAt).toBeNull()
+	});
+
+	test('Should keep the data attached to the token', async () => {
+		const sut = makeSut();
+		await sut.add({ ...makeUserToken(), data: { clientId: 'any_client_id' } })
+		const userToken = await userTokenModel.findOne({ tokenHash: 'hashed_token' })
+		expect(userToken.data).toEqual({ clientId: 'any_client_id' })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		for (const field of ['userId', 'type', 'tokenHash', 'expiresAt']) {
+			const userToken = makeUserToken()
+			delete userToken[field]
+			expect(sut.add(userToken)).rejects.toThrow(new MissingParamError(field))
+		}
+	});
+})
@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class ConsumeRecoveryCodeRepository {
+	async consume(userId, codeHash) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!codeHash) {
+			throw new MissingParamError('codeHash')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		const { modifiedCount } = await userModel.updateOne(
+			{ _id: userId, 'twoFactor.recoveryCodes': codeHash },
+			{ $pull: { 'twoFactor.recoveryCodes': codeHash } }
+		)
+		return modifiedCount === 1
+	}
+}
@@ -0,0 +1,50 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const ConsumeRecoveryCodeRepository = require('./consume-recovery-code-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new ConsumeRecoveryCodeRepository();
+}
+
+
+describe('ConsumeRecoveryCode Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: ['any_code', 'other_code'] }
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should remove the code and return true only on its first use', async () => {
+		const sut = makeSut();
+		expect(await sut.consume(fakeUserId, 'any_code')).toBe(true);
+		expect(await sut.consume(fakeUserId, 'any_code')).toBe(false);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.twoFactor.recoveryCodes).toEqual(['other_code']);
+	});
+
+	test('Should return false for unknown codes', async () => {
+		const sut = makeSut();
+		expect(await sut.consume(fakeUserId, 'invalid_code')).toBe(false);
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.consume()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.consume(fakeUserId)).rejects.toThrow(new MissingParamError('codeHash'))
+	});
+})
@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class ConsumeTotpStepRepository {
+	async consume(userId, step) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (step === undefined || step === null) {
+			throw new MissingParamError('step')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		// $not also matches users that never used a code, and the single update keeps two parallel logins from both passing
+		const { modifiedCount } = await userModel.updateOne(
+			{ _id: userId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+			{ $set: { 'twoFactor.lastUsedStep': step } }
+		)
+		return modifiedCount === 1
+	}
+}
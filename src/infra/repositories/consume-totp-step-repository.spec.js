@@ -0,0 +1,47 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const ConsumeTotpStepRepository = require('./consume-totp-step-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new ConsumeTotpStepRepository();
+}
+
+
+describe('ConsumeTotpStep Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] }
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should accept a step only if it is newer than the last one used', async () => {
+		const sut = makeSut();
+		expect(await sut.consume(fakeUserId, 100)).toBe(true);
+		expect(await sut.consume(fakeUserId, 100)).toBe(false);
+		expect(await sut.consume(fakeUserId, 99)).toBe(false);
+		expect(await sut.consume(fakeUserId, 101)).toBe(true);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.twoFactor.lastUsedStep).toBe(101);
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.consume()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.consume(fakeUserId)).rejects.toThrow(new MissingParamError('step'))
+	});
+})
@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class ConsumeUserTokenRepository {
+	async consume(type, tokenHash) {
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		const userTokenModel = await MongoHelper.getCollection('userTokens')
+		const { value } = await userTokenModel.findOneAndUpdate(
+			{ type, tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+			{ $set: { usedAt: new Date() } }
+		)
+		return value
+	}
+}
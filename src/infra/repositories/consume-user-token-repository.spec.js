@@ -0,0 +1,66 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const ConsumeUserTokenRepository = require('./consume-user-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let userTokenModel;
+
+const makeSut = () => {
+	return new ConsumeUserTokenRepository()
+}
+
+const insertUserToken = async (userToken = {}) => {
+	await userTokenModel.insertOne({
+		userId: 'any_user_id',
+		type: 'any_type',
+		tokenHash: 'hashed_token',
+		expiresAt: new Date(Date.now() + 60000),
+		usedAt: null,
+		...userToken
+	})
+}
+
+
+describe('ConsumeUserToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the user token and mark it as used', async () => {
+		const sut = makeSut();
+		await insertUserToken()
+		const userToken = await sut.consume('any_type', 'hashed_token')
+		const consumedToken = await userTokenModel.findOne({ tokenHash: 'hashed_token' })
+		expect(userToken.userId).toBe('any_user_id')
+		expect(consumedToken.usedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should return null if the user token was already consumed', async () => {
+		const sut = makeSut();
+		await insertUserToken()
+		await sut.consume('any_type', 'hashed_token')
+		expect(await sut.consume('any_type', 'hashed_token')).toBeNull()
+	});
+
+	test('Should return null if the user token is expired or of another type', async () => {
+		const sut = makeSut();
+		await insertUserToken({ expiresAt: new Date(Date.now() - 1000) })
+		await insertUserToken({ type: 'other_type', tokenHash: 'other_hash' })
+		expect(await sut.consume('any_type', 'hashed_token')).toBeNull()
+		expect(await sut.consume('any_type', 'other_hash')).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.consume()).rejects.toThrow(new MissingParamError('type'))
+		expect(sut.consume('any_type')).rejects.toThrow(new MissingParamError('tokenHash'))
+	});
+})
@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class DisableUserRepository {
+	async disable(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId, disabledAt: null }, { $set: { disabledAt: new Date() } })
+	}
+}
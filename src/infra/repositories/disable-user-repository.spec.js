@@ -0,0 +1,51 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const DisableUserRepository = require('./disable-user-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new DisableUserRepository();
+}
+
+
+describe('DisableUser Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password'
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should mark the user as disabled', async () => {
+		const sut = makeSut();
+		await sut.disable(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.disabledAt).toBeInstanceOf(Date);
+	});
+
+	test('Should keep the original date when disabled twice', async () => {
+		const sut = makeSut();
+		const disabledAt = new Date('2020-01-01T00:00:00.000Z');
+		await userModel.updateOne({ _id: fakeUserId }, { $set: { disabledAt } });
+		await sut.disable(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.disabledAt).toEqual(disabledAt);
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.disable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
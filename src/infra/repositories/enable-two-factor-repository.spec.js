@@ -0,0 +1,45 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const EnableTwoFactorRepository = require('./enable-two-factor-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new EnableTwoFactorRepository();
+}
+
+
+describe('EnableTwoFactor Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			twoFactor: { secret: 'any_secret', enabled: false, recoveryCodes: [] }
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should enable two-factor authentication for the user', async () => {
+		const sut = makeSut();
+		await sut.enable(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.twoFactor.enabled).toBe(true);
+		expect(updatedFakeUser.twoFactor.enabledAt).toBeInstanceOf(Date);
+		expect(updatedFakeUser.twoFactor.secret).toBe('any_secret');
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.enable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
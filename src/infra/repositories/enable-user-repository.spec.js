@@ -0,0 +1,43 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const EnableUserRepository = require('./enable-user-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new EnableUserRepository();
+}
+
+
+describe('EnableUser Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			disabledAt: new Date()
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should clear the disabled mark of the user', async () => {
+		const sut = makeSut();
+		await sut.enable(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.disabledAt).toBeNull();
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.enable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,42 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const FlagPasswordResetRepository = require('./flag-password-reset-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new FlagPasswordResetRepository();
+}
+
+
+describe('FlagPasswordReset Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password'
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should require the user to reset the password', async () => {
+		const sut = makeSut();
+		await sut.flag(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.passwordResetRequired).toBe(true);
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.flag()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class IncrementLoginAttemptsRepository {
+	async increment(key, expiresAt) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const loginAttemptsModel = await MongoHelper.getCollection('loginAttempts')
+		const { value } = await loginAttemptsModel.findOneAndUpdate(
+			{ key },
+			{ $inc: { failures: 1 }, $max: { expiresAt }, $setOnInsert: { lockouts: 0, lockedUntil: null } },
+			{ upsert: true, returnDocument: 'after' }
+		)
+		return value
+	}
+}
@@ -0,0 +1,47 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const IncrementLoginAttemptsRepository = require('./increment-login-attempts-repository')
+const { MissingParamError } = require('../../utils/errors')
+let loginAttemptsModel;
+
+const makeSut = () => {
+	return new IncrementLoginAttemptsRepository()
+}
+
+
+describe('IncrementLoginAttempts Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		loginAttemptsModel = await MongoHelper.getCollection('loginAttempts');
+	});
+
+	beforeEach(async () => {
+		await loginAttemptsModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should create the attempts record on the first failure', async () => {
+		const sut = makeSut();
+		const loginAttempts = await sut.increment('ip:127.0.0.1', new Date())
+		expect(loginAttempts.failures).toBe(1)
+		expect(loginAttempts.lockouts).toBe(0)
+		expect(loginAttempts.lockedUntil).toBeNull()
+	});
+
+	test('Should increment the failures of an existing record', async () => {
+		const sut = makeSut();
+		await sut.increment('ip:127.0.0.1', new Date())
+		const loginAttempts = await sut.increment('ip:127.0.0.1', new Date())
+		expect(loginAttempts.failures).toBe(2)
+		expect(await loginAttemptsModel.countDocuments()).toBe(1)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.increment()).rejects.toThrow(new MissingParamError('key'))
+		expect(sut.increment('ip:127.0.0.1')).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
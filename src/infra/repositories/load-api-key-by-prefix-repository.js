@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadApiKeyByPrefixRepository {
+	async load(prefix) {
+		if (!prefix) {
+			throw new MissingParamError('prefix')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		return apiKeyModel.findOne({ prefix })
+	}
+}
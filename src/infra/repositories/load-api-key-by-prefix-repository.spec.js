@@ -0,0 +1,44 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadApiKeyByPrefixRepository = require('./load-api-key-by-prefix-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new LoadApiKeyByPrefixRepository()
+}
+
+
+describe('LoadApiKeyByPrefix Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if no api key has the prefix', async () => {
+		const sut = makeSut();
+		const apiKey = await sut.load('invalid_prefix')
+		expect(apiKey).toBeNull()
+	});
+
+	test('Should return the api key with the prefix', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertOne({ _id: 'any_id', userId: 'any_user_id', prefix: 'any_prefix', keyHash: 'any_hash' })
+		const apiKey = await sut.load('any_prefix')
+		expect(apiKey._id).toBe('any_id')
+		expect(apiKey.keyHash).toBe('any_hash')
+	});
+
+	test('Should throw if no prefix is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('prefix'))
+	});
+})
@@ -0,0 +1,26 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadAuditLogRepository {
+	async load({ userId, type, from, to, before, limit } = {}) {
+		if (!limit) {
+			throw new MissingParamError('limit')
+		}
+		const filter = {}
+		if (userId) {
+			filter.userId = MongoHelper.parseId(userId)
+		}
+		if (type) {
+			filter.type = type
+		}
+		if (from || to) {
+			filter.occurredAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) }
+		}
+		if (before) {
+			filter._id = { $lt: MongoHelper.parseId(before) }
+		}
+		const auditLogModel = await MongoHelper.getCollection('audit_log')
+		// the log is append-only, so the newest entries are the ones with the highest ids
+		return auditLogModel.find(filter).sort({ _id: -1 }).limit(limit).toArray()
+	}
+}
@@ -0,0 +1,56 @@
+const { ObjectId } = require('mongodb')
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadAuditLogRepository = require('./load-audit-log-repository')
+const { MissingParamError } = require('../../utils/errors')
+let auditLogModel;
+const userId = new ObjectId()
+
+const makeSut = () => {
+	return new LoadAuditLogRepository()
+}
+
+
+describe('LoadAuditLog Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		auditLogModel = await MongoHelper.getCollection('audit_log');
+	});
+
+	beforeEach(async () => {
+		await auditLogModel.deleteMany();
+		await auditLogModel.insertMany([
+			{ _id: new ObjectId('000000000000000000000001'), type: 'LoginFailed', occurredAt: new Date('2024-01-01'), userId: null, data: {} },
+			{ _id: new ObjectId('000000000000000000000002'), type: 'LoginSucceeded', occurredAt: new Date('2024-01-02'), userId, data: {} },
+			{ _id: new ObjectId('000000000000000000000003'), type: 'TokenIssued', occurredAt: new Date('2024-01-03'), userId, data: {} }
+		])
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the newest entries first', async () => {
+		const sut = makeSut();
+		const entries = await sut.load({ limit: 2 })
+		expect(entries.map(({ type }) => type)).toEqual(['TokenIssued', 'LoginSucceeded'])
+	});
+
+	test('Should continue before the cursor', async () => {
+		const sut = makeSut();
+		const entries = await sut.load({ before: '000000000000000000000002', limit: 10 })
+		expect(entries.map(({ type }) => type)).toEqual(['LoginFailed'])
+	});
+
+	test('Should filter by user, type and time range', async () => {
+		const sut = makeSut();
+		expect((await sut.load({ limit: 10, userId: userId.toHexString() })).map(({ type }) => type)).toEqual(['TokenIssued', 'LoginSucceeded'])
+		expect((await sut.load({ limit: 10, type: 'LoginFailed' })).map(({ type }) => type)).toEqual(['LoginFailed'])
+		expect((await sut.load({ limit: 10, from: new Date('2024-01-02'), to: new Date('2024-01-02') })).map(({ type }) => type)).toEqual(['LoginSucceeded'])
+	});
+
+	test('Should throw if no limit is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('limit'))
+	});
+})
@@ -0,0 +1,16 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadLastUserTokenRepository {
+	async load(userId, type) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		const userTokenModel = await MongoHelper.getCollection('userTokens')
+		const userToken = await userTokenModel.findOne({ userId, type }, { sort: { createdAt: -1 } })
+		return userToken
+	}
+}
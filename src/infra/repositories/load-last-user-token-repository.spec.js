@@ -0,0 +1,48 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadLastUserTokenRepository = require('./load-last-user-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let userTokenModel;
+
+const makeSut = () => {
+	return new LoadLastUserTokenRepository()
+}
+
+
+describe('LoadLastUserToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if the user has no token of the type', async () => {
+		const sut = makeSut();
+		await userTokenModel.insertOne({ userId: 'any_user_id', type: 'other_type', tokenHash: 'any_hash', createdAt: new Date() })
+		expect(await sut.load('any_user_id', 'any_type')).toBeNull()
+	});
+
+	test('Should return the most recently created token of the type', async () => {
+		const sut = makeSut();
+		await userTokenModel.insertMany([
+			{ userId: 'any_user_id', type: 'any_type', tokenHash: 'old_hash', createdAt: new Date(Date.now() - 60000) },
+			{ userId: 'any_user_id', type: 'any_type', tokenHash: 'new_hash', createdAt: new Date() },
+			{ userId: 'other_user_id', type: 'any_type', tokenHash: 'other_hash', createdAt: new Date(Date.now() + 60000) }
+		])
+		const userToken = await sut.load('any_user_id', 'any_type')
+		expect(userToken.tokenHash).toBe('new_hash')
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.load('any_user_id')).rejects.toThrow(new MissingParamError('type'))
+	});
+})
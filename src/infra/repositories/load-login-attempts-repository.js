@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadLoginAttemptsRepository {
+	async load(key) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		const loginAttemptsModel = await MongoHelper.getCollection('loginAttempts')
+		const loginAttempts = await loginAttemptsModel.findOne({ key })
+		return loginAttempts
+	}
+}
@@ -0,0 +1,43 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadLoginAttemptsRepository = require('./load-login-attempts-repository')
+const { MissingParamError } = require('../../utils/errors')
+let loginAttemptsModel;
+
+const makeSut = () => {
+	return new LoadLoginAttemptsRepository()
+}
+
+
+describe('LoadLoginAttempts Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		loginAttemptsModel = await MongoHelper.getCollection('loginAttempts');
+	});
+
+	beforeEach(async () => {
+		await loginAttemptsModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if no attempts are recorded for the key', async () => {
+		const sut = makeSut();
+		const loginAttempts = await sut.load('email:any_email@mail.com')
+		expect(loginAttempts).toBeNull()
+	});
+
+	test('Should return the attempts recorded for the key', async () => {
+		const sut = makeSut();
+		await loginAttemptsModel.insertOne({ key: 'email:any_email@mail.com', failures: 2, lockouts: 0, lockedUntil: null })
+		const loginAttempts = await sut.load('email:any_email@mail.com')
+		expect(loginAttempts.failures).toBe(2)
+	});
+
+	test('Should throw if no key is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('key'))
+	});
+})
@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadOAuthClientRepository {
+	async load(clientId) {
+		if (!clientId) {
+			throw new MissingParamError('clientId')
+		}
+		const oauthClientModel = await MongoHelper.getCollection('oauthClients')
+		return oauthClientModel.findOne({ clientId })
+	}
+}
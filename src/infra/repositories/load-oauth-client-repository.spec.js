@@ -0,0 +1,43 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadOAuthClientRepository = require('./load-oauth-client-repository')
+const { MissingParamError } = require('../../utils/errors')
+let oauthClientModel;
+
+const makeSut = () => {
+	return new LoadOAuthClientRepository()
+}
+
+
+describe('LoadOAuthClient Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		oauthClientModel = await MongoHelper.getCollection('oauthClients');
+	});
+
+	beforeEach(async () => {
+		await oauthClientModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if the client is not registered', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_client_id')).toBeNull()
+	});
+
+	test('Should return the client with its secret hash', async () => {
+		await oauthClientModel.insertOne({ clientId: 'any_client_id', clientSecretHash: 'any_hash', name: 'any_name' })
+		const sut = makeSut();
+		const oauthClient = await sut.load('any_client_id')
+		expect(oauthClient.name).toBe('any_name')
+		expect(oauthClient.clientSecretHash).toBe('any_hash')
+	});
+
+	test('Should throw if no clientId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('clientId'))
+	});
+})
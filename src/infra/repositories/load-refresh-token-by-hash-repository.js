@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadRefreshTokenByHashRepository {
+	async load(tokenHash) {
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		const refreshTokenModel = await MongoHelper.getCollection('refreshTokens')
+		const refreshToken = await refreshTokenModel.findOne({ tokenHash })
+		return refreshToken
+	}
+}
@@ -0,0 +1,47 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadRefreshTokenByHashRepository = require('./load-refresh-token-by-hash-repository')
+const { MissingParamError } = require('../../utils/errors')
+let refreshTokenModel;
+
+const makeSut = () => {
+	return new LoadRefreshTokenByHashRepository()
+}
+
+
+describe('LoadRefreshTokenByHash Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await refreshTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if no refresh token is found', async () => {
+		const sut = makeSut();
+		const refreshToken = await sut.load('invalid_hash')
+		expect(refreshToken).toBeNull()
+	});
+
+	test('Should return the refresh token with the given hash', async () => {
+		const sut = makeSut();
+		const { insertedId } = await refreshTokenModel.insertOne({
+			userId: 'any_user_id',
+			family: 'any_family',
+			tokenHash: 'hashed_token'
+		})
+		const refreshToken = await sut.load('hashed_token')
+		expect(refreshToken._id).toEqual(insertedId)
+	});
+
+	test('Should throw if no tokenHash is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('tokenHash'))
+	});
+})
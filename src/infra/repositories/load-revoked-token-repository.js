@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadRevokedTokenRepository {
+	async load(jti) {
+		if (!jti) {
+			throw new MissingParamError('jti')
+		}
+		const revokedTokenModel = await MongoHelper.getCollection('revokedTokens')
+		const revokedToken = await revokedTokenModel.findOne({ jti })
+		return revokedToken
+	}
+}
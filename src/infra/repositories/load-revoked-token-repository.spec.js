@@ -0,0 +1,43 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadRevokedTokenRepository = require('./load-revoked-token-repository')
+const { MissingParamError } = require('../../utils/errors')
+let revokedTokenModel;
+
+const makeSut = () => {
+	return new LoadRevokedTokenRepository()
+}
+
+
+describe('LoadRevokedToken Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		revokedTokenModel = await MongoHelper.getCollection('revokedTokens');
+	});
+
+	beforeEach(async () => {
+		await revokedTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if the token id was not revoked', async () => {
+		const sut = makeSut();
+		const revokedToken = await sut.load('any_jti')
+		expect(revokedToken).toBeNull()
+	});
+
+	test('Should return the revocation entry of the token id', async () => {
+		const sut = makeSut();
+		await revokedTokenModel.insertOne({ jti: 'any_jti', expiresAt: new Date() })
+		const revokedToken = await sut.load('any_jti')
+		expect(revokedToken.jti).toBe('any_jti')
+	});
+
+	test('Should throw if no jti is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('jti'))
+	});
+})
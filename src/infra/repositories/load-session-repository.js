@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadSessionRepository {
+	async load(sessionId) {
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		const session = await sessionModel.findOne({ _id: sessionId })
+		return session
+	}
+}
@@ -0,0 +1,42 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadSessionRepository = require('./load-session-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new LoadSessionRepository()
+}
+
+
+describe('LoadSession Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if no session is found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_id')).toBeNull()
+	});
+
+	test('Should return the session', async () => {
+		const sut = makeSut();
+		await sessionModel.insertOne({ _id: 'any_id', userId: 'any_user_id', revokedAt: null })
+		const session = await sut.load('any_id')
+		expect(session.userId).toBe('any_user_id')
+	});
+
+	test('Should throw if no sessionId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('sessionId'))
+	});
+})
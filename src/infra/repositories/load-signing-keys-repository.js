@@ -0,0 +1,11 @@
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadSigningKeysRepository {
+	async load() {
+		const signingKeyModel = await MongoHelper.getCollection('signingKeys')
+		return signingKeyModel
+			.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+			.sort({ createdAt: -1 })
+			.toArray()
+	}
+}
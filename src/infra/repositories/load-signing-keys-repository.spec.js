@@ -0,0 +1,40 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadSigningKeysRepository = require('./load-signing-keys-repository')
+let signingKeyModel;
+
+const makeSut = () => {
+	return new LoadSigningKeysRepository()
+}
+
+
+describe('LoadSigningKeys Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		signingKeyModel = await MongoHelper.getCollection('signingKeys');
+	});
+
+	beforeEach(async () => {
+		await signingKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the keys still valid for verification, newest first', async () => {
+		await signingKeyModel.insertMany([
+			{ kid: 'expired_kid', createdAt: new Date(Date.now() - 3000), retiredAt: new Date(), expiresAt: new Date(Date.now() - 1000) },
+			{ kid: 'retired_kid', createdAt: new Date(Date.now() - 2000), retiredAt: new Date(), expiresAt: new Date(Date.now() + 60000) },
+			{ kid: 'active_kid', createdAt: new Date(Date.now() - 1000), retiredAt: null, expiresAt: null }
+		])
+		const sut = makeSut();
+		const signingKeys = await sut.load()
+		expect(signingKeys.map(({ kid }) => kid)).toEqual(['active_kid', 'retired_kid'])
+	});
+
+	test('Should return an empty list if there are no keys', async () => {
+		const sut = makeSut();
+		expect(await sut.load()).toEqual([])
+	});
+})
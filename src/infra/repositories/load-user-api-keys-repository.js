@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadUserApiKeysRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		return apiKeyModel
+			.find({ userId, revokedAt: null }, { projection: { keyHash: 0 } })
+			.sort({ createdAt: -1 })
+			.toArray()
+	}
+}
@@ -0,0 +1,43 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadUserApiKeysRepository = require('./load-user-api-keys-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new LoadUserApiKeysRepository()
+}
+
+
+describe('LoadUserApiKeys Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the active api keys of the user without their hash, newest first', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertMany([
+			{ _id: 'old_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(Date.now() - 60000), revokedAt: null },
+			{ _id: 'recent_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: null },
+			{ _id: 'revoked_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: new Date() },
+			{ _id: 'other_id', userId: 'other_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: null }
+		])
+		const apiKeys = await sut.load('any_user_id')
+		expect(apiKeys.map(({ _id }) => _id)).toEqual(['recent_id', 'old_id'])
+		expect(apiKeys[0].keyHash).toBeUndefined()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
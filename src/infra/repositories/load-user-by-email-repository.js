@@ -7,7 +7,7 @@ module.exports = class LoadUserByEmailRepository {
 			throw new MissingParamError('email')
 		}
 		const userModel = await MongoHelper.getCollection('users')
-		const user = await userModel.findOne({ email }, { projection: { password: 1 } })
+		const user = await userModel.findOne({ email }, { projection: { password: 1, emailVerified: 1, roles: 1, permissions: 1, 'twoFactor.enabled': 1, disabledAt: 1, passwordResetRequired: 1 } })
 		return user
 	}
 }
\ No newline at end of file
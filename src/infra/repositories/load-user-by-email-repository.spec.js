@@ -36,10 +36,13 @@ describe('LoadUserByEmail Repository', () => {
 			name: 'any_name',
 			age: 50,
 			state: 'any_state',
-			password: 'hashed_password'
+			password: 'hashed_password',
+			roles: ['user']
 		});
 		const user = await sut.load('valid_email@mail.com')
 		expect(user._id).toEqual(fakeUser.insertedId)
+		expect(user.roles).toEqual(['user'])
+		expect(user.name).toBeUndefined()
 	});
 
 	test('Should throw if no email is provided', async () => {
@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadUserByIdRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		const user = await userModel.findOne({ _id: MongoHelper.parseId(userId) }, { projection: { name: 1, email: 1, emailVerified: 1, roles: 1, permissions: 1, twoFactor: 1, disabledAt: 1, passwordResetRequired: 1 } })
+		return user
+	}
+}
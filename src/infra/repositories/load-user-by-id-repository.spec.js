@@ -0,0 +1,72 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadUserByIdRepository = require('./load-user-by-id-repository');
+const { MissingParamError } = require('../../utils/errors');
+let userModel;
+
+const makeSut = () => {
+	return new LoadUserByIdRepository()
+}
+
+
+describe('LoadUserById Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return null if no user is found', async () => {
+		const sut = makeSut();
+		const user = await sut.load('invalid_id')
+		expect(user).toBeNull()
+	});
+
+	test('Should return the user without credentials', async () => {
+		const sut = makeSut();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			name: 'any_name',
+			password: 'hashed_password',
+			roles: ['admin'],
+			twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] }
+		});
+		const user = await sut.load(fakeUser.insertedId)
+		expect(user).toEqual({
+			_id: fakeUser.insertedId,
+			email: 'valid_email@mail.com',
+			name: 'any_name',
+			roles: ['admin'],
+			twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] }
+		})
+	});
+
+	test('Should accept the id of the user as a string', async () => {
+		const sut = makeSut();
+		const fakeUser = await userModel.insertOne({ email: 'valid_email@mail.com', name: 'any_name' });
+		const user = await sut.load(fakeUser.insertedId.toHexString())
+		expect(user._id).toEqual(fakeUser.insertedId)
+	});
+
+	test('Should expose whether the account is disabled', async () => {
+		const sut = makeSut();
+		const disabledAt = new Date()
+		const fakeUser = await userModel.insertOne({ email: 'valid_email@mail.com', disabledAt, passwordResetRequired: true });
+		const user = await sut.load(fakeUser.insertedId)
+		expect(user.disabledAt).toEqual(disabledAt)
+		expect(user.passwordResetRequired).toBe(true)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		const promise = sut.load()
+		expect(promise).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
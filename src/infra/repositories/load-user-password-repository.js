@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadUserPasswordRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		const user = await userModel.findOne({ _id: userId }, { projection: { password: 1 } })
+		return user && user.password
+	}
+}
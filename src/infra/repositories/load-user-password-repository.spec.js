@@ -0,0 +1,47 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const LoadUserPasswordRepository = require('./load-user-password-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new LoadUserPasswordRepository();
+}
+
+
+describe('LoadUserPassword Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password'
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the password hash of the user', async () => {
+		const sut = makeSut();
+		const password = await sut.load(fakeUserId);
+		expect(password).toBe('hashed_password');
+	});
+
+	test('Should return null if the user is not found', async () => {
+		const sut = makeSut();
+		const password = await sut.load('invalid_id');
+		expect(password).toBeNull();
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LoadUserSessionsRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		return sessionModel.find({ userId, revokedAt: null }).sort({ lastSeenAt: -1 }).toArray()
+	}
+}
@@ -0,0 +1,42 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadUserSessionsRepository = require('./load-user-sessions-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new LoadUserSessionsRepository()
+}
+
+
+describe('LoadUserSessions Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return the active sessions of the user, most recently seen first', async () => {
+		const sut = makeSut();
+		await sessionModel.insertMany([
+			{ _id: 'old_id', userId: 'any_user_id', lastSeenAt: new Date(Date.now() - 60000), revokedAt: null },
+			{ _id: 'recent_id', userId: 'any_user_id', lastSeenAt: new Date(), revokedAt: null },
+			{ _id: 'revoked_id', userId: 'any_user_id', lastSeenAt: new Date(), revokedAt: new Date() },
+			{ _id: 'other_id', userId: 'other_user_id', lastSeenAt: new Date(), revokedAt: null }
+		])
+		const sessions = await sut.load('any_user_id')
+		expect(sessions.map(({ _id }) => _id)).toEqual(['recent_id', 'old_id'])
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
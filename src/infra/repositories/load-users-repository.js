@@ -0,0 +1,30 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+const STATUS_FILTERS = {
+	active: { disabledAt: null },
+	disabled: { disabledAt: { $ne: null } }
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+module.exports = class LoadUsersRepository {
+	async load({ after, limit, email, status } = {}) {
+		if (!limit) {
+			throw new MissingParamError('limit')
+		}
+		const filter = { ...STATUS_FILTERS[status] }
+		if (email) {
+			filter.email = { $regex: escapeRegExp(email), $options: 'i' }
+		}
+		if (after) {
+			filter._id = { $gt: MongoHelper.parseId(after) }
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		return userModel
+			.find(filter, { projection: { name: 1, email: 1, emailVerified: 1, roles: 1, 'twoFactor.enabled': 1, disabledAt: 1, passwordResetRequired: 1 } })
+			.sort({ _id: 1 })
+			.limit(limit)
+			.toArray()
+	}
+}
@@ -0,0 +1,58 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LoadUsersRepository = require('./load-users-repository')
+const { MissingParamError } = require('../../utils/errors')
+let userModel;
+
+const makeSut = () => {
+	return new LoadUsersRepository()
+}
+
+
+describe('LoadUsers Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await userModel.insertMany([
+			{ email: 'first@mail.com', password: 'hashed_password', disabledAt: null },
+			{ email: 'second@mail.com', password: 'hashed_password', disabledAt: new Date() },
+			{ email: 'third@other.com', password: 'hashed_password', twoFactor: { secret: 'any_secret', enabled: true } }
+		])
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return a page of users without credentials', async () => {
+		const sut = makeSut();
+		const users = await sut.load({ limit: 2 })
+		expect(users.map(({ email }) => email)).toEqual(['first@mail.com', 'second@mail.com'])
+		expect(users[0].password).toBeUndefined()
+	});
+
+	test('Should continue after the cursor', async () => {
+		const sut = makeSut();
+		const [first] = await sut.load({ limit: 1 })
+		const users = await sut.load({ after: first._id.toHexString(), limit: 10 })
+		expect(users.map(({ email }) => email)).toEqual(['second@mail.com', 'third@other.com'])
+		expect(users[1].twoFactor).toEqual({ enabled: true })
+	});
+
+	test('Should filter by email and status', async () => {
+		const sut = makeSut();
+		expect((await sut.load({ limit: 10, email: 'MAIL.com' })).map(({ email }) => email)).toEqual(['first@mail.com', 'second@mail.com'])
+		expect((await sut.load({ limit: 10, status: 'active' })).map(({ email }) => email)).toEqual(['first@mail.com', 'third@other.com'])
+		expect((await sut.load({ limit: 10, status: 'disabled' })).map(({ email }) => email)).toEqual(['second@mail.com'])
+		expect(await sut.load({ limit: 10, email: '.*' })).toEqual([])
+	});
+
+	test('Should throw if no limit is provided', async () => {
+		const sut = makeSut();
+		expect(sut.load()).rejects.toThrow(new MissingParamError('limit'))
+	});
+})
@@ -0,0 +1,21 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LockLoginAttemptsRepository {
+	async lock(key, lockedUntil, expiresAt) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		if (!lockedUntil) {
+			throw new MissingParamError('lockedUntil')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const loginAttemptsModel = await MongoHelper.getCollection('loginAttempts')
+		await loginAttemptsModel.updateOne(
+			{ key },
+			{ $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 }, $max: { expiresAt } }
+		)
+	}
+}
@@ -0,0 +1,45 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LockLoginAttemptsRepository = require('./lock-login-attempts-repository')
+const { MissingParamError } = require('../../utils/errors')
+let loginAttemptsModel;
+
+const makeSut = () => {
+	return new LockLoginAttemptsRepository()
+}
+
+
+describe('LockLoginAttempts Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		loginAttemptsModel = await MongoHelper.getCollection('loginAttempts');
+	});
+
+	beforeEach(async () => {
+		await loginAttemptsModel.deleteMany();
+		await loginAttemptsModel.insertOne({ key: 'email:any_email@mail.com', failures: 5, lockouts: 1, lockedUntil: null, expiresAt: new Date() })
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should lock the key and reset its failures', async () => {
+		const sut = makeSut();
+		const lockedUntil = new Date(Date.now() + 60000)
+		const expiresAt = new Date(Date.now() + 120000)
+		await sut.lock('email:any_email@mail.com', lockedUntil, expiresAt)
+		const loginAttempts = await loginAttemptsModel.findOne({ key: 'email:any_email@mail.com' })
+		expect(loginAttempts.failures).toBe(0)
+		expect(loginAttempts.lockouts).toBe(2)
+		expect(loginAttempts.lockedUntil).toEqual(lockedUntil)
+		expect(loginAttempts.expiresAt).toEqual(expiresAt)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.lock()).rejects.toThrow(new MissingParamError('key'))
+		expect(sut.lock('email:any_email@mail.com')).rejects.toThrow(new MissingParamError('lockedUntil'))
+		expect(sut.lock('email:any_email@mail.com', new Date())).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
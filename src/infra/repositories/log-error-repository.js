@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class LogErrorRepository {
+	async log({ stack, requestId, route } = {}) {
+		if (!stack) {
+			throw new MissingParamError('stack')
+		}
+		const errorModel = await MongoHelper.getCollection('errors')
+		await errorModel.insertOne({
+			stack,
+			requestId,
+			route,
+			date: new Date()
+		})
+	}
+}
@@ -0,0 +1,39 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const LogErrorRepository = require('./log-error-repository')
+const { MissingParamError } = require('../../utils/errors')
+let errorModel;
+
+const makeSut = () => {
+	return new LogErrorRepository()
+}
+
+
+describe('LogError Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		errorModel = await MongoHelper.getCollection('errors');
+	});
+
+	beforeEach(async () => {
+		await errorModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store the error with its request id and route', async () => {
+		const sut = makeSut();
+		await sut.log({ stack: 'any_stack', requestId: 'any_request_id', route: 'POST /api/login' })
+		const error = await errorModel.findOne({ requestId: 'any_request_id' })
+		expect(error.stack).toBe('any_stack')
+		expect(error.route).toBe('POST /api/login')
+		expect(error.date).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no stack is provided', async () => {
+		const sut = makeSut();
+		expect(sut.log()).rejects.toThrow(new MissingParamError('stack'))
+	});
+})
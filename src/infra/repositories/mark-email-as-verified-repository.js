@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class MarkEmailAsVerifiedRepository {
+	async mark(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } })
+	}
+}
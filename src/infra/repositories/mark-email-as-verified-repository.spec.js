@@ -0,0 +1,44 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const MarkEmailAsVerifiedRepository = require('./mark-email-as-verified-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new MarkEmailAsVerifiedRepository();
+}
+
+
+describe('MarkEmailAsVerified Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			emailVerified: false
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should mark the email of the user as verified', async () => {
+		const sut = makeSut();
+		await sut.mark(fakeUserId);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.emailVerified).toBe(true);
+		expect(updatedFakeUser.emailVerifiedAt).toBeInstanceOf(Date);
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.mark()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,16 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class MarkRefreshTokenAsUsedRepository {
+	async mark(id) {
+		if (!id) {
+			throw new MissingParamError('id')
+		}
+		const refreshTokenModel = await MongoHelper.getCollection('refreshTokens')
+		const { modifiedCount } = await refreshTokenModel.updateOne(
+			{ _id: id, usedAt: null },
+			{ $set: { usedAt: new Date() } }
+		)
+		return modifiedCount === 1
+	}
+}
@@ -0,0 +1,53 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const MarkRefreshTokenAsUsedRepository = require('./mark-refresh-token-as-used-repository')
+const { MissingParamError } = require('../../utils/errors')
+let refreshTokenModel;
+let fakeRefreshTokenId;
+
+const makeSut = () => {
+	return new MarkRefreshTokenAsUsedRepository()
+}
+
+
+describe('MarkRefreshTokenAsUsed Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await refreshTokenModel.deleteMany();
+		const fakeRefreshToken = await refreshTokenModel.insertOne({
+			userId: 'any_user_id',
+			family: 'any_family',
+			tokenHash: 'hashed_token',
+			usedAt: null
+		})
+		fakeRefreshTokenId = fakeRefreshToken.insertedId
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should mark the refresh token as used and return true', async () => {
+		const sut = makeSut();
+		const marked = await sut.mark(fakeRefreshTokenId)
+		const refreshToken = await refreshTokenModel.findOne({ _id: fakeRefreshTokenId })
+		expect(marked).toBe(true)
+		expect(refreshToken.usedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should return false if the refresh token was already used', async () => {
+		const sut = makeSut();
+		await sut.mark(fakeRefreshTokenId)
+		const marked = await sut.mark(fakeRefreshTokenId)
+		expect(marked).toBe(false)
+	});
+
+	test('Should throw if no id is provided', async () => {
+		const sut = makeSut();
+		expect(sut.mark()).rejects.toThrow(new MissingParamError('id'))
+	});
+})
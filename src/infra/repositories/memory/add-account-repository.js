@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddAccountRepository {
+	async add({ name, email, password, roles = [] } = {}) {
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		if (users.some(user => user.email === email)) {
+			return null
+		}
+		const _id = MemoryHelper.generateId()
+		users.push({ _id, name, email, password, roles, emailVerified: false })
+		return { _id, name, email, roles }
+	}
+}
@@ -0,0 +1,40 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddAccountRepository = require('./add-account-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddAccountRepository()
+}
+
+describe('AddAccount Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store the account as unverified and return it without the password', async () => {
+		const sut = makeSut();
+		const account = await sut.add({ name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password', roles: ['user'] })
+		expect(account).toEqual({ _id: expect.any(String), name: 'any_name', email: 'valid_email@mail.com', roles: ['user'] })
+		const [user] = await MemoryHelper.getCollection('users')
+		expect(user).toEqual({ ...account, password: 'hashed_password', emailVerified: false })
+	});
+
+	test('Should return null if the email is already taken', async () => {
+		const sut = makeSut();
+		await sut.add({ name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password' })
+		expect(await sut.add({ name: 'other_name', email: 'valid_email@mail.com', password: 'other_password' })).toBeNull()
+		expect(await MemoryHelper.getCollection('users')).toHaveLength(1)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('email'))
+		await expect(sut.add({ email: 'valid_email@mail.com' })).rejects.toThrow(new MissingParamError('password'))
+	});
+
+	test('Should store the account without roles when none are given', async () => {
+		const sut = makeSut();
+		const account = await sut.add({ name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password' })
+		expect(account.roles).toEqual([])
+	});
+})
@@ -0,0 +1,31 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddApiKeyRepository {
+	async add({ userId, name, scopes, prefix, keyHash, expiresAt } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!prefix) {
+			throw new MissingParamError('prefix')
+		}
+		if (!keyHash) {
+			throw new MissingParamError('keyHash')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		const apiKey = {
+			_id: MemoryHelper.generateId(),
+			userId,
+			name: name || null,
+			scopes: scopes || [],
+			prefix,
+			keyHash,
+			createdAt: new Date(),
+			expiresAt: expiresAt || null,
+			lastUsedAt: null,
+			revokedAt: null
+		}
+		apiKeys.push(apiKey)
+		return apiKey._id
+	}
+}
@@ -0,0 +1,44 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddApiKeyRepository = require('./add-api-key-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddApiKeyRepository()
+}
+
+describe('AddApiKey Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store an active api key and return its id', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		const apiKeyId = await sut.add({ userId: 'any_user_id', name: 'any_name', scopes: ['any_scope'], prefix: 'any_prefix', keyHash: 'any_hash', expiresAt })
+		const [apiKey] = await MemoryHelper.getCollection('apiKeys')
+		expect(apiKey._id).toBe(apiKeyId)
+		expect(apiKey.userId).toBe('any_user_id')
+		expect(apiKey.name).toBe('any_name')
+		expect(apiKey.scopes).toEqual(['any_scope'])
+		expect(apiKey.prefix).toBe('any_prefix')
+		expect(apiKey.keyHash).toBe('any_hash')
+		expect(apiKey.expiresAt).toEqual(expiresAt)
+		expect(apiKey.lastUsedAt).toBeNull()
+		expect(apiKey.revokedAt).toBeNull()
+	});
+
+	test('Should default to no scopes and no expiry', async () => {
+		const sut = makeSut();
+		await sut.add({ userId: 'any_user_id', prefix: 'any_prefix', keyHash: 'any_hash' })
+		const [apiKey] = await MemoryHelper.getCollection('apiKeys')
+		expect(apiKey.scopes).toEqual([])
+		expect(apiKey.expiresAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.add({ userId: 'any_user_id' })).rejects.toThrow(new MissingParamError('prefix'))
+		await expect(sut.add({ userId: 'any_user_id', prefix: 'any_prefix' })).rejects.toThrow(new MissingParamError('keyHash'))
+	});
+})
@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddAuditLogRepository {
+	async add({ type, occurredAt, userId, ip, userAgent, data } = {}) {
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		const auditLog = await MemoryHelper.getCollection('audit_log')
+		auditLog.push({
+			_id: MemoryHelper.generateId(),
+			type,
+			occurredAt: occurredAt || new Date(),
+			userId: userId || null,
+			ip: ip || null,
+			userAgent: userAgent || null,
+			data: data || {}
+		})
+	}
+}
@@ -0,0 +1,30 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddAuditLogRepository = require('./add-audit-log-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddAuditLogRepository()
+}
+
+describe('AddAuditLog Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should append the event to the audit log', async () => {
+		const sut = makeSut();
+		const occurredAt = new Date()
+		await sut.add({ type: 'LoginSucceeded', occurredAt, userId: 'any_user_id', ip: '127.0.0.1', userAgent: 'any_agent', data: { method: 'password' } })
+		await sut.add({ type: 'LoginFailed', data: { reason: 'unknown-user' } })
+		const auditLog = await MemoryHelper.getCollection('audit_log')
+		expect(auditLog).toHaveLength(2)
+		expect(auditLog[0]).toMatchObject({ type: 'LoginSucceeded', occurredAt, userId: 'any_user_id', ip: '127.0.0.1', userAgent: 'any_agent', data: { method: 'password' } })
+		expect(auditLog[1]).toMatchObject({ type: 'LoginFailed', userId: null, ip: null, userAgent: null })
+		expect(auditLog[1].occurredAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no type is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('type'))
+	});
+})
@@ -0,0 +1,27 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddOAuthClientRepository {
+	async add({ clientId, clientSecretHash, name, redirectUris, grantTypes, scopes, ownerId } = {}) {
+		if (!clientId) {
+			throw new MissingParamError('clientId')
+		}
+		if (!name) {
+			throw new MissingParamError('name')
+		}
+		const oauthClients = await MemoryHelper.getCollection('oauthClients')
+		const oauthClient = {
+			_id: MemoryHelper.generateId(),
+			clientId,
+			clientSecretHash: clientSecretHash || null,
+			name,
+			redirectUris: redirectUris || [],
+			grantTypes: grantTypes || [],
+			scopes: scopes || [],
+			ownerId: ownerId || null,
+			createdAt: new Date()
+		}
+		oauthClients.push(oauthClient)
+		return oauthClient._id
+	}
+}
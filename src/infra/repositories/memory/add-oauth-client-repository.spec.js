@@ -0,0 +1,51 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddOAuthClientRepository = require('./add-oauth-client-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddOAuthClientRepository()
+}
+
+describe('AddOAuthClient Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store the client and return its id', async () => {
+		const sut = makeSut();
+		const id = await sut.add({
+			clientId: 'any_client_id',
+			clientSecretHash: 'any_hash',
+			name: 'any_name',
+			redirectUris: ['https://any.app/callback'],
+			grantTypes: ['authorization_code'],
+			scopes: ['openid'],
+			ownerId: 'any_user_id'
+		})
+		const [oauthClient] = await MemoryHelper.getCollection('oauthClients')
+		expect(oauthClient._id).toBe(id)
+		expect(oauthClient).toMatchObject({
+			clientId: 'any_client_id',
+			clientSecretHash: 'any_hash',
+			name: 'any_name',
+			redirectUris: ['https://any.app/callback'],
+			grantTypes: ['authorization_code'],
+			scopes: ['openid'],
+			ownerId: 'any_user_id'
+		})
+		expect(oauthClient.createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should store public clients without a secret', async () => {
+		const sut = makeSut();
+		await sut.add({ clientId: 'any_client_id', name: 'any_name' })
+		const [oauthClient] = await MemoryHelper.getCollection('oauthClients')
+		expect(oauthClient).toMatchObject({ clientSecretHash: null, redirectUris: [], grantTypes: [], scopes: [], ownerId: null })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('clientId'))
+		await expect(sut.add({ clientId: 'any_client_id' })).rejects.toThrow(new MissingParamError('name'))
+	});
+})
@@ -0,0 +1,32 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddRefreshTokenRepository {
+	async add({ userId, family, tokenHash, expiresAt, clientId = null, scope = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!family) {
+			throw new MissingParamError('family')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push({
+			_id: MemoryHelper.generateId(),
+			userId,
+			family,
+			tokenHash,
+			expiresAt,
+			clientId,
+			scope,
+			createdAt: new Date(),
+			usedAt: null,
+			revokedAt: null
+		})
+	}
+}
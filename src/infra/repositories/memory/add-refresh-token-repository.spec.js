@@ -0,0 +1,40 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddRefreshTokenRepository = require('./add-refresh-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddRefreshTokenRepository()
+}
+
+describe('AddRefreshToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store an unused and unrevoked refresh token', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.add({ userId: 'any_user_id', family: 'any_family', tokenHash: 'any_hash', expiresAt })
+		const [refreshToken] = await MemoryHelper.getCollection('refreshTokens')
+		expect(refreshToken).toMatchObject({ userId: 'any_user_id', family: 'any_family', tokenHash: 'any_hash', expiresAt, usedAt: null, revokedAt: null })
+		expect(refreshToken._id).toBeTruthy()
+		expect(refreshToken.createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should default to no client and no scope', async () => {
+		const sut = makeSut();
+		await sut.add({ userId: 'any_user_id', family: 'any_family', tokenHash: 'any_hash', expiresAt: new Date(Date.now() + 60000), clientId: 'any_client_id' })
+		await sut.add({ userId: 'any_user_id', family: 'any_family', tokenHash: 'other_hash', expiresAt: new Date(Date.now() + 60000) })
+		const [bound, firstParty] = await MemoryHelper.getCollection('refreshTokens')
+		expect(bound).toMatchObject({ clientId: 'any_client_id', scope: null })
+		expect(firstParty).toMatchObject({ clientId: null, scope: null })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.add({ userId: 'any_user_id' })).rejects.toThrow(new MissingParamError('family'))
+		await expect(sut.add({ userId: 'any_user_id', family: 'any_family' })).rejects.toThrow(new MissingParamError('tokenHash'))
+		await expect(sut.add({ userId: 'any_user_id', family: 'any_family', tokenHash: 'any_hash' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddRevokedTokenRepository {
+	async add({ jti, expiresAt } = {}) {
+		if (!jti) {
+			throw new MissingParamError('jti')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const revokedTokens = await MemoryHelper.getCollection('revokedTokens')
+		const revokedToken = revokedTokens.find(revokedToken => revokedToken.jti === jti)
+		if (revokedToken) {
+			revokedToken.expiresAt = expiresAt
+			return
+		}
+		revokedTokens.push({ _id: MemoryHelper.generateId(), jti, expiresAt, revokedAt: new Date() })
+	}
+}
@@ -0,0 +1,35 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddRevokedTokenRepository = require('./add-revoked-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddRevokedTokenRepository()
+}
+
+describe('AddRevokedToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should add the token id to the revocation list', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.add({ jti: 'any_jti', expiresAt })
+		const [revokedToken] = await MemoryHelper.getCollection('revokedTokens')
+		expect(revokedToken.expiresAt).toEqual(expiresAt)
+		expect(revokedToken.revokedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should not duplicate a token id revoked twice', async () => {
+		const sut = makeSut();
+		await sut.add({ jti: 'any_jti', expiresAt: new Date(Date.now() + 60000) })
+		await sut.add({ jti: 'any_jti', expiresAt: new Date(Date.now() + 60000) })
+		expect(await MemoryHelper.getCollection('revokedTokens')).toHaveLength(1)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('jti'))
+		await expect(sut.add({ jti: 'any_jti' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
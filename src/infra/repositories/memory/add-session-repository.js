@@ -0,0 +1,24 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddSessionRepository {
+	async add({ userId, userAgent, ip, expiresAt = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const now = new Date()
+		const session = {
+			_id: MemoryHelper.generateId(),
+			userId,
+			userAgent: userAgent || null,
+			ip: ip || null,
+			createdAt: now,
+			lastSeenAt: now,
+			expiresAt,
+			revokedAt: null
+		}
+		sessions.push(session)
+		return session._id
+	}
+}
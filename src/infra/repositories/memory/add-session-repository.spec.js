@@ -0,0 +1,39 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddSessionRepository = require('./add-session-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddSessionRepository()
+}
+
+describe('AddSession Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store an active session and return its id', async () => {
+		const sut = makeSut();
+		const sessionId = await sut.add({ userId: 'any_user_id', userAgent: 'any_agent', ip: '127.0.0.1' })
+		const [session] = await MemoryHelper.getCollection('sessions')
+		expect(session._id).toBe(sessionId)
+		expect(session.userId).toBe('any_user_id')
+		expect(session.userAgent).toBe('any_agent')
+		expect(session.ip).toBe('127.0.0.1')
+		expect(session.lastSeenAt).toEqual(session.createdAt)
+		expect(session.expiresAt).toBeNull()
+		expect(session.revokedAt).toBeNull()
+	});
+
+	test('Should store the expiration when one is given', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.add({ userId: 'any_user_id', expiresAt })
+		const [session] = await MemoryHelper.getCollection('sessions')
+		expect(session.expiresAt).toBe(expiresAt)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,21 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddSigningKeyRepository {
+	async add({ kid, algorithm, publicKey, privateKey } = {}) {
+		if (!kid) {
+			throw new MissingParamError('kid')
+		}
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		signingKeys.push({
+			_id: MemoryHelper.generateId(),
+			kid,
+			algorithm,
+			publicKey,
+			privateKey,
+			createdAt: new Date(),
+			retiredAt: null,
+			expiresAt: null
+		})
+	}
+}
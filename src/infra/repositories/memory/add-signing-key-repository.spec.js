@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddSigningKeyRepository = require('./add-signing-key-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddSigningKeyRepository()
+}
+
+describe('AddSigningKey Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store an active signing key', async () => {
+		const sut = makeSut();
+		await sut.add({ kid: 'any_kid', algorithm: 'RS256', publicKey: 'any_public_key', privateKey: 'any_private_key' })
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		expect(signingKeys).toHaveLength(1)
+		expect(signingKeys[0]).toMatchObject({ kid: 'any_kid', algorithm: 'RS256', publicKey: 'any_public_key', privateKey: 'any_private_key', retiredAt: null, expiresAt: null })
+		expect(signingKeys[0].createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no kid is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('kid'))
+	});
+})
@@ -0,0 +1,30 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class AddUserTokenRepository {
+	async add({ userId, type, tokenHash, expiresAt, data = null } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const userTokens = await MemoryHelper.getCollection('userTokens')
+		userTokens.push({
+			_id: MemoryHelper.generateId(),
+			userId,
+			type,
+			tokenHash,
+			expiresAt,
+			data,
+			createdAt: new Date(),
+			usedAt: null
+		})
+	}
+}
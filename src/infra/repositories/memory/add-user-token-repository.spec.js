@@ -0,0 +1,39 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const AddUserTokenRepository = require('./add-user-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new AddUserTokenRepository()
+}
+
+describe('AddUserToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store an unused user token', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.add({ userId: 'any_user_id', type: 'passwordReset', tokenHash: 'any_hash', expiresAt })
+		const [userToken] = await MemoryHelper.getCollection('userTokens')
+		expect(userToken).toMatchObject({ userId: 'any_user_id', type: 'passwordReset', tokenHash: 'any_hash', expiresAt, usedAt: null })
+		expect(userToken.createdAt).toBeInstanceOf(Date)
+	});
+
+	test('Should keep the data attached to the token', async () => {
+		const sut = makeSut();
+		await sut.add({ userId: 'any_user_id', type: 'authorizationCode', tokenHash: 'any_hash', expiresAt: new Date(Date.now() + 60000), data: { clientId: 'any_client_id' } })
+		await sut.add({ userId: 'any_user_id', type: 'passwordReset', tokenHash: 'other_hash', expiresAt: new Date(Date.now() + 60000) })
+		const [withData, withoutData] = await MemoryHelper.getCollection('userTokens')
+		expect(withData.data).toEqual({ clientId: 'any_client_id' })
+		expect(withoutData.data).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.add()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.add({ userId: 'any_user_id' })).rejects.toThrow(new MissingParamError('type'))
+		await expect(sut.add({ userId: 'any_user_id', type: 'passwordReset' })).rejects.toThrow(new MissingParamError('tokenHash'))
+		await expect(sut.add({ userId: 'any_user_id', type: 'passwordReset', tokenHash: 'any_hash' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
@@ -0,0 +1,22 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class ConsumeRecoveryCodeRepository {
+	async consume(userId, codeHash) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!codeHash) {
+			throw new MissingParamError('codeHash')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		const recoveryCodes = user && user.twoFactor ? user.twoFactor.recoveryCodes : []
+		const index = recoveryCodes.indexOf(codeHash)
+		if (index === -1) {
+			return false
+		}
+		recoveryCodes.splice(index, 1)
+		return true
+	}
+}
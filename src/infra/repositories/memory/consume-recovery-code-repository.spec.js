@@ -0,0 +1,33 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const ConsumeRecoveryCodeRepository = require('./consume-recovery-code-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new ConsumeRecoveryCodeRepository()
+}
+
+describe('ConsumeRecoveryCode Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should remove the code and return true only on its first use', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: ['any_code', 'other_code'] } })
+		const sut = makeSut();
+		expect(await sut.consume('any_id', 'any_code')).toBe(true)
+		expect(await sut.consume('any_id', 'any_code')).toBe(false)
+		expect(users[0].twoFactor.recoveryCodes).toEqual(['other_code'])
+	});
+
+	test('Should return false for unknown users or codes', async () => {
+		const sut = makeSut();
+		expect(await sut.consume('invalid_id', 'any_code')).toBe(false)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.consume()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.consume('any_id')).rejects.toThrow(new MissingParamError('codeHash'))
+	});
+})
@@ -0,0 +1,20 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class ConsumeTotpStepRepository {
+	async consume(userId, step) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (step === undefined || step === null) {
+			throw new MissingParamError('step')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (!user || !user.twoFactor || user.twoFactor.lastUsedStep >= step) {
+			return false
+		}
+		user.twoFactor.lastUsedStep = step
+		return true
+	}
+}
@@ -0,0 +1,35 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const ConsumeTotpStepRepository = require('./consume-totp-step-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new ConsumeTotpStepRepository()
+}
+
+describe('ConsumeTotpStep Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should accept a step only if it is newer than the last one used', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] } })
+		const sut = makeSut();
+		expect(await sut.consume('any_id', 100)).toBe(true)
+		expect(await sut.consume('any_id', 100)).toBe(false)
+		expect(await sut.consume('any_id', 99)).toBe(false)
+		expect(await sut.consume('any_id', 101)).toBe(true)
+		expect(users[0].twoFactor.lastUsedStep).toBe(101)
+	});
+
+	test('Should return false for unknown users', async () => {
+		const sut = makeSut();
+		expect(await sut.consume('invalid_id', 100)).toBe(false)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.consume()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.consume('any_id')).rejects.toThrow(new MissingParamError('step'))
+	});
+})
@@ -0,0 +1,25 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class ConsumeUserTokenRepository {
+	async consume(type, tokenHash) {
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		const userTokens = await MemoryHelper.getCollection('userTokens')
+		const now = new Date()
+		const userToken = userTokens.find(userToken => userToken.type === type &&
+			userToken.tokenHash === tokenHash &&
+			userToken.usedAt === null &&
+			userToken.expiresAt > now)
+		if (!userToken) {
+			return null
+		}
+		const value = { ...userToken }
+		userToken.usedAt = now
+		return value
+	}
+}
@@ -0,0 +1,48 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const ConsumeUserTokenRepository = require('./consume-user-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new ConsumeUserTokenRepository()
+}
+
+describe('ConsumeUserToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	const addUserToken = async (userToken) => {
+		const userTokens = await MemoryHelper.getCollection('userTokens')
+		userTokens.push({
+			userId: 'any_user_id',
+			type: 'passwordReset',
+			tokenHash: 'any_hash',
+			expiresAt: new Date(Date.now() + 60000),
+			usedAt: null,
+			...userToken
+		})
+	}
+
+	test('Should return the token and mark it as used only once', async () => {
+		await addUserToken()
+		const sut = makeSut();
+		const userToken = await sut.consume('passwordReset', 'any_hash')
+		expect(userToken.userId).toBe('any_user_id')
+		expect(userToken.usedAt).toBeNull()
+		expect(await sut.consume('passwordReset', 'any_hash')).toBeNull()
+	});
+
+	test('Should return null for another type or an expired token', async () => {
+		await addUserToken({ tokenHash: 'expired_hash', expiresAt: new Date(Date.now() - 1000) })
+		await addUserToken({ type: 'emailVerification' })
+		const sut = makeSut();
+		expect(await sut.consume('passwordReset', 'expired_hash')).toBeNull()
+		expect(await sut.consume('passwordReset', 'any_hash')).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.consume()).rejects.toThrow(new MissingParamError('type'))
+		await expect(sut.consume('passwordReset')).rejects.toThrow(new MissingParamError('tokenHash'))
+	});
+})
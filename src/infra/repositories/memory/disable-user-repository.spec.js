@@ -0,0 +1,35 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const DisableUserRepository = require('./disable-user-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new DisableUserRepository()
+}
+
+describe('DisableUser Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should mark the user as disabled', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', disabledAt: null })
+		const sut = makeSut();
+		await sut.disable('any_id')
+		expect(users[0].disabledAt).toBeInstanceOf(Date)
+	});
+
+	test('Should keep the original date when disabled twice', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		const disabledAt = new Date('2020-01-01T00:00:00.000Z')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', disabledAt })
+		const sut = makeSut();
+		await sut.disable('any_id')
+		expect(users[0].disabledAt).toBe(disabledAt)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.disable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
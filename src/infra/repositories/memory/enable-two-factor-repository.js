@@ -0,0 +1,16 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class EnableTwoFactorRepository {
+	async enable(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user && user.twoFactor) {
+			user.twoFactor.enabled = true
+			user.twoFactor.enabledAt = new Date()
+		}
+	}
+}
@@ -0,0 +1,28 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const EnableTwoFactorRepository = require('./enable-two-factor-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new EnableTwoFactorRepository()
+}
+
+describe('EnableTwoFactor Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should enable two-factor authentication for the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', twoFactor: { secret: 'any_secret', enabled: false, recoveryCodes: [] } })
+		const sut = makeSut();
+		await sut.enable('any_id')
+		expect(users[0].twoFactor.enabled).toBe(true)
+		expect(users[0].twoFactor.enabledAt).toBeInstanceOf(Date)
+		expect(users[0].twoFactor.secret).toBe('any_secret')
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.enable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
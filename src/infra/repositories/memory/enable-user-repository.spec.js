@@ -0,0 +1,26 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const EnableUserRepository = require('./enable-user-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new EnableUserRepository()
+}
+
+describe('EnableUser Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should clear the disabled mark of the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', disabledAt: new Date() })
+		const sut = makeSut();
+		await sut.enable('any_id')
+		expect(users[0].disabledAt).toBeNull()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.enable()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
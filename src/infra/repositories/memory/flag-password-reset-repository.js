@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class FlagPasswordResetRepository {
+	async flag(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user) {
+			user.passwordResetRequired = true
+		}
+	}
+}
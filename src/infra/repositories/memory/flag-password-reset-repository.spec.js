@@ -0,0 +1,26 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const FlagPasswordResetRepository = require('./flag-password-reset-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new FlagPasswordResetRepository()
+}
+
+describe('FlagPasswordReset Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should require the user to reset the password', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'hashed_password' })
+		const sut = makeSut();
+		await sut.flag('any_id')
+		expect(users[0].passwordResetRequired).toBe(true)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.flag()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
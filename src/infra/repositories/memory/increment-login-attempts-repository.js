@@ -0,0 +1,24 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class IncrementLoginAttemptsRepository {
+	async increment(key, expiresAt) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		let attempts = loginAttempts.find(attempts => attempts.key === key)
+		if (!attempts) {
+			attempts = { _id: MemoryHelper.generateId(), key, failures: 0, lockouts: 0, lockedUntil: null, expiresAt }
+			loginAttempts.push(attempts)
+		}
+		attempts.failures += 1
+		if (expiresAt > attempts.expiresAt) {
+			attempts.expiresAt = expiresAt
+		}
+		return { ...attempts }
+	}
+}
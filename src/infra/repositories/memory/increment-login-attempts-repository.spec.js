@@ -0,0 +1,35 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const IncrementLoginAttemptsRepository = require('./increment-login-attempts-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new IncrementLoginAttemptsRepository()
+}
+
+describe('IncrementLoginAttempts Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should create the attempts on the first failure', async () => {
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		const attempts = await sut.increment('any_key', expiresAt)
+		expect(attempts).toMatchObject({ key: 'any_key', failures: 1, lockouts: 0, lockedUntil: null, expiresAt })
+	});
+
+	test('Should increment the failures and keep the latest expiration', async () => {
+		const sut = makeSut();
+		const later = new Date(Date.now() + 120000)
+		await sut.increment('any_key', later)
+		const attempts = await sut.increment('any_key', new Date(Date.now() + 60000))
+		expect(attempts.failures).toBe(2)
+		expect(attempts.expiresAt).toEqual(later)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.increment()).rejects.toThrow(new MissingParamError('key'))
+		await expect(sut.increment('any_key')).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
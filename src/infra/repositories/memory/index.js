@@ -0,0 +1,103 @@
+const AddAccountRepository = require('./add-account-repository')
+const AddApiKeyRepository = require('./add-api-key-repository')
+const AddAuditLogRepository = require('./add-audit-log-repository')
+const AddOAuthClientRepository = require('./add-oauth-client-repository')
+const AddRefreshTokenRepository = require('./add-refresh-token-repository')
+const AddRevokedTokenRepository = require('./add-revoked-token-repository')
+const AddSessionRepository = require('./add-session-repository')
+const AddSigningKeyRepository = require('./add-signing-key-repository')
+const AddUserTokenRepository = require('./add-user-token-repository')
+const ConsumeRecoveryCodeRepository = require('./consume-recovery-code-repository')
+const ConsumeTotpStepRepository = require('./consume-totp-step-repository')
+const ConsumeUserTokenRepository = require('./consume-user-token-repository')
+const DisableUserRepository = require('./disable-user-repository')
+const EnableTwoFactorRepository = require('./enable-two-factor-repository')
+const EnableUserRepository = require('./enable-user-repository')
+const FlagPasswordResetRepository = require('./flag-password-reset-repository')
+const IncrementLoginAttemptsRepository = require('./increment-login-attempts-repository')
+const LoadApiKeyByPrefixRepository = require('./load-api-key-by-prefix-repository')
+const LoadAuditLogRepository = require('./load-audit-log-repository')
+const LoadLastUserTokenRepository = require('./load-last-user-token-repository')
+const LoadLoginAttemptsRepository = require('./load-login-attempts-repository')
+const LoadOAuthClientRepository = require('./load-oauth-client-repository')
+const LoadRefreshTokenByHashRepository = require('./load-refresh-token-by-hash-repository')
+const LoadRevokedTokenRepository = require('./load-revoked-token-repository')
+const LoadSessionRepository = require('./load-session-repository')
+const LoadSigningKeysRepository = require('./load-signing-keys-repository')
+const LoadUserApiKeysRepository = require('./load-user-api-keys-repository')
+const LoadUserByEmailRepository = require('./load-user-by-email-repository')
+const LoadUserByIdRepository = require('./load-user-by-id-repository')
+const LoadUserPasswordRepository = require('./load-user-password-repository')
+const LoadUserSessionsRepository = require('./load-user-sessions-repository')
+const LoadUsersRepository = require('./load-users-repository')
+const LockLoginAttemptsRepository = require('./lock-login-attempts-repository')
+const LogErrorRepository = require('./log-error-repository')
+const MarkEmailAsVerifiedRepository = require('./mark-email-as-verified-repository')
+const MarkRefreshTokenAsUsedRepository = require('./mark-refresh-token-as-used-repository')
+const RemoveLoginAttemptsRepository = require('./remove-login-attempts-repository')
+const RetireSigningKeysRepository = require('./retire-signing-keys-repository')
+const RevokeApiKeyRepository = require('./revoke-api-key-repository')
+const RevokeRefreshTokenFamilyRepository = require('./revoke-refresh-token-family-repository')
+const RevokeSessionRepository = require('./revoke-session-repository')
+const RevokeUserApiKeysRepository = require('./revoke-user-api-keys-repository')
+const RevokeUserRefreshTokensRepository = require('./revoke-user-refresh-tokens-repository')
+const RevokeUserSessionsRepository = require('./revoke-user-sessions-repository')
+const SaveTwoFactorSecretRepository = require('./save-two-factor-secret-repository')
+const TouchApiKeyRepository = require('./touch-api-key-repository')
+const TouchSessionRepository = require('./touch-session-repository')
+const UpdatePasswordRepository = require('./update-password-repository')
+const UpdateProfileRepository = require('./update-profile-repository')
+const UpdateRecoveryCodesRepository = require('./update-recovery-codes-repository')
+
+module.exports = {
+	AddAccountRepository,
+	AddApiKeyRepository,
+	AddAuditLogRepository,
+	AddOAuthClientRepository,
+	AddRefreshTokenRepository,
+	AddRevokedTokenRepository,
+	AddSessionRepository,
+	AddSigningKeyRepository,
+	AddUserTokenRepository,
+	ConsumeRecoveryCodeRepository,
+	ConsumeTotpStepRepository,
+	ConsumeUserTokenRepository,
+	DisableUserRepository,
+	EnableTwoFactorRepository,
+	EnableUserRepository,
+	FlagPasswordResetRepository,
+	IncrementLoginAttemptsRepository,
+	LoadApiKeyByPrefixRepository,
+	LoadAuditLogRepository,
+	LoadLastUserTokenRepository,
+	LoadLoginAttemptsRepository,
+	LoadOAuthClientRepository,
+	LoadRefreshTokenByHashRepository,
+	LoadRevokedTokenRepository,
+	LoadSessionRepository,
+	LoadSigningKeysRepository,
+	LoadUserApiKeysRepository,
+	LoadUserByEmailRepository,
+	LoadUserByIdRepository,
+	LoadUserPasswordRepository,
+	LoadUserSessionsRepository,
+	LoadUsersRepository,
+	LockLoginAttemptsRepository,
+	LogErrorRepository,
+	MarkEmailAsVerifiedRepository,
+	MarkRefreshTokenAsUsedRepository,
+	RemoveLoginAttemptsRepository,
+	RetireSigningKeysRepository,
+	RevokeApiKeyRepository,
+	RevokeRefreshTokenFamilyRepository,
+	RevokeSessionRepository,
+	RevokeUserApiKeysRepository,
+	RevokeUserRefreshTokensRepository,
+	RevokeUserSessionsRepository,
+	SaveTwoFactorSecretRepository,
+	TouchApiKeyRepository,
+	TouchSessionRepository,
+	UpdatePasswordRepository,
+	UpdateProfileRepository,
+	UpdateRecoveryCodesRepository
+}
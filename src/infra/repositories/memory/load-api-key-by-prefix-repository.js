@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadApiKeyByPrefixRepository {
+	async load(prefix) {
+		if (!prefix) {
+			throw new MissingParamError('prefix')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		const apiKey = apiKeys.find(apiKey => apiKey.prefix === prefix)
+		return apiKey ? { ...apiKey } : null
+	}
+}
@@ -0,0 +1,33 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadApiKeyByPrefixRepository = require('./load-api-key-by-prefix-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadApiKeyByPrefixRepository()
+}
+
+describe('LoadApiKeyByPrefix Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return null if no api key has the prefix', async () => {
+		const sut = makeSut();
+		const apiKey = await sut.load('invalid_prefix')
+		expect(apiKey).toBeNull()
+	});
+
+	test('Should return the api key with the prefix', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push({ _id: 'any_id', userId: 'any_user_id', prefix: 'any_prefix', keyHash: 'any_hash' })
+		const sut = makeSut();
+		const apiKey = await sut.load('any_prefix')
+		expect(apiKey._id).toBe('any_id')
+		expect(apiKey.keyHash).toBe('any_hash')
+	});
+
+	test('Should throw if no prefix is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('prefix'))
+	});
+})
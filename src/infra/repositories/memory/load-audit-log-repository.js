@@ -0,0 +1,22 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadAuditLogRepository {
+	async load({ userId, type, from, to, before, limit } = {}) {
+		if (!limit) {
+			throw new MissingParamError('limit')
+		}
+		const auditLog = await MemoryHelper.getCollection('audit_log')
+		const end = before ? auditLog.findIndex(entry => entry._id === before) : auditLog.length
+		if (end < 0) {
+			return []
+		}
+		return auditLog
+			.slice(0, end)
+			.reverse()
+			.filter(entry => !userId || entry.userId === userId)
+			.filter(entry => !type || entry.type === type)
+			.filter(entry => (!from || entry.occurredAt >= from) && (!to || entry.occurredAt <= to))
+			.slice(0, limit)
+	}
+}
@@ -0,0 +1,48 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadAuditLogRepository = require('./load-audit-log-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadAuditLogRepository()
+}
+
+describe('LoadAuditLog Memory Repository', () => {
+	beforeEach(async () => {
+		MemoryHelper.clear()
+		const auditLog = await MemoryHelper.getCollection('audit_log')
+		auditLog.push(
+			{ _id: 'first_id', type: 'LoginFailed', occurredAt: new Date('2024-01-01'), userId: null, data: {} },
+			{ _id: 'second_id', type: 'LoginSucceeded', occurredAt: new Date('2024-01-02'), userId: 'any_user_id', data: {} },
+			{ _id: 'third_id', type: 'TokenIssued', occurredAt: new Date('2024-01-03'), userId: 'any_user_id', data: {} }
+		)
+	});
+
+	test('Should return the newest entries first', async () => {
+		const sut = makeSut();
+		const entries = await sut.load({ limit: 2 })
+		expect(entries.map(({ _id }) => _id)).toEqual(['third_id', 'second_id'])
+	});
+
+	test('Should continue before the cursor', async () => {
+		const sut = makeSut();
+		const entries = await sut.load({ before: 'second_id', limit: 10 })
+		expect(entries.map(({ _id }) => _id)).toEqual(['first_id'])
+	});
+
+	test('Should return an empty page for an unknown cursor', async () => {
+		const sut = makeSut();
+		expect(await sut.load({ before: 'invalid_id', limit: 10 })).toEqual([])
+	});
+
+	test('Should filter by user, type and time range', async () => {
+		const sut = makeSut();
+		expect((await sut.load({ limit: 10, userId: 'any_user_id' })).map(({ _id }) => _id)).toEqual(['third_id', 'second_id'])
+		expect((await sut.load({ limit: 10, type: 'LoginFailed' })).map(({ _id }) => _id)).toEqual(['first_id'])
+		expect((await sut.load({ limit: 10, from: new Date('2024-01-02'), to: new Date('2024-01-02') })).map(({ _id }) => _id)).toEqual(['second_id'])
+	});
+
+	test('Should throw if no limit is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('limit'))
+	});
+})
@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadLastUserTokenRepository {
+	async load(userId, type) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		const userTokens = await MemoryHelper.getCollection('userTokens')
+		const [userToken] = userTokens
+			.filter(userToken => userToken.userId === userId && userToken.type === type)
+			.sort((a, b) => b.createdAt - a.createdAt)
+		return userToken ? { ...userToken } : null
+	}
+}
@@ -0,0 +1,37 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadLastUserTokenRepository = require('./load-last-user-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadLastUserTokenRepository()
+}
+
+describe('LoadLastUserToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the most recent token of the given type', async () => {
+		const userTokens = await MemoryHelper.getCollection('userTokens')
+		const expiresAt = new Date(Date.now() + 60000)
+		userTokens.push(
+			{ userId: 'any_user_id', type: 'emailVerification', tokenHash: 'old_hash', expiresAt, createdAt: new Date(Date.now() - 1000) },
+			{ userId: 'any_user_id', type: 'emailVerification', tokenHash: 'new_hash', expiresAt, createdAt: new Date() },
+			{ userId: 'any_user_id', type: 'passwordReset', tokenHash: 'other_hash', expiresAt, createdAt: new Date(Date.now() + 1000) }
+		)
+		const sut = makeSut();
+		const userToken = await sut.load('any_user_id', 'emailVerification')
+		expect(userToken.tokenHash).toBe('new_hash')
+	});
+
+	test('Should return null if the user has no token', async () => {
+		const sut = makeSut();
+		expect(await sut.load('any_user_id', 'emailVerification')).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.load('any_user_id')).rejects.toThrow(new MissingParamError('type'))
+	});
+})
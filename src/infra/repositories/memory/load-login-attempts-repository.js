@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadLoginAttemptsRepository {
+	async load(key) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		const attempts = loginAttempts.find(attempts => attempts.key === key)
+		return attempts ? { ...attempts } : null
+	}
+}
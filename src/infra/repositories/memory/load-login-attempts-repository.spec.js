@@ -0,0 +1,33 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadLoginAttemptsRepository = require('./load-login-attempts-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadLoginAttemptsRepository()
+}
+
+describe('LoadLoginAttempts Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the attempts of the key', async () => {
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		loginAttempts.push({ key: 'any_key', failures: 2, expiresAt: new Date(Date.now() + 60000) })
+		const sut = makeSut();
+		const attempts = await sut.load('any_key')
+		expect(attempts.failures).toBe(2)
+	});
+
+	test('Should return null once the attempts expired', async () => {
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		loginAttempts.push({ key: 'any_key', failures: 2, expiresAt: new Date(Date.now() - 1000) })
+		const sut = makeSut();
+		expect(await sut.load('any_key')).toBeNull()
+	});
+
+	test('Should throw if no key is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('key'))
+	});
+})
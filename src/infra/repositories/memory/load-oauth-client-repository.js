@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadOAuthClientRepository {
+	async load(clientId) {
+		if (!clientId) {
+			throw new MissingParamError('clientId')
+		}
+		const oauthClients = await MemoryHelper.getCollection('oauthClients')
+		const oauthClient = oauthClients.find(oauthClient => oauthClient.clientId === clientId)
+		return oauthClient ? { ...oauthClient } : null
+	}
+}
@@ -0,0 +1,32 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadOAuthClientRepository = require('./load-oauth-client-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadOAuthClientRepository()
+}
+
+describe('LoadOAuthClient Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return null if the client is not registered', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_client_id')).toBeNull()
+	});
+
+	test('Should return the client with its secret hash', async () => {
+		const oauthClients = await MemoryHelper.getCollection('oauthClients')
+		oauthClients.push({ _id: 'any_id', clientId: 'any_client_id', clientSecretHash: 'any_hash', name: 'any_name' })
+		const sut = makeSut();
+		const oauthClient = await sut.load('any_client_id')
+		expect(oauthClient._id).toBe('any_id')
+		expect(oauthClient.clientSecretHash).toBe('any_hash')
+	});
+
+	test('Should throw if no clientId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('clientId'))
+	});
+})
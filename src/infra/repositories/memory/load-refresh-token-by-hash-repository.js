@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadRefreshTokenByHashRepository {
+	async load(tokenHash) {
+		if (!tokenHash) {
+			throw new MissingParamError('tokenHash')
+		}
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		const refreshToken = refreshTokens.find(refreshToken => refreshToken.tokenHash === tokenHash)
+		return refreshToken ? { ...refreshToken } : null
+	}
+}
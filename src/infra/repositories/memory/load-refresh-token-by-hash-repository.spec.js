@@ -0,0 +1,31 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadRefreshTokenByHashRepository = require('./load-refresh-token-by-hash-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadRefreshTokenByHashRepository()
+}
+
+describe('LoadRefreshTokenByHash Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the refresh token with the given hash', async () => {
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push({ _id: 'any_id', tokenHash: 'any_hash' })
+		const sut = makeSut();
+		const refreshToken = await sut.load('any_hash')
+		expect(refreshToken._id).toBe('any_id')
+	});
+
+	test('Should return null if no refresh token is found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_hash')).toBeNull()
+	});
+
+	test('Should throw if no tokenHash is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('tokenHash'))
+	});
+})
@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadRevokedTokenRepository {
+	async load(jti) {
+		if (!jti) {
+			throw new MissingParamError('jti')
+		}
+		const revokedTokens = await MemoryHelper.getCollection('revokedTokens')
+		const revokedToken = revokedTokens.find(revokedToken => revokedToken.jti === jti)
+		return revokedToken ? { ...revokedToken } : null
+	}
+}
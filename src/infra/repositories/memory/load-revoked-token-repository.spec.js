@@ -0,0 +1,31 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadRevokedTokenRepository = require('./load-revoked-token-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadRevokedTokenRepository()
+}
+
+describe('LoadRevokedToken Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the revoked token with the given id', async () => {
+		const revokedTokens = await MemoryHelper.getCollection('revokedTokens')
+		revokedTokens.push({ jti: 'any_jti', expiresAt: new Date(Date.now() + 60000) })
+		const sut = makeSut();
+		const revokedToken = await sut.load('any_jti')
+		expect(revokedToken.jti).toBe('any_jti')
+	});
+
+	test('Should return null if the token id is not revoked', async () => {
+		const sut = makeSut();
+		expect(await sut.load('any_jti')).toBeNull()
+	});
+
+	test('Should throw if no jti is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('jti'))
+	});
+})
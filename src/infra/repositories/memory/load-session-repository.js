@@ -0,0 +1,13 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadSessionRepository {
+	async load(sessionId) {
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const session = sessions.find(session => session._id === sessionId)
+		return session ? { ...session } : null
+	}
+}
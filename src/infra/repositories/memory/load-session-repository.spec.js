@@ -0,0 +1,32 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadSessionRepository = require('./load-session-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadSessionRepository()
+}
+
+describe('LoadSession Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return null if no session is found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_id')).toBeNull()
+	});
+
+	test('Should return a copy of the session', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		sessions.push({ _id: 'any_id', userId: 'any_user_id', revokedAt: null })
+		const sut = makeSut();
+		const session = await sut.load('any_id')
+		expect(session).toEqual(sessions[0])
+		expect(session).not.toBe(sessions[0])
+	});
+
+	test('Should throw if no sessionId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('sessionId'))
+	});
+})
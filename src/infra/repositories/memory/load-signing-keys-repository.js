@@ -0,0 +1,11 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadSigningKeysRepository {
+	async load() {
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		const now = new Date()
+		return signingKeys
+			.filter(({ expiresAt }) => expiresAt === null || expiresAt > now)
+			.reverse()
+	}
+}
@@ -0,0 +1,28 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadSigningKeysRepository = require('./load-signing-keys-repository')
+
+const makeSut = () => {
+	return new LoadSigningKeysRepository()
+}
+
+describe('LoadSigningKeys Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the keys still valid for verification, newest first', async () => {
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		signingKeys.push(
+			{ kid: 'expired_kid', retiredAt: new Date(), expiresAt: new Date(Date.now() - 1000) },
+			{ kid: 'retired_kid', retiredAt: new Date(), expiresAt: new Date(Date.now() + 60000) },
+			{ kid: 'active_kid', retiredAt: null, expiresAt: null }
+		)
+		const sut = makeSut();
+		expect((await sut.load()).map(({ kid }) => kid)).toEqual(['active_kid', 'retired_kid'])
+	});
+
+	test('Should return an empty list if there are no keys', async () => {
+		const sut = makeSut();
+		expect(await sut.load()).toEqual([])
+	});
+})
@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadUserApiKeysRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		return apiKeys
+			.filter(apiKey => apiKey.userId === userId && apiKey.revokedAt === null)
+			.sort((a, b) => b.createdAt - a.createdAt)
+			.map(({ keyHash, ...apiKey }) => apiKey)
+	}
+}
@@ -0,0 +1,32 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUserApiKeysRepository = require('./load-user-api-keys-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUserApiKeysRepository()
+}
+
+describe('LoadUserApiKeys Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the active api keys of the user without their hash, newest first', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push(
+			{ _id: 'old_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(Date.now() - 60000), revokedAt: null },
+			{ _id: 'recent_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: null },
+			{ _id: 'revoked_id', userId: 'any_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: new Date() },
+			{ _id: 'other_id', userId: 'other_user_id', keyHash: 'any_hash', createdAt: new Date(), revokedAt: null }
+		)
+		const sut = makeSut();
+		const userApiKeys = await sut.load('any_user_id')
+		expect(userApiKeys.map(({ _id }) => _id)).toEqual(['recent_id', 'old_id'])
+		expect(userApiKeys[0].keyHash).toBeUndefined()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadUserByEmailRepository {
+	async load(email) {
+		if (!email) {
+			throw new MissingParamError('email')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user.email === email)
+		if (!user) {
+			return null
+		}
+		const { _id, password, emailVerified, roles, permissions, twoFactor, disabledAt, passwordResetRequired } = user
+		return { _id, password, emailVerified, roles, permissions, twoFactor: twoFactor && { enabled: twoFactor.enabled }, disabledAt, passwordResetRequired }
+	}
+}
@@ -0,0 +1,49 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUserByEmailRepository = require('./load-user-by-email-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUserByEmailRepository()
+}
+
+describe('LoadUserByEmail Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return null if no user is found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_email@mail.com')).toBeNull()
+	});
+
+	test('Should return only the fields needed to authenticate', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password', emailVerified: true, roles: ['user'], permissions: ['any_permission'] })
+		const sut = makeSut();
+		const user = await sut.load('valid_email@mail.com')
+		expect(user).toEqual({ _id: 'any_id', password: 'hashed_password', emailVerified: true, roles: ['user'], permissions: ['any_permission'] })
+	});
+
+	test('Should expose whether two-factor authentication is enabled but not its secret', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'hashed_password', twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: [] } })
+		const sut = makeSut();
+		const user = await sut.load('valid_email@mail.com')
+		expect(user.twoFactor).toEqual({ enabled: true })
+	});
+
+	test('Should expose whether the account is disabled', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		const disabledAt = new Date()
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'hashed_password', disabledAt, passwordResetRequired: true })
+		const sut = makeSut();
+		const user = await sut.load('valid_email@mail.com')
+		expect(user.disabledAt).toBe(disabledAt)
+		expect(user.passwordResetRequired).toBe(true)
+	});
+
+	test('Should throw if no email is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('email'))
+	});
+})
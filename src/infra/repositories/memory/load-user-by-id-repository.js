@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadUserByIdRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (!user) {
+			return null
+		}
+		const { _id, name, email, emailVerified, roles, permissions, twoFactor, disabledAt, passwordResetRequired } = user
+		return { _id, name, email, emailVerified, roles, permissions, twoFactor, disabledAt, passwordResetRequired }
+	}
+}
@@ -0,0 +1,43 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUserByIdRepository = require('./load-user-by-id-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUserByIdRepository()
+}
+
+describe('LoadUserById Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return null if no user is found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_id')).toBeNull()
+	});
+
+	test('Should return the user without credentials', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		const twoFactor = { secret: 'any_secret', enabled: true, recoveryCodes: [] }
+		users.push({ _id: 'any_id', name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password', roles: ['admin'], twoFactor })
+		const sut = makeSut();
+		const user = await sut.load('any_id')
+		expect(user).toEqual({ _id: 'any_id', name: 'any_name', email: 'valid_email@mail.com', roles: ['admin'], twoFactor })
+	});
+
+	test('Should expose whether the account is disabled', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		const disabledAt = new Date()
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'hashed_password', disabledAt, passwordResetRequired: true })
+		const sut = makeSut();
+		const user = await sut.load('any_id')
+		expect(user.disabledAt).toBe(disabledAt)
+		expect(user.passwordResetRequired).toBe(true)
+		expect(user.password).toBeUndefined()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
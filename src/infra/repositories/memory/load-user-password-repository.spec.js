@@ -0,0 +1,30 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUserPasswordRepository = require('./load-user-password-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUserPasswordRepository()
+}
+
+describe('LoadUserPassword Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the password hash of the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'hashed_password' })
+		const sut = makeSut();
+		expect(await sut.load('any_id')).toBe('hashed_password')
+	});
+
+	test('Should return null if the user is not found', async () => {
+		const sut = makeSut();
+		expect(await sut.load('invalid_id')).toBeNull()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
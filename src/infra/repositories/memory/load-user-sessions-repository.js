@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LoadUserSessionsRepository {
+	async load(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		return sessions
+			.filter(session => session.userId === userId && session.revokedAt === null)
+			.sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+			.map(session => ({ ...session }))
+	}
+}
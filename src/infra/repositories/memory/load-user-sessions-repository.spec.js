@@ -0,0 +1,31 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUserSessionsRepository = require('./load-user-sessions-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUserSessionsRepository()
+}
+
+describe('LoadUserSessions Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should return the active sessions of the user, most recently seen first', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		sessions.push(
+			{ _id: 'old_id', userId: 'any_user_id', lastSeenAt: new Date(Date.now() - 60000), revokedAt: null },
+			{ _id: 'recent_id', userId: 'any_user_id', lastSeenAt: new Date(), revokedAt: null },
+			{ _id: 'revoked_id', userId: 'any_user_id', lastSeenAt: new Date(), revokedAt: new Date() },
+			{ _id: 'other_id', userId: 'other_user_id', lastSeenAt: new Date(), revokedAt: null }
+		)
+		const sut = makeSut();
+		const userSessions = await sut.load('any_user_id')
+		expect(userSessions.map(({ _id }) => _id)).toEqual(['recent_id', 'old_id'])
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
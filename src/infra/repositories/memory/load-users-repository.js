@@ -0,0 +1,29 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+const STATUS_FILTERS = {
+	active: user => !user.disabledAt,
+	disabled: user => !!user.disabledAt
+}
+
+module.exports = class LoadUsersRepository {
+	async load({ after, limit, email, status } = {}) {
+		if (!limit) {
+			throw new MissingParamError('limit')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		// ids are random here, so the cursor follows insertion order instead of sorting on _id
+		const start = after ? users.findIndex(user => user._id === after) + 1 : 0
+		if (after && !start) {
+			return []
+		}
+		return users
+			.slice(start)
+			.filter(STATUS_FILTERS[status] || (() => true))
+			.filter(user => !email || user.email.toLowerCase().includes(email.toLowerCase()))
+			.slice(0, limit)
+			.map(({ _id, name, email, emailVerified, roles, twoFactor, disabledAt, passwordResetRequired }) => ({
+				_id, name, email, emailVerified, roles, twoFactor: twoFactor && { enabled: twoFactor.enabled }, disabledAt, passwordResetRequired
+			}))
+	}
+}
@@ -0,0 +1,50 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LoadUsersRepository = require('./load-users-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LoadUsersRepository()
+}
+
+describe('LoadUsers Memory Repository', () => {
+	beforeEach(async () => {
+		MemoryHelper.clear()
+		const users = await MemoryHelper.getCollection('users')
+		users.push(
+			{ _id: 'first_id', email: 'first@mail.com', password: 'hashed_password', disabledAt: null },
+			{ _id: 'second_id', email: 'second@mail.com', password: 'hashed_password', disabledAt: new Date() },
+			{ _id: 'third_id', email: 'third@other.com', password: 'hashed_password', twoFactor: { secret: 'any_secret', enabled: true } }
+		)
+	});
+
+	test('Should return a page of users without credentials', async () => {
+		const sut = makeSut();
+		const users = await sut.load({ limit: 2 })
+		expect(users.map(({ _id }) => _id)).toEqual(['first_id', 'second_id'])
+		expect(users[0].password).toBeUndefined()
+	});
+
+	test('Should continue after the cursor', async () => {
+		const sut = makeSut();
+		const users = await sut.load({ after: 'first_id', limit: 10 })
+		expect(users.map(({ _id }) => _id)).toEqual(['second_id', 'third_id'])
+		expect(users[1].twoFactor).toEqual({ enabled: true })
+	});
+
+	test('Should return an empty page for an unknown cursor', async () => {
+		const sut = makeSut();
+		expect(await sut.load({ after: 'invalid_id', limit: 10 })).toEqual([])
+	});
+
+	test('Should filter by email and status', async () => {
+		const sut = makeSut();
+		expect((await sut.load({ limit: 10, email: 'MAIL.com' })).map(({ _id }) => _id)).toEqual(['first_id', 'second_id'])
+		expect((await sut.load({ limit: 10, status: 'active' })).map(({ _id }) => _id)).toEqual(['first_id', 'third_id'])
+		expect((await sut.load({ limit: 10, status: 'disabled' })).map(({ _id }) => _id)).toEqual(['second_id'])
+	});
+
+	test('Should throw if no limit is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.load()).rejects.toThrow(new MissingParamError('limit'))
+	});
+})
@@ -0,0 +1,27 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LockLoginAttemptsRepository {
+	async lock(key, lockedUntil, expiresAt) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		if (!lockedUntil) {
+			throw new MissingParamError('lockedUntil')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		const attempts = loginAttempts.find(attempts => attempts.key === key)
+		if (!attempts) {
+			return
+		}
+		attempts.failures = 0
+		attempts.lockedUntil = lockedUntil
+		attempts.lockouts += 1
+		if (expiresAt > attempts.expiresAt) {
+			attempts.expiresAt = expiresAt
+		}
+	}
+}
@@ -0,0 +1,31 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LockLoginAttemptsRepository = require('./lock-login-attempts-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LockLoginAttemptsRepository()
+}
+
+describe('LockLoginAttempts Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should reset the failures and lock the key', async () => {
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		loginAttempts.push({ key: 'any_key', failures: 5, lockouts: 0, lockedUntil: null, expiresAt: new Date(Date.now() + 60000) })
+		const sut = makeSut();
+		const lockedUntil = new Date(Date.now() + 30000)
+		const expiresAt = new Date(Date.now() + 120000)
+		await sut.lock('any_key', lockedUntil, expiresAt)
+		const [attempts] = await MemoryHelper.getCollection('loginAttempts')
+		expect(attempts).toMatchObject({ failures: 0, lockouts: 1, lockedUntil, expiresAt })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.lock()).rejects.toThrow(new MissingParamError('key'))
+		await expect(sut.lock('any_key')).rejects.toThrow(new MissingParamError('lockedUntil'))
+		await expect(sut.lock('any_key', new Date())).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
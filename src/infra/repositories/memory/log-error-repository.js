@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class LogErrorRepository {
+	async log({ stack, requestId, route } = {}) {
+		if (!stack) {
+			throw new MissingParamError('stack')
+		}
+		const errors = await MemoryHelper.getCollection('errors')
+		errors.push({
+			_id: MemoryHelper.generateId(),
+			stack,
+			requestId,
+			route,
+			date: new Date()
+		})
+	}
+}
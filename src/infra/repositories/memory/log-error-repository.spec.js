@@ -0,0 +1,26 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const LogErrorRepository = require('./log-error-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new LogErrorRepository()
+}
+
+describe('LogError Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store the error with its request id and route', async () => {
+		const sut = makeSut();
+		await sut.log({ stack: 'any_stack', requestId: 'any_request_id', route: 'POST /api/login' })
+		const [error] = await MemoryHelper.getCollection('errors')
+		expect(error).toMatchObject({ stack: 'any_stack', requestId: 'any_request_id', route: 'POST /api/login' })
+		expect(error.date).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no stack is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.log()).rejects.toThrow(new MissingParamError('stack'))
+	});
+})
@@ -0,0 +1,16 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class MarkEmailAsVerifiedRepository {
+	async mark(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user) {
+			user.emailVerified = true
+			user.emailVerifiedAt = new Date()
+		}
+	}
+}
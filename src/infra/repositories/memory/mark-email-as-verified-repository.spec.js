@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const MarkEmailAsVerifiedRepository = require('./mark-email-as-verified-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new MarkEmailAsVerifiedRepository()
+}
+
+describe('MarkEmailAsVerified Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should mark the email of the user as verified', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', emailVerified: false })
+		const sut = makeSut();
+		await sut.mark('any_id')
+		expect(users[0].emailVerified).toBe(true)
+		expect(users[0].emailVerifiedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.mark()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class MarkRefreshTokenAsUsedRepository {
+	async mark(id) {
+		if (!id) {
+			throw new MissingParamError('id')
+		}
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		const refreshToken = refreshTokens.find(refreshToken => refreshToken._id === id && refreshToken.usedAt === null)
+		if (!refreshToken) {
+			return false
+		}
+		refreshToken.usedAt = new Date()
+		return true
+	}
+}
@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const MarkRefreshTokenAsUsedRepository = require('./mark-refresh-token-as-used-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new MarkRefreshTokenAsUsedRepository()
+}
+
+describe('MarkRefreshTokenAsUsed Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should mark the refresh token as used only once', async () => {
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push({ _id: 'any_id', tokenHash: 'any_hash', usedAt: null })
+		const sut = makeSut();
+		expect(await sut.mark('any_id')).toBe(true)
+		expect(await sut.mark('any_id')).toBe(false)
+		expect(refreshTokens[0].usedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no id is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.mark()).rejects.toThrow(new MissingParamError('id'))
+	});
+})
@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RemoveLoginAttemptsRepository {
+	async remove(key) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		const index = loginAttempts.findIndex(attempts => attempts.key === key)
+		if (index !== -1) {
+			loginAttempts.splice(index, 1)
+		}
+	}
+}
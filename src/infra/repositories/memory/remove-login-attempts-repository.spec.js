@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RemoveLoginAttemptsRepository = require('./remove-login-attempts-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RemoveLoginAttemptsRepository()
+}
+
+describe('RemoveLoginAttempts Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should remove the attempts of the key only', async () => {
+		const loginAttempts = await MemoryHelper.getCollection('loginAttempts')
+		const expiresAt = new Date(Date.now() + 60000)
+		loginAttempts.push({ key: 'any_key', failures: 1, expiresAt }, { key: 'other_key', failures: 1, expiresAt })
+		const sut = makeSut();
+		await sut.remove('any_key')
+		expect(loginAttempts.map(({ key }) => key)).toEqual(['other_key'])
+	});
+
+	test('Should throw if no key is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.remove()).rejects.toThrow(new MissingParamError('key'))
+	});
+})
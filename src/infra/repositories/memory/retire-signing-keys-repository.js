@@ -0,0 +1,21 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RetireSigningKeysRepository {
+	async retire({ exceptKid, expiresAt } = {}) {
+		if (!exceptKid) {
+			throw new MissingParamError('exceptKid')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		const retiredAt = new Date()
+		for (const signingKey of signingKeys) {
+			if (signingKey.kid !== exceptKid && signingKey.retiredAt === null) {
+				signingKey.retiredAt = retiredAt
+				signingKey.expiresAt = expiresAt
+			}
+		}
+	}
+}
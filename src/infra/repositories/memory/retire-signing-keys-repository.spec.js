@@ -0,0 +1,36 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RetireSigningKeysRepository = require('./retire-signing-keys-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RetireSigningKeysRepository()
+}
+
+describe('RetireSigningKeys Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should retire every active key except the given one', async () => {
+		const retiredAt = new Date(Date.now() - 1000)
+		const signingKeys = await MemoryHelper.getCollection('signingKeys')
+		signingKeys.push(
+			{ kid: 'old_kid', retiredAt, expiresAt: new Date(Date.now() + 1000) },
+			{ kid: 'previous_kid', retiredAt: null, expiresAt: null },
+			{ kid: 'new_kid', retiredAt: null, expiresAt: null }
+		)
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.retire({ exceptKid: 'new_kid', expiresAt })
+		expect(signingKeys[0].retiredAt).toBe(retiredAt)
+		expect(signingKeys[1].retiredAt).toBeInstanceOf(Date)
+		expect(signingKeys[1].expiresAt).toBe(expiresAt)
+		expect(signingKeys[2].retiredAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.retire()).rejects.toThrow(new MissingParamError('exceptKid'))
+		await expect(sut.retire({ exceptKid: 'any_kid' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
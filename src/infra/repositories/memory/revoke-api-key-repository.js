@@ -0,0 +1,22 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeApiKeyRepository {
+	async revoke(userId, apiKeyId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!apiKeyId) {
+			throw new MissingParamError('apiKeyId')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		const apiKey = apiKeys.find(apiKey => apiKey._id === apiKeyId &&
+			apiKey.userId === userId &&
+			apiKey.revokedAt === null)
+		if (!apiKey) {
+			return false
+		}
+		apiKey.revokedAt = new Date()
+		return true
+	}
+}
@@ -0,0 +1,36 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RevokeApiKeyRepository = require('./revoke-api-key-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RevokeApiKeyRepository()
+}
+
+describe('RevokeApiKey Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should revoke an active api key of the user', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push({ _id: 'any_id', userId: 'any_user_id', revokedAt: null })
+		const sut = makeSut();
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(true)
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		expect(apiKeys[0].revokedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should not revoke api keys of other users', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push({ _id: 'any_id', userId: 'other_user_id', revokedAt: null })
+		const sut = makeSut();
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		expect(apiKeys[0].revokedAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.revoke('any_user_id')).rejects.toThrow(new MissingParamError('apiKeyId'))
+	});
+})
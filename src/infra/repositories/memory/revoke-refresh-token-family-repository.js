@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeRefreshTokenFamilyRepository {
+	async revoke(family) {
+		if (!family) {
+			throw new MissingParamError('family')
+		}
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		const revokedAt = new Date()
+		for (const refreshToken of refreshTokens) {
+			if (refreshToken.family === family && refreshToken.revokedAt === null) {
+				refreshToken.revokedAt = revokedAt
+			}
+		}
+	}
+}
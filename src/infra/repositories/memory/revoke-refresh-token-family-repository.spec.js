@@ -0,0 +1,30 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RevokeRefreshTokenFamilyRepository = require('./revoke-refresh-token-family-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RevokeRefreshTokenFamilyRepository()
+}
+
+describe('RevokeRefreshTokenFamily Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should revoke every refresh token of the family', async () => {
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push(
+			{ family: 'any_family', tokenHash: 'any_hash', revokedAt: null },
+			{ family: 'any_family', tokenHash: 'other_hash', revokedAt: null },
+			{ family: 'other_family', tokenHash: 'another_hash', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_family')
+		expect(refreshTokens.map(({ revokedAt }) => revokedAt instanceof Date)).toEqual([true, true, false])
+	});
+
+	test('Should throw if no family is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('family'))
+	});
+})
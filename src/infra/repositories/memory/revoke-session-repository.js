@@ -0,0 +1,22 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeSessionRepository {
+	async revoke(userId, sessionId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const session = sessions.find(session => session._id === sessionId &&
+			session.userId === userId &&
+			session.revokedAt === null)
+		if (!session) {
+			return false
+		}
+		session.revokedAt = new Date()
+		return true
+	}
+}
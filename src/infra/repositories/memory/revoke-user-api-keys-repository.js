@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeUserApiKeysRepository {
+	async revoke(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		const revokedAt = new Date()
+		for (const apiKey of apiKeys) {
+			if (apiKey.userId === userId && apiKey.revokedAt === null) {
+				apiKey.revokedAt = revokedAt
+			}
+		}
+	}
+}
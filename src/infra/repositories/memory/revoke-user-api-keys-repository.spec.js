@@ -0,0 +1,30 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RevokeUserApiKeysRepository = require('./revoke-user-api-keys-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RevokeUserApiKeysRepository()
+}
+
+describe('RevokeUserApiKeys Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should revoke every api key of the user', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push(
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'other_id', userId: 'other_user_id', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_user_id')
+		expect(apiKeys.filter(({ revokedAt }) => revokedAt !== null).map(({ _id }) => _id)).toEqual(['first_id', 'second_id'])
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
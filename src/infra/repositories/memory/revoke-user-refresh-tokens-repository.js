@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeUserRefreshTokensRepository {
+	async revoke(userId, { exceptFamily } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		const revokedAt = new Date()
+		for (const refreshToken of refreshTokens) {
+			if (refreshToken.userId === userId && refreshToken.revokedAt === null && (!exceptFamily || refreshToken.family !== exceptFamily)) {
+				refreshToken.revokedAt = revokedAt
+			}
+		}
+	}
+}
@@ -0,0 +1,40 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RevokeUserRefreshTokensRepository = require('./revoke-user-refresh-tokens-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RevokeUserRefreshTokensRepository()
+}
+
+describe('RevokeUserRefreshTokens Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should revoke every refresh token of the user', async () => {
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push(
+			{ userId: 'any_user_id', tokenHash: 'any_hash', revokedAt: null },
+			{ userId: 'other_user_id', tokenHash: 'other_hash', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_user_id')
+		expect(refreshTokens.map(({ revokedAt }) => revokedAt instanceof Date)).toEqual([true, false])
+	});
+
+	test('Should keep the refresh tokens of the excepted family', async () => {
+		const refreshTokens = await MemoryHelper.getCollection('refreshTokens')
+		refreshTokens.push(
+			{ userId: 'any_user_id', family: 'any_family', tokenHash: 'any_hash', revokedAt: null },
+			{ userId: 'any_user_id', family: 'other_family', tokenHash: 'other_hash', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_user_id', { exceptFamily: 'other_family' })
+		expect(refreshTokens.map(({ revokedAt }) => revokedAt instanceof Date)).toEqual([true, false])
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
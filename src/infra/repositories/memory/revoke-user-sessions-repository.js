@@ -0,0 +1,17 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class RevokeUserSessionsRepository {
+	async revoke(userId, { exceptSessionId } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const now = new Date()
+		for (const session of sessions) {
+			if (session.userId === userId && session.revokedAt === null && (!exceptSessionId || session._id !== exceptSessionId)) {
+				session.revokedAt = now
+			}
+		}
+	}
+}
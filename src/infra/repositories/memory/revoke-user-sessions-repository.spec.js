@@ -0,0 +1,41 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const RevokeUserSessionsRepository = require('./revoke-user-sessions-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new RevokeUserSessionsRepository()
+}
+
+describe('RevokeUserSessions Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should revoke every session of the user', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		sessions.push(
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'other_id', userId: 'other_user_id', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_user_id')
+		expect(sessions.filter(({ revokedAt }) => revokedAt !== null).map(({ _id }) => _id)).toEqual(['first_id', 'second_id'])
+	});
+
+	test('Should keep the excepted session', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		sessions.push(
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null }
+		)
+		const sut = makeSut();
+		await sut.revoke('any_user_id', { exceptSessionId: 'second_id' })
+		expect(sessions.map(({ revokedAt }) => revokedAt instanceof Date)).toEqual([true, false])
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
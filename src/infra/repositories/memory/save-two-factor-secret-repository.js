@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class SaveTwoFactorSecretRepository {
+	async save(userId, secret) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!secret) {
+			throw new MissingParamError('secret')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user) {
+			user.twoFactor = { secret, enabled: false, recoveryCodes: [] }
+		}
+	}
+}
@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const SaveTwoFactorSecretRepository = require('./save-two-factor-secret-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new SaveTwoFactorSecretRepository()
+}
+
+describe('SaveTwoFactorSecret Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should store a pending secret and drop the previous enrollment', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', twoFactor: { secret: 'old_secret', enabled: false, recoveryCodes: ['old_code'] } })
+		const sut = makeSut();
+		await sut.save('any_id', 'any_secret')
+		expect(users[0].twoFactor).toEqual({ secret: 'any_secret', enabled: false, recoveryCodes: [] })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.save()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.save('any_id')).rejects.toThrow(new MissingParamError('secret'))
+	});
+})
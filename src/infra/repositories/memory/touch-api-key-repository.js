@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class TouchApiKeyRepository {
+	async touch(apiKeyId) {
+		if (!apiKeyId) {
+			throw new MissingParamError('apiKeyId')
+		}
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		const apiKey = apiKeys.find(apiKey => apiKey._id === apiKeyId)
+		if (apiKey) {
+			apiKey.lastUsedAt = new Date()
+		}
+	}
+}
@@ -0,0 +1,26 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const TouchApiKeyRepository = require('./touch-api-key-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new TouchApiKeyRepository()
+}
+
+describe('TouchApiKey Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should update the last used date of the api key', async () => {
+		const apiKeys = await MemoryHelper.getCollection('apiKeys')
+		apiKeys.push({ _id: 'any_id', userId: 'any_user_id', lastUsedAt: null })
+		const sut = makeSut();
+		await sut.touch('any_id')
+		expect(apiKeys[0].lastUsedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no apiKeyId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.touch()).rejects.toThrow(new MissingParamError('apiKeyId'))
+	});
+})
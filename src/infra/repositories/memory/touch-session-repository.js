@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class TouchSessionRepository {
+	async touch(sessionId, { expiresAt } = {}) {
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const session = sessions.find(session => session._id === sessionId)
+		if (session) {
+			session.lastSeenAt = new Date()
+			if (expiresAt) {
+				session.expiresAt = expiresAt
+			}
+		}
+	}
+}
@@ -0,0 +1,38 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const TouchSessionRepository = require('./touch-session-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new TouchSessionRepository()
+}
+
+describe('TouchSession Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should update the last seen date of the session', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		const lastSeenAt = new Date(Date.now() - 60000)
+		sessions.push({ _id: 'any_id', userId: 'any_user_id', lastSeenAt })
+		const sut = makeSut();
+		await sut.touch('any_id')
+		expect(sessions[0].lastSeenAt.getTime()).toBeGreaterThan(lastSeenAt.getTime())
+	});
+
+	test('Should extend the expiration when one is given', async () => {
+		const sessions = await MemoryHelper.getCollection('sessions')
+		sessions.push({ _id: 'any_id', userId: 'any_user_id', lastSeenAt: new Date(), expiresAt: new Date(Date.now() + 60000) })
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 120000)
+		await sut.touch('any_id', { expiresAt })
+		expect(sessions[0].expiresAt).toBe(expiresAt)
+		await sut.touch('any_id')
+		expect(sessions[0].expiresAt).toBe(expiresAt)
+	});
+
+	test('Should throw if no sessionId is provided', async () => {
+		const sut = makeSut();
+		await expect(sut.touch()).rejects.toThrow(new MissingParamError('sessionId'))
+	});
+})
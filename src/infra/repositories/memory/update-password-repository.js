@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class UpdatePasswordRepository {
+	async update(userId, password) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user) {
+			user.password = password
+			user.passwordResetRequired = false
+		}
+	}
+}
@@ -0,0 +1,35 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const UpdatePasswordRepository = require('./update-password-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new UpdatePasswordRepository()
+}
+
+describe('UpdatePassword Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should update the password of the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'old_password' })
+		const sut = makeSut();
+		await sut.update('any_id', 'new_password')
+		expect(users[0].password).toBe('new_password')
+	});
+
+	test('Should clear a forced password reset', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', password: 'old_password', passwordResetRequired: true })
+		const sut = makeSut();
+		await sut.update('any_id', 'new_password')
+		expect(users[0].passwordResetRequired).toBe(false)
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.update('any_id')).rejects.toThrow(new MissingParamError('password'))
+	});
+})
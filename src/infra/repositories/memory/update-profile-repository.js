@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class UpdateProfileRepository {
+	async update(userId, profile) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!profile) {
+			throw new MissingParamError('profile')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user) {
+			Object.assign(user, profile)
+		}
+	}
+}
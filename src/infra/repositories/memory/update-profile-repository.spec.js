@@ -0,0 +1,27 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const UpdateProfileRepository = require('./update-profile-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new UpdateProfileRepository()
+}
+
+describe('UpdateProfile Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should update the profile fields of the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', name: 'any_name', email: 'valid_email@mail.com', password: 'hashed_password' })
+		const sut = makeSut();
+		await sut.update('any_id', { name: 'new_name' })
+		expect(users[0]).toEqual({ _id: 'any_id', name: 'new_name', email: 'valid_email@mail.com', password: 'hashed_password' })
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.update('any_id')).rejects.toThrow(new MissingParamError('profile'))
+	});
+})
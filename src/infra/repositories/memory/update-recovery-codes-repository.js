@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../../utils/errors')
+const MemoryHelper = require('../../helpers/memory-helper')
+
+module.exports = class UpdateRecoveryCodesRepository {
+	async update(userId, recoveryCodes) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!recoveryCodes) {
+			throw new MissingParamError('recoveryCodes')
+		}
+		const users = await MemoryHelper.getCollection('users')
+		const user = users.find(user => user._id === userId)
+		if (user && user.twoFactor) {
+			user.twoFactor.recoveryCodes = [...recoveryCodes]
+		}
+	}
+}
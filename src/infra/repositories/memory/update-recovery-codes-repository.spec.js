@@ -0,0 +1,28 @@
+const MemoryHelper = require('../../helpers/memory-helper')
+const UpdateRecoveryCodesRepository = require('./update-recovery-codes-repository')
+const { MissingParamError } = require('../../../utils/errors')
+
+const makeSut = () => {
+	return new UpdateRecoveryCodesRepository()
+}
+
+describe('UpdateRecoveryCodes Memory Repository', () => {
+	beforeEach(() => {
+		MemoryHelper.clear()
+	});
+
+	test('Should replace the recovery codes of the user', async () => {
+		const users = await MemoryHelper.getCollection('users')
+		users.push({ _id: 'any_id', email: 'valid_email@mail.com', twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: ['old_code'] } })
+		const sut = makeSut();
+		await sut.update('any_id', ['new_code', 'other_code'])
+		expect(users[0].twoFactor.recoveryCodes).toEqual(['new_code', 'other_code'])
+		expect(users[0].twoFactor.secret).toBe('any_secret')
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		await expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		await expect(sut.update('any_id')).rejects.toThrow(new MissingParamError('recoveryCodes'))
+	});
+})
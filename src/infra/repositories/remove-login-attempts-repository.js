@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RemoveLoginAttemptsRepository {
+	async remove(key) {
+		if (!key) {
+			throw new MissingParamError('key')
+		}
+		const loginAttemptsModel = await MongoHelper.getCollection('loginAttempts')
+		await loginAttemptsModel.deleteOne({ key })
+	}
+}
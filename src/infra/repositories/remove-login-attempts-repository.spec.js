@@ -0,0 +1,41 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RemoveLoginAttemptsRepository = require('./remove-login-attempts-repository')
+const { MissingParamError } = require('../../utils/errors')
+let loginAttemptsModel;
+
+const makeSut = () => {
+	return new RemoveLoginAttemptsRepository()
+}
+
+
+describe('RemoveLoginAttempts Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		loginAttemptsModel = await MongoHelper.getCollection('loginAttempts');
+	});
+
+	beforeEach(async () => {
+		await loginAttemptsModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should remove the attempts recorded for the key only', async () => {
+		const sut = makeSut();
+		await loginAttemptsModel.insertMany([
+			{ key: 'email:any_email@mail.com', failures: 3 },
+			{ key: 'ip:127.0.0.1', failures: 3 }
+		])
+		await sut.remove('email:any_email@mail.com')
+		expect(await loginAttemptsModel.findOne({ key: 'email:any_email@mail.com' })).toBeNull()
+		expect(await loginAttemptsModel.findOne({ key: 'ip:127.0.0.1' })).toBeTruthy()
+	});
+
+	test('Should throw if no key is provided', async () => {
+		const sut = makeSut();
+		expect(sut.remove()).rejects.toThrow(new MissingParamError('key'))
+	});
+})
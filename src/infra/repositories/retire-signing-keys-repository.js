@@ -0,0 +1,18 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RetireSigningKeysRepository {
+	async retire({ exceptKid, expiresAt } = {}) {
+		if (!exceptKid) {
+			throw new MissingParamError('exceptKid')
+		}
+		if (!expiresAt) {
+			throw new MissingParamError('expiresAt')
+		}
+		const signingKeyModel = await MongoHelper.getCollection('signingKeys')
+		await signingKeyModel.updateMany(
+			{ kid: { $ne: exceptKid }, retiredAt: null },
+			{ $set: { retiredAt: new Date(), expiresAt } }
+		)
+	}
+}
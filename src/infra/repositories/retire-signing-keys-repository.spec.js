@@ -0,0 +1,48 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RetireSigningKeysRepository = require('./retire-signing-keys-repository')
+const { MissingParamError } = require('../../utils/errors')
+let signingKeyModel;
+
+const makeSut = () => {
+	return new RetireSigningKeysRepository()
+}
+
+
+describe('RetireSigningKeys Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		signingKeyModel = await MongoHelper.getCollection('signingKeys');
+	});
+
+	beforeEach(async () => {
+		await signingKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should retire every active key except the given one', async () => {
+		const retiredAt = new Date(Date.now() - 1000)
+		await signingKeyModel.insertMany([
+			{ kid: 'old_kid', retiredAt, expiresAt: new Date(Date.now() + 1000) },
+			{ kid: 'previous_kid', retiredAt: null, expiresAt: null },
+			{ kid: 'new_kid', retiredAt: null, expiresAt: null }
+		])
+		const sut = makeSut();
+		const expiresAt = new Date(Date.now() + 60000)
+		await sut.retire({ exceptKid: 'new_kid', expiresAt })
+		const previous = await signingKeyModel.findOne({ kid: 'previous_kid' })
+		expect(previous.retiredAt).toBeInstanceOf(Date)
+		expect(previous.expiresAt).toEqual(expiresAt)
+		expect((await signingKeyModel.findOne({ kid: 'old_kid' })).retiredAt).toEqual(retiredAt)
+		expect((await signingKeyModel.findOne({ kid: 'new_kid' })).retiredAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.retire()).rejects.toThrow(new MissingParamError('exceptKid'))
+		expect(sut.retire({ exceptKid: 'any_kid' })).rejects.toThrow(new MissingParamError('expiresAt'))
+	});
+})
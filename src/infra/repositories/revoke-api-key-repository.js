@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeApiKeyRepository {
+	async revoke(userId, apiKeyId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!apiKeyId) {
+			throw new MissingParamError('apiKeyId')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		const { modifiedCount } = await apiKeyModel.updateOne(
+			{ _id: apiKeyId, userId, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		)
+		return modifiedCount === 1
+	}
+}
@@ -0,0 +1,48 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeApiKeyRepository = require('./revoke-api-key-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new RevokeApiKeyRepository()
+}
+
+
+describe('RevokeApiKey Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke an active api key of the user', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertOne({ _id: 'any_id', userId: 'any_user_id', revokedAt: null })
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(true)
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		const apiKey = await apiKeyModel.findOne({ _id: 'any_id' })
+		expect(apiKey.revokedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should not revoke api keys of other users', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertOne({ _id: 'any_id', userId: 'other_user_id', revokedAt: null })
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		const apiKey = await apiKeyModel.findOne({ _id: 'any_id' })
+		expect(apiKey.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.revoke('any_user_id')).rejects.toThrow(new MissingParamError('apiKeyId'))
+	});
+})
@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeRefreshTokenFamilyRepository {
+	async revoke(family) {
+		if (!family) {
+			throw new MissingParamError('family')
+		}
+		const refreshTokenModel = await MongoHelper.getCollection('refreshTokens')
+		await refreshTokenModel.updateMany(
+			{ family, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		)
+	}
+}
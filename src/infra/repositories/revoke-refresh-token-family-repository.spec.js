@@ -0,0 +1,44 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeRefreshTokenFamilyRepository = require('./revoke-refresh-token-family-repository')
+const { MissingParamError } = require('../../utils/errors')
+let refreshTokenModel;
+
+const makeSut = () => {
+	return new RevokeRefreshTokenFamilyRepository()
+}
+
+
+describe('RevokeRefreshTokenFamily Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await refreshTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke every refresh token of the family', async () => {
+		const sut = makeSut();
+		await refreshTokenModel.insertMany([
+			{ family: 'any_family', tokenHash: 'first_hash', revokedAt: null },
+			{ family: 'any_family', tokenHash: 'second_hash', revokedAt: null },
+			{ family: 'other_family', tokenHash: 'other_hash', revokedAt: null }
+		])
+		await sut.revoke('any_family')
+		const revoked = await refreshTokenModel.countDocuments({ revokedAt: { $ne: null } })
+		const otherFamily = await refreshTokenModel.findOne({ family: 'other_family' })
+		expect(revoked).toBe(2)
+		expect(otherFamily.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no family is provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('family'))
+	});
+})
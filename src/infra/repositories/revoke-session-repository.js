@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeSessionRepository {
+	async revoke(userId, sessionId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		const { modifiedCount } = await sessionModel.updateOne(
+			{ _id: sessionId, userId, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		)
+		return modifiedCount === 1
+	}
+}
@@ -0,0 +1,48 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeSessionRepository = require('./revoke-session-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new RevokeSessionRepository()
+}
+
+
+describe('RevokeSession Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke an active session of the user', async () => {
+		const sut = makeSut();
+		await sessionModel.insertOne({ _id: 'any_id', userId: 'any_user_id', revokedAt: null })
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(true)
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		const session = await sessionModel.findOne({ _id: 'any_id' })
+		expect(session.revokedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should not revoke sessions of other users', async () => {
+		const sut = makeSut();
+		await sessionModel.insertOne({ _id: 'any_id', userId: 'other_user_id', revokedAt: null })
+		expect(await sut.revoke('any_user_id', 'any_id')).toBe(false)
+		const session = await sessionModel.findOne({ _id: 'any_id' })
+		expect(session.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.revoke('any_user_id')).rejects.toThrow(new MissingParamError('sessionId'))
+	});
+})
@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeUserApiKeysRepository {
+	async revoke(userId) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		await apiKeyModel.updateMany(
+			{ userId, revokedAt: null },
+			{ $set: { revokedAt: new Date() } }
+		)
+	}
+}
@@ -0,0 +1,44 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeUserApiKeysRepository = require('./revoke-user-api-keys-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new RevokeUserApiKeysRepository()
+}
+
+
+describe('RevokeUserApiKeys Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke every api key of the user', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertMany([
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'other_id', userId: 'other_user_id', revokedAt: null }
+		])
+		await sut.revoke('any_user_id')
+		const revoked = await apiKeyModel.countDocuments({ userId: 'any_user_id', revokedAt: { $ne: null } })
+		const otherUserKey = await apiKeyModel.findOne({ userId: 'other_user_id' })
+		expect(revoked).toBe(2)
+		expect(otherUserKey.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeUserRefreshTokensRepository {
+	async revoke(userId, { exceptFamily } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const refreshTokenModel = await MongoHelper.getCollection('refreshTokens')
+		const filter = { userId, revokedAt: null }
+		if (exceptFamily) {
+			filter.family = { $ne: exceptFamily }
+		}
+		await refreshTokenModel.updateMany(
+			filter,
+			{ $set: { revokedAt: new Date() } }
+		)
+	}
+}
@@ -0,0 +1,57 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeUserRefreshTokensRepository = require('./revoke-user-refresh-tokens-repository')
+const { MissingParamError } = require('../../utils/errors')
+let refreshTokenModel;
+
+const makeSut = () => {
+	return new RevokeUserRefreshTokensRepository()
+}
+
+
+describe('RevokeUserRefreshTokens Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await refreshTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke every refresh token of the user', async () => {
+		const sut = makeSut();
+		await refreshTokenModel.insertMany([
+			{ userId: 'any_user_id', family: 'first_family', revokedAt: null },
+			{ userId: 'any_user_id', family: 'second_family', revokedAt: null },
+			{ userId: 'other_user_id', family: 'other_family', revokedAt: null }
+		])
+		await sut.revoke('any_user_id')
+		const revoked = await refreshTokenModel.countDocuments({ userId: 'any_user_id', revokedAt: { $ne: null } })
+		const otherUserToken = await refreshTokenModel.findOne({ userId: 'other_user_id' })
+		expect(revoked).toBe(2)
+		expect(otherUserToken.revokedAt).toBeNull()
+	});
+
+	test('Should keep the refresh tokens of the excepted family', async () => {
+		const sut = makeSut();
+		await refreshTokenModel.insertMany([
+			{ userId: 'any_user_id', family: 'first_family', revokedAt: null },
+			{ userId: 'any_user_id', family: 'second_family', revokedAt: null }
+		])
+		await sut.revoke('any_user_id', { exceptFamily: 'second_family' })
+		const first = await refreshTokenModel.findOne({ family: 'first_family' })
+		const second = await refreshTokenModel.findOne({ family: 'second_family' })
+		expect(first.revokedAt).toBeTruthy()
+		expect(second.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
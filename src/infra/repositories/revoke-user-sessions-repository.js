@@ -0,0 +1,19 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class RevokeUserSessionsRepository {
+	async revoke(userId, { exceptSessionId } = {}) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		const filter = { userId, revokedAt: null }
+		if (exceptSessionId) {
+			filter._id = { $ne: exceptSessionId }
+		}
+		await sessionModel.updateMany(
+			filter,
+			{ $set: { revokedAt: new Date() } }
+		)
+	}
+}
@@ -0,0 +1,57 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const RevokeUserSessionsRepository = require('./revoke-user-sessions-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new RevokeUserSessionsRepository()
+}
+
+
+describe('RevokeUserSessions Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should revoke every session of the user', async () => {
+		const sut = makeSut();
+		await sessionModel.insertMany([
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'other_id', userId: 'other_user_id', revokedAt: null }
+		])
+		await sut.revoke('any_user_id')
+		const revoked = await sessionModel.countDocuments({ userId: 'any_user_id', revokedAt: { $ne: null } })
+		const otherUserSession = await sessionModel.findOne({ userId: 'other_user_id' })
+		expect(revoked).toBe(2)
+		expect(otherUserSession.revokedAt).toBeNull()
+	});
+
+	test('Should keep the excepted session', async () => {
+		const sut = makeSut();
+		await sessionModel.insertMany([
+			{ _id: 'first_id', userId: 'any_user_id', revokedAt: null },
+			{ _id: 'second_id', userId: 'any_user_id', revokedAt: null }
+		])
+		await sut.revoke('any_user_id', { exceptSessionId: 'second_id' })
+		const first = await sessionModel.findOne({ _id: 'first_id' })
+		const second = await sessionModel.findOne({ _id: 'second_id' })
+		expect(first.revokedAt).toBeTruthy()
+		expect(second.revokedAt).toBeNull()
+	});
+
+	test('Should throw if no userId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.revoke()).rejects.toThrow(new MissingParamError('userId'))
+	});
+})
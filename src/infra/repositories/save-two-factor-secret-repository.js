@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class SaveTwoFactorSecretRepository {
+	async save(userId, secret) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!secret) {
+			throw new MissingParamError('secret')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId }, { $set: { twoFactor: { secret, enabled: false, recoveryCodes: [] } } })
+	}
+}
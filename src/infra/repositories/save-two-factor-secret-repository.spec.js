@@ -0,0 +1,44 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const SaveTwoFactorSecretRepository = require('./save-two-factor-secret-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new SaveTwoFactorSecretRepository();
+}
+
+
+describe('SaveTwoFactorSecret Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			twoFactor: { secret: 'old_secret', enabled: false, recoveryCodes: ['old_code'] }
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should store a pending secret and drop the previous enrollment', async () => {
+		const sut = makeSut();
+		await sut.save(fakeUserId, 'any_secret');
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.twoFactor).toEqual({ secret: 'any_secret', enabled: false, recoveryCodes: [] });
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.save()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.save(fakeUserId)).rejects.toThrow(new MissingParamError('secret'))
+	});
+})
@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class TouchApiKeyRepository {
+	async touch(apiKeyId) {
+		if (!apiKeyId) {
+			throw new MissingParamError('apiKeyId')
+		}
+		const apiKeyModel = await MongoHelper.getCollection('apiKeys')
+		await apiKeyModel.updateOne({ _id: apiKeyId }, { $set: { lastUsedAt: new Date() } })
+	}
+}
@@ -0,0 +1,38 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const TouchApiKeyRepository = require('./touch-api-key-repository')
+const { MissingParamError } = require('../../utils/errors')
+let apiKeyModel;
+
+const makeSut = () => {
+	return new TouchApiKeyRepository()
+}
+
+
+describe('TouchApiKey Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await apiKeyModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should update the last used date of the api key', async () => {
+		const sut = makeSut();
+		await apiKeyModel.insertOne({ _id: 'any_id', userId: 'any_user_id', lastUsedAt: null })
+		await sut.touch('any_id')
+		const apiKey = await apiKeyModel.findOne({ _id: 'any_id' })
+		expect(apiKey.lastUsedAt).toBeInstanceOf(Date)
+	});
+
+	test('Should throw if no apiKeyId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.touch()).rejects.toThrow(new MissingParamError('apiKeyId'))
+	});
+})
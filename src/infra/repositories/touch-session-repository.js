@@ -0,0 +1,12 @@
+const { MissingParamError } = require('../../utils/errors')
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class TouchSessionRepository {
+	async touch(sessionId, { expiresAt } = {}) {
+		if (!sessionId) {
+			throw new MissingParamError('sessionId')
+		}
+		const sessionModel = await MongoHelper.getCollection('sessions')
+		await sessionModel.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date(), ...(expiresAt && { expiresAt }) } })
+	}
+}
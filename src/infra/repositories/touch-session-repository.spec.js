@@ -0,0 +1,49 @@
+const MongoHelper = require('../helpers/mongo-helper')
+const TouchSessionRepository = require('./touch-session-repository')
+const { MissingParamError } = require('../../utils/errors')
+let sessionModel;
+
+const makeSut = () => {
+	return new TouchSessionRepository()
+}
+
+
+describe('TouchSession Repository', () => {
+
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should update the last seen date of the session', async () => {
+		const sut = makeSut();
+		const lastSeenAt = new Date(Date.now() - 60000)
+		await sessionModel.insertOne({ _id: 'any_id', userId: 'any_user_id', lastSeenAt })
+		await sut.touch('any_id')
+		const session = await sessionModel.findOne({ _id: 'any_id' })
+		expect(session.lastSeenAt.getTime()).toBeGreaterThan(lastSeenAt.getTime())
+	});
+
+	test('Should extend the expiration when one is given', async () => {
+		const sut = makeSut();
+		await sessionModel.insertOne({ _id: 'any_id', userId: 'any_user_id', lastSeenAt: new Date(), expiresAt: new Date(Date.now() + 60000) })
+		const expiresAt = new Date(Date.now() + 120000)
+		await sut.touch('any_id', { expiresAt })
+		await sut.touch('any_id')
+		const session = await sessionModel.findOne({ _id: 'any_id' })
+		expect(session.expiresAt).toEqual(expiresAt)
+	});
+
+	test('Should throw if no sessionId is provided', async () => {
+		const sut = makeSut();
+		expect(sut.touch()).rejects.toThrow(new MissingParamError('sessionId'))
+	});
+})
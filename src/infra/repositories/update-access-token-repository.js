@@ -1,19 +0,0 @@
-const { MissingParamError } = require('../../utils/errors');
-const MongoHelper = require('../helpers/mongo-helper')
-
-module.exports = class UpdateAccessTokenRepository {
-	constructor(userModel) {
-		this.userModel = userModel
-	}
-
-	async update(userId, accessToken) {
-		if (!userId) {
-			throw new MissingParamError('userId')
-		}
-		if (!accessToken) {
-			throw new MissingParamError('accessToken')
-		}
-		const userModel = await MongoHelper.getCollection('users')
-		await userModel.updateOne({ _id: userId }, { $set: { accessToken } })
-	}
-}
\ No newline at end of file
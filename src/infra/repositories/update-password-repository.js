@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class UpdatePasswordRepository {
+	async update(userId, password) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!password) {
+			throw new MissingParamError('password')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId }, { $set: { password, passwordResetRequired: false } })
+	}
+}
@@ -0,0 +1,51 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const UpdatePasswordRepository = require('./update-password-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new UpdatePasswordRepository();
+}
+
+
+describe('UpdatePassword Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password'
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should update the password of the user', async () => {
+		const sut = makeSut();
+		await sut.update(fakeUserId, 'new_hashed_password');
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.password).toBe('new_hashed_password');
+	});
+
+	test('Should clear a forced password reset', async () => {
+		const sut = makeSut();
+		await userModel.updateOne({ _id: fakeUserId }, { $set: { passwordResetRequired: true } });
+		await sut.update(fakeUserId, 'new_hashed_password');
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.passwordResetRequired).toBe(false);
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.update(fakeUserId)).rejects.toThrow(new MissingParamError('password'))
+	});
+})
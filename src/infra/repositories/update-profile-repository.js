@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class UpdateProfileRepository {
+	async update(userId, profile) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!profile) {
+			throw new MissingParamError('profile')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId }, { $set: profile })
+	}
+}
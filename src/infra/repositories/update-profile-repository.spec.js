@@ -1,15 +1,15 @@
 const MongoHelper = require('../helpers/mongo-helper');
 const { MissingParamError } = require('../../utils/errors');
-const UpdateAccessTokenRepository = require('./update-access-token-repository')
+const UpdateProfileRepository = require('./update-profile-repository')
 let userModel;
 let fakeUserId;
 
 const makeSut = () => {
-	return new UpdateAccessTokenRepository();
+	return new UpdateProfileRepository();
 }
 
 
-describe('UpdateAccessToken Repository', () => {
+describe('UpdateProfile Repository', () => {
 	beforeAll(async () => {
 		await MongoHelper.connect(process.env.MONGO_URL);
 		userModel = await MongoHelper.getCollection('users');
@@ -18,10 +18,8 @@ describe('UpdateAccessToken Repository', () => {
 	beforeEach(async () => {
 		await userModel.deleteMany();
 		const fakeUser = await userModel.insertOne({
-			email: 'valid_email@mail.com',
 			name: 'any_name',
-			age: 50,
-			state: 'any_state',
+			email: 'valid_email@mail.com',
 			password: 'hashed_password'
 		});
 		fakeUserId = fakeUser.insertedId;
@@ -31,16 +29,17 @@ describe('UpdateAccessToken Repository', () => {
 		await MongoHelper.disconnect();
 	});
 
-	test('Should update the user with the given accessToken', async () => {
+	test('Should update the profile fields of the user', async () => {
 		const sut = makeSut();
-		await sut.update(fakeUserId, 'valid_token');
+		await sut.update(fakeUserId, { name: 'new_name' });
 		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
-		expect(updatedFakeUser.accessToken).toBe('valid_token');
+		expect(updatedFakeUser.name).toBe('new_name');
+		expect(updatedFakeUser.email).toBe('valid_email@mail.com');
 	});
 
 	test('Should throw if no params are provided', async () => {
 		const sut = makeSut();
 		expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
-		expect(sut.update(fakeUserId)).rejects.toThrow(new MissingParamError('accessToken'))
+		expect(sut.update(fakeUserId)).rejects.toThrow(new MissingParamError('profile'))
 	});
-})
\ No newline at end of file
+})
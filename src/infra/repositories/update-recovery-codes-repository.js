@@ -0,0 +1,15 @@
+const { MissingParamError } = require('../../utils/errors');
+const MongoHelper = require('../helpers/mongo-helper')
+
+module.exports = class UpdateRecoveryCodesRepository {
+	async update(userId, recoveryCodes) {
+		if (!userId) {
+			throw new MissingParamError('userId')
+		}
+		if (!recoveryCodes) {
+			throw new MissingParamError('recoveryCodes')
+		}
+		const userModel = await MongoHelper.getCollection('users')
+		await userModel.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes } })
+	}
+}
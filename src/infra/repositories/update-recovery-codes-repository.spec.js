@@ -0,0 +1,45 @@
+const MongoHelper = require('../helpers/mongo-helper');
+const { MissingParamError } = require('../../utils/errors');
+const UpdateRecoveryCodesRepository = require('./update-recovery-codes-repository')
+let userModel;
+let fakeUserId;
+
+const makeSut = () => {
+	return new UpdateRecoveryCodesRepository();
+}
+
+
+describe('UpdateRecoveryCodes Repository', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const fakeUser = await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password',
+			twoFactor: { secret: 'any_secret', enabled: true, recoveryCodes: ['old_code'] }
+		});
+		fakeUserId = fakeUser.insertedId;
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should replace the recovery codes of the user', async () => {
+		const sut = makeSut();
+		await sut.update(fakeUserId, ['new_code', 'other_code']);
+		const updatedFakeUser = await userModel.findOne({ _id: fakeUserId });
+		expect(updatedFakeUser.twoFactor.recoveryCodes).toEqual(['new_code', 'other_code']);
+		expect(updatedFakeUser.twoFactor.secret).toBe('any_secret');
+	});
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut();
+		expect(sut.update()).rejects.toThrow(new MissingParamError('userId'))
+		expect(sut.update(fakeUserId)).rejects.toThrow(new MissingParamError('recoveryCodes'))
+	});
+})
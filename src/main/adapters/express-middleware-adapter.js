@@ -0,0 +1,23 @@
+module.exports = class ExpressMiddlewareAdapter {
+	static adapt(middleware) {
+		return async (req, res, next) => {
+			const httpRequest = {
+				headers: req.headers,
+				cookies: req.cookies,
+				requestId: req.requestId,
+				route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+				userId: req.userId,
+				permissions: req.permissions
+			}
+			const httpResponse = await middleware.handle(httpRequest);
+			if (httpResponse.statusCode === 200) {
+				Object.assign(req, httpResponse.body)
+				return next()
+			}
+			if (httpResponse.headers) {
+				res.set(httpResponse.headers)
+			}
+			res.status(httpResponse.statusCode).json(httpResponse.body)
+		}
+	}
+}
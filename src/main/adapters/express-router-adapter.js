@@ -1,11 +1,48 @@
+// routers speak seconds like the rest of the app, express expects milliseconds
+const setCookie = (res, name, value, { maxAge, ...options }) => {
+	if (value === null) {
+		return res.clearCookie(name, options)
+	}
+	res.cookie(name, value, maxAge === undefined ? options : { ...options, maxAge: maxAge * 1000 })
+}
+
 module.exports = class ExpressRouterAdapter {
 	static adapt(router) {
 		return async (req, res) => {
 			const httpRequest = {
-				body: req.body
+				body: req.body,
+				query: req.query,
+				params: req.params,
+				headers: req.headers,
+				cookies: req.cookies,
+				ip: req.ip,
+				userAgent: req.get('user-agent'),
+				requestId: req.requestId,
+				route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+				userId: req.userId,
+				sessionId: req.sessionId,
+				apiKeyId: req.apiKeyId,
+				clientId: req.clientId,
+				scopes: req.scopes,
+				roles: req.roles,
+				permissions: req.permissions,
+				tokenId: req.tokenId,
+				tokenExpiresAt: req.tokenExpiresAt
 			}
 			const httpResponse = await router.route(httpRequest);
+			if (httpResponse.headers) {
+				res.set(httpResponse.headers)
+			}
+			for (const { name, value, options = {} } of httpResponse.cookies || []) {
+				setCookie(res, name, value, options)
+			}
+			// redirects and 204 responses carry no body at all, not even a JSON null,
+			// so the JSON content type set for every response does not apply either
+			if (httpResponse.body === undefined) {
+				res.removeHeader('Content-Type')
+				return res.status(httpResponse.statusCode).end()
+			}
 			res.status(httpResponse.statusCode).json(httpResponse.body)
 		}
 	}
-}
\ No newline at end of file
+}
@@ -0,0 +1,65 @@
+const request = require("supertest");
+const app = require('../config/app')
+const ExpressRouterAdapter = require('./express-router-adapter')
+
+const makeRouter = (httpResponse) => {
+	class RouterSpy {
+		async route(httpRequest) {
+			this.httpRequest = httpRequest
+			return httpResponse
+		}
+	}
+	return new RouterSpy()
+}
+
+describe('Express Router Adapter', () => {
+	test("Should hand the request details to the router", async () => {
+		const router = makeRouter({ statusCode: 200, body: {} })
+		app.post('/test_adapter_request/:id', ExpressRouterAdapter.adapt(router))
+		await request(app).post('/test_adapter_request/any_id?page=2')
+			.set('Cookie', 'any_cookie=any_value')
+			.set('User-Agent', 'any_user_agent')
+			.send({ any: 'body' })
+			.expect(200)
+		expect(router.httpRequest).toMatchObject({
+			body: { any: 'body' },
+			query: { page: '2' },
+			params: { id: 'any_id' },
+			cookies: { any_cookie: 'any_value' },
+			userAgent: 'any_user_agent',
+			route: 'POST /test_adapter_request/:id'
+		})
+		expect(router.httpRequest.headers['user-agent']).toBe('any_user_agent')
+		expect(router.httpRequest.ip).toBeTruthy()
+	})
+
+	test("Should send the headers and cookies of the response", async () => {
+		const router = makeRouter({
+			statusCode: 201,
+			headers: { Location: '/any/any_id' },
+			cookies: [
+				{ name: 'set_cookie', value: 'any_value', options: { httpOnly: true, secure: true, sameSite: 'strict', path: '/api', maxAge: 60 } },
+				{ name: 'cleared_cookie', value: null, options: { path: '/api' } }
+			],
+			body: { id: 'any_id' }
+		})
+		app.post('/test_adapter_response', ExpressRouterAdapter.adapt(router))
+		const res = await request(app).post('/test_adapter_response').expect(201, { id: 'any_id' })
+		expect(res.headers.location).toBe('/any/any_id')
+		const [setCookie, clearedCookie] = res.headers['set-cookie']
+		expect(setCookie).toMatch(/^set_cookie=any_value; Max-Age=60; Path=\/api; Expires=.+; HttpOnly; Secure; SameSite=Strict$/)
+		expect(clearedCookie).toMatch(/^cleared_cookie=; Path=\/api; Expires=Thu, 01 Jan 1970 00:00:00 GMT$/)
+	})
+
+	test("Should redirect and answer 204 without a body", async () => {
+		app.get('/test_adapter_redirect', ExpressRouterAdapter.adapt(makeRouter({ statusCode: 302, headers: { Location: 'https://any.app/callback' } })))
+		app.delete('/test_adapter_no_content', ExpressRouterAdapter.adapt(makeRouter({ statusCode: 204 })))
+		const redirect = await request(app).get('/test_adapter_redirect').expect(302)
+		expect(redirect.headers.location).toBe('https://any.app/callback')
+		expect(redirect.text).toBe('')
+		expect(redirect.headers['content-type']).toBeUndefined()
+		const noContent = await request(app).delete('/test_adapter_no_content').expect(204)
+		expect(noContent.text).toBe('')
+		expect(noContent.headers['content-type']).toBeUndefined()
+	})
+});
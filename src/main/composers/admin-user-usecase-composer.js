@@ -0,0 +1,28 @@
+const AdminUserUseCase = require('../../domain/usecases/admin-user-usecase');
+const {
+	LoadUsersRepository,
+	LoadUserByIdRepository,
+	DisableUserRepository,
+	EnableUserRepository,
+	FlagPasswordResetRepository,
+	RevokeUserSessionsRepository,
+	RevokeUserRefreshTokensRepository,
+	RevokeUserApiKeysRepository
+} = require('../config/repositories')
+const ForgotPasswordUseCaseComposer = require('./forgot-password-usecase-composer');
+
+module.exports = class AdminUserUseCaseComposer {
+	static compose() {
+		return new AdminUserUseCase({
+			loadUsersRepository: new LoadUsersRepository(),
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			disableUserRepository: new DisableUserRepository(),
+			enableUserRepository: new EnableUserRepository(),
+			flagPasswordResetRepository: new FlagPasswordResetRepository(),
+			revokeUserSessionsRepository: new RevokeUserSessionsRepository(),
+			revokeUserRefreshTokensRepository: new RevokeUserRefreshTokensRepository(),
+			revokeUserApiKeysRepository: new RevokeUserApiKeysRepository(),
+			forgotPasswordUseCase: ForgotPasswordUseCaseComposer.compose()
+		});
+	}
+}
@@ -0,0 +1,27 @@
+const ApiKeyUseCase = require('../../domain/usecases/api-key-usecase');
+const {
+	AddApiKeyRepository,
+	LoadUserApiKeysRepository,
+	LoadApiKeyByPrefixRepository,
+	RevokeApiKeyRepository,
+	TouchApiKeyRepository,
+	LoadUserByIdRepository
+} = require('../config/repositories')
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const PermissionResolverComposer = require('./permission-resolver-composer');
+
+module.exports = class ApiKeyUseCaseComposer {
+	static compose() {
+		return new ApiKeyUseCase({
+			addApiKeyRepository: new AddApiKeyRepository(),
+			loadUserApiKeysRepository: new LoadUserApiKeysRepository(),
+			loadApiKeyByPrefixRepository: new LoadApiKeyByPrefixRepository(),
+			revokeApiKeyRepository: new RevokeApiKeyRepository(),
+			touchApiKeyRepository: new TouchApiKeyRepository(),
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			permissionResolver: PermissionResolverComposer.compose(),
+			prefixGenerator: new RandomTokenGenerator(6),
+			randomTokenGenerator: new RandomTokenGenerator()
+		});
+	}
+}
@@ -0,0 +1,11 @@
+const AuditLogUseCase = require('../../domain/usecases/audit-log-usecase');
+const { AddAuditLogRepository, LoadAuditLogRepository } = require('../config/repositories')
+
+module.exports = class AuditLogUseCaseComposer {
+	static compose() {
+		return new AuditLogUseCase({
+			addAuditLogRepository: new AddAuditLogRepository(),
+			loadAuditLogRepository: new LoadAuditLogRepository()
+		});
+	}
+}
@@ -0,0 +1,18 @@
+const AuthMiddleware = require('../../presentation/middlewares/auth-middleware');
+const { LoadSessionRepository, TouchSessionRepository, LoadRevokedTokenRepository } = require('../config/repositories')
+const TokenGenerator = require('../../utils/helpers/token-generator');
+const ApiKeyUseCaseComposer = require('./api-key-usecase-composer');
+const LogMiddlewareDecoratorComposer = require('./log-middleware-decorator-composer');
+const keyStore = require('../config/signing-keys')
+const tokenCookie = require('../config/token-cookie')
+
+module.exports = class AuthMiddlewareComposer {
+	static compose() {
+		const tokenGenerator = new TokenGenerator(keyStore);
+		const loadSessionRepository = new LoadSessionRepository();
+		const touchSessionRepository = new TouchSessionRepository();
+		const loadRevokedTokenRepository = new LoadRevokedTokenRepository();
+		const apiKeyUseCase = ApiKeyUseCaseComposer.compose();
+		return LogMiddlewareDecoratorComposer.compose(new AuthMiddleware({ tokenGenerator, loadSessionRepository, touchSessionRepository, loadRevokedTokenRepository, apiKeyUseCase, tokenCookie }));
+	}
+}
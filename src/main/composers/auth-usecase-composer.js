@@ -0,0 +1,47 @@
+const AuthUseCase = require('../../domain/usecases/auth-usecase');
+const LoginAttemptsUseCase = require('../../domain/usecases/login-attempts-usecase');
+const {
+	LoadUserByEmailRepository,
+	AddSessionRepository,
+	UpdatePasswordRepository,
+	LoadLoginAttemptsRepository,
+	IncrementLoginAttemptsRepository,
+	LockLoginAttemptsRepository,
+	RemoveLoginAttemptsRepository
+} = require('../config/repositories')
+const TokenGenerator = require('../../utils/helpers/token-generator');
+const EncrypterComposer = require('./encrypter-composer');
+const RefreshTokenUseCaseComposer = require('./refresh-token-usecase-composer');
+const TwoFactorUseCaseComposer = require('./two-factor-usecase-composer');
+const PermissionResolverComposer = require('./permission-resolver-composer');
+const env = require('../config/env')
+const keyStore = require('../config/signing-keys')
+const eventBus = require('../config/events')
+
+module.exports = class AuthUseCaseComposer {
+	static compose() {
+		const loginAttemptsUseCase = new LoginAttemptsUseCase({
+			loadLoginAttemptsRepository: new LoadLoginAttemptsRepository(),
+			incrementLoginAttemptsRepository: new IncrementLoginAttemptsRepository(),
+			lockLoginAttemptsRepository: new LockLoginAttemptsRepository(),
+			removeLoginAttemptsRepository: new RemoveLoginAttemptsRepository(),
+			maxAttempts: env.loginMaxAttempts,
+			lockoutDuration: env.loginLockoutDuration,
+			maxLockoutDuration: env.loginMaxLockoutDuration,
+			attemptsWindow: env.loginAttemptsWindow
+		});
+		return new AuthUseCase({
+			loadUserByEmailRepository: new LoadUserByEmailRepository(),
+			addSessionRepository: new AddSessionRepository(),
+			updatePasswordRepository: new UpdatePasswordRepository(),
+			encrypter: EncrypterComposer.compose(),
+			tokenGenerator: new TokenGenerator(keyStore, env.accessTokenExpiresIn),
+			refreshTokenUseCase: RefreshTokenUseCaseComposer.compose(),
+			loginAttemptsUseCase,
+			twoFactorUseCase: TwoFactorUseCaseComposer.compose(),
+			permissionResolver: PermissionResolverComposer.compose(),
+			eventBus,
+			requireVerifiedEmail: env.requireVerifiedEmail
+		});
+	}
+}
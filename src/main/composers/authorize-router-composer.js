@@ -0,0 +1,25 @@
+const AuthorizeRouter = require('../../presentation/routers/authorize-router');
+const EmailValidator = require('../../utils/helpers/email-validator');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, EmailValidation } = require('../../presentation/validators');
+const OAuthUseCaseComposer = require('./oauth-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class AuthorizeRouterComposer {
+	static compose() {
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('email'),
+			new StringValidation('email'),
+			new EmailValidation('email', new EmailValidator()),
+			new RequiredFieldValidation('password'),
+			new StringValidation('password')
+		]);
+		const twoFactorValidation = new ValidationComposite([
+			new RequiredFieldValidation('challenge'),
+			new StringValidation('challenge'),
+			new RequiredFieldValidation('code'),
+			new StringValidation('code')
+		]);
+		const oauthUseCase = OAuthUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new AuthorizeRouter({ oauthUseCase, validation, twoFactorValidation }));
+	}
+}
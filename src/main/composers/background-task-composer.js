@@ -0,0 +1,9 @@
+const BackgroundTask = require('../../utils/helpers/background-task');
+const { LogErrorRepository } = require('../config/repositories')
+
+module.exports = class BackgroundTaskComposer {
+	static compose() {
+		const logErrorRepository = new LogErrorRepository();
+		return new BackgroundTask({ logErrorRepository });
+	}
+}
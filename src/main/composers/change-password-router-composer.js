@@ -0,0 +1,18 @@
+const ChangePasswordRouter = require('../../presentation/routers/change-password-router');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, CompareFieldsValidation, MinLengthValidation } = require('../../presentation/validators');
+const ProfileUseCaseComposer = require('./profile-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const env = require('../config/env')
+
+module.exports = class ChangePasswordRouterComposer {
+	static compose() {
+		const profileUseCase = ProfileUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			...['currentPassword', 'password', 'passwordConfirmation'].map(field => new RequiredFieldValidation(field)),
+			...['currentPassword', 'password', 'passwordConfirmation'].map(field => new StringValidation(field)),
+			new MinLengthValidation('password', env.passwordMinLength),
+			new CompareFieldsValidation('passwordConfirmation', 'password')
+		]);
+		return LogControllerDecoratorComposer.compose(new ChangePasswordRouter({ profileUseCase, validation }));
+	}
+}
@@ -0,0 +1,16 @@
+const CreateApiKeyRouter = require('../../presentation/routers/create-api-key-router');
+const { ValidationComposite, RequiredFieldValidation, StringListValidation, FutureDateValidation } = require('../../presentation/validators');
+const ApiKeyUseCaseComposer = require('./api-key-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class CreateApiKeyRouterComposer {
+	static compose() {
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('name'),
+			new StringListValidation('scopes'),
+			new FutureDateValidation('expiresAt')
+		]);
+		const apiKeyUseCase = ApiKeyUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new CreateApiKeyRouter({ apiKeyUseCase, validation }));
+	}
+}
@@ -0,0 +1,10 @@
+const DisableUserRouter = require('../../presentation/routers/disable-user-router');
+const AdminUserUseCaseComposer = require('./admin-user-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class DisableUserRouterComposer {
+	static compose() {
+		const adminUserUseCase = AdminUserUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new DisableUserRouter({ adminUserUseCase }));
+	}
+}
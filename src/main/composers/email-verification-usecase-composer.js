@@ -0,0 +1,30 @@
+const EmailVerificationUseCase = require('../../domain/usecases/email-verification-usecase');
+const {
+	LoadUserByEmailRepository,
+	AddUserTokenRepository,
+	LoadLastUserTokenRepository,
+	ConsumeUserTokenRepository,
+	MarkEmailAsVerifiedRepository
+} = require('../config/repositories')
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const MailSenderComposer = require('./mail-sender-composer');
+const BackgroundTaskComposer = require('./background-task-composer');
+const env = require('../config/env')
+
+module.exports = class EmailVerificationUseCaseComposer {
+	static compose() {
+		return new EmailVerificationUseCase({
+			loadUserByEmailRepository: new LoadUserByEmailRepository(),
+			randomTokenGenerator: new RandomTokenGenerator(),
+			addUserTokenRepository: new AddUserTokenRepository(),
+			loadLastUserTokenRepository: new LoadLastUserTokenRepository(),
+			consumeUserTokenRepository: new ConsumeUserTokenRepository(),
+			markEmailAsVerifiedRepository: new MarkEmailAsVerifiedRepository(),
+			mailSender: MailSenderComposer.compose(),
+			backgroundTask: BackgroundTaskComposer.compose(),
+			verifyUrl: `${env.appUrl}/api/verify-email`,
+			expiresIn: env.emailVerificationExpiresIn,
+			resendInterval: env.emailVerificationResendInterval
+		});
+	}
+}
@@ -0,0 +1,10 @@
+const EnableUserRouter = require('../../presentation/routers/enable-user-router');
+const AdminUserUseCaseComposer = require('./admin-user-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class EnableUserRouterComposer {
+	static compose() {
+		const adminUserUseCase = AdminUserUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new EnableUserRouter({ adminUserUseCase }));
+	}
+}
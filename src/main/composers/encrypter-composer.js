@@ -0,0 +1,9 @@
+const Encrypter = require('../../utils/helpers/encrypter')
+const env = require('../config/env')
+
+module.exports = class EncrypterComposer {
+	static compose() {
+		const cost = env.hashAlgorithm === 'scrypt' ? env.scryptCost : env.bcryptCost
+		return new Encrypter({ algorithm: env.hashAlgorithm, cost });
+	}
+}
@@ -0,0 +1,10 @@
+const ForcePasswordResetRouter = require('../../presentation/routers/force-password-reset-router');
+const AdminUserUseCaseComposer = require('./admin-user-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ForcePasswordResetRouterComposer {
+	static compose() {
+		const adminUserUseCase = AdminUserUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new ForcePasswordResetRouter({ adminUserUseCase }));
+	}
+}
@@ -0,0 +1,17 @@
+const ForgotPasswordRouter = require('../../presentation/routers/forgot-password-router');
+const EmailValidator = require('../../utils/helpers/email-validator');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, EmailValidation } = require('../../presentation/validators');
+const ForgotPasswordUseCaseComposer = require('./forgot-password-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ForgotPasswordRouterComposer {
+	static compose() {
+		const forgotPasswordUseCase = ForgotPasswordUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('email'),
+			new StringValidation('email'),
+			new EmailValidation('email', new EmailValidator())
+		]);
+		return LogControllerDecoratorComposer.compose(new ForgotPasswordRouter({ forgotPasswordUseCase, validation }));
+	}
+}
@@ -0,0 +1,20 @@
+const ForgotPasswordUseCase = require('../../domain/usecases/forgot-password-usecase');
+const { LoadUserByEmailRepository, AddUserTokenRepository } = require('../config/repositories')
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const MailSenderComposer = require('./mail-sender-composer');
+const BackgroundTaskComposer = require('./background-task-composer');
+const env = require('../config/env')
+
+module.exports = class ForgotPasswordUseCaseComposer {
+	static compose() {
+		return new ForgotPasswordUseCase({
+			loadUserByEmailRepository: new LoadUserByEmailRepository(),
+			randomTokenGenerator: new RandomTokenGenerator(),
+			addUserTokenRepository: new AddUserTokenRepository(),
+			mailSender: MailSenderComposer.compose(),
+			backgroundTask: BackgroundTaskComposer.compose(),
+			resetUrl: env.passwordResetUrl,
+			expiresIn: env.passwordResetExpiresIn
+		});
+	}
+}
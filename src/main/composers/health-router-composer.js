@@ -0,0 +1,7 @@
+const HealthRouter = require('../../presentation/routers/health-router');
+
+module.exports = class HealthRouterComposer {
+	static compose() {
+		return new HealthRouter();
+	}
+}
@@ -0,0 +1,9 @@
+const JwksRouter = require('../../presentation/routers/jwks-router');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const signingKeyUseCase = require('../config/signing-keys')
+
+module.exports = class JwksRouterComposer {
+	static compose() {
+		return LogControllerDecoratorComposer.compose(new JwksRouter({ signingKeyUseCase }));
+	}
+}
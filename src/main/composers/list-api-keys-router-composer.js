@@ -0,0 +1,10 @@
+const ListApiKeysRouter = require('../../presentation/routers/list-api-keys-router');
+const ApiKeyUseCaseComposer = require('./api-key-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ListApiKeysRouterComposer {
+	static compose() {
+		const apiKeyUseCase = ApiKeyUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new ListApiKeysRouter({ apiKeyUseCase }));
+	}
+}
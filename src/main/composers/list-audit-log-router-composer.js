@@ -0,0 +1,18 @@
+const ListAuditLogRouter = require('../../presentation/routers/list-audit-log-router');
+const { ValidationComposite, IntegerRangeValidation, OneOfValidation, DateValidation } = require('../../presentation/validators');
+const AuditLogUseCaseComposer = require('./audit-log-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const events = require('../../domain/events');
+
+module.exports = class ListAuditLogRouterComposer {
+	static compose() {
+		const auditLogUseCase = AuditLogUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new IntegerRangeValidation('limit', 1, 100),
+			new OneOfValidation('type', Object.keys(events)),
+			new DateValidation('from'),
+			new DateValidation('to')
+		]);
+		return LogControllerDecoratorComposer.compose(new ListAuditLogRouter({ auditLogUseCase, validation }));
+	}
+}
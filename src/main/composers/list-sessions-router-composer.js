@@ -0,0 +1,10 @@
+const ListSessionsRouter = require('../../presentation/routers/list-sessions-router');
+const SessionUseCaseComposer = require('./session-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ListSessionsRouterComposer {
+	static compose() {
+		const sessionUseCase = SessionUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new ListSessionsRouter({ sessionUseCase }));
+	}
+}
@@ -0,0 +1,16 @@
+const ListUsersRouter = require('../../presentation/routers/list-users-router');
+const { ValidationComposite, StringValidation, IntegerRangeValidation, OneOfValidation } = require('../../presentation/validators');
+const AdminUserUseCaseComposer = require('./admin-user-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ListUsersRouterComposer {
+	static compose() {
+		const adminUserUseCase = AdminUserUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			...['cursor', 'email', 'status'].map(field => new StringValidation(field)),
+			new IntegerRangeValidation('limit', 1, 100),
+			new OneOfValidation('status', ['active', 'disabled'])
+		]);
+		return LogControllerDecoratorComposer.compose(new ListUsersRouter({ adminUserUseCase, validation }));
+	}
+}
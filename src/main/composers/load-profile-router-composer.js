@@ -0,0 +1,10 @@
+const LoadProfileRouter = require('../../presentation/routers/load-profile-router');
+const ProfileUseCaseComposer = require('./profile-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class LoadProfileRouterComposer {
+	static compose() {
+		const profileUseCase = ProfileUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new LoadProfileRouter({ profileUseCase }));
+	}
+}
@@ -0,0 +1,10 @@
+const LoadUserRouter = require('../../presentation/routers/load-user-router');
+const AdminUserUseCaseComposer = require('./admin-user-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class LoadUserRouterComposer {
+	static compose() {
+		const adminUserUseCase = AdminUserUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new LoadUserRouter({ adminUserUseCase }));
+	}
+}
@@ -0,0 +1,9 @@
+const LogControllerDecorator = require('../decorators/log-controller-decorator');
+const { LogErrorRepository } = require('../config/repositories')
+
+module.exports = class LogControllerDecoratorComposer {
+	static compose(router) {
+		const logErrorRepository = new LogErrorRepository();
+		return new LogControllerDecorator({ router, logErrorRepository });
+	}
+}
@@ -0,0 +1,9 @@
+const LogMiddlewareDecorator = require('../decorators/log-middleware-decorator');
+const { LogErrorRepository } = require('../config/repositories')
+
+module.exports = class LogMiddlewareDecoratorComposer {
+	static compose(middleware) {
+		const logErrorRepository = new LogErrorRepository();
+		return new LogMiddlewareDecorator({ middleware, logErrorRepository });
+	}
+}
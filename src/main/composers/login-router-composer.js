@@ -1,20 +1,20 @@
 const LoginRouter = require('../../presentation/routers/login-router');
-const AuthUseCase = require('../../domain/usecases/auth-usecase');
 const EmailValidator = require('../../utils/helpers/email-validator');
-const LoadUserByEmailRepository = require('../../infra/repositories/load-user-by-email-repository')
-const UpdateAccessTokenRepository = require('../../infra/repositories/update-access-token-repository')
-const Encrypter = require('../../utils/helpers/encrypter')
-const TokenGenerator = require('../../utils/helpers/token-generator');
-const env = require('../config/env')
+const { ValidationComposite, RequiredFieldValidation, StringValidation, EmailValidation } = require('../../presentation/validators');
+const AuthUseCaseComposer = require('./auth-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const tokenCookie = require('../config/token-cookie');
 
 module.exports = class LoginRouterComposer {
 	static compose() {
-		const tokenGenerator = new TokenGenerator(env.tokenSecret);
-		const encrypter = new Encrypter();
-		const loadUserByEmailRepository = new LoadUserByEmailRepository();
-		const updateAccessTokenRepository = new UpdateAccessTokenRepository();
-		const emailValidator = new EmailValidator();
-		const authUseCase = new AuthUseCase({ loadUserByEmailRepository, updateAccessTokenRepository, encrypter, tokenGenerator });
-		return new LoginRouter({ authUseCase, emailValidator });
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('email'),
+			new StringValidation('email'),
+			new EmailValidation('email', new EmailValidator()),
+			new RequiredFieldValidation('password'),
+			new StringValidation('password')
+		]);
+		const authUseCase = AuthUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new LoginRouter({ authUseCase, validation, tokenCookie }));
 	}
-}
\ No newline at end of file
+}
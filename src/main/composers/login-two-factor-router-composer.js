@@ -0,0 +1,18 @@
+const LoginTwoFactorRouter = require('../../presentation/routers/login-two-factor-router');
+const { ValidationComposite, RequiredFieldValidation, StringValidation } = require('../../presentation/validators');
+const AuthUseCaseComposer = require('./auth-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const tokenCookie = require('../config/token-cookie');
+
+module.exports = class LoginTwoFactorRouterComposer {
+	static compose() {
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('challenge'),
+			new StringValidation('challenge'),
+			new RequiredFieldValidation('code'),
+			new StringValidation('code')
+		]);
+		const authUseCase = AuthUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new LoginTwoFactorRouter({ authUseCase, validation, tokenCookie }));
+	}
+}
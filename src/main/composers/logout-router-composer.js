@@ -0,0 +1,19 @@
+const LogoutRouter = require('../../presentation/routers/logout-router');
+const LogoutUseCase = require('../../domain/usecases/logout-usecase');
+const {
+	RevokeSessionRepository,
+	RevokeRefreshTokenFamilyRepository,
+	AddRevokedTokenRepository
+} = require('../config/repositories')
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const tokenCookie = require('../config/token-cookie');
+
+module.exports = class LogoutRouterComposer {
+	static compose() {
+		const revokeSessionRepository = new RevokeSessionRepository();
+		const revokeRefreshTokenFamilyRepository = new RevokeRefreshTokenFamilyRepository();
+		const addRevokedTokenRepository = new AddRevokedTokenRepository();
+		const logoutUseCase = new LogoutUseCase({ revokeSessionRepository, revokeRefreshTokenFamilyRepository, addRevokedTokenRepository });
+		return LogControllerDecoratorComposer.compose(new LogoutRouter({ logoutUseCase, tokenCookie }));
+	}
+}
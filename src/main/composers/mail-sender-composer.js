@@ -0,0 +1,12 @@
+const ConsoleMailSender = require('../../infra/mail/console-mail-sender');
+const FileMailSender = require('../../infra/mail/file-mail-sender');
+const env = require('../config/env')
+
+module.exports = class MailSenderComposer {
+	static compose() {
+		if (env.mailDriver === 'file') {
+			return new FileMailSender(env.mailOutputPath);
+		}
+		return new ConsoleMailSender();
+	}
+}
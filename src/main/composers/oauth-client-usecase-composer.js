@@ -0,0 +1,14 @@
+const OAuthClientUseCase = require('../../domain/usecases/oauth-client-usecase');
+const { AddOAuthClientRepository, LoadOAuthClientRepository } = require('../config/repositories')
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+
+module.exports = class OAuthClientUseCaseComposer {
+	static compose() {
+		return new OAuthClientUseCase({
+			addOAuthClientRepository: new AddOAuthClientRepository(),
+			loadOAuthClientRepository: new LoadOAuthClientRepository(),
+			clientIdGenerator: new RandomTokenGenerator(16),
+			randomTokenGenerator: new RandomTokenGenerator()
+		});
+	}
+}
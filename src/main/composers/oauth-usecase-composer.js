@@ -0,0 +1,52 @@
+const OAuthUseCase = require('../../domain/usecases/oauth-usecase');
+const LogoutUseCase = require('../../domain/usecases/logout-usecase');
+const {
+	AddUserTokenRepository,
+	ConsumeUserTokenRepository,
+	LoadUserByIdRepository,
+	AddSessionRepository,
+	LoadRefreshTokenByHashRepository,
+	RevokeSessionRepository,
+	RevokeRefreshTokenFamilyRepository,
+	AddRevokedTokenRepository
+} = require('../config/repositories')
+const TokenGenerator = require('../../utils/helpers/token-generator');
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const PkceVerifier = require('../../utils/helpers/pkce-verifier');
+const AuthUseCaseComposer = require('./auth-usecase-composer');
+const OAuthClientUseCaseComposer = require('./oauth-client-usecase-composer');
+const RefreshTokenUseCaseComposer = require('./refresh-token-usecase-composer');
+const PermissionResolverComposer = require('./permission-resolver-composer');
+const env = require('../config/env')
+const { issuer } = require('../config/oauth')
+const keyStore = require('../config/signing-keys')
+const eventBus = require('../config/events')
+
+module.exports = class OAuthUseCaseComposer {
+	static compose() {
+		const logoutUseCase = new LogoutUseCase({
+			revokeSessionRepository: new RevokeSessionRepository(),
+			revokeRefreshTokenFamilyRepository: new RevokeRefreshTokenFamilyRepository(),
+			addRevokedTokenRepository: new AddRevokedTokenRepository()
+		});
+		return new OAuthUseCase({
+			oauthClientUseCase: OAuthClientUseCaseComposer.compose(),
+			authUseCase: AuthUseCaseComposer.compose(),
+			refreshTokenUseCase: RefreshTokenUseCaseComposer.compose(),
+			logoutUseCase,
+			tokenGenerator: new TokenGenerator(keyStore, env.accessTokenExpiresIn),
+			randomTokenGenerator: new RandomTokenGenerator(),
+			pkceVerifier: new PkceVerifier(),
+			permissionResolver: PermissionResolverComposer.compose(),
+			addUserTokenRepository: new AddUserTokenRepository(),
+			consumeUserTokenRepository: new ConsumeUserTokenRepository(),
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			addSessionRepository: new AddSessionRepository(),
+			loadRefreshTokenByHashRepository: new LoadRefreshTokenByHashRepository(),
+			eventBus,
+			issuer,
+			expiresIn: env.accessTokenExpiresIn,
+			codeExpiresIn: env.authorizationCodeExpiresIn
+		});
+	}
+}
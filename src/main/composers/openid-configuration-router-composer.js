@@ -0,0 +1,10 @@
+const OpenIdConfigurationRouter = require('../../presentation/routers/openid-configuration-router');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const env = require('../config/env')
+const { issuer, scopes } = require('../config/oauth')
+
+module.exports = class OpenIdConfigurationRouterComposer {
+	static compose() {
+		return LogControllerDecoratorComposer.compose(new OpenIdConfigurationRouter({ issuer, scopes, signingAlgorithm: env.tokenAlgorithm }));
+	}
+}
@@ -0,0 +1,8 @@
+const PermissionMiddleware = require('../../presentation/middlewares/permission-middleware');
+const LogMiddlewareDecoratorComposer = require('./log-middleware-decorator-composer');
+
+module.exports = class PermissionMiddlewareComposer {
+	static compose(permission) {
+		return LogMiddlewareDecoratorComposer.compose(new PermissionMiddleware({ permission }));
+	}
+}
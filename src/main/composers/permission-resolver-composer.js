@@ -0,0 +1,8 @@
+const PermissionResolver = require('../../utils/helpers/permission-resolver')
+const roles = require('../config/roles')
+
+module.exports = class PermissionResolverComposer {
+	static compose() {
+		return new PermissionResolver(roles);
+	}
+}
@@ -0,0 +1,26 @@
+const ProfileUseCase = require('../../domain/usecases/profile-usecase');
+const {
+	LoadUserByIdRepository,
+	UpdateProfileRepository,
+	LoadUserPasswordRepository,
+	UpdatePasswordRepository,
+	RevokeUserSessionsRepository,
+	RevokeUserRefreshTokensRepository
+} = require('../config/repositories')
+const EncrypterComposer = require('./encrypter-composer');
+const eventBus = require('../config/events')
+
+module.exports = class ProfileUseCaseComposer {
+	static compose() {
+		return new ProfileUseCase({
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			updateProfileRepository: new UpdateProfileRepository(),
+			loadUserPasswordRepository: new LoadUserPasswordRepository(),
+			encrypter: EncrypterComposer.compose(),
+			updatePasswordRepository: new UpdatePasswordRepository(),
+			revokeUserSessionsRepository: new RevokeUserSessionsRepository(),
+			revokeUserRefreshTokensRepository: new RevokeUserRefreshTokensRepository(),
+			eventBus
+		});
+	}
+}
@@ -0,0 +1,16 @@
+const ReadinessRouter = require('../../presentation/routers/readiness-router');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const env = require('../config/env')
+const keyStore = require('../config/signing-keys')
+
+module.exports = class ReadinessRouterComposer {
+	static compose() {
+		const healthChecks = [
+			{ name: 'database', check: () => env.dbDriver === 'mongo' ? MongoHelper.ping() : true },
+			{ name: 'tokenSecret', check: () => Boolean(env.tokenSecret) },
+			{ name: 'signingKey', check: () => keyStore.getSigningKey().then(Boolean) }
+		];
+		return LogControllerDecoratorComposer.compose(new ReadinessRouter({ healthChecks, timeout: env.readinessTimeout * 1000 }));
+	}
+}
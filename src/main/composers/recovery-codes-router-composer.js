@@ -0,0 +1,15 @@
+const RecoveryCodesRouter = require('../../presentation/routers/recovery-codes-router');
+const { ValidationComposite, RequiredFieldValidation, StringValidation } = require('../../presentation/validators');
+const TwoFactorUseCaseComposer = require('./two-factor-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class RecoveryCodesRouterComposer {
+	static compose() {
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('code'),
+			new StringValidation('code')
+		]);
+		const twoFactorUseCase = TwoFactorUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new RecoveryCodesRouter({ twoFactorUseCase, validation }));
+	}
+}
@@ -0,0 +1,16 @@
+const RefreshTokenRouter = require('../../presentation/routers/refresh-token-router');
+const RefreshTokenUseCaseComposer = require('./refresh-token-usecase-composer');
+const { ValidationComposite, RequiredFieldValidation, StringValidation } = require('../../presentation/validators');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const tokenCookie = require('../config/token-cookie');
+
+module.exports = class RefreshTokenRouterComposer {
+	static compose() {
+		const refreshTokenUseCase = RefreshTokenUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('refreshToken'),
+			new StringValidation('refreshToken')
+		]);
+		return LogControllerDecoratorComposer.compose(new RefreshTokenRouter({ refreshTokenUseCase, validation, tokenCookie }));
+	}
+}
@@ -0,0 +1,35 @@
+const RefreshTokenUseCase = require('../../domain/usecases/refresh-token-usecase');
+const {
+	LoadUserByIdRepository,
+	TouchSessionRepository,
+	RevokeSessionRepository,
+	AddRefreshTokenRepository,
+	LoadRefreshTokenByHashRepository,
+	MarkRefreshTokenAsUsedRepository,
+	RevokeRefreshTokenFamilyRepository
+} = require('../config/repositories')
+const TokenGenerator = require('../../utils/helpers/token-generator');
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const PermissionResolverComposer = require('./permission-resolver-composer');
+const env = require('../config/env')
+const keyStore = require('../config/signing-keys')
+const eventBus = require('../config/events')
+
+module.exports = class RefreshTokenUseCaseComposer {
+	static compose() {
+		return new RefreshTokenUseCase({
+			tokenGenerator: new TokenGenerator(keyStore, env.accessTokenExpiresIn),
+			randomTokenGenerator: new RandomTokenGenerator(),
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			permissionResolver: PermissionResolverComposer.compose(),
+			touchSessionRepository: new TouchSessionRepository(),
+			revokeSessionRepository: new RevokeSessionRepository(),
+			addRefreshTokenRepository: new AddRefreshTokenRepository(),
+			loadRefreshTokenByHashRepository: new LoadRefreshTokenByHashRepository(),
+			markRefreshTokenAsUsedRepository: new MarkRefreshTokenAsUsedRepository(),
+			revokeRefreshTokenFamilyRepository: new RevokeRefreshTokenFamilyRepository(),
+			eventBus,
+			expiresIn: env.refreshTokenExpiresIn
+		});
+	}
+}
@@ -0,0 +1,18 @@
+const RegisterOAuthClientRouter = require('../../presentation/routers/register-oauth-client-router');
+const { ValidationComposite, RequiredFieldValidation, StringListValidation, RedirectUriValidation } = require('../../presentation/validators');
+const OAuthClientUseCaseComposer = require('./oauth-client-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const { scopes } = require('../config/oauth')
+
+module.exports = class RegisterOAuthClientRouterComposer {
+	static compose() {
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('name'),
+			new RedirectUriValidation('redirectUris'),
+			new StringListValidation('grantTypes', ['authorization_code', 'refresh_token', 'client_credentials']),
+			new StringListValidation('scopes', scopes)
+		]);
+		const oauthClientUseCase = OAuthClientUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new RegisterOAuthClientRouter({ oauthClientUseCase, validation }));
+	}
+}
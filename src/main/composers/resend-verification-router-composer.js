@@ -0,0 +1,17 @@
+const ResendVerificationRouter = require('../../presentation/routers/resend-verification-router');
+const EmailVerificationUseCaseComposer = require('./email-verification-usecase-composer');
+const EmailValidator = require('../../utils/helpers/email-validator');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, EmailValidation } = require('../../presentation/validators');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class ResendVerificationRouterComposer {
+	static compose() {
+		const emailVerificationUseCase = EmailVerificationUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('email'),
+			new StringValidation('email'),
+			new EmailValidation('email', new EmailValidator())
+		]);
+		return LogControllerDecoratorComposer.compose(new ResendVerificationRouter({ emailVerificationUseCase, validation }));
+	}
+}
@@ -0,0 +1,35 @@
+const ResetPasswordRouter = require('../../presentation/routers/reset-password-router');
+const ResetPasswordUseCase = require('../../domain/usecases/reset-password-usecase');
+const {
+	ConsumeUserTokenRepository,
+	UpdatePasswordRepository,
+	RevokeUserSessionsRepository,
+	RevokeUserRefreshTokensRepository
+} = require('../config/repositories')
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const EncrypterComposer = require('./encrypter-composer');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, CompareFieldsValidation, MinLengthValidation } = require('../../presentation/validators');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const env = require('../config/env')
+const eventBus = require('../config/events')
+
+module.exports = class ResetPasswordRouterComposer {
+	static compose() {
+		const resetPasswordUseCase = new ResetPasswordUseCase({
+			randomTokenGenerator: new RandomTokenGenerator(),
+			consumeUserTokenRepository: new ConsumeUserTokenRepository(),
+			encrypter: EncrypterComposer.compose(),
+			updatePasswordRepository: new UpdatePasswordRepository(),
+			revokeUserSessionsRepository: new RevokeUserSessionsRepository(),
+			revokeUserRefreshTokensRepository: new RevokeUserRefreshTokensRepository(),
+			eventBus
+		});
+		const validation = new ValidationComposite([
+			...['token', 'password', 'passwordConfirmation'].map(field => new RequiredFieldValidation(field)),
+			...['token', 'password', 'passwordConfirmation'].map(field => new StringValidation(field)),
+			new MinLengthValidation('password', env.passwordMinLength),
+			new CompareFieldsValidation('passwordConfirmation', 'password')
+		]);
+		return LogControllerDecoratorComposer.compose(new ResetPasswordRouter({ resetPasswordUseCase, validation }));
+	}
+}
@@ -0,0 +1,10 @@
+const RevokeApiKeyRouter = require('../../presentation/routers/revoke-api-key-router');
+const ApiKeyUseCaseComposer = require('./api-key-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class RevokeApiKeyRouterComposer {
+	static compose() {
+		const apiKeyUseCase = ApiKeyUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new RevokeApiKeyRouter({ apiKeyUseCase }));
+	}
+}
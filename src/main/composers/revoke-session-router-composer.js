@@ -0,0 +1,10 @@
+const RevokeSessionRouter = require('../../presentation/routers/revoke-session-router');
+const SessionUseCaseComposer = require('./session-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class RevokeSessionRouterComposer {
+	static compose() {
+		const sessionUseCase = SessionUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new RevokeSessionRouter({ sessionUseCase }));
+	}
+}
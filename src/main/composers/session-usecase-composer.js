@@ -0,0 +1,16 @@
+const SessionUseCase = require('../../domain/usecases/session-usecase');
+const {
+	LoadUserSessionsRepository,
+	RevokeSessionRepository,
+	RevokeRefreshTokenFamilyRepository
+} = require('../config/repositories')
+
+module.exports = class SessionUseCaseComposer {
+	static compose() {
+		return new SessionUseCase({
+			loadUserSessionsRepository: new LoadUserSessionsRepository(),
+			revokeSessionRepository: new RevokeSessionRepository(),
+			revokeRefreshTokenFamilyRepository: new RevokeRefreshTokenFamilyRepository()
+		});
+	}
+}
@@ -0,0 +1,22 @@
+const SigningKeyUseCase = require('../../domain/usecases/signing-key-usecase');
+const {
+	LoadSigningKeysRepository,
+	AddSigningKeyRepository,
+	RetireSigningKeysRepository
+} = require('../config/repositories')
+const SigningKeyGenerator = require('../../utils/helpers/signing-key-generator');
+const env = require('../config/env')
+
+module.exports = class SigningKeyUseCaseComposer {
+	static compose() {
+		return new SigningKeyUseCase({
+			loadSigningKeysRepository: new LoadSigningKeysRepository(),
+			addSigningKeyRepository: new AddSigningKeyRepository(),
+			retireSigningKeysRepository: new RetireSigningKeysRepository(),
+			signingKeyGenerator: new SigningKeyGenerator(env.tokenSecret),
+			algorithm: env.tokenAlgorithm,
+			rotationInterval: env.signingKeyRotationInterval,
+			retention: env.accessTokenExpiresIn
+		});
+	}
+}
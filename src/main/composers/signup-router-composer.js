@@ -0,0 +1,43 @@
+const SignUpRouter = require('../../presentation/routers/signup-router');
+const AddAccountUseCase = require('../../domain/usecases/add-account-usecase');
+const EmailValidator = require('../../utils/helpers/email-validator');
+const { ValidationComposite, RequiredFieldValidation, StringValidation, EmailValidation, CompareFieldsValidation, MinLengthValidation } = require('../../presentation/validators');
+const {
+	LoadUserByEmailRepository,
+	AddAccountRepository,
+	AddSessionRepository
+} = require('../config/repositories')
+const EncrypterComposer = require('./encrypter-composer');
+const TokenGenerator = require('../../utils/helpers/token-generator');
+const RefreshTokenUseCaseComposer = require('./refresh-token-usecase-composer');
+const EmailVerificationUseCaseComposer = require('./email-verification-usecase-composer');
+const BackgroundTaskComposer = require('./background-task-composer');
+const PermissionResolverComposer = require('./permission-resolver-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+const env = require('../config/env')
+const keyStore = require('../config/signing-keys')
+const eventBus = require('../config/events')
+const tokenCookie = require('../config/token-cookie')
+
+module.exports = class SignUpRouterComposer {
+	static compose() {
+		const tokenGenerator = new TokenGenerator(keyStore, env.accessTokenExpiresIn);
+		const encrypter = EncrypterComposer.compose();
+		const loadUserByEmailRepository = new LoadUserByEmailRepository();
+		const addAccountRepository = new AddAccountRepository();
+		const addSessionRepository = new AddSessionRepository();
+		const validation = new ValidationComposite([
+			...['name', 'email', 'password', 'passwordConfirmation'].map(field => new RequiredFieldValidation(field)),
+			...['name', 'email', 'password', 'passwordConfirmation'].map(field => new StringValidation(field)),
+			new EmailValidation('email', new EmailValidator()),
+			new MinLengthValidation('password', env.passwordMinLength),
+			new CompareFieldsValidation('passwordConfirmation', 'password')
+		]);
+		const refreshTokenUseCase = RefreshTokenUseCaseComposer.compose();
+		const emailVerificationUseCase = EmailVerificationUseCaseComposer.compose();
+		const backgroundTask = BackgroundTaskComposer.compose();
+		const permissionResolver = PermissionResolverComposer.compose();
+		const addAccountUseCase = new AddAccountUseCase({ loadUserByEmailRepository, addAccountRepository, addSessionRepository, encrypter, tokenGenerator, refreshTokenUseCase, emailVerificationUseCase, backgroundTask, permissionResolver, eventBus, requireVerifiedEmail: env.requireVerifiedEmail });
+		return LogControllerDecoratorComposer.compose(new SignUpRouter({ addAccountUseCase, validation, tokenCookie }));
+	}
+}
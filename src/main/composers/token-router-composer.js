@@ -0,0 +1,12 @@
+const TokenRouter = require('../../presentation/routers/token-router');
+const OAuthUseCaseComposer = require('./oauth-usecase-composer');
+const OAuthClientUseCaseComposer = require('./oauth-client-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class TokenRouterComposer {
+	static compose() {
+		const oauthUseCase = OAuthUseCaseComposer.compose();
+		const oauthClientUseCase = OAuthClientUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new TokenRouter({ oauthUseCase, oauthClientUseCase }));
+	}
+}
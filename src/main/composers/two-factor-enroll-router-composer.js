@@ -0,0 +1,10 @@
+const TwoFactorEnrollRouter = require('../../presentation/routers/two-factor-enroll-router');
+const TwoFactorUseCaseComposer = require('./two-factor-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class TwoFactorEnrollRouterComposer {
+	static compose() {
+		const twoFactorUseCase = TwoFactorUseCaseComposer.compose();
+		return LogControllerDecoratorComposer.compose(new TwoFactorEnrollRouter({ twoFactorUseCase }));
+	}
+}
@@ -0,0 +1,34 @@
+const TwoFactorUseCase = require('../../domain/usecases/two-factor-usecase');
+const {
+	LoadUserByIdRepository,
+	SaveTwoFactorSecretRepository,
+	EnableTwoFactorRepository,
+	UpdateRecoveryCodesRepository,
+	ConsumeRecoveryCodeRepository,
+	ConsumeTotpStepRepository,
+	AddUserTokenRepository,
+	ConsumeUserTokenRepository
+} = require('../config/repositories')
+const Totp = require('../../utils/helpers/totp');
+const RandomTokenGenerator = require('../../utils/helpers/random-token-generator');
+const env = require('../config/env')
+
+module.exports = class TwoFactorUseCaseComposer {
+	static compose() {
+		return new TwoFactorUseCase({
+			loadUserByIdRepository: new LoadUserByIdRepository(),
+			saveTwoFactorSecretRepository: new SaveTwoFactorSecretRepository(),
+			enableTwoFactorRepository: new EnableTwoFactorRepository(),
+			updateRecoveryCodesRepository: new UpdateRecoveryCodesRepository(),
+			consumeRecoveryCodeRepository: new ConsumeRecoveryCodeRepository(),
+			consumeTotpStepRepository: new ConsumeTotpStepRepository(),
+			addUserTokenRepository: new AddUserTokenRepository(),
+			consumeUserTokenRepository: new ConsumeUserTokenRepository(),
+			totp: new Totp({ issuer: env.totpIssuer, window: env.totpWindow }),
+			randomTokenGenerator: new RandomTokenGenerator(),
+			recoveryCodeGenerator: new RandomTokenGenerator(5),
+			recoveryCodesCount: env.recoveryCodesCount,
+			challengeExpiresIn: env.twoFactorChallengeExpiresIn
+		});
+	}
+}
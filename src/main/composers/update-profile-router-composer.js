@@ -0,0 +1,14 @@
+const UpdateProfileRouter = require('../../presentation/routers/update-profile-router');
+const { ValidationComposite, RequiredFieldValidation } = require('../../presentation/validators');
+const ProfileUseCaseComposer = require('./profile-usecase-composer');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class UpdateProfileRouterComposer {
+	static compose() {
+		const profileUseCase = ProfileUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('name')
+		]);
+		return LogControllerDecoratorComposer.compose(new UpdateProfileRouter({ profileUseCase, validation }));
+	}
+}
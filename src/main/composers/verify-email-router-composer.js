@@ -0,0 +1,15 @@
+const VerifyEmailRouter = require('../../presentation/routers/verify-email-router');
+const EmailVerificationUseCaseComposer = require('./email-verification-usecase-composer');
+const { ValidationComposite, RequiredFieldValidation, StringValidation } = require('../../presentation/validators');
+const LogControllerDecoratorComposer = require('./log-controller-decorator-composer');
+
+module.exports = class VerifyEmailRouterComposer {
+	static compose() {
+		const emailVerificationUseCase = EmailVerificationUseCaseComposer.compose();
+		const validation = new ValidationComposite([
+			new RequiredFieldValidation('token'),
+			new StringValidation('token')
+		]);
+		return LogControllerDecoratorComposer.compose(new VerifyEmailRouter({ emailVerificationUseCase, validation }));
+	}
+}
@@ -0,0 +1,100 @@
+const fs = require('fs')
+const { InvalidConfigError } = require('../../utils/errors')
+
+const PROFILES = ['development', 'test', 'production']
+
+const parsers = {
+	string: value => value,
+	number: value => {
+		const number = Number(value)
+		return value.trim() !== '' && Number.isFinite(number) ? number : undefined
+	},
+	integer: value => {
+		const number = parsers.number(value)
+		return Number.isInteger(number) ? number : undefined
+	},
+	boolean: value => ({ true: true, false: false, 1: true, 0: false })[value.toLowerCase()],
+	url: value => {
+		try {
+			new URL(value)
+			return value
+		} catch (error) {
+			return undefined
+		}
+	},
+	enum: value => value
+}
+
+const parseEnvFile = content => {
+	const variables = {}
+	for (const line of content.split(/\r?\n/)) {
+		const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/)
+		if (!match) {
+			continue
+		}
+		const [, key, rawValue] = match
+		const quoted = rawValue.match(/^(['"])(.*)\1$/)
+		variables[key] = quoted ? quoted[2] : rawValue.replace(/\s+#.*$/, '')
+	}
+	return variables
+}
+
+const loadEnvFile = (path, target = process.env) => {
+	let content
+	try {
+		content = fs.readFileSync(path, 'utf8')
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return
+		}
+		throw error
+	}
+	for (const [key, value] of Object.entries(parseEnvFile(content))) {
+		if (target[key] === undefined) {
+			target[key] = value
+		}
+	}
+}
+
+const buildConfig = (source, schema, profile = source.NODE_ENV || 'development') => {
+	if (!PROFILES.includes(profile)) {
+		throw new InvalidConfigError([`NODE_ENV must be one of ${PROFILES.join(', ')}, received "${profile}"`])
+	}
+	const config = { profile }
+	const errors = []
+	for (const [name, baseRule] of Object.entries(schema)) {
+		const rule = { ...baseRule, ...(baseRule.profiles && baseRule.profiles[profile]) }
+		const rawValue = source[rule.env]
+		if (rawValue === undefined || rawValue === '') {
+			const isRequired = typeof rule.required === 'function' ? rule.required(config) : rule.required
+			if (rule.default === undefined && isRequired) {
+				errors.push(`${rule.env} is required in ${profile}`)
+			}
+			config[name] = rule.default
+			continue
+		}
+		const value = parsers[rule.type](rawValue)
+		if (value === undefined) {
+			errors.push(`${rule.env} must be a valid ${rule.type}, received "${rawValue}"`)
+		} else if (rule.values && !rule.values.includes(value)) {
+			errors.push(`${rule.env} must be one of ${rule.values.join(', ')}, received "${rawValue}"`)
+		} else if (rule.min !== undefined && value < rule.min) {
+			errors.push(`${rule.env} must be at least ${rule.min}, received "${rawValue}"`)
+		} else if (rule.max !== undefined && value > rule.max) {
+			errors.push(`${rule.env} must be at most ${rule.max}, received "${rawValue}"`)
+		} else if (rule.forbidden && rule.forbidden.includes(value)) {
+			errors.push(`${rule.env} must not use the default value in ${profile}`)
+		}
+		config[name] = value
+	}
+	if (errors.length) {
+		throw new InvalidConfigError(errors)
+	}
+	return config
+}
+
+module.exports = {
+	parseEnvFile,
+	loadEnvFile,
+	buildConfig
+}
@@ -0,0 +1,121 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseEnvFile, loadEnvFile, buildConfig } = require('./env-loader')
+const schema = require('./env-schema')
+const { InvalidConfigError } = require('../../utils/errors')
+
+const makeProductionEnv = () => ({
+	NODE_ENV: 'production',
+	MONGO_URL: 'mongodb://db:27017/clean-node-api',
+	TOKEN_SECRET: 'a_long_and_random_secret',
+	APP_URL: 'https://api.mail.com',
+	PASSWORD_RESET_URL: 'https://app.mail.com/reset-password'
+})
+
+const getErrors = (source) => {
+	try {
+		buildConfig(source, schema)
+	} catch (error) {
+		expect(error).toBeInstanceOf(InvalidConfigError)
+		return error.errors
+	}
+	return []
+}
+
+describe('Env Loader', () => {
+	describe('parseEnvFile()', () => {
+		test('Should parse keys, quoted values, comments and export prefixes', () => {
+			const variables = parseEnvFile([
+				'# comment',
+				'PORT=4000',
+				'export TOKEN_SECRET="quoted # value"',
+				"APP_URL='http://localhost:4000'",
+				'MAIL_DRIVER=file # inline comment',
+				'',
+				'invalid line'
+			].join('\n'))
+			expect(variables).toEqual({
+				PORT: '4000',
+				TOKEN_SECRET: 'quoted # value',
+				APP_URL: 'http://localhost:4000',
+				MAIL_DRIVER: 'file'
+			})
+		})
+	})
+
+	describe('loadEnvFile()', () => {
+		test('Should load missing variables without overriding the existing ones', () => {
+			const file = path.join(os.tmpdir(), `env-loader-${process.pid}.env`)
+			fs.writeFileSync(file, 'PORT=4000\nTOKEN_SECRET=file_secret\n')
+			const target = { TOKEN_SECRET: 'process_secret' }
+			loadEnvFile(file, target)
+			fs.unlinkSync(file)
+			expect(target).toEqual({ PORT: '4000', TOKEN_SECRET: 'process_secret' })
+		})
+
+		test('Should ignore a missing file', () => {
+			const target = {}
+			loadEnvFile(path.join(os.tmpdir(), 'missing.env'), target)
+			expect(target).toEqual({})
+		})
+	})
+
+	describe('buildConfig()', () => {
+		test('Should apply the development defaults', () => {
+			const config = buildConfig({}, schema)
+			expect(config.profile).toBe('development')
+			expect(config.tokenSecret).toBe('secret')
+			expect(config.port).toBe(3333)
+			expect(config.requireVerifiedEmail).toBe(false)
+		})
+
+		test('Should parse typed values', () => {
+			const config = buildConfig({ PORT: '4000', REQUIRE_VERIFIED_EMAIL: 'true', DB_DRIVER: 'memory' }, schema)
+			expect(config.port).toBe(4000)
+			expect(config.requireVerifiedEmail).toBe(true)
+			expect(config.dbDriver).toBe('memory')
+		})
+
+		test('Should list every invalid value at once', () => {
+			const errors = getErrors({ PORT: 'abc', DB_DRIVER: 'mysql', LOGIN_MAX_ATTEMPTS: '0', APP_URL: 'not a url' })
+			expect(errors).toEqual([
+				'DB_DRIVER must be one of mongo, memory, received "mysql"',
+				'LOGIN_MAX_ATTEMPTS must be at least 1, received "0"',
+				'APP_URL must be a valid url, received "not a url"',
+				'PORT must be a valid integer, received "abc"'
+			])
+		})
+
+		test('Should reject an unknown profile', () => {
+			expect(getErrors({ NODE_ENV: 'staging' })).toHaveLength(1)
+		})
+
+		test('Should boot in production when every required value is set', () => {
+			const config = buildConfig(makeProductionEnv(), schema)
+			expect(config.profile).toBe('production')
+			expect(config.tokenSecret).toBe('a_long_and_random_secret')
+		})
+
+		test('Should refuse to boot in production without the required values', () => {
+			expect(getErrors({ NODE_ENV: 'production' })).toEqual([
+				'MONGO_URL is required in production',
+				'TOKEN_SECRET is required in production',
+				'APP_URL is required in production',
+				'PASSWORD_RESET_URL is required in production'
+			])
+		})
+
+		test('Should refuse to boot in production with the default secret', () => {
+			expect(getErrors({ ...makeProductionEnv(), TOKEN_SECRET: 'secret' })).toEqual([
+				'TOKEN_SECRET must not use the default value in production'
+			])
+		})
+
+		test('Should not require MONGO_URL in production with the memory driver', () => {
+			const source = { ...makeProductionEnv(), DB_DRIVER: 'memory' }
+			delete source.MONGO_URL
+			expect(getErrors(source)).toEqual([])
+		})
+	})
+})
@@ -0,0 +1,71 @@
+const MINUTE = 60
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+module.exports = {
+	dbDriver: { env: 'DB_DRIVER', type: 'enum', values: ['mongo', 'memory'], default: 'mongo' },
+	mongoUrl: {
+		env: 'MONGO_URL',
+		type: 'url',
+		default: 'mongodb://localhost:27017/clean-node-api',
+		profiles: {
+			production: { default: undefined, required: ({ dbDriver }) => dbDriver === 'mongo' }
+		}
+	},
+	tokenSecret: {
+		env: 'TOKEN_SECRET',
+		type: 'string',
+		default: 'secret',
+		profiles: {
+			production: { default: undefined, required: true, forbidden: ['secret'] }
+		}
+	},
+	tokenAlgorithm: { env: 'TOKEN_ALGORITHM', type: 'enum', values: ['RS256', 'ES256'], default: 'RS256' },
+	signingKeyRotationInterval: { env: 'SIGNING_KEY_ROTATION_INTERVAL', type: 'integer', min: 1, default: 30 * DAY },
+	hashAlgorithm: { env: 'HASH_ALGORITHM', type: 'enum', values: ['bcrypt', 'scrypt'], default: 'bcrypt' },
+	bcryptCost: { env: 'BCRYPT_COST', type: 'integer', min: 4, max: 31, default: 12 },
+	scryptCost: { env: 'SCRYPT_COST', type: 'integer', min: 10, max: 20, default: 15 },
+	passwordMinLength: { env: 'PASSWORD_MIN_LENGTH', type: 'integer', min: 1, default: 8 },
+	accessTokenExpiresIn: { env: 'ACCESS_TOKEN_EXPIRES_IN', type: 'integer', min: 1, default: 15 * MINUTE },
+	refreshTokenExpiresIn: { env: 'REFRESH_TOKEN_EXPIRES_IN', type: 'integer', min: 1, default: 30 * DAY },
+	tokenCookie: { env: 'TOKEN_COOKIE', type: 'boolean', default: false },
+	tokenCookieName: { env: 'TOKEN_COOKIE_NAME', type: 'string', default: 'access_token' },
+	loginMaxAttempts: { env: 'LOGIN_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+	loginLockoutDuration: { env: 'LOGIN_LOCKOUT_DURATION', type: 'integer', min: 1, default: MINUTE },
+	loginMaxLockoutDuration: { env: 'LOGIN_MAX_LOCKOUT_DURATION', type: 'integer', min: 1, default: HOUR },
+	loginAttemptsWindow: { env: 'LOGIN_ATTEMPTS_WINDOW', type: 'integer', min: 1, default: DAY },
+	passwordResetExpiresIn: { env: 'PASSWORD_RESET_EXPIRES_IN', type: 'integer', min: 1, default: HOUR },
+	emailVerificationExpiresIn: { env: 'EMAIL_VERIFICATION_EXPIRES_IN', type: 'integer', min: 1, default: DAY },
+	emailVerificationResendInterval: { env: 'EMAIL_VERIFICATION_RESEND_INTERVAL', type: 'integer', min: 0, default: MINUTE },
+	requireVerifiedEmail: { env: 'REQUIRE_VERIFIED_EMAIL', type: 'boolean', default: false },
+	totpIssuer: { env: 'TOTP_ISSUER', type: 'string', default: 'Clean Node API' },
+	totpWindow: { env: 'TOTP_WINDOW', type: 'integer', min: 0, max: 10, default: 1 },
+	recoveryCodesCount: { env: 'RECOVERY_CODES_COUNT', type: 'integer', min: 1, max: 50, default: 10 },
+	twoFactorChallengeExpiresIn: { env: 'TWO_FACTOR_CHALLENGE_EXPIRES_IN', type: 'integer', min: 1, default: 5 * MINUTE },
+	authorizationCodeExpiresIn: { env: 'AUTHORIZATION_CODE_EXPIRES_IN', type: 'integer', min: 1, default: MINUTE },
+	mailDriver: { env: 'MAIL_DRIVER', type: 'enum', values: ['console', 'file'], default: 'console' },
+	mailOutputPath: { env: 'MAIL_OUTPUT_PATH', type: 'string', default: 'tmp/mails.jsonl' },
+	appUrl: {
+		env: 'APP_URL',
+		type: 'url',
+		default: 'http://localhost:3333',
+		profiles: {
+			production: { default: undefined, required: true }
+		}
+	},
+	passwordResetUrl: {
+		env: 'PASSWORD_RESET_URL',
+		type: 'url',
+		default: 'http://localhost:3000/reset-password',
+		profiles: {
+			production: { default: undefined, required: true }
+		}
+	},
+	mongoConnectRetries: { env: 'MONGO_CONNECT_RETRIES', type: 'integer', min: 0, default: 5 },
+	mongoConnectRetryDelay: { env: 'MONGO_CONNECT_RETRY_DELAY', type: 'number', min: 0, default: 1 },
+	readinessTimeout: { env: 'READINESS_TIMEOUT', type: 'number', min: 0, default: 2 },
+	shutdownTimeout: { env: 'SHUTDOWN_TIMEOUT', type: 'number', min: 0, default: 10 },
+	// proxy hops in front of the app whose X-Forwarded-For is believed, the lockout keys on the address it yields
+	trustProxy: { env: 'TRUST_PROXY', type: 'integer', min: 0, default: 0 },
+	port: { env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3333 }
+}
@@ -1,5 +1,7 @@
-module.exports = {
-	mongoUrl: process.env.MONGO_URL || 'mongodb://localhost:27017/clean-node-api',
-	tokenSecret: process.env.TOKEN_SECRET || 'secret',
-	port: process.env.PORT || 3333
-}
\ No newline at end of file
+const path = require('path')
+const { loadEnvFile, buildConfig } = require('./env-loader')
+const schema = require('./env-schema')
+
+loadEnvFile(process.env.ENV_FILE || path.resolve(process.cwd(), '.env'))
+
+module.exports = buildConfig(process.env, schema)
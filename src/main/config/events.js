@@ -0,0 +1,10 @@
+const EventBus = require('../../utils/helpers/event-bus')
+const AuditLogUseCaseComposer = require('../composers/audit-log-usecase-composer')
+
+// one bus for the whole process, so every use case publishes to the same subscribers
+const eventBus = new EventBus()
+
+const auditLogUseCase = AuditLogUseCaseComposer.compose()
+eventBus.subscribe('*', event => auditLogUseCase.record(event))
+
+module.exports = eventBus
@@ -0,0 +1,12 @@
+const env = require('./env')
+const roles = require('./roles')
+const PermissionResolverComposer = require('../composers/permission-resolver-composer')
+
+const { permissions } = PermissionResolverComposer.compose().resolve({ roles: Object.keys(roles.roles) })
+
+module.exports = {
+	// id tokens have to carry the issuer exactly as the discovery document spells it
+	issuer: env.appUrl.replace(/\/+$/, ''),
+	// every permission some role grants can be requested as a scope
+	scopes: ['openid', ...permissions]
+}
@@ -0,0 +1,12 @@
+const env = require('./env')
+
+const drivers = {
+	mongo: () => require('../../infra/repositories'),
+	memory: () => require('../../infra/repositories/memory')
+}
+
+if (!drivers[env.dbDriver]) {
+	throw new Error(`Unknown DB_DRIVER: ${env.dbDriver}`)
+}
+
+module.exports = drivers[env.dbDriver]()
@@ -0,0 +1,25 @@
+module.exports = {
+	defaultRoles: ['user'],
+	roles: {
+		user: {
+			permissions: [
+				'profile:read',
+				'profile:write',
+				'sessions:read',
+				'sessions:write',
+				'api-keys:read',
+				'api-keys:write',
+				'two-factor:write'
+			]
+		},
+		admin: {
+			inherits: ['user'],
+			permissions: [
+				'users:read',
+				'users:write',
+				'audit:read',
+				'oauth-clients:write'
+			]
+		}
+	}
+}
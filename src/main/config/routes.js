@@ -1,7 +1,13 @@
 const router = require('express').Router()
+const wellKnownRouter = require('express').Router()
 const fg = require('fast-glob')
 
+const WELL_KNOWN_ROUTES = '**/src/main/routes/well-known/**routes.js'
+
 module.exports = app => {
 	app.use('/api', router)
-	fg.sync('**/src/main/routes/**routes.js').forEach(file => require(`../../../${file}`)(router))
+	// discovery documents have fixed paths, so they are mounted outside of /api
+	app.use('/.well-known', wellKnownRouter)
+	fg.sync('**/src/main/routes/**routes.js', { ignore: [WELL_KNOWN_ROUTES] }).forEach(file => require(`../../../${file}`)(router))
+	fg.sync(WELL_KNOWN_ROUTES).forEach(file => require(`../../../${file}`)(wellKnownRouter))
 }
\ No newline at end of file
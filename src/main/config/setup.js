@@ -1,10 +1,18 @@
 const cors = require('../middlewares/cors');
 const jsonParser = require('../middlewares/json-parser');
+const formParser = require('../middlewares/form-parser');
+const cookieParser = require('../middlewares/cookie-parser');
 const contentType = require('../middlewares/content-type');
+const requestId = require('../middlewares/request-id');
+const env = require('./env');
 
 module.exports = app => {
 	app.disable('x-powered-by')
+	app.set('trust proxy', env.trustProxy)
+	app.use(requestId)
 	app.use(cors);
 	app.use(jsonParser)
+	app.use(formParser)
+	app.use(cookieParser)
 	app.use(contentType)
 }
\ No newline at end of file
@@ -1,5 +1,29 @@
 const request = require("supertest");
+const express = require('express');
 const app = require('./app')
+const env = require('./env')
+const setup = require('./setup')
+const ExpressRouterAdapter = require('../adapters/express-router-adapter')
+
+const makeRouter = () => {
+	class RouterSpy {
+		async route(httpRequest) {
+			this.httpRequest = httpRequest
+			return { statusCode: 204 }
+		}
+	}
+	return new RouterSpy()
+}
+
+const makeApp = (trustProxy, router) => {
+	const defaultTrustProxy = env.trustProxy
+	env.trustProxy = trustProxy
+	const proxiedApp = express()
+	setup(proxiedApp)
+	env.trustProxy = defaultTrustProxy
+	proxiedApp.post('/test_client_ip', ExpressRouterAdapter.adapt(router))
+	return proxiedApp
+}
 
 describe('App Setup', () => {
 	test("Should disable x-powered-by header", async () => {
@@ -9,4 +33,16 @@ describe('App Setup', () => {
 		const res = await request(app).get('/test_x_powered_by');
 		expect(res.headers['x-powered-by']).toBeUndefined();
 	})
-});
\ No newline at end of file
+
+	test("Should hand routers the forwarded client address behind a trusted proxy", async () => {
+		const router = makeRouter()
+		await request(makeApp(1, router)).post('/test_client_ip').set('X-Forwarded-For', '203.0.113.7').expect(204)
+		expect(router.httpRequest.ip).toBe('203.0.113.7')
+	})
+
+	test("Should ignore X-Forwarded-For unless a proxy is trusted", async () => {
+		const router = makeRouter()
+		await request(makeApp(0, router)).post('/test_client_ip').set('X-Forwarded-For', '203.0.113.7').expect(204)
+		expect(router.httpRequest.ip).not.toBe('203.0.113.7')
+	})
+});
@@ -0,0 +1,24 @@
+const closeServer = (server, timeout) => new Promise((resolve, reject) => {
+	const timer = setTimeout(() => {
+		if (server.closeAllConnections) {
+			server.closeAllConnections()
+		}
+	}, timeout)
+	server.close(error => {
+		clearTimeout(timer)
+		return error ? reject(error) : resolve()
+	})
+	if (server.closeIdleConnections) {
+		server.closeIdleConnections()
+	}
+})
+
+module.exports = (server, { timeout = 10000, onClose = async () => {} } = {}) => {
+	let closing = null
+	return () => {
+		if (!closing) {
+			closing = closeServer(server, timeout).then(onClose)
+		}
+		return closing
+	}
+}
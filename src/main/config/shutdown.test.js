@@ -0,0 +1,53 @@
+const http = require('http');
+const express = require('express');
+const shutdown = require('./shutdown');
+
+const get = (port, path) => new Promise((resolve, reject) => {
+	http.get({ port, path, agent: false }, res => {
+		let body = ''
+		res.on('data', chunk => { body += chunk })
+		res.on('end', () => resolve({ statusCode: res.statusCode, body }))
+	}).on('error', reject)
+})
+
+const makeServer = () => new Promise(resolve => {
+	const app = express()
+	app.get('/slow', (req, res) => setTimeout(() => res.send('done'), 100))
+	app.get('/hang', () => {})
+	const server = app.listen(0, () => resolve(server))
+})
+
+describe('Graceful Shutdown', () => {
+	test('Should drain in-flight requests before calling onClose', async () => {
+		const server = await makeServer()
+		const { port } = server.address()
+		const onClose = jest.fn()
+		const close = shutdown(server, { onClose })
+		const pending = get(port, '/slow')
+		await new Promise(resolve => setTimeout(resolve, 20))
+		const closing = close()
+		await expect(get(port, '/slow')).rejects.toThrow()
+		expect(await pending).toEqual({ statusCode: 200, body: 'done' })
+		await closing
+		expect(onClose).toHaveBeenCalledTimes(1)
+	})
+
+	test('Should force the connections closed after the timeout', async () => {
+		const server = await makeServer()
+		const { port } = server.address()
+		const onClose = jest.fn()
+		const pending = get(port, '/hang').catch(error => error)
+		await new Promise(resolve => setTimeout(resolve, 20))
+		await shutdown(server, { timeout: 50, onClose })()
+		expect((await pending).code).toBe('ECONNRESET')
+		expect(onClose).toHaveBeenCalledTimes(1)
+	})
+
+	test('Should only shut down once', async () => {
+		const server = await makeServer()
+		const onClose = jest.fn()
+		const close = shutdown(server, { onClose })
+		await Promise.all([close(), close()])
+		expect(onClose).toHaveBeenCalledTimes(1)
+	})
+})
@@ -0,0 +1,4 @@
+const SigningKeyUseCaseComposer = require('../composers/signing-key-usecase-composer')
+
+// shared so that every token generator signs with, and caches, the same keys
+module.exports = SigningKeyUseCaseComposer.compose()
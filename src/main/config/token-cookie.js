@@ -0,0 +1,5 @@
+const env = require('./env')
+const TokenCookie = require('../../presentation/helpers/token-cookie')
+
+// off by default: API clients keep reading the access token from the response body
+module.exports = env.tokenCookie ? new TokenCookie({ name: env.tokenCookieName, maxAge: env.accessTokenExpiresIn }) : null
@@ -0,0 +1,27 @@
+module.exports = class LogControllerDecorator {
+
+	constructor({ router, logErrorRepository } = {}) {
+		this.router = router
+		this.logErrorRepository = logErrorRepository
+	}
+
+	async route(httpRequest) {
+		const httpResponse = await this.router.route(httpRequest)
+		if (httpResponse.statusCode === 500) {
+			await this.logError(httpRequest, httpResponse.cause)
+		}
+		return httpResponse
+	}
+
+	async logError(httpRequest = {}, cause = new Error('Unknown server error')) {
+		try {
+			await this.logErrorRepository.log({
+				stack: cause.stack || String(cause),
+				requestId: httpRequest.requestId,
+				route: httpRequest.route
+			})
+		} catch (error) {
+			console.error(cause, error)
+		}
+	}
+}
@@ -0,0 +1,100 @@
+const LogControllerDecorator = require('./log-controller-decorator');
+const HttpResponse = require('../../presentation/helpers/http-response');
+
+const makeSut = () => {
+	const routerSpy = makeRouter();
+	const logErrorRepositorySpy = makeLogErrorRepository();
+	const sut = new LogControllerDecorator({ router: routerSpy, logErrorRepository: logErrorRepositorySpy });
+	return {
+		sut,
+		routerSpy,
+		logErrorRepositorySpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		email: 'any_email@mail.com'
+	},
+	requestId: 'any_request_id',
+	route: 'POST /api/login'
+})
+
+const makeRouter = () => {
+	class RouterSpy {
+		async route(httpRequest) {
+			this.httpRequest = httpRequest
+			return this.httpResponse
+		}
+	}
+	const routerSpy = new RouterSpy()
+	routerSpy.httpResponse = HttpResponse.success({ accessToken: 'any_token' })
+	return routerSpy
+}
+
+const makeLogErrorRepository = () => {
+	class LogErrorRepositorySpy {
+		async log(error) {
+			this.error = error
+		}
+	}
+	return new LogErrorRepositorySpy()
+}
+
+const makeLogErrorRepositoryWithError = () => {
+	class LogErrorRepositorySpy {
+		async log() {
+			throw new Error()
+		}
+	}
+	return new LogErrorRepositorySpy()
+}
+
+describe('LogController Decorator', () => {
+	test('Should call the decorated router with the same request', async () => {
+		const { sut, routerSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(routerSpy.httpRequest).toBe(httpRequest);
+	});
+
+	test('Should return the response of the decorated router', async () => {
+		const { sut, routerSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse).toBe(routerSpy.httpResponse);
+	});
+
+	test('Should not log when the router succeeds', async () => {
+		const { sut, logErrorRepositorySpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(logErrorRepositorySpy.error).toBeUndefined();
+	});
+
+	test('Should log the stack, request id and route on server errors', async () => {
+		const { sut, routerSpy, logErrorRepositorySpy } = makeSut();
+		const error = new Error('any_error');
+		routerSpy.httpResponse = HttpResponse.serverError(error);
+		await sut.route(makeHttpRequest());
+		expect(logErrorRepositorySpy.error).toEqual({
+			stack: error.stack,
+			requestId: 'any_request_id',
+			route: 'POST /api/login'
+		});
+	});
+
+	test('Should still log when the router did not attach the error', async () => {
+		const { sut, routerSpy, logErrorRepositorySpy } = makeSut();
+		routerSpy.httpResponse = HttpResponse.serverError();
+		await sut.route(makeHttpRequest());
+		expect(logErrorRepositorySpy.error.stack).toBeTruthy();
+	});
+
+	test('Should return the server error even if logging fails', async () => {
+		const routerSpy = makeRouter();
+		routerSpy.httpResponse = HttpResponse.serverError(new Error());
+		const sut = new LogControllerDecorator({ router: routerSpy, logErrorRepository: makeLogErrorRepositoryWithError() });
+		jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	});
+})
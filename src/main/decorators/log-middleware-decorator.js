@@ -0,0 +1,17 @@
+const LogControllerDecorator = require('./log-controller-decorator')
+
+module.exports = class LogMiddlewareDecorator extends LogControllerDecorator {
+
+	constructor({ middleware, logErrorRepository } = {}) {
+		super({ logErrorRepository })
+		this.middleware = middleware
+	}
+
+	async handle(httpRequest) {
+		const httpResponse = await this.middleware.handle(httpRequest)
+		if (httpResponse.statusCode === 500) {
+			await this.logError(httpRequest, httpResponse.cause)
+		}
+		return httpResponse
+	}
+}
@@ -0,0 +1,72 @@
+const LogMiddlewareDecorator = require('./log-middleware-decorator');
+const HttpResponse = require('../../presentation/helpers/http-response');
+
+const makeSut = () => {
+	const middlewareSpy = makeMiddleware();
+	const logErrorRepositorySpy = makeLogErrorRepository();
+	const sut = new LogMiddlewareDecorator({ middleware: middlewareSpy, logErrorRepository: logErrorRepositorySpy });
+	return {
+		sut,
+		middlewareSpy,
+		logErrorRepositorySpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	headers: {
+		authorization: 'Bearer any_token'
+	},
+	requestId: 'any_request_id',
+	route: 'GET /api/users'
+})
+
+const makeMiddleware = () => {
+	class MiddlewareSpy {
+		async handle(httpRequest) {
+			this.httpRequest = httpRequest
+			return this.httpResponse
+		}
+	}
+	const middlewareSpy = new MiddlewareSpy()
+	middlewareSpy.httpResponse = HttpResponse.success({ userId: 'any_user_id' })
+	return middlewareSpy
+}
+
+const makeLogErrorRepository = () => {
+	class LogErrorRepositorySpy {
+		async log(error) {
+			this.error = error
+		}
+	}
+	return new LogErrorRepositorySpy()
+}
+
+describe('LogMiddleware Decorator', () => {
+	test('Should call the decorated middleware and return its response', async () => {
+		const { sut, middlewareSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		const httpResponse = await sut.handle(httpRequest);
+		expect(middlewareSpy.httpRequest).toBe(httpRequest);
+		expect(httpResponse).toBe(middlewareSpy.httpResponse);
+	});
+
+	test('Should not log when the middleware rejects the request', async () => {
+		const { sut, middlewareSpy, logErrorRepositorySpy } = makeSut();
+		middlewareSpy.httpResponse = HttpResponse.forbidden(new Error());
+		await sut.handle(makeHttpRequest());
+		expect(logErrorRepositorySpy.error).toBeUndefined();
+	});
+
+	test('Should log the stack, request id and route on server errors', async () => {
+		const { sut, middlewareSpy, logErrorRepositorySpy } = makeSut();
+		const error = new Error('any_error');
+		middlewareSpy.httpResponse = HttpResponse.serverError(error);
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+		expect(logErrorRepositorySpy.error).toEqual({
+			stack: error.stack,
+			requestId: 'any_request_id',
+			route: 'GET /api/users'
+		});
+	});
+})
@@ -1,7 +1,41 @@
 const MongoHelper = require('../infra/helpers/mongo-helper');
 const env = require('./config/env');
+const shutdown = require('./config/shutdown');
 
-MongoHelper.connect(env.mongoUrl).then(() => {
+const connectDatabase = async () => {
+	if (env.dbDriver !== 'mongo') {
+		return
+	}
+	await MongoHelper.connectWithRetry(env.mongoUrl, {
+		retries: env.mongoConnectRetries,
+		delay: env.mongoConnectRetryDelay * 1000
+	})
+	await MongoHelper.createIndexes()
+}
+
+const disconnectDatabase = async () => {
+	if (env.dbDriver === 'mongo') {
+		await MongoHelper.disconnect()
+	}
+}
+
+connectDatabase().then(() => {
 	const app = require('./config/app')
-	app.listen(env.port, () => console.log('Server Running'));
-}).catch(console.error)
+	const server = app.listen(env.port, () => console.log('Server Running'));
+	const close = shutdown(server, {
+		timeout: env.shutdownTimeout * 1000,
+		onClose: disconnectDatabase
+	})
+	for (const signal of ['SIGTERM', 'SIGINT']) {
+		process.once(signal, () => {
+			console.log(`${signal} received, shutting down`)
+			close().then(() => process.exit(0)).catch(error => {
+				console.error(error)
+				process.exit(1)
+			})
+		})
+	}
+}).catch(error => {
+	console.error(error)
+	process.exit(1)
+})
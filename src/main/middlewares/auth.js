@@ -0,0 +1,4 @@
+const AuthMiddlewareComposer = require('../composers/auth-middleware-composer')
+const { adapt } = require('../adapters/express-middleware-adapter')
+
+module.exports = adapt(AuthMiddlewareComposer.compose())
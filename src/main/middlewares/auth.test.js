@@ -0,0 +1,58 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../config/app');
+const auth = require('./auth');
+const keyStore = require('../config/signing-keys');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let sessionModel;
+
+const sign = async payload => {
+	const { kid, algorithm, privateKey } = await keyStore.getSigningKey()
+	return jwt.sign(payload, privateKey, { algorithm, keyid: kid })
+}
+
+describe('Auth Middleware', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		sessionModel = await MongoHelper.getCollection('sessions');
+		app.get('/test_auth', auth, (req, res) => {
+			res.send({ userId: req.userId, sessionId: req.sessionId });
+		});
+	});
+
+	beforeEach(async () => {
+		await sessionModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when no token is provided', async () => {
+		await request(app).get('/test_auth').expect(403)
+	})
+
+	test('Should return 403 when the token is signed with a shared secret', async () => {
+		await sessionModel.insertOne({ _id: 'any_session_id', userId: 'any_id', lastSeenAt: new Date(), revokedAt: null })
+		const accessToken = jwt.sign({ _id: 'any_id', sid: 'any_session_id' }, 'secret', { keyid: 'any_kid' })
+		await request(app).get('/test_auth').set('authorization', `Bearer ${accessToken}`).expect(403)
+	})
+
+	test('Should return 403 when the token is not bound to a session', async () => {
+		const accessToken = await sign({ _id: 'any_id' })
+		await request(app).get('/test_auth').set('authorization', `Bearer ${accessToken}`).expect(403)
+	})
+
+	test('Should return 403 when the session was revoked', async () => {
+		await sessionModel.insertOne({ _id: 'any_session_id', userId: 'any_id', lastSeenAt: new Date(), revokedAt: new Date() })
+		const accessToken = await sign({ _id: 'any_id', sid: 'any_session_id' })
+		await request(app).get('/test_auth').set('authorization', `Bearer ${accessToken}`).expect(403)
+	})
+
+	test('Should attach the userId and sessionId to the request when a valid token is provided', async () => {
+		await sessionModel.insertOne({ _id: 'any_session_id', userId: 'any_id', lastSeenAt: new Date(), revokedAt: null })
+		const accessToken = await sign({ _id: 'any_id', sid: 'any_session_id' })
+		const res = await request(app).get('/test_auth').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(res.body).toEqual({ userId: 'any_id', sessionId: 'any_session_id' })
+	})
+})
@@ -22,4 +22,11 @@ describe('Content-Type Midlleware', () => {
 		});
 		await request(app).get('/test_content_type').expect('content-type', /xml/);
 	});
-});
\ No newline at end of file
+	test("Should return problem+json content type for problem documents", async () => {
+		app.get('/test_content_type', (req, res) => {
+			res.set('Content-Type', 'application/problem+json');
+			res.status(400).json({ status: 400 });
+		});
+		await request(app).get('/test_content_type').expect('content-type', /application\/problem\+json/);
+	});
+});
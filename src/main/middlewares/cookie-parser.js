@@ -0,0 +1,25 @@
+const decode = value => {
+	try {
+		return decodeURIComponent(value)
+	} catch (error) {
+		return value
+	}
+}
+
+module.exports = (req, res, next) => {
+	// no prototype, so a cookie named __proto__ cannot tamper with the object
+	const cookies = Object.create(null)
+	for (const pair of (req.get('cookie') || '').split(';')) {
+		const separator = pair.indexOf('=')
+		if (separator === -1) {
+			continue
+		}
+		const name = pair.slice(0, separator).trim()
+		// browsers send the most specific cookie first when names collide
+		if (name && !(name in cookies)) {
+			cookies[name] = decode(pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1'))
+		}
+	}
+	req.cookies = cookies
+	next()
+}
@@ -0,0 +1,20 @@
+const request = require("supertest");
+const app = require('../config/app')
+
+describe('Cookie Parser Middleware', () => {
+	test("Should parse the cookies of the request", async () => {
+		app.get('/test_cookie_parser', (req, res) => {
+			res.send({ ...req.cookies });
+		});
+		await request(app).get('/test_cookie_parser')
+			.set('Cookie', 'first=any%20value; second="quoted"; first=shadowed; broken; =no_name')
+			.expect({ first: 'any value', second: 'quoted' })
+	})
+
+	test("Should default to no cookies", async () => {
+		app.get('/test_no_cookies', (req, res) => {
+			res.send({ ...req.cookies });
+		});
+		await request(app).get('/test_no_cookies').expect({})
+	})
+});
@@ -0,0 +1,4 @@
+const express = require('express');
+
+// OAuth clients post application/x-www-form-urlencoded to the token and revocation endpoints
+module.exports = express.urlencoded({ extended: false });
\ No newline at end of file
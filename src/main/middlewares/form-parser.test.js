@@ -0,0 +1,11 @@
+const request = require("supertest");
+const app = require('../config/app')
+
+describe('Form Parse Middleware', () => {
+	test("Should parse an url-encoded body", async () => {
+		app.post('/test_form_parser', (req, res) => {
+			res.send(req.body);
+		});
+		await request(app).post('/test_form_parser').type('form').send('grant_type=client_credentials&scope=a+b').expect({ grant_type: 'client_credentials', scope: 'a b' })
+	})
+});
@@ -0,0 +1,4 @@
+const PermissionMiddlewareComposer = require('../composers/permission-middleware-composer')
+const { adapt } = require('../adapters/express-middleware-adapter')
+
+module.exports = permission => adapt(PermissionMiddlewareComposer.compose(permission))
@@ -0,0 +1,10 @@
+const crypto = require('crypto')
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/
+
+module.exports = (req, res, next) => {
+	const requestId = req.get('x-request-id')
+	req.requestId = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID()
+	res.set('x-request-id', req.requestId)
+	next()
+}
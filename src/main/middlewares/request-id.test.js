@@ -0,0 +1,26 @@
+const request = require("supertest");
+const app = require('../config/app')
+
+describe('Request Id Middleware', () => {
+	beforeAll(() => {
+		app.get('/test_request_id', (req, res) => {
+			res.send({ requestId: req.requestId });
+		});
+	});
+
+	test("Should generate a request id", async () => {
+		const res = await request(app).get('/test_request_id');
+		expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+		expect(res.body.requestId).toBe(res.headers['x-request-id']);
+	})
+
+	test("Should keep the request id sent by the client", async () => {
+		const res = await request(app).get('/test_request_id').set('x-request-id', 'any-request-id');
+		expect(res.headers['x-request-id']).toBe('any-request-id');
+	})
+
+	test("Should replace a malformed request id", async () => {
+		const res = await request(app).get('/test_request_id').set('x-request-id', 'invalid request id');
+		expect(res.headers['x-request-id']).not.toBe('invalid request id');
+	})
+});
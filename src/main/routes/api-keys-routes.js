@@ -0,0 +1,11 @@
+const CreateApiKeyRouterComposer = require('../composers/create-api-key-router-composer')
+const ListApiKeysRouterComposer = require('../composers/list-api-keys-router-composer')
+const RevokeApiKeyRouterComposer = require('../composers/revoke-api-key-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.post('/api-keys', auth, permission('api-keys:write'), adapt(CreateApiKeyRouterComposer.compose()))
+	router.get('/api-keys', auth, permission('api-keys:read'), adapt(ListApiKeysRouterComposer.compose()))
+	router.delete('/api-keys/:id', auth, permission('api-keys:write'), adapt(RevokeApiKeyRouterComposer.compose()))
+}
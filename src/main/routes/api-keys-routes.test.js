@@ -0,0 +1,96 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let apiKeyModel;
+
+const login = async () => {
+	const { body } = await request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'any_password' })
+	return body.accessToken
+}
+
+describe('ApiKeys Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		apiKeyModel = await MongoHelper.getCollection('apiKeys');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await apiKeyModel.deleteMany();
+		await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: bcrypt.hashSync('any_password', 10)
+		});
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when no credentials are provided', async () => {
+		await request(app).get('/api/api-keys').expect(403)
+	})
+
+	test('Should return 400 when the name is missing', async () => {
+		const accessToken = await login()
+		await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({}).expect(400)
+	})
+
+	test('Should show the key once and accept it on later requests', async () => {
+		const accessToken = await login()
+		const { body: created } = await request(app)
+			.post('/api/api-keys')
+			.set('authorization', `Bearer ${accessToken}`)
+			.send({ name: 'any_job', scopes: ['api-keys:read'] })
+			.expect(200)
+		expect(created.key).toMatch(/^ak_/)
+		const { keyHash } = await apiKeyModel.findOne({ _id: created.id })
+		expect(keyHash).not.toBe(created.key)
+
+		const { body } = await request(app).get('/api/api-keys').set('x-api-key', created.key).expect(200)
+		expect(body.apiKeys).toHaveLength(1)
+		expect(body.apiKeys[0].key).toBeUndefined()
+		expect(body.apiKeys[0].lastUsedAt).toBeTruthy()
+		await request(app).post('/api/api-keys').set('x-api-key', created.key).send({ name: 'other_job' }).expect(403)
+	})
+
+	test('Should not grant a key scopes beyond those of its owner', async () => {
+		const accessToken = await login()
+		await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_job', scopes: ['users:write'] }).expect(400)
+	})
+
+	test('Should limit a key to its scopes', async () => {
+		const accessToken = await login()
+		const { body: created } = await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_job', scopes: ['sessions:read'] })
+		await request(app).get('/api/sessions').set('x-api-key', created.key).expect(200)
+		await request(app).get('/api/api-keys').set('x-api-key', created.key).expect(403)
+	})
+
+	test('Should drop the permissions the owner lost after the key was created', async () => {
+		await userModel.updateOne({ email: 'valid_email@mail.com' }, { $set: { roles: ['admin'] } })
+		const accessToken = await login()
+		const { body: created } = await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_job', scopes: ['users:read', 'sessions:read'] }).expect(200)
+		await request(app).get('/api/users').set('x-api-key', created.key).expect(200)
+		await userModel.updateOne({ email: 'valid_email@mail.com' }, { $set: { roles: ['user'] } })
+		await request(app).get('/api/users').set('x-api-key', created.key).expect(403)
+		await request(app).get('/api/sessions').set('x-api-key', created.key).expect(200)
+	})
+
+	test('Should reject the keys of a disabled owner', async () => {
+		const accessToken = await login()
+		const { body: created } = await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_job', scopes: ['sessions:read'] })
+		await userModel.updateOne({ email: 'valid_email@mail.com' }, { $set: { disabledAt: new Date() } })
+		await request(app).get('/api/sessions').set('x-api-key', created.key).expect(403)
+	})
+
+	test('Should reject a revoked key', async () => {
+		const accessToken = await login()
+		const { body: created } = await request(app).post('/api/api-keys').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_job', scopes: ['api-keys:read'] })
+		await request(app).delete(`/api/api-keys/${created.id}`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		await request(app).get('/api/api-keys').set('x-api-key', created.key).expect(403)
+		await request(app).delete(`/api/api-keys/${created.id}`).set('authorization', `Bearer ${accessToken}`).expect(404)
+	})
+})
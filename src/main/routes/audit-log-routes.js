@@ -0,0 +1,7 @@
+const ListAuditLogRouterComposer = require('../composers/list-audit-log-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.get('/audit-log', auth, permission('audit:read'), adapt(ListAuditLogRouterComposer.compose()))
+}
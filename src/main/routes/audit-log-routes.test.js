@@ -0,0 +1,67 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let auditLogModel;
+let userId;
+
+const login = (email, password = 'any_password') => request(app)
+	.post('/api/login')
+	.send({ email, password })
+
+describe('AuditLog Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		auditLogModel = await MongoHelper.getCollection('audit_log');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await auditLogModel.deleteMany();
+		const password = bcrypt.hashSync('any_password', 10)
+		await userModel.insertOne({ email: 'admin@mail.com', password, roles: ['admin'] });
+		const { insertedId } = await userModel.insertOne({ email: 'any_email@mail.com', password, roles: ['user'] });
+		userId = insertedId.toHexString()
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 for users without the admin role', async () => {
+		const { body: { accessToken } } = await login('any_email@mail.com')
+		await request(app).get('/api/audit-log').set('authorization', `Bearer ${accessToken}`).expect(403)
+	})
+
+	test('Should record logins and tell unknown users from bad passwords', async () => {
+		await login('unknown@mail.com')
+		await login('any_email@mail.com', 'wrong_password')
+		await login('any_email@mail.com')
+		const { body: { accessToken } } = await login('admin@mail.com')
+		const { body } = await request(app).get(`/api/audit-log?userId=${userId}`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(body.entries.map(({ type }) => type)).toEqual(['TokenIssued', 'LoginSucceeded', 'LoginFailed'])
+		expect(body.entries[2].data.reason).toBe('bad-password')
+		const { body: failed } = await request(app).get('/api/audit-log?type=LoginFailed').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(failed.entries.map(({ data }) => data.reason)).toEqual(['bad-password', 'unknown-user'])
+	})
+
+	test('Should page through the log and filter by time range', async () => {
+		await login('any_email@mail.com')
+		const { body: { accessToken } } = await login('admin@mail.com')
+		const { body: first } = await request(app).get('/api/audit-log?limit=1').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(first.entries).toHaveLength(1)
+		const { body: second } = await request(app).get(`/api/audit-log?limit=10&cursor=${first.nextCursor}`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(second.entries).toHaveLength(3)
+		const { body: future } = await request(app).get(`/api/audit-log?from=${new Date(Date.now() + 60000).toISOString()}`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(future.entries).toEqual([])
+	})
+
+	test('Should return 400 for invalid filters', async () => {
+		const { body: { accessToken } } = await login('admin@mail.com')
+		await request(app).get('/api/audit-log?type=Unknown').set('authorization', `Bearer ${accessToken}`).expect(400)
+		await request(app).get('/api/audit-log?from=invalid_date').set('authorization', `Bearer ${accessToken}`).expect(400)
+		await request(app).get('/api/audit-log?limit=101').set('authorization', `Bearer ${accessToken}`).expect(400)
+	})
+})
@@ -0,0 +1,7 @@
+const VerifyEmailRouterComposer = require('../composers/verify-email-router-composer')
+const ResendVerificationRouterComposer = require('../composers/resend-verification-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+module.exports = router => {
+	router.get('/verify-email', adapt(VerifyEmailRouterComposer.compose()))
+	router.post('/resend-verification', adapt(ResendVerificationRouterComposer.compose()))
+}
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let userTokenModel;
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex')
+
+// resend-verification answers before the token is stored
+const waitForTokens = async (count) => {
+	for (let i = 0; i < 20 && await userTokenModel.countDocuments({ type: 'emailVerification' }) < count; i++) {
+		await new Promise(resolve => setTimeout(resolve, 50))
+	}
+	return userTokenModel.countDocuments({ type: 'emailVerification' })
+}
+
+describe('Email Verification Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await userTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	describe('GET /verify-email', () => {
+		test('Should mark the email as verified and consume the token', async () => {
+			const { insertedId } = await userModel.insertOne({ email: 'valid_email@mail.com', password: 'hashed_password', emailVerified: false });
+			await userTokenModel.insertOne({
+				userId: insertedId,
+				type: 'emailVerification',
+				tokenHash: hash('valid_token'),
+				expiresAt: new Date(Date.now() + 60000),
+				usedAt: null
+			})
+			await request(app).get('/api/verify-email').query({ token: 'valid_token' }).expect(200)
+			await request(app).get('/api/verify-email').query({ token: 'valid_token' }).expect(400)
+			const user = await userModel.findOne({ _id: insertedId })
+			expect(user.emailVerified).toBe(true)
+		})
+
+		test('Should return 400 when the token is unknown', async () => {
+			await request(app).get('/api/verify-email').query({ token: 'invalid_token' }).expect(400)
+		})
+	})
+
+	describe('POST /resend-verification', () => {
+		test('Should send a new link only once per interval and answer the same every time', async () => {
+			await userModel.insertOne({ email: 'valid_email@mail.com', password: 'hashed_password', emailVerified: false });
+			const first = await request(app).post('/api/resend-verification').send({ email: 'valid_email@mail.com' }).expect(200)
+			expect(await waitForTokens(1)).toBe(1)
+			const second = await request(app).post('/api/resend-verification').send({ email: 'valid_email@mail.com' }).expect(200)
+			const unknown = await request(app).post('/api/resend-verification').send({ email: 'unknown_email@mail.com' }).expect(200)
+			expect(second.body).toEqual(first.body)
+			expect(unknown.body).toEqual(first.body)
+			expect(await waitForTokens(2)).toBe(1)
+		})
+	})
+})
@@ -0,0 +1,7 @@
+const HealthRouterComposer = require('../composers/health-router-composer')
+const ReadinessRouterComposer = require('../composers/readiness-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+module.exports = router => {
+	router.get('/health', adapt(HealthRouterComposer.compose()))
+	router.get('/ready', adapt(ReadinessRouterComposer.compose()))
+}
@@ -0,0 +1,33 @@
+const request = require('supertest');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+
+describe('Health Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 200 on /health', async () => {
+		const res = await request(app).get('/api/health').expect(200)
+		expect(res.body.status).toBe('ok')
+	})
+
+	test('Should return 200 on /ready when the database answers', async () => {
+		const res = await request(app).get('/api/ready').expect(200)
+		expect(res.body.checks.database.status).toBe('up')
+		expect(res.body.checks.tokenSecret.status).toBe('up')
+		expect(res.body.checks.signingKey.status).toBe('up')
+	})
+
+	test('Should return 503 on /ready when the database is gone', async () => {
+		await MongoHelper.disconnect()
+		const res = await request(app).get('/api/ready').expect(503)
+		expect(res.body.status).toBe('degraded')
+		expect(res.body.checks.database.status).toBe('down')
+		await MongoHelper.connect(process.env.MONGO_URL)
+	})
+})
@@ -1,5 +1,7 @@
 const LoginRouterComposer = require('../composers/login-router-composer')
+const LoginTwoFactorRouterComposer = require('../composers/login-two-factor-router-composer')
 const { adapt } = require('../adapters/express-router-adapter')
 module.exports = router => {
 	router.post('/login', adapt(LoginRouterComposer.compose()))
+	router.post('/login/2fa', adapt(LoginTwoFactorRouterComposer.compose()))
 }
@@ -3,15 +3,18 @@ const app = require('../config/app');
 const bcrypt = require('bcrypt');
 const MongoHelper = require('../../infra/helpers/mongo-helper');
 let userModel;
+let loginAttemptsModel;
 
 describe('Login Routes', () => {
 	beforeAll(async () => {
 		await MongoHelper.connect(process.env.MONGO_URL);
 		userModel = await MongoHelper.getCollection('users');
+		loginAttemptsModel = await MongoHelper.getCollection('loginAttempts');
 	});
 
 	beforeEach(async () => {
 		await userModel.deleteMany();
+		await loginAttemptsModel.deleteMany();
 	});
 
 	afterAll(async () => {
@@ -29,4 +32,20 @@ describe('Login Routes', () => {
 	test('Should return 401 when invalid credentials are provided', async () => {
 		await request(app).post('api/login').send({ email: 'valid_email@mail.com', password: 'hashed_password' }).expect(401)
 	})
+
+	test('Should return 429 with Retry-After after too many failed attempts', async () => {
+		for (let attempt = 0; attempt < 5; attempt++) {
+			await request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'invalid_password' }).expect(401)
+		}
+		const res = await request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'invalid_password' }).expect(429)
+		expect(Number(res.headers['retry-after'])).toBeGreaterThan(0)
+	})
+
+	test('Should return 400 listing the fields that are not strings', async () => {
+		const res = await request(app).post('/api/login').send({ email: ['valid_email@mail.com'], password: 12345678 }).expect(400)
+		expect(res.body.errors.map(({ code, field }) => ({ code, field }))).toEqual([
+			{ code: 'invalid-param', field: 'email' },
+			{ code: 'invalid-param', field: 'password' }
+		])
+	})
 })
\ No newline at end of file
@@ -0,0 +1,6 @@
+const LogoutRouterComposer = require('../composers/logout-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+module.exports = router => {
+	router.post('/logout', auth, adapt(LogoutRouterComposer.compose()))
+}
@@ -0,0 +1,39 @@
+const request = require('supertest');
+const app = require('../config/app');
+const bcrypt = require('bcrypt');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let revokedTokenModel;
+
+describe('Logout Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		revokedTokenModel = await MongoHelper.getCollection('revokedTokens');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await revokedTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when no token is provided', async () => {
+		await request(app).post('/api/logout').expect(403)
+	})
+
+	test('Should return 200 and stop accepting the token after logout', async () => {
+		await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: bcrypt.hashSync('hashed_password', 10)
+		});
+		const { body } = await request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'hashed_password' })
+		await request(app).post('/api/logout').set('authorization', `Bearer ${body.accessToken}`).expect(200)
+		await request(app).post('/api/logout').set('authorization', `Bearer ${body.accessToken}`).expect(403)
+		await request(app).post('/api/refresh').send({ refreshToken: body.refreshToken }).expect(401)
+		expect(await revokedTokenModel.countDocuments()).toBe(1)
+	})
+})
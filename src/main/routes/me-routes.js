@@ -0,0 +1,11 @@
+const LoadProfileRouterComposer = require('../composers/load-profile-router-composer')
+const UpdateProfileRouterComposer = require('../composers/update-profile-router-composer')
+const ChangePasswordRouterComposer = require('../composers/change-password-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.get('/me', auth, permission('profile:read'), adapt(LoadProfileRouterComposer.compose()))
+	router.patch('/me', auth, permission('profile:write'), adapt(UpdateProfileRouterComposer.compose()))
+	router.post('/me/password', auth, permission('profile:write'), adapt(ChangePasswordRouterComposer.compose()))
+}
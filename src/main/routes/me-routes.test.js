@@ -0,0 +1,72 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+
+const login = (password = 'any_password') => request(app)
+	.post('/api/login')
+	.send({ email: 'valid_email@mail.com', password })
+
+describe('Me Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await userModel.insertOne({
+			name: 'any_name',
+			email: 'valid_email@mail.com',
+			password: bcrypt.hashSync('any_password', 10)
+		});
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when no token is provided', async () => {
+		await request(app).get('/api/me').expect(403)
+	})
+
+	test('Should return the profile without secrets', async () => {
+		const { body: { accessToken } } = await login()
+		const { body } = await request(app).get('/api/me').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(body.name).toBe('any_name')
+		expect(body.email).toBe('valid_email@mail.com')
+		expect(body.password).toBeUndefined()
+	})
+
+	test('Should update the name', async () => {
+		const { body: { accessToken } } = await login()
+		const { body } = await request(app).patch('/api/me').set('authorization', `Bearer ${accessToken}`).send({ name: 'new_name' }).expect(200)
+		expect(body.name).toBe('new_name')
+	})
+
+	test('Should return 400 when the current password is wrong', async () => {
+		const { body: { accessToken } } = await login()
+		await request(app)
+			.post('/api/me/password')
+			.set('authorization', `Bearer ${accessToken}`)
+			.send({ currentPassword: 'wrong_password', password: 'new_password', passwordConfirmation: 'new_password' })
+			.expect(400)
+	})
+
+	test('Should change the password and sign out the other sessions', async () => {
+		const { body: other } = await login()
+		const { body: current } = await login()
+		await request(app)
+			.post('/api/me/password')
+			.set('authorization', `Bearer ${current.accessToken}`)
+			.send({ currentPassword: 'any_password', password: 'new_password', passwordConfirmation: 'new_password' })
+			.expect(200)
+		await request(app).get('/api/me').set('authorization', `Bearer ${current.accessToken}`).expect(200)
+		await request(app).get('/api/me').set('authorization', `Bearer ${other.accessToken}`).expect(403)
+		await request(app).post('/api/refresh').send({ refreshToken: other.refreshToken }).expect(401)
+		await request(app).post('/api/refresh').send({ refreshToken: current.refreshToken }).expect(200)
+		await login('any_password').expect(401)
+		await login('new_password').expect(200)
+	})
+})
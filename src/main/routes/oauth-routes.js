@@ -0,0 +1,13 @@
+const RegisterOAuthClientRouterComposer = require('../composers/register-oauth-client-router-composer')
+const AuthorizeRouterComposer = require('../composers/authorize-router-composer')
+const TokenRouterComposer = require('../composers/token-router-composer')
+const RevokeTokenRouterComposer = require('../composers/revoke-token-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.post('/oauth/clients', auth, permission('oauth-clients:write'), adapt(RegisterOAuthClientRouterComposer.compose()))
+	router.post('/oauth/authorize', adapt(AuthorizeRouterComposer.compose()))
+	router.post('/oauth/token', adapt(TokenRouterComposer.compose()))
+	router.post('/oauth/revoke', adapt(RevokeTokenRouterComposer.compose()))
+}
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let oauthClientModel;
+
+const REDIRECT_URI = 'https://client.test/callback'
+const codeVerifier = crypto.randomBytes(32).toString('base64url')
+const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+
+const login = (email, password = 'any_password') => request(app)
+	.post('/api/login')
+	.send({ email, password })
+
+const registerClient = async (client) => {
+	const { body: { accessToken } } = await login('admin@mail.com')
+	const { body } = await request(app).post('/api/oauth/clients').set('authorization', `Bearer ${accessToken}`).send(client).expect(201)
+	return body
+}
+
+const basicAuth = ({ clientId, clientSecret }) => `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+
+const authorize = (client, params = {}) => {
+	const query = new URLSearchParams({
+		client_id: client.clientId,
+		redirect_uri: REDIRECT_URI,
+		response_type: 'code',
+		scope: 'openid profile:read',
+		state: 'any_state',
+		code_challenge: codeChallenge,
+		code_challenge_method: 'S256',
+		...params
+	})
+	return request(app).post(`/api/oauth/authorize?${query}`).type('form').send({ email: 'any_email@mail.com', password: 'any_password' })
+}
+
+const exchangeCode = async (client) => {
+	const { headers } = await authorize(client).expect(302)
+	const code = new URL(headers.location).searchParams.get('code')
+	return request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form')
+		.send({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier })
+}
+
+describe('OAuth Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		oauthClientModel = await MongoHelper.getCollection('oauthClients');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await oauthClientModel.deleteMany();
+		const password = bcrypt.hashSync('any_password', 10)
+		await userModel.insertOne({ email: 'admin@mail.com', password, roles: ['admin'] });
+		await userModel.insertOne({ email: 'any_email@mail.com', password, roles: ['user'] });
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when registering a client without the admin role', async () => {
+		const { body: { accessToken } } = await login('any_email@mail.com')
+		await request(app).post('/api/oauth/clients').set('authorization', `Bearer ${accessToken}`).send({ name: 'any_name', redirectUris: [REDIRECT_URI] }).expect(403)
+	})
+
+	test('Should redirect back with a code and the state', async () => {
+		const client = await registerClient({ name: 'any_name', redirectUris: [REDIRECT_URI], scopes: ['openid', 'profile:read'] })
+		const { headers } = await authorize(client).expect(302)
+		const location = new URL(headers.location)
+		expect(location.origin + location.pathname).toBe(REDIRECT_URI)
+		expect(location.searchParams.get('code')).toBeTruthy()
+		expect(location.searchParams.get('state')).toBe('any_state')
+	})
+
+	test('Should not redirect to an unregistered redirect_uri', async () => {
+		const client = await registerClient({ name: 'any_name', redirectUris: [REDIRECT_URI], scopes: ['profile:read'] })
+		const { body } = await authorize(client, { redirect_uri: 'https://attacker.test/callback' }).expect(400)
+		expect(body.error).toBe('invalid_request')
+	})
+
+	test('Should exchange a code once for tokens scoped to the client', async () => {
+		const client = await registerClient({ name: 'any_name', redirectUris: [REDIRECT_URI], scopes: ['openid', 'profile:read'] })
+		const { headers: { location } } = await authorize(client).expect(302)
+		const code = new URL(location).searchParams.get('code')
+		const exchange = () => request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form')
+			.send({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier })
+		const { body, headers } = await exchange().expect(200)
+		expect(headers['cache-control']).toBe('no-store')
+		expect(body).toMatchObject({ token_type: 'Bearer', scope: 'openid profile:read' })
+		expect(jwt.decode(body.access_token)).toMatchObject({ client_id: client.clientId, permissions: ['profile:read'] })
+		expect(jwt.decode(body.id_token)).toMatchObject({ aud: client.clientId })
+		await request(app).get('/api/me').set('authorization', `Bearer ${body.access_token}`).expect(200)
+		await request(app).get('/api/sessions').set('authorization', `Bearer ${body.access_token}`).expect(403)
+		expect((await exchange().expect(400)).body.error).toBe('invalid_grant')
+	})
+
+	test('Should reject a wrong code_verifier and bad client credentials', async () => {
+		const client = await registerClient({ name: 'any_name', redirectUris: [REDIRECT_URI], scopes: ['profile:read'] })
+		const { headers: { location } } = await authorize(client, { scope: 'profile:read' }).expect(302)
+		const code = new URL(location).searchParams.get('code')
+		const { headers } = await request(app).post('/api/oauth/token').type('form')
+			.send({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier, client_id: client.clientId, client_secret: 'wrong_secret' })
+			.expect(401)
+		expect(headers['www-authenticate']).toBe('Basic')
+		const { body } = await request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form')
+			.send({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: 'x'.repeat(43) })
+			.expect(400)
+		expect(body.error).toBe('invalid_grant')
+	})
+
+	test('Should refresh and then revoke the tokens of a client', async () => {
+		const client = await registerClient({ name: 'any_name', redirectUris: [REDIRECT_URI], scopes: ['openid', 'profile:read'] })
+		const { body: tokens } = await exchangeCode(client).expect(200)
+		await request(app).post('/api/refresh').send({ refreshToken: tokens.refresh_token }).expect(401)
+		const { body: refreshed } = await request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form')
+			.send({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token })
+			.expect(200)
+		expect(refreshed.scope).toBe('openid profile:read')
+		await request(app).post('/api/oauth/revoke').set('authorization', basicAuth(client)).type('form').send({ token: refreshed.refresh_token }).expect(200)
+		await request(app).get('/api/me').set('authorization', `Bearer ${refreshed.access_token}`).expect(403)
+		await request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form')
+			.send({ grant_type: 'refresh_token', refresh_token: refreshed.refresh_token })
+			.expect(400)
+	})
+
+	test('Should issue tokens to a client acting on its own behalf', async () => {
+		const client = await registerClient({ name: 'any_name', grantTypes: ['client_credentials'], scopes: ['users:read', 'audit:read'] })
+		const { body } = await request(app).post('/api/oauth/token').type('form')
+			.send({ grant_type: 'client_credentials', client_id: client.clientId, client_secret: client.clientSecret, scope: 'users:read' })
+			.expect(200)
+		expect(jwt.decode(body.access_token)).toMatchObject({ _id: client.clientId, client_id: client.clientId, scope: 'users:read' })
+		expect(body.refresh_token).toBeUndefined()
+		await request(app).get('/api/users').set('authorization', `Bearer ${body.access_token}`).expect(200)
+		await request(app).get('/api/audit-log').set('authorization', `Bearer ${body.access_token}`).expect(403)
+		await request(app).post('/api/oauth/revoke').set('authorization', basicAuth(client)).type('form').send({ token: body.access_token }).expect(200)
+		await request(app).get('/api/users').set('authorization', `Bearer ${body.access_token}`).expect(403)
+	})
+
+	test('Should limit client tokens to what the owner may still do', async () => {
+		const client = await registerClient({ name: 'any_name', grantTypes: ['client_credentials'], scopes: ['users:read', 'profile:read'] })
+		const clientCredentials = () => request(app).post('/api/oauth/token').type('form')
+			.send({ grant_type: 'client_credentials', client_id: client.clientId, client_secret: client.clientSecret })
+		await userModel.updateOne({ email: 'admin@mail.com' }, { $set: { roles: ['user'] } })
+		const { body } = await clientCredentials().expect(200)
+		expect(body.scope).toBe('profile:read')
+		await request(app).get('/api/users').set('authorization', `Bearer ${body.access_token}`).expect(403)
+		await userModel.updateOne({ email: 'admin@mail.com' }, { $set: { roles: ['admin'], disabledAt: new Date() } })
+		const { body: refused } = await clientCredentials().expect(400)
+		expect(refused.error).toBe('unauthorized_client')
+	})
+
+	test('Should return 400 for an unsupported grant_type', async () => {
+		const client = await registerClient({ name: 'any_name', grantTypes: ['client_credentials'], scopes: ['profile:read'] })
+		const { body } = await request(app).post('/api/oauth/token').set('authorization', basicAuth(client)).type('form').send({ grant_type: 'password' }).expect(400)
+		expect(body.error).toBe('unsupported_grant_type')
+	})
+})
@@ -0,0 +1,7 @@
+const ForgotPasswordRouterComposer = require('../composers/forgot-password-router-composer')
+const ResetPasswordRouterComposer = require('../composers/reset-password-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+module.exports = router => {
+	router.post('/forgot-password', adapt(ForgotPasswordRouterComposer.compose()))
+	router.post('/reset-password', adapt(ResetPasswordRouterComposer.compose()))
+}
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let userTokenModel;
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex')
+
+// forgot-password answers before the token is stored
+const waitForTokens = async (count) => {
+	for (let i = 0; i < 20 && await userTokenModel.countDocuments({ type: 'passwordReset' }) < count; i++) {
+		await new Promise(resolve => setTimeout(resolve, 50))
+	}
+	return userTokenModel.countDocuments({ type: 'passwordReset' })
+}
+
+describe('Password Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await userTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	describe('POST /forgot-password', () => {
+		test('Should return the same response whether or not the email exists', async () => {
+			await userModel.insertOne({ email: 'valid_email@mail.com', password: 'hashed_password' });
+			const known = await request(app).post('/api/forgot-password').send({ email: 'valid_email@mail.com' }).expect(200)
+			const unknown = await request(app).post('/api/forgot-password').send({ email: 'unknown_email@mail.com' }).expect(200)
+			expect(known.body).toEqual(unknown.body)
+			expect(await waitForTokens(1)).toBe(1)
+		})
+	})
+
+	describe('POST /reset-password', () => {
+		test('Should set the new password and consume the token', async () => {
+			const { insertedId } = await userModel.insertOne({ email: 'valid_email@mail.com', password: 'hashed_password' });
+			await userTokenModel.insertOne({
+				userId: insertedId,
+				type: 'passwordReset',
+				tokenHash: hash('valid_token'),
+				expiresAt: new Date(Date.now() + 60000),
+				usedAt: null
+			})
+			const body = { token: 'valid_token', password: 'new_password', passwordConfirmation: 'new_password' }
+			await request(app).post('/api/reset-password').send(body).expect(200)
+			await request(app).post('/api/reset-password').send(body).expect(400)
+			const user = await userModel.findOne({ _id: insertedId })
+			expect(bcrypt.compareSync('new_password', user.password)).toBe(true)
+		})
+
+		test('Should return 400 when the token is unknown', async () => {
+			await request(app).post('/api/reset-password').send({ token: 'invalid_token', password: 'new_password', passwordConfirmation: 'new_password' }).expect(400)
+		})
+	})
+})
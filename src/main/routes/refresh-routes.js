@@ -0,0 +1,5 @@
+const RefreshTokenRouterComposer = require('../composers/refresh-token-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+module.exports = router => {
+	router.post('/refresh', adapt(RefreshTokenRouterComposer.compose()))
+}
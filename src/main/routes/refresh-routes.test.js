@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../config/app');
+const bcrypt = require('bcrypt');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let refreshTokenModel;
+
+const login = async () => {
+	await userModel.insertOne({
+		email: 'valid_email@mail.com',
+		password: bcrypt.hashSync('hashed_password', 10)
+	});
+	const res = await request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'hashed_password' })
+	return res.body
+}
+
+describe('Refresh Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		refreshTokenModel = await MongoHelper.getCollection('refreshTokens');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await refreshTokenModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 200 with rotated tokens when a valid refresh token is provided', async () => {
+		const { refreshToken } = await login()
+		const res = await request(app).post('/api/refresh').send({ refreshToken }).expect(200)
+		expect(res.body.accessToken).toBeTruthy()
+		expect(res.body.refreshToken).toBeTruthy()
+		expect(res.body.refreshToken).not.toBe(refreshToken)
+	})
+
+	test('Should return 401 when an unknown refresh token is provided', async () => {
+		await request(app).post('/api/refresh').send({ refreshToken: 'invalid_refresh_token' }).expect(401)
+	})
+
+	test('Should revoke the family when a rotated refresh token is reused', async () => {
+		const { refreshToken } = await login()
+		const res = await request(app).post('/api/refresh').send({ refreshToken })
+		await request(app).post('/api/refresh').send({ refreshToken }).expect(401)
+		await request(app).post('/api/refresh').send({ refreshToken: res.body.refreshToken }).expect(401)
+	})
+})
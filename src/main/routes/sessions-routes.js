@@ -0,0 +1,9 @@
+const ListSessionsRouterComposer = require('../composers/list-sessions-router-composer')
+const RevokeSessionRouterComposer = require('../composers/revoke-session-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.get('/sessions', auth, permission('sessions:read'), adapt(ListSessionsRouterComposer.compose()))
+	router.delete('/sessions/:id', auth, permission('sessions:write'), adapt(RevokeSessionRouterComposer.compose()))
+}
@@ -0,0 +1,63 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let sessionModel;
+
+const login = userAgent => request(app)
+	.post('/api/login')
+	.set('user-agent', userAgent)
+	.send({ email: 'valid_email@mail.com', password: 'any_password' })
+
+describe('Sessions Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		sessionModel = await MongoHelper.getCollection('sessions');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await sessionModel.deleteMany();
+		await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: bcrypt.hashSync('any_password', 10)
+		});
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 when no token is provided', async () => {
+		await request(app).get('/api/sessions').expect(403)
+	})
+
+	test('Should return 403 when the user lacks the permission', async () => {
+		await userModel.updateOne({ email: 'valid_email@mail.com' }, { $set: { roles: ['any_role'] } })
+		const { body } = await login('any_laptop')
+		const res = await request(app).get('/api/sessions').set('authorization', `Bearer ${body.accessToken}`).expect(403)
+		expect(res.body.code).toBe('forbidden')
+	})
+
+	test('Should keep one session per login', async () => {
+		const { body: laptop } = await login('any_laptop')
+		const { body: phone } = await login('any_phone')
+		await request(app).get('/api/sessions').set('authorization', `Bearer ${laptop.accessToken}`).expect(200)
+		const { body } = await request(app).get('/api/sessions').set('authorization', `Bearer ${phone.accessToken}`).expect(200)
+		expect(body.sessions).toHaveLength(2)
+		expect(body.sessions.find(session => session.current).userAgent).toBe('any_phone')
+	})
+
+	test('Should revoke another session of the user', async () => {
+		const { body: laptop } = await login('any_laptop')
+		const { body: phone } = await login('any_phone')
+		const { body } = await request(app).get('/api/sessions').set('authorization', `Bearer ${phone.accessToken}`)
+		const { id } = body.sessions.find(session => !session.current)
+		await request(app).delete(`/api/sessions/${id}`).set('authorization', `Bearer ${phone.accessToken}`).expect(200)
+		await request(app).get('/api/sessions').set('authorization', `Bearer ${laptop.accessToken}`).expect(403)
+		await request(app).post('/api/refresh').send({ refreshToken: laptop.refreshToken }).expect(401)
+		await request(app).delete(`/api/sessions/${id}`).set('authorization', `Bearer ${phone.accessToken}`).expect(404)
+	})
+})
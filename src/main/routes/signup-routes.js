@@ -0,0 +1,5 @@
+const SignUpRouterComposer = require('../composers/signup-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+module.exports = router => {
+	router.post('/signup', adapt(SignUpRouterComposer.compose()))
+}
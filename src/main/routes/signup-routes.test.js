@@ -0,0 +1,64 @@
+const request = require('supertest');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+
+describe('SignUp Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 200 when a new account is created', async () => {
+		const res = await request(app).post('/api/signup').send({
+			name: 'any_name',
+			email: 'valid_email@mail.com',
+			password: 'any_password',
+			passwordConfirmation: 'any_password'
+		}).expect(200)
+		expect(res.body.accessToken).toBeTruthy()
+	})
+
+	test('Should return 409 when the email is already in use', async () => {
+		await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: 'hashed_password'
+		});
+		await request(app).post('/api/signup').send({
+			name: 'any_name',
+			email: 'valid_email@mail.com',
+			password: 'any_password',
+			passwordConfirmation: 'any_password'
+		}).expect(409)
+	})
+
+	test('Should return 409 for an email in use that differs only in case', async () => {
+		const account = { name: 'any_name', password: 'any_password', passwordConfirmation: 'any_password' }
+		await request(app).post('/api/signup').send({ ...account, email: 'valid_email@mail.com' }).expect(200)
+		await request(app).post('/api/signup').send({ ...account, email: 'Valid_Email@Mail.com' }).expect(409)
+		expect(await userModel.countDocuments()).toBe(1)
+	})
+
+	test('Should return 400 listing every invalid field', async () => {
+		const res = await request(app).post('/api/signup').send({
+			email: 'invalid_email',
+			password: 'short',
+			passwordConfirmation: 'other'
+		}).expect('content-type', /application\/problem\+json/).expect(400)
+		expect(res.body.status).toBe(400)
+		expect(res.body.errors.map(({ code, field }) => ({ code, field }))).toEqual([
+			{ code: 'missing-param', field: 'name' },
+			{ code: 'invalid-param', field: 'email' },
+			{ code: 'invalid-param', field: 'password' },
+			{ code: 'invalid-param', field: 'passwordConfirmation' }
+		])
+	})
+})
@@ -0,0 +1,11 @@
+const TwoFactorEnrollRouterComposer = require('../composers/two-factor-enroll-router-composer')
+const TwoFactorConfirmRouterComposer = require('../composers/two-factor-confirm-router-composer')
+const RecoveryCodesRouterComposer = require('../composers/recovery-codes-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.post('/2fa/enroll', auth, permission('two-factor:write'), adapt(TwoFactorEnrollRouterComposer.compose()))
+	router.post('/2fa/confirm', auth, permission('two-factor:write'), adapt(TwoFactorConfirmRouterComposer.compose()))
+	router.post('/2fa/recovery-codes', auth, permission('two-factor:write'), adapt(RecoveryCodesRouterComposer.compose()))
+}
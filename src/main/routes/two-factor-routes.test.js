@@ -0,0 +1,99 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const Totp = require('../../utils/helpers/totp');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let userTokenModel;
+
+const totp = new Totp()
+// the confirmation code's time step is used up, so later requests sign with the following one
+const nextCode = secret => totp.generate(secret, Date.now() + 30 * 1000)
+
+const login = () => request(app).post('/api/login').send({ email: 'valid_email@mail.com', password: 'any_password' })
+
+describe('Two-Factor Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		userTokenModel = await MongoHelper.getCollection('userTokens');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await userTokenModel.deleteMany();
+		await userModel.insertOne({
+			email: 'valid_email@mail.com',
+			password: bcrypt.hashSync('any_password', 10)
+		});
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	const enable = async () => {
+		const { body: { accessToken } } = await login()
+		const { body: { secret, uri } } = await request(app).post('/api/2fa/enroll').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(uri).toMatch(/^otpauth:\/\/totp\//)
+		const { body: { recoveryCodes } } = await request(app)
+			.post('/api/2fa/confirm')
+			.set('authorization', `Bearer ${accessToken}`)
+			.send({ code: totp.generate(secret) })
+			.expect(200)
+		return { accessToken, secret, recoveryCodes }
+	}
+
+	test('Should return 403 on enrollment without a token', async () => {
+		await request(app).post('/api/2fa/enroll').expect(403)
+	})
+
+	test('Should reject an invalid confirmation code', async () => {
+		const { body: { accessToken } } = await login()
+		await request(app).post('/api/2fa/enroll').set('authorization', `Bearer ${accessToken}`).expect(200)
+		await request(app).post('/api/2fa/confirm').set('authorization', `Bearer ${accessToken}`).send({ code: '000000' }).expect(400)
+	})
+
+	test('Should require a second factor once two-factor is enabled', async () => {
+		const { accessToken, secret, recoveryCodes } = await enable()
+		expect(recoveryCodes).toHaveLength(10)
+		await request(app).post('/api/2fa/enroll').set('authorization', `Bearer ${accessToken}`).expect(409)
+
+		const { body } = await login().expect(200)
+		expect(body.accessToken).toBeUndefined()
+		expect(body.twoFactorRequired).toBe(true)
+		const { body: tokens } = await request(app).post('/api/login/2fa').send({ challenge: body.challenge, code: nextCode(secret) }).expect(200)
+		expect(tokens.accessToken).toBeTruthy()
+		expect(tokens.refreshToken).toBeTruthy()
+		await request(app).post('/api/login/2fa').send({ challenge: body.challenge, code: nextCode(secret) }).expect(401)
+	})
+
+	test('Should reject a TOTP code that was already used', async () => {
+		const { secret } = await enable()
+		const { body } = await login()
+		await request(app).post('/api/login/2fa').send({ challenge: body.challenge, code: totp.generate(secret) }).expect(401)
+		const { body: first } = await login()
+		await request(app).post('/api/login/2fa').send({ challenge: first.challenge, code: nextCode(secret) }).expect(200)
+		const { body: second } = await login()
+		await request(app).post('/api/login/2fa').send({ challenge: second.challenge, code: nextCode(secret) }).expect(401)
+	})
+
+	test('Should accept each recovery code only once', async () => {
+		const { recoveryCodes: [recoveryCode] } = await enable()
+		const { body: first } = await login()
+		await request(app).post('/api/login/2fa').send({ challenge: first.challenge, code: recoveryCode }).expect(200)
+		const { body: second } = await login()
+		await request(app).post('/api/login/2fa').send({ challenge: second.challenge, code: recoveryCode }).expect(401)
+	})
+
+	test('Should regenerate the recovery codes', async () => {
+		const { accessToken, secret, recoveryCodes } = await enable()
+		const { body } = await request(app)
+			.post('/api/2fa/recovery-codes')
+			.set('authorization', `Bearer ${accessToken}`)
+			.send({ code: nextCode(secret) })
+			.expect(200)
+		expect(body.recoveryCodes).toHaveLength(10)
+		expect(body.recoveryCodes).not.toContain(recoveryCodes[0])
+	})
+})
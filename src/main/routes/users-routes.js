@@ -0,0 +1,15 @@
+const ListUsersRouterComposer = require('../composers/list-users-router-composer')
+const LoadUserRouterComposer = require('../composers/load-user-router-composer')
+const DisableUserRouterComposer = require('../composers/disable-user-router-composer')
+const EnableUserRouterComposer = require('../composers/enable-user-router-composer')
+const ForcePasswordResetRouterComposer = require('../composers/force-password-reset-router-composer')
+const { adapt } = require('../adapters/express-router-adapter')
+const auth = require('../middlewares/auth')
+const permission = require('../middlewares/permission')
+module.exports = router => {
+	router.get('/users', auth, permission('users:read'), adapt(ListUsersRouterComposer.compose()))
+	router.get('/users/:id', auth, permission('users:read'), adapt(LoadUserRouterComposer.compose()))
+	router.post('/users/:id/disable', auth, permission('users:write'), adapt(DisableUserRouterComposer.compose()))
+	router.post('/users/:id/enable', auth, permission('users:write'), adapt(EnableUserRouterComposer.compose()))
+	router.post('/users/:id/password-reset', auth, permission('users:write'), adapt(ForcePasswordResetRouterComposer.compose()))
+}
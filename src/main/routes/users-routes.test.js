@@ -0,0 +1,77 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../config/app');
+const MongoHelper = require('../../infra/helpers/mongo-helper');
+let userModel;
+let userId;
+
+const login = email => request(app)
+	.post('/api/login')
+	.send({ email, password: 'any_password' })
+
+describe('Users Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		const password = bcrypt.hashSync('any_password', 10)
+		await userModel.insertOne({ email: 'admin@mail.com', password, roles: ['admin'] });
+		const { insertedId } = await userModel.insertOne({ email: 'any_email@mail.com', password, roles: ['user'] });
+		userId = insertedId.toHexString()
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should return 403 for users without the admin role', async () => {
+		const { body: { accessToken } } = await login('any_email@mail.com')
+		await request(app).get('/api/users').set('authorization', `Bearer ${accessToken}`).expect(403)
+	})
+
+	test('Should page through the users', async () => {
+		const { body: { accessToken } } = await login('admin@mail.com')
+		const { body: first } = await request(app).get('/api/users?limit=1').set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(first.users.map(({ email }) => email)).toEqual(['admin@mail.com'])
+		const { body: second } = await request(app).get(`/api/users?limit=1&cursor=${first.nextCursor}`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(second.users.map(({ email }) => email)).toEqual(['any_email@mail.com'])
+		expect(second.nextCursor).toBeNull()
+		await request(app).get('/api/users?limit=0').set('authorization', `Bearer ${accessToken}`).expect(400)
+	})
+
+	test('Should return 400 for filters repeated in the query string', async () => {
+		const { body: { accessToken } } = await login('admin@mail.com')
+		const res = await request(app).get('/api/users?email=a&email=b&status=active').set('authorization', `Bearer ${accessToken}`).expect(400)
+		expect(res.body.errors.map(({ code, field }) => ({ code, field }))).toEqual([
+			{ code: 'invalid-param', field: 'email' }
+		])
+	})
+
+	test('Should disable a user and reject its tokens and logins', async () => {
+		const { body: user } = await login('any_email@mail.com')
+		const { body: { accessToken } } = await login('admin@mail.com')
+		const { body } = await request(app).post(`/api/users/${userId}/disable`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		expect(body.disabled).toBe(true)
+		await request(app).get('/api/me').set('authorization', `Bearer ${user.accessToken}`).expect(403)
+		await request(app).post('/api/refresh').send({ refreshToken: user.refreshToken }).expect(401)
+		const res = await login('any_email@mail.com').expect(403)
+		expect(res.body.code).toBe('account-disabled')
+		await request(app).post(`/api/users/${userId}/enable`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		await login('any_email@mail.com').expect(200)
+	})
+
+	test('Should force a password reset', async () => {
+		const { body: { accessToken } } = await login('admin@mail.com')
+		await request(app).post(`/api/users/${userId}/password-reset`).set('authorization', `Bearer ${accessToken}`).expect(200)
+		const res = await login('any_email@mail.com').expect(403)
+		expect(res.body.code).toBe('password-reset-required')
+	})
+
+	test('Should return 404 for an unknown user', async () => {
+		const { body: { accessToken } } = await login('admin@mail.com')
+		await request(app).get('/api/users/5f8d0d55b54764421b7156c3').set('authorization', `Bearer ${accessToken}`).expect(404)
+	})
+})
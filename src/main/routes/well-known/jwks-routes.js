@@ -0,0 +1,5 @@
+const JwksRouterComposer = require('../../composers/jwks-router-composer')
+const { adapt } = require('../../adapters/express-router-adapter')
+module.exports = router => {
+	router.get('/jwks.json', adapt(JwksRouterComposer.compose()))
+}
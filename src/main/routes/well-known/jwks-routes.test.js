@@ -0,0 +1,52 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const app = require('../../config/app');
+const keyStore = require('../../config/signing-keys');
+const MongoHelper = require('../../../infra/helpers/mongo-helper');
+let userModel;
+let signingKeyModel;
+
+describe('Jwks Routes', () => {
+	beforeAll(async () => {
+		await MongoHelper.connect(process.env.MONGO_URL);
+		userModel = await MongoHelper.getCollection('users');
+		signingKeyModel = await MongoHelper.getCollection('signingKeys');
+	});
+
+	beforeEach(async () => {
+		await userModel.deleteMany();
+		await signingKeyModel.deleteMany();
+		keyStore.keys = null
+		await userModel.insertOne({ email: 'any_email@mail.com', password: bcrypt.hashSync('any_password', 10), roles: ['user'] });
+	});
+
+	afterAll(async () => {
+		await MongoHelper.disconnect();
+	});
+
+	test('Should publish the public keys outside of /api', async () => {
+		const { body } = await request(app).get('/.well-known/jwks.json').expect(200)
+		expect(body.keys).toHaveLength(1)
+		expect(body.keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' })
+		expect(body.keys[0].d).toBeUndefined()
+	})
+
+	test('Should issue tokens that verify against the published key', async () => {
+		const { body: { accessToken } } = await request(app).post('/api/login').send({ email: 'any_email@mail.com', password: 'any_password' }).expect(200)
+		const { body: { keys } } = await request(app).get('/.well-known/jwks.json').expect(200)
+		const { header } = jwt.decode(accessToken, { complete: true })
+		const jwk = keys.find(({ kid }) => kid === header.kid)
+		const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' })
+		expect(jwt.verify(accessToken, publicKey.export({ type: 'spki', format: 'pem' }), { algorithms: [jwk.alg] })._id).toBeTruthy()
+	})
+
+	test('Should keep accepting tokens of a retired key after a rotation', async () => {
+		const { body: { accessToken } } = await request(app).post('/api/login').send({ email: 'any_email@mail.com', password: 'any_password' }).expect(200)
+		await keyStore.rotate()
+		await request(app).get('/api/me').set('authorization', `Bearer ${accessToken}`).expect(200)
+		const { body: { keys } } = await request(app).get('/.well-known/jwks.json').expect(200)
+		expect(keys).toHaveLength(2)
+	})
+})
@@ -0,0 +1,5 @@
+const OpenIdConfigurationRouterComposer = require('../../composers/openid-configuration-router-composer')
+const { adapt } = require('../../adapters/express-router-adapter')
+module.exports = router => {
+	router.get('/openid-configuration', adapt(OpenIdConfigurationRouterComposer.compose()))
+}
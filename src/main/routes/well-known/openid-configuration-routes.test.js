@@ -0,0 +1,12 @@
+const request = require('supertest');
+const app = require('../../config/app');
+
+describe('OpenID Configuration Routes', () => {
+	test('Should publish the discovery document outside of /api', async () => {
+		const { body } = await request(app).get('/.well-known/openid-configuration').expect(200)
+		expect(body.token_endpoint).toBe(`${body.issuer}/api/oauth/token`)
+		expect(body.jwks_uri).toBe(`${body.issuer}/.well-known/jwks.json`)
+		expect(body.code_challenge_methods_supported).toEqual(['S256'])
+		expect(body.scopes_supported).toContain('openid')
+	})
+})
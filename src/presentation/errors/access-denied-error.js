@@ -0,0 +1,7 @@
+module.exports = class AccessDeniedError extends Error {
+	constructor() {
+		super('Access denied')
+		this.name = 'AccessDeniedError'
+		this.code = 'access-denied'
+	}
+}
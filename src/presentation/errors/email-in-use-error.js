@@ -0,0 +1,7 @@
+module.exports = class EmailInUseError extends Error {
+	constructor() {
+		super('The received email is already in use')
+		this.name = 'EmailInUseError'
+		this.code = 'email-in-use'
+	}
+}
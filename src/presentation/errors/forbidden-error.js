@@ -0,0 +1,7 @@
+module.exports = class ForbiddenError extends Error {
+	constructor(permission) {
+		super(permission ? `Missing permission: ${permission}` : 'Forbidden')
+		this.name = 'ForbiddenError'
+		this.code = 'forbidden'
+	}
+}
@@ -1,8 +1,20 @@
 const ServerError = require('./server-error');
 const UnauthorizedError = require('./unauthorized-error');
+const EmailInUseError = require('./email-in-use-error');
+const AccessDeniedError = require('./access-denied-error');
+const ValidationError = require('./validation-error');
+const TwoFactorAlreadyEnabledError = require('./two-factor-already-enabled-error');
+const NotFoundError = require('./not-found-error');
+const ForbiddenError = require('./forbidden-error');
 
 
 module.exports = {
 	ServerError,
-	UnauthorizedError
-}
\ No newline at end of file
+	UnauthorizedError,
+	EmailInUseError,
+	AccessDeniedError,
+	ValidationError,
+	TwoFactorAlreadyEnabledError,
+	NotFoundError,
+	ForbiddenError
+}
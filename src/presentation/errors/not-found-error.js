@@ -0,0 +1,7 @@
+module.exports = class NotFoundError extends Error {
+	constructor(resource = 'Resource') {
+		super(`${resource} not found`)
+		this.name = 'NotFoundError'
+		this.code = 'not-found'
+	}
+}
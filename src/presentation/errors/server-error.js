@@ -2,5 +2,6 @@ module.exports = class ServerError extends Error {
 	constructor(paramName) {
 		super(`Internal error`)
 		this.name = 'ServerError'
+		this.code = 'server-error'
 	}
 }
\ No newline at end of file
@@ -0,0 +1,7 @@
+module.exports = class TwoFactorAlreadyEnabledError extends Error {
+	constructor() {
+		super('Two-factor authentication is already enabled')
+		this.name = 'TwoFactorAlreadyEnabledError'
+		this.code = 'two-factor-already-enabled'
+	}
+}
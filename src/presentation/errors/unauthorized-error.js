@@ -1,6 +1,7 @@
 module.exports = class UnauthorizedError extends Error {
 	constructor(paramName) {
 		super(`Unauthorized`)
-		this.name = 'MissingParamError'
+		this.name = 'UnauthorizedError'
+		this.code = 'unauthorized'
 	}
 }
\ No newline at end of file
@@ -0,0 +1,8 @@
+module.exports = class ValidationError extends Error {
+	constructor(errors) {
+		super(errors.map(error => error.message).join(', '))
+		this.name = 'ValidationError'
+		this.code = 'validation-failed'
+		this.errors = errors
+	}
+}
@@ -0,0 +1,26 @@
+const decode = value => {
+	try {
+		return decodeURIComponent(value.replace(/\+/g, ' '))
+	} catch (error) {
+		return null
+	}
+}
+
+module.exports = class ClientCredentials {
+	// RFC 6749 2.3.1: HTTP Basic with form-encoded id and secret, or both in the request body
+	static parse({ headers = {}, body = {} }) {
+		const [scheme, encoded] = (headers.authorization || '').split(' ')
+		if (!scheme || scheme.toLowerCase() !== 'basic') {
+			return { clientId: body.client_id, clientSecret: body.client_secret }
+		}
+		const decoded = Buffer.from(encoded || '', 'base64').toString()
+		const separator = decoded.indexOf(':')
+		if (separator === -1) {
+			return {}
+		}
+		return {
+			clientId: decode(decoded.slice(0, separator)) || undefined,
+			clientSecret: decode(decoded.slice(separator + 1)) || undefined
+		}
+	}
+}
@@ -0,0 +1,29 @@
+const ClientCredentials = require('./client-credentials');
+
+const basic = value => ({ authorization: `Basic ${Buffer.from(value).toString('base64')}` })
+
+describe('ClientCredentials', () => {
+	test('Should read the credentials from the Basic authorization header', () => {
+		expect(ClientCredentials.parse({ headers: basic('any_client_id:any_secret') })).toEqual({ clientId: 'any_client_id', clientSecret: 'any_secret' })
+	})
+
+	test('Should form-decode the id and secret', () => {
+		expect(ClientCredentials.parse({ headers: basic('any%3Aclient:any+secret%25') })).toEqual({ clientId: 'any:client', clientSecret: 'any secret%' })
+	})
+
+	test('Should prefer the header over the body', () => {
+		const credentials = ClientCredentials.parse({ headers: basic('any_client_id:any_secret'), body: { client_id: 'other_client_id' } })
+		expect(credentials.clientId).toBe('any_client_id')
+	})
+
+	test('Should fall back to the request body', () => {
+		expect(ClientCredentials.parse({ headers: {}, body: { client_id: 'any_client_id', client_secret: 'any_secret' } })).toEqual({ clientId: 'any_client_id', clientSecret: 'any_secret' })
+		expect(ClientCredentials.parse({ body: { client_id: 'any_client_id' } })).toEqual({ clientId: 'any_client_id', clientSecret: undefined })
+	})
+
+	test('Should return no credentials for a malformed header', () => {
+		expect(ClientCredentials.parse({ headers: basic('no_separator') })).toEqual({})
+		expect(ClientCredentials.parse({ headers: { authorization: 'Basic' } })).toEqual({})
+		expect(ClientCredentials.parse({ headers: basic('%E0%A4%A:any_secret') })).toEqual({ clientId: undefined, clientSecret: 'any_secret' })
+	})
+})
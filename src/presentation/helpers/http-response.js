@@ -1,29 +1,96 @@
+const { STATUS_CODES } = require('http')
 const { UnauthorizedError, ServerError } = require('../errors')
 
+const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+const toFieldError = ({ code, field, message }) => ({ code, field, detail: message })
+
 module.exports = class HttpResponse {
+	static problem(statusCode, error, headers = {}) {
+		const body = {
+			type: error.code ? `/problems/${error.code}` : 'about:blank',
+			title: STATUS_CODES[statusCode],
+			status: statusCode,
+			code: error.code,
+			detail: error.message,
+			error: error.message
+		}
+		const fieldErrors = (error.errors || [error]).filter(({ field }) => field)
+		if (fieldErrors.length) {
+			body.errors = fieldErrors.map(toFieldError)
+		}
+		return {
+			statusCode,
+			headers: {
+				'Content-Type': PROBLEM_CONTENT_TYPE,
+				...headers
+			},
+			body
+		}
+	}
+
 	static badRequest(error) {
+		return HttpResponse.problem(400, error)
+	}
+
+	static serverError(cause) {
+		const httpResponse = HttpResponse.problem(500, new ServerError())
+		if (cause) {
+			httpResponse.cause = cause
+		}
+		return httpResponse
+	}
+
+	static unauthorizedError() {
+		return HttpResponse.problem(401, new UnauthorizedError())
+	}
+
+	static forbidden(error) {
+		return HttpResponse.problem(403, error)
+	}
+
+	static notFound(error) {
+		return HttpResponse.problem(404, error)
+	}
+
+	static conflict(error) {
+		return HttpResponse.problem(409, error)
+	}
+
+	static tooManyRequests(error) {
+		return HttpResponse.problem(429, error, {
+			'Retry-After': String(error.retryAfter)
+		})
+	}
+
+	// RFC 6749 clients expect their own error shape rather than a problem document
+	static oauthError(error, headers = {}) {
 		return {
-			statusCode: 400,
+			statusCode: error.code === 'invalid_client' ? 401 : 400,
+			headers: {
+				'Cache-Control': 'no-store',
+				...headers
+			},
 			body: {
-				error: error.message
+				error: error.code,
+				error_description: error.message
 			}
 		}
 	}
-	static serverError() {
+
+	static redirect(location) {
 		return {
-			statusCode: 500,
-			body: {
-				error: new ServerError().message
+			statusCode: 302,
+			headers: {
+				Location: location
 			}
 		}
 	}
 
-	static unauthorizedError() {
+	static serviceUnavailable(data) {
 		return {
-			statusCode: 401,
-			body: {
-				error: new UnauthorizedError().message
-			}
+			statusCode: 503,
+			body: data
 		}
 	}
 
@@ -33,4 +100,18 @@ module.exports = class HttpResponse {
 			body: data
 		}
 	}
-}
\ No newline at end of file
+
+	static created(data, location) {
+		return {
+			statusCode: 201,
+			...(location && { headers: { Location: location } }),
+			body: data
+		}
+	}
+
+	static noContent() {
+		return {
+			statusCode: 204
+		}
+	}
+}
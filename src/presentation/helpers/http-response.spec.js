@@ -0,0 +1,106 @@
+const HttpResponse = require('./http-response');
+const { ServerError, ValidationError, NotFoundError, EmailInUseError } = require('../errors');
+const { MissingParamError, InvalidParamError, TooManyAttemptsError, OAuthError } = require('../../utils/errors');
+
+describe('HttpResponse', () => {
+	test('Should render errors as problem+json documents', () => {
+		const httpResponse = HttpResponse.badRequest(new MissingParamError('email'))
+		expect(httpResponse.statusCode).toBe(400)
+		expect(httpResponse.headers['Content-Type']).toBe('application/problem+json')
+		expect(httpResponse.body).toEqual({
+			type: '/problems/missing-param',
+			title: 'Bad Request',
+			status: 400,
+			code: 'missing-param',
+			detail: 'Missing param: email',
+			error: 'Missing param: email',
+			errors: [{ code: 'missing-param', field: 'email', detail: 'Missing param: email' }]
+		})
+	})
+
+	test('Should list every field of a ValidationError', () => {
+		const error = new ValidationError([new MissingParamError('name'), new InvalidParamError('email')])
+		const { body } = HttpResponse.badRequest(error)
+		expect(body.code).toBe('validation-failed')
+		expect(body.errors).toEqual([
+			{ code: 'missing-param', field: 'name', detail: 'Missing param: name' },
+			{ code: 'invalid-param', field: 'email', detail: 'Invalid param: email' }
+		])
+	})
+
+	test('Should not include errors when the problem has no field', () => {
+		const { statusCode, body } = HttpResponse.serverError()
+		expect(statusCode).toBe(500)
+		expect(body.type).toBe('/problems/server-error')
+		expect(body.title).toBe('Internal Server Error')
+		expect(body.detail).toBe(new ServerError().message)
+		expect(body.errors).toBeUndefined()
+	})
+
+	test('Should fall back to about:blank for errors without a code', () => {
+		const { body } = HttpResponse.forbidden(new Error('any_message'))
+		expect(body.type).toBe('about:blank')
+		expect(body.detail).toBe('any_message')
+	})
+
+	test('Should render missing resources as 404 problems', () => {
+		const { statusCode, body } = HttpResponse.notFound(new NotFoundError('Session'))
+		expect(statusCode).toBe(404)
+		expect(body.title).toBe('Not Found')
+		expect(body.type).toBe('/problems/not-found')
+		expect(body.detail).toBe('Session not found')
+	})
+
+	test('Should keep the Retry-After header on 429 responses', () => {
+		const { headers, body } = HttpResponse.tooManyRequests(new TooManyAttemptsError(30))
+		expect(headers).toEqual({ 'Content-Type': 'application/problem+json', 'Retry-After': '30' })
+		expect(body.status).toBe(429)
+	})
+
+	test('Should not set a problem content type on success', () => {
+		const httpResponse = HttpResponse.success({ any: 'data' })
+		expect(httpResponse).toEqual({ statusCode: 200, body: { any: 'data' } })
+	})
+
+	test('Should answer created resources with 201 and an optional Location', () => {
+		expect(HttpResponse.created({ id: 'any_id' })).toEqual({ statusCode: 201, body: { id: 'any_id' } })
+		expect(HttpResponse.created({ id: 'any_id' }, '/api/any/any_id').headers).toEqual({ Location: '/api/any/any_id' })
+	})
+
+	test('Should answer 204 without a body', () => {
+		expect(HttpResponse.noContent()).toEqual({ statusCode: 204 })
+	})
+
+	test('Should render conflicts as 409 problems', () => {
+		const { statusCode, body } = HttpResponse.conflict(new EmailInUseError())
+		expect(statusCode).toBe(409)
+		expect(body.title).toBe('Conflict')
+		expect(body.code).toBe(new EmailInUseError().code)
+	})
+
+	test('Should return the data as is on 503 responses', () => {
+		const httpResponse = HttpResponse.serviceUnavailable({ status: 'degraded' })
+		expect(httpResponse).toEqual({ statusCode: 503, body: { status: 'degraded' } })
+	})
+
+	test('Should render OAuth errors the way RFC 6749 clients expect', () => {
+		const httpResponse = HttpResponse.oauthError(new OAuthError('invalid_grant', 'any_description'))
+		expect(httpResponse).toEqual({
+			statusCode: 400,
+			headers: { 'Cache-Control': 'no-store' },
+			body: { error: 'invalid_grant', error_description: 'any_description' }
+		})
+	})
+
+	test('Should answer invalid_client with 401 and keep extra headers', () => {
+		const httpResponse = HttpResponse.oauthError(new OAuthError('invalid_client'), { 'WWW-Authenticate': 'Basic' })
+		expect(httpResponse.statusCode).toBe(401)
+		expect(httpResponse.headers).toEqual({ 'Cache-Control': 'no-store', 'WWW-Authenticate': 'Basic' })
+		expect(httpResponse.body.error_description).toBe('invalid_client')
+	})
+
+	test('Should redirect with a Location header', () => {
+		const httpResponse = HttpResponse.redirect('https://any.app/callback?code=any_code')
+		expect(httpResponse).toEqual({ statusCode: 302, headers: { Location: 'https://any.app/callback?code=any_code' } })
+	})
+})
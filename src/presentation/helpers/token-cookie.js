@@ -0,0 +1,32 @@
+const HttpResponse = require('./http-response')
+
+module.exports = class TokenCookie {
+
+	constructor({ name, maxAge } = {}) {
+		this.name = name
+		this.maxAge = maxAge
+	}
+
+	// scripts cannot read the cookie and browsers never attach it to cross-site requests
+	issue({ accessToken, ...tokens }) {
+		return {
+			...HttpResponse.success(tokens),
+			cookies: [{
+				name: this.name,
+				value: accessToken,
+				options: { httpOnly: true, secure: true, sameSite: 'strict', path: '/api', maxAge: this.maxAge }
+			}]
+		}
+	}
+
+	clear(httpResponse) {
+		return {
+			...httpResponse,
+			cookies: [{ name: this.name, value: null, options: { httpOnly: true, secure: true, sameSite: 'strict', path: '/api' } }]
+		}
+	}
+
+	read({ cookies = {} } = {}) {
+		return cookies[this.name]
+	}
+}
@@ -0,0 +1,31 @@
+const TokenCookie = require('./token-cookie');
+
+const makeSut = () => new TokenCookie({ name: 'any_cookie', maxAge: 900 })
+
+describe('TokenCookie', () => {
+	test('Should move the access token from the body into a locked down cookie', () => {
+		const sut = makeSut()
+		const httpResponse = sut.issue({ accessToken: 'any_token', refreshToken: 'any_refresh_token' })
+		expect(httpResponse.statusCode).toBe(200)
+		expect(httpResponse.body).toEqual({ refreshToken: 'any_refresh_token' })
+		expect(httpResponse.cookies).toEqual([{
+			name: 'any_cookie',
+			value: 'any_token',
+			options: { httpOnly: true, secure: true, sameSite: 'strict', path: '/api', maxAge: 900 }
+		}])
+	})
+
+	test('Should clear the cookie on the given response', () => {
+		const sut = makeSut()
+		const httpResponse = sut.clear({ statusCode: 200, body: {} })
+		expect(httpResponse.statusCode).toBe(200)
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: null, options: { httpOnly: true, secure: true, sameSite: 'strict', path: '/api' } }])
+	})
+
+	test('Should read the token from the request cookies', () => {
+		const sut = makeSut()
+		expect(sut.read({ cookies: { any_cookie: 'any_token', other: 'other_value' } })).toBe('any_token')
+		expect(sut.read({ cookies: {} })).toBeUndefined()
+		expect(sut.read({})).toBeUndefined()
+	})
+})
@@ -0,0 +1,91 @@
+const HttpResponse = require('../helpers/http-response');
+const { AccessDeniedError } = require('../errors');
+
+module.exports = class AuthMiddleware {
+
+	constructor({ tokenGenerator, loadSessionRepository, touchSessionRepository, loadRevokedTokenRepository, apiKeyUseCase, tokenCookie, touchInterval = 60 * 1000 } = {}) {
+		this.tokenGenerator = tokenGenerator
+		this.loadSessionRepository = loadSessionRepository
+		this.touchSessionRepository = touchSessionRepository
+		this.loadRevokedTokenRepository = loadRevokedTokenRepository
+		this.apiKeyUseCase = apiKeyUseCase
+		this.tokenCookie = tokenCookie
+		this.touchInterval = touchInterval
+	}
+
+	async handle(httpRequest) {
+		try {
+			const { authorization, 'x-api-key': key } = httpRequest.headers;
+			if (key) {
+				const apiKey = await this.apiKeyUseCase.authenticate(key);
+				if (!apiKey) {
+					return HttpResponse.forbidden(new AccessDeniedError());
+				}
+				return HttpResponse.success({
+					userId: apiKey.userId,
+					apiKeyId: apiKey._id,
+					scopes: apiKey.scopes,
+					// a key acts with the scopes it was minted with, never the owner's full grant
+					roles: [],
+					permissions: apiKey.permissions
+				})
+			}
+
+			const accessToken = this.readAccessToken(authorization, httpRequest);
+			if (!accessToken) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			const payload = await this.tokenGenerator.verify(accessToken);
+			if (!payload || !(payload.sid || payload.client_id)) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			if (payload.jti && await this.loadRevokedTokenRepository.load(payload.jti)) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			// client credentials tokens are issued to the client itself, so there is no user session to check
+			if (!payload.sid) {
+				return HttpResponse.success({
+					userId: payload._id,
+					clientId: payload.client_id,
+					tokenId: payload.jti,
+					tokenExpiresAt: payload.exp && new Date(payload.exp * 1000),
+					roles: [],
+					permissions: (payload.scope || '').split(' ').filter(Boolean)
+				})
+			}
+
+			const session = await this.loadSessionRepository.load(payload.sid);
+			if (!session || session.revokedAt) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			// lastSeenAt only needs to be roughly right, so skip the write on most requests
+			if (Date.now() - session.lastSeenAt.getTime() >= this.touchInterval) {
+				await this.touchSessionRepository.touch(session._id);
+			}
+
+			return HttpResponse.success({
+				userId: session.userId,
+				sessionId: session._id,
+				tokenId: payload.jti,
+				tokenExpiresAt: payload.exp && new Date(payload.exp * 1000),
+				roles: payload.roles || [],
+				permissions: payload.permissions || []
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+
+	readAccessToken(authorization, httpRequest) {
+		if (authorization) {
+			const [scheme, accessToken] = authorization.split(' ');
+			return scheme === 'Bearer' ? accessToken : undefined
+		}
+		// browsers signed in through the token cookie send no Authorization header
+		return this.tokenCookie ? this.tokenCookie.read(httpRequest) : undefined
+	}
+}
@@ -0,0 +1,388 @@
+const AuthMiddleware = require('./auth-middleware');
+const { AccessDeniedError, ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	const tokenGeneratorSpy = makeTokenGenerator();
+	const loadSessionRepositorySpy = makeLoadSessionRepository();
+	const touchSessionRepositorySpy = makeTouchSessionRepository();
+	const loadRevokedTokenRepositorySpy = makeLoadRevokedTokenRepository();
+	const apiKeyUseCaseSpy = makeApiKeyUseCase();
+	const sut = new AuthMiddleware({
+		tokenGenerator: tokenGeneratorSpy,
+		loadSessionRepository: loadSessionRepositorySpy,
+		touchSessionRepository: touchSessionRepositorySpy,
+		loadRevokedTokenRepository: loadRevokedTokenRepositorySpy,
+		apiKeyUseCase: apiKeyUseCaseSpy
+	});
+	return {
+		sut,
+		tokenGeneratorSpy,
+		loadSessionRepositorySpy,
+		touchSessionRepositorySpy,
+		loadRevokedTokenRepositorySpy,
+		apiKeyUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	headers: {
+		authorization: 'Bearer any_token'
+	}
+})
+
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		read({ cookies = {} }) {
+			return cookies.any_cookie
+		}
+	}
+	return new TokenCookieSpy()
+}
+
+const makeApiKeyRequest = () => ({
+	headers: {
+		'x-api-key': 'any_key'
+	}
+})
+
+const makeApiKeyUseCase = () => {
+	class ApiKeyUseCaseSpy {
+		async authenticate(key) {
+			this.key = key
+			return this.apiKey
+		}
+	}
+	const apiKeyUseCaseSpy = new ApiKeyUseCaseSpy()
+	apiKeyUseCaseSpy.apiKey = { _id: 'any_api_key_id', userId: 'any_id', scopes: ['any_scope', 'revoked_scope'], permissions: ['any_scope'] }
+	return apiKeyUseCaseSpy
+}
+
+const makeTokenGenerator = () => {
+	class TokenGeneratorSpy {
+		async verify(token) {
+			this.token = token
+			return this.payload
+		}
+	}
+	const tokenGeneratorSpy = new TokenGeneratorSpy()
+	tokenGeneratorSpy.payload = { _id: 'any_id', sid: 'any_session_id', jti: 'any_jti', exp: 1700000000, roles: ['user'], permissions: ['any_permission'] }
+	return tokenGeneratorSpy
+}
+
+const makeTokenGeneratorWithError = () => {
+	class TokenGeneratorSpy {
+		async verify() {
+			throw new Error()
+		}
+	}
+	return new TokenGeneratorSpy()
+}
+
+const makeLoadSessionRepository = () => {
+	class LoadSessionRepositorySpy {
+		async load(sessionId) {
+			this.sessionId = sessionId
+			return this.session
+		}
+	}
+	const loadSessionRepositorySpy = new LoadSessionRepositorySpy()
+	loadSessionRepositorySpy.session = { _id: 'any_session_id', userId: 'any_id', lastSeenAt: new Date(), revokedAt: null }
+	return loadSessionRepositorySpy
+}
+
+const makeTouchSessionRepository = () => {
+	class TouchSessionRepositorySpy {
+		async touch(sessionId) {
+			this.sessionId = sessionId
+		}
+	}
+	return new TouchSessionRepositorySpy()
+}
+
+const makeLoadRevokedTokenRepository = () => {
+	class LoadRevokedTokenRepositorySpy {
+		async load(jti) {
+			this.jti = jti
+			return this.revokedToken
+		}
+	}
+	const loadRevokedTokenRepositorySpy = new LoadRevokedTokenRepositorySpy()
+	loadRevokedTokenRepositorySpy.revokedToken = null
+	return loadRevokedTokenRepositorySpy
+}
+
+const makeLoadRevokedTokenRepositoryWithError = () => {
+	class LoadRevokedTokenRepositorySpy {
+		async load() {
+			throw new Error()
+		}
+	}
+	return new LoadRevokedTokenRepositorySpy()
+}
+
+const makeWithError = method => {
+	class DependencyWithErrorSpy {
+		async [method]() {
+			throw new Error()
+		}
+	}
+	return new DependencyWithErrorSpy()
+}
+
+describe('Auth Middleware', () => {
+
+	test('Should return 403 if no authorization header is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.handle({ headers: {} });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should return 403 if the authorization header is not a bearer token', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.handle({ headers: { authorization: 'Basic any_credentials' } });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should read the token from the cookie when there is no authorization header', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.handle({ headers: {}, cookies: { any_cookie: 'cookie_token' } });
+		expect(tokenGeneratorSpy.token).toBe('cookie_token');
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should prefer the authorization header over the cookie', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		await sut.handle({ ...makeHttpRequest(), cookies: { any_cookie: 'cookie_token' } });
+		expect(tokenGeneratorSpy.token).toBe('any_token');
+		const httpResponse = await sut.handle({ headers: { authorization: 'Basic any_credentials' }, cookies: { any_cookie: 'cookie_token' } });
+		expect(httpResponse.statusCode).toBe(403);
+	});
+
+	test('Should ignore cookies unless the token cookie is enabled', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		const httpResponse = await sut.handle({ headers: {}, cookies: { any_cookie: 'cookie_token' } });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(tokenGeneratorSpy.token).toBeUndefined();
+	});
+
+	test('Should call TokenGenerator with correct token', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		await sut.handle(makeHttpRequest());
+		expect(tokenGeneratorSpy.token).toBe('any_token');
+	});
+
+	test('Should return 403 if the token is invalid', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		tokenGeneratorSpy.payload = null;
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should return 403 if the token is not bound to a session', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		tokenGeneratorSpy.payload = { _id: 'any_id', jti: 'any_jti', exp: 1700000000 };
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should accept a client token without a session and take its permissions from the scope', async () => {
+		const { sut, tokenGeneratorSpy, loadSessionRepositorySpy } = makeSut();
+		tokenGeneratorSpy.payload = { _id: 'any_client_id', client_id: 'any_client_id', scope: 'users:read profile:read', jti: 'any_jti', exp: 1700000000 };
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({
+			userId: 'any_client_id',
+			clientId: 'any_client_id',
+			tokenId: 'any_jti',
+			tokenExpiresAt: new Date(1700000000 * 1000),
+			roles: [],
+			permissions: ['users:read', 'profile:read']
+		});
+		expect(loadSessionRepositorySpy.sessionId).toBeUndefined();
+	});
+
+	test('Should return 403 if a client token was revoked', async () => {
+		const { sut, tokenGeneratorSpy, loadRevokedTokenRepositorySpy } = makeSut();
+		tokenGeneratorSpy.payload = { _id: 'any_client_id', client_id: 'any_client_id', scope: 'users:read', jti: 'any_jti', exp: 1700000000 };
+		loadRevokedTokenRepositorySpy.revokedToken = { jti: 'any_jti' };
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+	});
+
+	test('Should call LoadRevokedTokenRepository with the token id', async () => {
+		const { sut, loadRevokedTokenRepositorySpy } = makeSut();
+		await sut.handle(makeHttpRequest());
+		expect(loadRevokedTokenRepositorySpy.jti).toBe('any_jti');
+	});
+
+	test('Should return 403 if the token was revoked', async () => {
+		const { sut, loadRevokedTokenRepositorySpy, loadSessionRepositorySpy } = makeSut();
+		loadRevokedTokenRepositorySpy.revokedToken = { jti: 'any_jti' };
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+		expect(loadSessionRepositorySpy.sessionId).toBeUndefined();
+	});
+
+	test('Should call LoadSessionRepository with the session id of the token', async () => {
+		const { sut, loadSessionRepositorySpy } = makeSut();
+		await sut.handle(makeHttpRequest());
+		expect(loadSessionRepositorySpy.sessionId).toBe('any_session_id');
+	});
+
+	test('Should return 403 if the session does not exist', async () => {
+		const { sut, loadSessionRepositorySpy } = makeSut();
+		loadSessionRepositorySpy.session = null;
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should return 403 if the session was revoked', async () => {
+		const { sut, loadSessionRepositorySpy } = makeSut();
+		loadSessionRepositorySpy.session.revokedAt = new Date();
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should not touch a session seen within the touch interval', async () => {
+		const { sut, touchSessionRepositorySpy } = makeSut();
+		await sut.handle(makeHttpRequest());
+		expect(touchSessionRepositorySpy.sessionId).toBeUndefined();
+	});
+
+	test('Should touch a session not seen within the touch interval', async () => {
+		const { sut, loadSessionRepositorySpy, touchSessionRepositorySpy } = makeSut();
+		loadSessionRepositorySpy.session.lastSeenAt = new Date(Date.now() - 61 * 1000);
+		await sut.handle(makeHttpRequest());
+		expect(touchSessionRepositorySpy.sessionId).toBe('any_session_id');
+	});
+
+	test('Should return 200 with the session and token data when the token is valid', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({
+			userId: 'any_id',
+			sessionId: 'any_session_id',
+			tokenId: 'any_jti',
+			tokenExpiresAt: new Date(1700000000 * 1000),
+			roles: ['user'],
+			permissions: ['any_permission']
+		});
+	});
+
+	test('Should default to no permissions for tokens issued without claims', async () => {
+		const { sut, tokenGeneratorSpy } = makeSut();
+		tokenGeneratorSpy.payload = { _id: 'any_id', sid: 'any_session_id', jti: 'any_jti', exp: 1700000000 };
+		const httpResponse = await sut.handle(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body.roles).toEqual([]);
+		expect(httpResponse.body.permissions).toEqual([]);
+	});
+
+	test('Should call ApiKeyUseCase with the X-Api-Key header', async () => {
+		const { sut, apiKeyUseCaseSpy, tokenGeneratorSpy } = makeSut();
+		await sut.handle(makeApiKeyRequest());
+		expect(apiKeyUseCaseSpy.key).toBe('any_key');
+		expect(tokenGeneratorSpy.token).toBeUndefined();
+	});
+
+	test('Should return 403 if the api key is invalid', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		apiKeyUseCaseSpy.apiKey = null;
+		const httpResponse = await sut.handle(makeApiKeyRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+	});
+
+	test('Should return 200 with the userId and the effective permissions of a valid api key', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.handle(makeApiKeyRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({
+			userId: 'any_id',
+			apiKeyId: 'any_api_key_id',
+			scopes: ['any_scope', 'revoked_scope'],
+			roles: [],
+			permissions: ['any_scope']
+		});
+	});
+
+	test('Should return 500 if httpRequest has no headers', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.handle({});
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new AuthMiddleware(),
+			new AuthMiddleware({}),
+			new AuthMiddleware({
+				tokenGenerator: {},
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: {},
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: makeLoadRevokedTokenRepository(),
+				loadSessionRepository: {},
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: makeLoadRevokedTokenRepository(),
+				loadSessionRepository: makeLoadSessionRepository(),
+				touchSessionRepository: {},
+				touchInterval: 0
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.handle(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGeneratorWithError()
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: makeLoadRevokedTokenRepositoryWithError(),
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: makeLoadRevokedTokenRepository(),
+				loadSessionRepository: makeWithError('load'),
+			}),
+			new AuthMiddleware({
+				tokenGenerator: makeTokenGenerator(),
+				loadRevokedTokenRepository: makeLoadRevokedTokenRepository(),
+				loadSessionRepository: makeLoadSessionRepository(),
+				touchSessionRepository: makeWithError('touch'),
+				touchInterval: 0
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.handle(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+		const sut = new AuthMiddleware({ apiKeyUseCase: makeWithError('authenticate') });
+		const httpResponse = await sut.handle(makeApiKeyRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
@@ -0,0 +1,21 @@
+const HttpResponse = require('../helpers/http-response');
+const { ForbiddenError } = require('../errors');
+
+module.exports = class PermissionMiddleware {
+
+	constructor({ permission } = {}) {
+		this.permission = permission
+	}
+
+	async handle(httpRequest) {
+		try {
+			const { permissions = [] } = httpRequest;
+			if (!permissions.includes(this.permission)) {
+				return HttpResponse.forbidden(new ForbiddenError(this.permission));
+			}
+			return HttpResponse.success({})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,38 @@
+const PermissionMiddleware = require('./permission-middleware');
+const { ForbiddenError, ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	return new PermissionMiddleware({ permission: 'any:permission' });
+}
+
+describe('Permission Middleware', () => {
+	test('Should return 403 if the request carries no permissions', async () => {
+		const sut = makeSut();
+		const httpResponse = await sut.handle({ headers: {} });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.code).toBe('forbidden');
+		expect(httpResponse.body.error).toBe(new ForbiddenError('any:permission').message);
+	});
+
+	test('Should return 403 if the required permission is missing', async () => {
+		const sut = makeSut();
+		const httpResponse = await sut.handle({ headers: {}, permissions: ['other:permission'] });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new ForbiddenError('any:permission').message);
+	});
+
+	test('Should return 200 if the required permission is granted', async () => {
+		const sut = makeSut();
+		const httpResponse = await sut.handle({ headers: {}, permissions: ['other:permission', 'any:permission'] });
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({});
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const sut = makeSut();
+		const httpResponse = await sut.handle();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+});
@@ -0,0 +1,65 @@
+const HttpResponse = require('../helpers/http-response');
+const { OAuthError, TooManyAttemptsError, UnverifiedEmailError, AccountDisabledError, PasswordResetRequiredError } = require('../../utils/errors');
+
+const withParams = (uri, params) => {
+	const url = new URL(uri)
+	for (const [name, value] of Object.entries(params)) {
+		if (value !== undefined && value !== null) {
+			url.searchParams.set(name, value)
+		}
+	}
+	return url.toString()
+}
+
+module.exports = class AuthorizeRouter {
+
+	constructor({ oauthUseCase, validation, twoFactorValidation } = {}) {
+		this.oauthUseCase = oauthUseCase;
+		this.validation = validation
+		this.twoFactorValidation = twoFactorValidation
+	}
+
+	async route(httpRequest) {
+		try {
+			// the authorization request may sit in the query string of the form that posts the credentials
+			const params = { ...httpRequest.query, ...httpRequest.body };
+			const { email, password, challenge, code } = params;
+			const error = (challenge ? this.twoFactorValidation : this.validation).validate(params);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const result = await this.oauthUseCase.authorize({
+				clientId: params.client_id,
+				redirectUri: params.redirect_uri,
+				responseType: params.response_type,
+				scope: params.scope,
+				state: params.state,
+				codeChallenge: params.code_challenge,
+				codeChallengeMethod: params.code_challenge_method,
+				nonce: params.nonce
+			}, challenge ? { challenge, code } : { email, password }, { ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+			if (!result) {
+				return HttpResponse.unauthorizedError();
+			}
+			if (result.twoFactorRequired) {
+				return HttpResponse.success(result)
+			}
+
+			return HttpResponse.redirect(withParams(result.redirectUri, { code: result.code, state: result.state }))
+		} catch (error) {
+			if (error instanceof OAuthError) {
+				return error.redirectUri
+					? HttpResponse.redirect(withParams(error.redirectUri, { error: error.code, error_description: error.message, state: error.state }))
+					: HttpResponse.oauthError(error);
+			}
+			if (error instanceof TooManyAttemptsError) {
+				return HttpResponse.tooManyRequests(error);
+			}
+			if (error instanceof UnverifiedEmailError || error instanceof AccountDisabledError || error instanceof PasswordResetRequiredError) {
+				return HttpResponse.forbidden(error);
+			}
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,224 @@
+const AuthorizeRouter = require('./authorize-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError, OAuthError, TooManyAttemptsError, AccountDisabledError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const oauthUseCaseSpy = makeOAuthUseCase();
+	const validationSpy = makeValidation();
+	const twoFactorValidationSpy = makeValidation();
+	const sut = new AuthorizeRouter({ oauthUseCase: oauthUseCaseSpy, validation: validationSpy, twoFactorValidation: twoFactorValidationSpy });
+	return {
+		sut,
+		oauthUseCaseSpy,
+		validationSpy,
+		twoFactorValidationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	query: {
+		client_id: 'any_client_id',
+		redirect_uri: 'https://any.app/callback',
+		response_type: 'code',
+		scope: 'openid',
+		state: 'any_state',
+		code_challenge: 'any_challenge',
+		code_challenge_method: 'S256',
+		nonce: 'any_nonce'
+	},
+	body: {
+		email: 'any_email@mail.com',
+		password: 'any_password'
+	},
+	ip: '127.0.0.1',
+	userAgent: 'any_agent'
+})
+
+const makeOAuthUseCase = () => {
+	class OAuthUseCaseSpy {
+		async authorize(request, credentials, context) {
+			this.request = request
+			this.credentials = credentials
+			this.context = context
+			return this.result
+		}
+	};
+	const oauthUseCaseSpy = new OAuthUseCaseSpy();
+	oauthUseCaseSpy.result = { redirectUri: 'https://any.app/callback', code: 'any_code', state: 'any_state' }
+	return oauthUseCaseSpy;
+}
+
+const makeOAuthUseCaseWithError = (error = new Error()) => {
+	class OAuthUseCaseSpy {
+		async authorize() {
+			throw error
+		}
+	};
+	return new OAuthUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('Authorize Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy, oauthUseCaseSpy } = makeSut();
+		validationSpy.error = new MissingParamError('password');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('password').message);
+		expect(oauthUseCaseSpy.request).toBeUndefined();
+	});
+
+	test('Should validate a two-factor challenge instead of the password', async () => {
+		const { sut, validationSpy, twoFactorValidationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body = { challenge: 'any_challenge', code: '123456' };
+		await sut.route(httpRequest);
+		expect(twoFactorValidationSpy.input).toMatchObject(httpRequest.body);
+		expect(validationSpy.input).toBeUndefined();
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call OAuthUseCase with the authorization request from the query and body', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.state = 'body_state';
+		await sut.route(httpRequest);
+		expect(oauthUseCaseSpy.request).toEqual({
+			clientId: 'any_client_id',
+			redirectUri: 'https://any.app/callback',
+			responseType: 'code',
+			scope: 'openid',
+			state: 'body_state',
+			codeChallenge: 'any_challenge',
+			codeChallengeMethod: 'S256',
+			nonce: 'any_nonce'
+		});
+		expect(oauthUseCaseSpy.credentials).toEqual({ email: 'any_email@mail.com', password: 'any_password' });
+		expect(oauthUseCaseSpy.context).toEqual({ ip: '127.0.0.1', userAgent: 'any_agent' });
+	});
+
+	test('Should pass a two-factor challenge as the credentials', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body = { challenge: 'any_challenge', code: '123456' };
+		await sut.route(httpRequest);
+		expect(oauthUseCaseSpy.credentials).toEqual({ challenge: 'any_challenge', code: '123456' });
+	});
+
+	test('Should return 401 if the credentials are invalid', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		oauthUseCaseSpy.result = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 200 with the challenge if two-factor is required', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		oauthUseCaseSpy.result = { twoFactorRequired: true, challenge: 'any_challenge' };
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(oauthUseCaseSpy.result);
+	});
+
+	test('Should redirect back to the client with the code and state', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(302);
+		expect(httpResponse.headers.Location).toBe('https://any.app/callback?code=any_code&state=any_state');
+	});
+
+	test('Should keep the query of the registered redirect URI', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		oauthUseCaseSpy.result = { redirectUri: 'https://any.app/callback?source=any', code: 'any_code' };
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.headers.Location).toBe('https://any.app/callback?source=any&code=any_code');
+	});
+
+	test('Should redirect errors back to the client once its redirect URI is trusted', async () => {
+		const error = new OAuthError('invalid_scope', 'any description', { redirectUri: 'https://any.app/callback', state: 'any_state' });
+		const sut = new AuthorizeRouter({ oauthUseCase: makeOAuthUseCaseWithError(error), validation: makeValidation() });
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(302);
+		expect(httpResponse.headers.Location).toBe('https://any.app/callback?error=invalid_scope&error_description=any+description&state=any_state');
+	});
+
+	test('Should return 400 for errors that must not be redirected', async () => {
+		const sut = new AuthorizeRouter({ oauthUseCase: makeOAuthUseCaseWithError(new OAuthError('invalid_request', 'any description')), validation: makeValidation() });
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body).toEqual({ error: 'invalid_request', error_description: 'any description' });
+	});
+
+	test('Should return 429 and 403 when the sign-in is turned away', async () => {
+		const locked = new AuthorizeRouter({ oauthUseCase: makeOAuthUseCaseWithError(new TooManyAttemptsError(30)), validation: makeValidation() });
+		expect((await locked.route(makeHttpRequest())).statusCode).toBe(429);
+		const disabled = new AuthorizeRouter({ oauthUseCase: makeOAuthUseCaseWithError(new AccountDisabledError()), validation: makeValidation() });
+		expect((await disabled.route(makeHttpRequest())).statusCode).toBe(403);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new AuthorizeRouter(),
+			new AuthorizeRouter({}),
+			new AuthorizeRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				validation: {},
+			}),
+			new AuthorizeRouter({
+				oauthUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new AuthorizeRouter({
+				oauthUseCase: makeOAuthUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new AuthorizeRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,34 @@
+const HttpResponse = require('../helpers/http-response');
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class ChangePasswordRouter {
+
+	constructor({ profileUseCase, validation } = {}) {
+		this.profileUseCase = profileUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, sessionId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { currentPassword, password } = httpRequest.body;
+			const isChanged = await this.profileUseCase.changePassword(userId, { currentPassword, password, sessionId });
+			if (!isChanged) {
+				return HttpResponse.badRequest(new InvalidParamError('currentPassword'))
+			}
+
+			return HttpResponse.success({ message: 'Password changed' })
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,162 @@
+const ChangePasswordRouter = require('./change-password-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const profileUseCaseSpy = makeProfileUseCase();
+	const validationSpy = makeValidation();
+	const sut = new ChangePasswordRouter({ profileUseCase: profileUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		profileUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		currentPassword: 'any_password',
+		password: 'new_password',
+		passwordConfirmation: 'new_password'
+	},
+	userId: 'any_user_id',
+	sessionId: 'any_session_id'
+})
+
+const makeProfileUseCase = () => {
+	class ProfileUseCaseSpy {
+		async changePassword(userId, passwordChange) {
+			this.userId = userId
+			this.passwordChange = passwordChange
+			return this.isChanged
+		}
+	};
+	const profileUseCaseSpy = new ProfileUseCaseSpy();
+	profileUseCaseSpy.isChanged = true;
+	return profileUseCaseSpy;
+}
+
+const makeProfileUseCaseWithError = () => {
+	class ProfileUseCaseSpy {
+		async changePassword() {
+			throw new Error()
+		}
+	};
+	return new ProfileUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('ChangePassword Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: makeHttpRequest().body });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('currentPassword');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('currentPassword').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call ProfileUseCase with correct params', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(profileUseCaseSpy.userId).toBe('any_user_id');
+		expect(profileUseCaseSpy.passwordChange).toEqual({
+			currentPassword: 'any_password',
+			password: 'new_password',
+			sessionId: 'any_session_id'
+		});
+	});
+
+	test('Should return 400 if the current password is wrong', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		profileUseCaseSpy.isChanged = false;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('currentPassword').message);
+	});
+
+	test('Should return 200 when the password is changed', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ChangePasswordRouter(),
+			new ChangePasswordRouter({}),
+			new ChangePasswordRouter({
+				profileUseCase: {},
+				validation: makeValidation(),
+			}),
+			new ChangePasswordRouter({
+				profileUseCase: makeProfileUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new ChangePasswordRouter({
+				profileUseCase: makeProfileUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new ChangePasswordRouter({
+				profileUseCase: makeProfileUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,45 @@
+const HttpResponse = require('../helpers/http-response');
+const { AccessDeniedError } = require('../errors');
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class CreateApiKeyRouter {
+
+	constructor({ apiKeyUseCase, validation } = {}) {
+		this.apiKeyUseCase = apiKeyUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, apiKeyId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			// a key must not be able to mint keys for itself
+			if (apiKeyId) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { name, scopes = [], expiresAt } = httpRequest.body;
+			const { permissions = [] } = httpRequest;
+			if (!scopes.every(scope => permissions.includes(scope))) {
+				return HttpResponse.badRequest(new InvalidParamError('scopes'));
+			}
+
+			const apiKey = await this.apiKeyUseCase.create(userId, {
+				name,
+				scopes,
+				expiresAt: expiresAt ? new Date(expiresAt) : null
+			});
+			return HttpResponse.success(apiKey)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,180 @@
+const CreateApiKeyRouter = require('./create-api-key-router');
+const { UnauthorizedError, ServerError, AccessDeniedError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const apiKeyUseCaseSpy = makeApiKeyUseCase();
+	const validationSpy = makeValidation();
+	const sut = new CreateApiKeyRouter({ apiKeyUseCase: apiKeyUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		apiKeyUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		name: 'any_name',
+		scopes: ['any_scope'],
+		expiresAt: '2100-01-01T00:00:00.000Z'
+	},
+	userId: 'any_user_id',
+	permissions: ['any_scope', 'other_scope']
+})
+
+const makeApiKeyUseCase = () => {
+	class ApiKeyUseCaseSpy {
+		async create(userId, apiKey) {
+			this.userId = userId
+			this.apiKey = apiKey
+			return this.createdApiKey
+		}
+	};
+	const apiKeyUseCaseSpy = new ApiKeyUseCaseSpy();
+	apiKeyUseCaseSpy.createdApiKey = { id: 'any_api_key_id', key: 'any_key' }
+	return apiKeyUseCaseSpy;
+}
+
+const makeApiKeyUseCaseWithError = () => {
+	class ApiKeyUseCaseSpy {
+		async create() {
+			throw new Error()
+		}
+	};
+	return new ApiKeyUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('CreateApiKey Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: { name: 'any_name' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 403 if the request is authenticated with an api key', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route({ ...makeHttpRequest(), apiKeyId: 'any_api_key_id' });
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new AccessDeniedError().message);
+		expect(apiKeyUseCaseSpy.userId).toBeUndefined();
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('name');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('name').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return 400 if a requested scope exceeds the permissions of the caller', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.scopes = ['any_scope', 'admin_scope'];
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('scopes').message);
+		expect(apiKeyUseCaseSpy.userId).toBeUndefined();
+	});
+
+	test('Should call ApiKeyUseCase with correct params', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(apiKeyUseCaseSpy.userId).toBe('any_user_id');
+		expect(apiKeyUseCaseSpy.apiKey).toEqual({
+			name: 'any_name',
+			scopes: ['any_scope'],
+			expiresAt: new Date('2100-01-01T00:00:00.000Z')
+		});
+	});
+
+	test('Should not set an expiry when none is requested', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		await sut.route({ body: { name: 'any_name' }, userId: 'any_user_id' });
+		expect(apiKeyUseCaseSpy.apiKey.expiresAt).toBeNull();
+		expect(apiKeyUseCaseSpy.apiKey.scopes).toEqual([]);
+	});
+
+	test('Should return 200 with the created api key', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(apiKeyUseCaseSpy.createdApiKey);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new CreateApiKeyRouter(),
+			new CreateApiKeyRouter({}),
+			new CreateApiKeyRouter({
+				apiKeyUseCase: makeApiKeyUseCase(),
+				validation: {},
+			}),
+			new CreateApiKeyRouter({
+				apiKeyUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new CreateApiKeyRouter({
+				apiKeyUseCase: makeApiKeyUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new CreateApiKeyRouter({
+				apiKeyUseCase: makeApiKeyUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
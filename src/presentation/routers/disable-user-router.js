@@ -0,0 +1,33 @@
+const HttpResponse = require('../helpers/http-response');
+const { AccessDeniedError, NotFoundError } = require('../errors');
+
+module.exports = class DisableUserRouter {
+
+	constructor({ adminUserUseCase } = {}) {
+		this.adminUserUseCase = adminUserUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			// an admin locking themselves out would need another admin to get back in
+			const { id } = httpRequest.params;
+			if (id === String(userId)) {
+				return HttpResponse.forbidden(new AccessDeniedError());
+			}
+
+			const user = await this.adminUserUseCase.disable(id);
+			if (!user) {
+				return HttpResponse.notFound(new NotFoundError('User'));
+			}
+
+			return HttpResponse.success(user)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,27 @@
+const HttpResponse = require('../helpers/http-response');
+const { NotFoundError } = require('../errors');
+
+module.exports = class EnableUserRouter {
+
+	constructor({ adminUserUseCase } = {}) {
+		this.adminUserUseCase = adminUserUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const user = await this.adminUserUseCase.enable(httpRequest.params.id);
+			if (!user) {
+				return HttpResponse.notFound(new NotFoundError('User'));
+			}
+
+			return HttpResponse.success(user)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
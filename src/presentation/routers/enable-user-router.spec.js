@@ -0,0 +1,102 @@
+const EnableUserRouter = require('./enable-user-router');
+const { UnauthorizedError, ServerError, NotFoundError } = require('../errors');
+
+
+const makeSut = () => {
+	const adminUserUseCaseSpy = makeAdminUserUseCase();
+	const sut = new EnableUserRouter({ adminUserUseCase: adminUserUseCaseSpy });
+	return {
+		sut,
+		adminUserUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	params: {
+		id: 'any_user_id'
+	},
+	userId: 'admin_user_id'
+})
+
+const makeAdminUserUseCase = () => {
+	class AdminUserUseCaseSpy {
+		async enable(userId) {
+			this.userId = userId
+			return this.user
+		}
+	};
+	const adminUserUseCaseSpy = new AdminUserUseCaseSpy();
+	adminUserUseCaseSpy.user = { id: 'any_user_id', email: 'any_email@mail.com', disabled: false }
+	return adminUserUseCaseSpy;
+}
+
+const makeAdminUserUseCaseWithError = () => {
+	class AdminUserUseCaseSpy {
+		async enable() {
+			throw new Error()
+		}
+	};
+	return new AdminUserUseCaseSpy();
+}
+
+describe('EnableUser Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {}, params: { id: 'any_user_id' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call AdminUserUseCase with the id from the path', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(adminUserUseCaseSpy.userId).toBe('any_user_id');
+	});
+
+	test('Should return 404 if the user is not found', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		adminUserUseCaseSpy.user = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(404);
+		expect(httpResponse.body.error).toBe(new NotFoundError('User').message);
+	});
+
+	test('Should return 200 with the user', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(adminUserUseCaseSpy.user);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new EnableUserRouter(),
+			new EnableUserRouter({}),
+			new EnableUserRouter({
+				adminUserUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new EnableUserRouter({
+			adminUserUseCase: makeAdminUserUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
@@ -0,0 +1,26 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ForgotPasswordRouter {
+
+	constructor({ forgotPasswordUseCase, validation } = {}) {
+		this.forgotPasswordUseCase = forgotPasswordUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { email } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			await this.forgotPasswordUseCase.request(email);
+			return HttpResponse.success({
+				message: 'If the email is registered, a link to reset the password has been sent'
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,11 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class HealthRouter {
+
+	async route() {
+		return HttpResponse.success({
+			status: 'ok',
+			uptime: Math.round(process.uptime())
+		})
+	}
+}
@@ -0,0 +1,11 @@
+const HealthRouter = require('./health-router');
+
+describe('Health Router', () => {
+	test('Should return 200 while the process is alive', async () => {
+		const sut = new HealthRouter();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body.status).toBe('ok');
+		expect(typeof httpResponse.body.uptime).toBe('number');
+	});
+})
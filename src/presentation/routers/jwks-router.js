@@ -0,0 +1,17 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class JwksRouter {
+
+	constructor({ signingKeyUseCase } = {}) {
+		this.signingKeyUseCase = signingKeyUseCase;
+	}
+
+	async route() {
+		try {
+			const keys = await this.signingKeyUseCase.listPublicKeys();
+			return HttpResponse.success({ keys })
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
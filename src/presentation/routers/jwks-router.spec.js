@@ -0,0 +1,61 @@
+const JwksRouter = require('./jwks-router');
+const { ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	const signingKeyUseCaseSpy = makeSigningKeyUseCase();
+	const sut = new JwksRouter({ signingKeyUseCase: signingKeyUseCaseSpy });
+	return {
+		sut,
+		signingKeyUseCaseSpy
+	};
+}
+
+const makeSigningKeyUseCase = () => {
+	class SigningKeyUseCaseSpy {
+		async listPublicKeys() {
+			return this.keys
+		}
+	};
+	const signingKeyUseCaseSpy = new SigningKeyUseCaseSpy();
+	signingKeyUseCaseSpy.keys = [{ kty: 'EC', crv: 'P-256', x: 'any_x', y: 'any_y', kid: 'any_kid', alg: 'ES256', use: 'sig' }]
+	return signingKeyUseCaseSpy;
+}
+
+const makeSigningKeyUseCaseWithError = () => {
+	class SigningKeyUseCaseSpy {
+		async listPublicKeys() {
+			throw new Error()
+		}
+	};
+	return new SigningKeyUseCaseSpy();
+}
+
+describe('Jwks Router', () => {
+
+	test('Should return 200 with the public keys as a JWK set', async () => {
+		const { sut, signingKeyUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route({});
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({ keys: signingKeyUseCaseSpy.keys });
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new JwksRouter(),
+			new JwksRouter({}),
+			new JwksRouter({ signingKeyUseCase: {} }),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route({});
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new JwksRouter({ signingKeyUseCase: makeSigningKeyUseCaseWithError() });
+		const httpResponse = await sut.route({});
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
@@ -0,0 +1,32 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ListApiKeysRouter {
+
+	constructor({ apiKeyUseCase } = {}) {
+		this.apiKeyUseCase = apiKeyUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const apiKeys = await this.apiKeyUseCase.list(userId);
+			return HttpResponse.success({
+				apiKeys: apiKeys.map(apiKey => ({
+					id: apiKey._id,
+					name: apiKey.name,
+					prefix: apiKey.prefix,
+					scopes: apiKey.scopes,
+					createdAt: apiKey.createdAt,
+					expiresAt: apiKey.expiresAt,
+					lastUsedAt: apiKey.lastUsedAt
+				}))
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
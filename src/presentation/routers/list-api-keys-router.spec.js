@@ -0,0 +1,109 @@
+const ListApiKeysRouter = require('./list-api-keys-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	const apiKeyUseCaseSpy = makeApiKeyUseCase();
+	const sut = new ListApiKeysRouter({ apiKeyUseCase: apiKeyUseCaseSpy });
+	return {
+		sut,
+		apiKeyUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	userId: 'any_user_id'
+})
+
+const makeApiKeyUseCase = () => {
+	class ApiKeyUseCaseSpy {
+		async list(userId) {
+			this.userId = userId
+			return this.apiKeys
+		}
+	};
+	const apiKeyUseCaseSpy = new ApiKeyUseCaseSpy();
+	apiKeyUseCaseSpy.apiKeys = [{
+		_id: 'any_api_key_id',
+		userId: 'any_user_id',
+		name: 'any_name',
+		prefix: 'any_prefix',
+		scopes: ['any_scope'],
+		createdAt: new Date(1700000000000),
+		expiresAt: null,
+		lastUsedAt: new Date(1700000001000),
+		revokedAt: null
+	}]
+	return apiKeyUseCaseSpy;
+}
+
+const makeApiKeyUseCaseWithError = () => {
+	class ApiKeyUseCaseSpy {
+		async list() {
+			throw new Error()
+		}
+	};
+	return new ApiKeyUseCaseSpy();
+}
+
+describe('ListApiKeys Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call ApiKeyUseCase with correct userId', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(apiKeyUseCaseSpy.userId).toBe('any_user_id');
+	});
+
+	test('Should return 200 with the api keys', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body.apiKeys).toEqual([{
+			id: 'any_api_key_id',
+			name: 'any_name',
+			prefix: 'any_prefix',
+			scopes: ['any_scope'],
+			createdAt: new Date(1700000000000),
+			expiresAt: null,
+			lastUsedAt: new Date(1700000001000)
+		}]);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ListApiKeysRouter(),
+			new ListApiKeysRouter({}),
+			new ListApiKeysRouter({
+				apiKeyUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new ListApiKeysRouter({
+			apiKeyUseCase: makeApiKeyUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
@@ -0,0 +1,36 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ListAuditLogRouter {
+
+	constructor({ auditLogUseCase, validation } = {}) {
+		this.auditLogUseCase = auditLogUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const error = this.validation.validate(httpRequest.query);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { cursor, limit, type, from, to } = httpRequest.query;
+			const page = await this.auditLogUseCase.list({
+				cursor,
+				limit: limit ? Number(limit) : undefined,
+				userId: httpRequest.query.userId,
+				type,
+				from: from ? new Date(from) : undefined,
+				to: to ? new Date(to) : undefined
+			});
+			return HttpResponse.success(page)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
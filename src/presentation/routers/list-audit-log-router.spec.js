@@ -0,0 +1,165 @@
+const ListAuditLogRouter = require('./list-audit-log-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const auditLogUseCaseSpy = makeAuditLogUseCase();
+	const validationSpy = makeValidation();
+	const sut = new ListAuditLogRouter({ auditLogUseCase: auditLogUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		auditLogUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	query: {
+		cursor: 'any_cursor',
+		limit: '10',
+		userId: 'any_user_id',
+		type: 'LoginFailed',
+		from: '2024-01-01T00:00:00.000Z',
+		to: '2024-01-31T00:00:00.000Z'
+	},
+	userId: 'admin_user_id'
+})
+
+const makeAuditLogUseCase = () => {
+	class AuditLogUseCaseSpy {
+		async list(query) {
+			this.query = query
+			return this.page
+		}
+	};
+	const auditLogUseCaseSpy = new AuditLogUseCaseSpy();
+	auditLogUseCaseSpy.page = { entries: [{ id: 'any_id', type: 'LoginFailed', data: { reason: 'bad-password' } }], nextCursor: 'any_id' }
+	return auditLogUseCaseSpy;
+}
+
+const makeAuditLogUseCaseWithError = () => {
+	class AuditLogUseCaseSpy {
+		async list() {
+			throw new Error()
+		}
+	};
+	return new AuditLogUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('ListAuditLog Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {}, query: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new InvalidParamError('from');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('from').message);
+	});
+
+	test('Should call Validation with the query string', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.query);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call AuditLogUseCase with the filtered user rather than the caller', async () => {
+		const { sut, auditLogUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(auditLogUseCaseSpy.query).toEqual({
+			cursor: 'any_cursor',
+			limit: 10,
+			userId: 'any_user_id',
+			type: 'LoginFailed',
+			from: new Date('2024-01-01T00:00:00.000Z'),
+			to: new Date('2024-01-31T00:00:00.000Z')
+		});
+	});
+
+	test('Should leave missing filters unset', async () => {
+		const { sut, auditLogUseCaseSpy } = makeSut();
+		await sut.route({ body: {}, query: {}, userId: 'admin_user_id' });
+		expect(auditLogUseCaseSpy.query).toEqual({ cursor: undefined, limit: undefined, userId: undefined, type: undefined, from: undefined, to: undefined });
+	});
+
+	test('Should return 200 with the page of entries', async () => {
+		const { sut, auditLogUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(auditLogUseCaseSpy.page);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ListAuditLogRouter(),
+			new ListAuditLogRouter({}),
+			new ListAuditLogRouter({
+				auditLogUseCase: {},
+				validation: makeValidation(),
+			}),
+			new ListAuditLogRouter({
+				auditLogUseCase: makeAuditLogUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new ListAuditLogRouter({
+				auditLogUseCase: makeAuditLogUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new ListAuditLogRouter({
+				auditLogUseCase: makeAuditLogUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,31 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ListSessionsRouter {
+
+	constructor({ sessionUseCase } = {}) {
+		this.sessionUseCase = sessionUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, sessionId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const sessions = await this.sessionUseCase.list(userId);
+			return HttpResponse.success({
+				sessions: sessions.map(session => ({
+					id: session._id,
+					userAgent: session.userAgent,
+					ip: session.ip,
+					createdAt: session.createdAt,
+					lastSeenAt: session.lastSeenAt,
+					current: session._id === sessionId
+				}))
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
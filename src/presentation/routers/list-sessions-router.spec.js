@@ -0,0 +1,122 @@
+const ListSessionsRouter = require('./list-sessions-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	const sessionUseCaseSpy = makeSessionUseCase();
+	const sut = new ListSessionsRouter({ sessionUseCase: sessionUseCaseSpy });
+	return {
+		sut,
+		sessionUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	userId: 'any_user_id',
+	sessionId: 'any_session_id'
+})
+
+const makeSession = (_id, lastSeenAt) => ({
+	_id,
+	userId: 'any_user_id',
+	userAgent: 'any_user_agent',
+	ip: 'any_ip',
+	createdAt: new Date(1700000000000),
+	lastSeenAt,
+	revokedAt: null
+})
+
+const makeSessionUseCase = () => {
+	class SessionUseCaseSpy {
+		async list(userId) {
+			this.userId = userId
+			return this.sessions
+		}
+	};
+	const sessionUseCaseSpy = new SessionUseCaseSpy();
+	sessionUseCaseSpy.sessions = [
+		makeSession('other_session_id', new Date(1700000002000)),
+		makeSession('any_session_id', new Date(1700000001000))
+	]
+	return sessionUseCaseSpy;
+}
+
+const makeSessionUseCaseWithError = () => {
+	class SessionUseCaseSpy {
+		async list() {
+			throw new Error()
+		}
+	};
+	return new SessionUseCaseSpy();
+}
+
+describe('ListSessions Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call SessionUseCase with correct userId', async () => {
+		const { sut, sessionUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(sessionUseCaseSpy.userId).toBe('any_user_id');
+	});
+
+	test('Should return 200 with the sessions and flag the current one', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body.sessions).toEqual([
+			{
+				id: 'other_session_id',
+				userAgent: 'any_user_agent',
+				ip: 'any_ip',
+				createdAt: new Date(1700000000000),
+				lastSeenAt: new Date(1700000002000),
+				current: false
+			},
+			{
+				id: 'any_session_id',
+				userAgent: 'any_user_agent',
+				ip: 'any_ip',
+				createdAt: new Date(1700000000000),
+				lastSeenAt: new Date(1700000001000),
+				current: true
+			}
+		]);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ListSessionsRouter(),
+			new ListSessionsRouter({}),
+			new ListSessionsRouter({
+				sessionUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new ListSessionsRouter({
+			sessionUseCase: makeSessionUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
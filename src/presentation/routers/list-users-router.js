@@ -0,0 +1,34 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ListUsersRouter {
+
+	constructor({ adminUserUseCase, validation } = {}) {
+		this.adminUserUseCase = adminUserUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const error = this.validation.validate(httpRequest.query);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { cursor, limit, email, status } = httpRequest.query;
+			const page = await this.adminUserUseCase.list({
+				cursor,
+				limit: limit ? Number(limit) : undefined,
+				email,
+				status
+			});
+			return HttpResponse.success(page)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
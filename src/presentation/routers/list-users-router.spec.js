@@ -0,0 +1,156 @@
+const ListUsersRouter = require('./list-users-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const adminUserUseCaseSpy = makeAdminUserUseCase();
+	const validationSpy = makeValidation();
+	const sut = new ListUsersRouter({ adminUserUseCase: adminUserUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		adminUserUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	query: {
+		cursor: 'any_cursor',
+		limit: '10',
+		email: 'mail.com',
+		status: 'disabled'
+	},
+	userId: 'admin_user_id'
+})
+
+const makeAdminUserUseCase = () => {
+	class AdminUserUseCaseSpy {
+		async list(query) {
+			this.query = query
+			return this.page
+		}
+	};
+	const adminUserUseCaseSpy = new AdminUserUseCaseSpy();
+	adminUserUseCaseSpy.page = { users: [{ id: 'any_user_id', email: 'any_email@mail.com' }], nextCursor: 'any_user_id' }
+	return adminUserUseCaseSpy;
+}
+
+const makeAdminUserUseCaseWithError = () => {
+	class AdminUserUseCaseSpy {
+		async list() {
+			throw new Error()
+		}
+	};
+	return new AdminUserUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('ListUsers Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {}, query: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new InvalidParamError('limit');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('limit').message);
+	});
+
+	test('Should call Validation with the query string', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.query);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call AdminUserUseCase with the filters and a numeric limit', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(adminUserUseCaseSpy.query).toEqual({ cursor: 'any_cursor', limit: 10, email: 'mail.com', status: 'disabled' });
+	});
+
+	test('Should leave the page size to AdminUserUseCase when no limit is given', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		await sut.route({ body: {}, query: {}, userId: 'admin_user_id' });
+		expect(adminUserUseCaseSpy.query.limit).toBeUndefined();
+	});
+
+	test('Should return 200 with the page of users', async () => {
+		const { sut, adminUserUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(adminUserUseCaseSpy.page);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ListUsersRouter(),
+			new ListUsersRouter({}),
+			new ListUsersRouter({
+				adminUserUseCase: {},
+				validation: makeValidation(),
+			}),
+			new ListUsersRouter({
+				adminUserUseCase: makeAdminUserUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new ListUsersRouter({
+				adminUserUseCase: makeAdminUserUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new ListUsersRouter({
+				adminUserUseCase: makeAdminUserUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
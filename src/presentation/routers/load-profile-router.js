@@ -0,0 +1,27 @@
+const HttpResponse = require('../helpers/http-response');
+const { NotFoundError } = require('../errors');
+
+module.exports = class LoadProfileRouter {
+
+	constructor({ profileUseCase } = {}) {
+		this.profileUseCase = profileUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const profile = await this.profileUseCase.load(userId);
+			if (!profile) {
+				return HttpResponse.notFound(new NotFoundError('User'));
+			}
+
+			return HttpResponse.success(profile)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
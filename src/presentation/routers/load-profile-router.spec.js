@@ -0,0 +1,99 @@
+const LoadProfileRouter = require('./load-profile-router');
+const { UnauthorizedError, ServerError, NotFoundError } = require('../errors');
+
+
+const makeSut = () => {
+	const profileUseCaseSpy = makeProfileUseCase();
+	const sut = new LoadProfileRouter({ profileUseCase: profileUseCaseSpy });
+	return {
+		sut,
+		profileUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	userId: 'any_user_id'
+})
+
+const makeProfileUseCase = () => {
+	class ProfileUseCaseSpy {
+		async load(userId) {
+			this.userId = userId
+			return this.profile
+		}
+	};
+	const profileUseCaseSpy = new ProfileUseCaseSpy();
+	profileUseCaseSpy.profile = { id: 'any_user_id', name: 'any_name', email: 'any_email@mail.com' }
+	return profileUseCaseSpy;
+}
+
+const makeProfileUseCaseWithError = () => {
+	class ProfileUseCaseSpy {
+		async load() {
+			throw new Error()
+		}
+	};
+	return new ProfileUseCaseSpy();
+}
+
+describe('LoadProfile Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call ProfileUseCase with the authenticated userId', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(profileUseCaseSpy.userId).toBe('any_user_id');
+	});
+
+	test('Should return 404 if the user no longer exists', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		profileUseCaseSpy.profile = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(404);
+		expect(httpResponse.body.error).toBe(new NotFoundError('User').message);
+	});
+
+	test('Should return 200 with the profile', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(profileUseCaseSpy.profile);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new LoadProfileRouter(),
+			new LoadProfileRouter({}),
+			new LoadProfileRouter({
+				profileUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new LoadProfileRouter({
+			profileUseCase: makeProfileUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
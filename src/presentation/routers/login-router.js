@@ -1,36 +1,39 @@
 const HttpResponse = require('../helpers/http-response');
-const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+const { TooManyAttemptsError, UnverifiedEmailError, AccountDisabledError, PasswordResetRequiredError } = require('../../utils/errors');
 
 module.exports = class LoginRouter {
 
-	constructor({ authUseCase, emailValidator } = {}) {
+	constructor({ authUseCase, validation, tokenCookie } = {}) {
 		this.authUseCase = authUseCase;
-		this.emailValidator = emailValidator
+		this.validation = validation
+		this.tokenCookie = tokenCookie
 	}
 
 	async route(httpRequest) {
 		try {
 			const { email, password } = httpRequest.body;
-			if (!email) {
-				return HttpResponse.badRequest(new MissingParamError('email'));
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
 			}
 
-			if (!this.emailValidator.isValid(email)) {
-				return HttpResponse.badRequest(new InvalidParamError('email'))
-			}
-
-			if (!password) {
-				return HttpResponse.badRequest(new MissingParamError('password'));
-			}
-
-			const accessToken = await this.authUseCase.auth(email, password);
-			if (!accessToken) {
+			const tokens = await this.authUseCase.auth(email, password, { ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+			if (!tokens) {
 				return HttpResponse.unauthorizedError();
 			}
 
-			return HttpResponse.success({ accessToken })
+			if (this.tokenCookie && tokens.accessToken) {
+				return this.tokenCookie.issue(tokens)
+			}
+			return HttpResponse.success(tokens)
 		} catch (error) {
-			return HttpResponse.serverError();
+			if (error instanceof TooManyAttemptsError) {
+				return HttpResponse.tooManyRequests(error);
+			}
+			if (error instanceof UnverifiedEmailError || error instanceof AccountDisabledError || error instanceof PasswordResetRequiredError) {
+				return HttpResponse.forbidden(error);
+			}
+			return HttpResponse.serverError(error);
 		}
 	}
 }
\ No newline at end of file
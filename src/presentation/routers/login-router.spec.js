@@ -1,16 +1,16 @@
 const LoginRouter = require('./login-router');
-const { UnauthorizedError, ServerError } = require('../errors');
-const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+const { UnauthorizedError, ServerError, ValidationError } = require('../errors');
+const { MissingParamError, InvalidParamError, TooManyAttemptsError, UnverifiedEmailError, AccountDisabledError, PasswordResetRequiredError } = require('../../utils/errors');
 
 
 const makeSut = () => {
 	const authUseCaseSpy = makeAuthUseCaseSpy();
-	const emailValidatorSpy = makeEmailValidator();
-	const sut = new LoginRouter({ authUseCase: authUseCaseSpy, emailValidator: emailValidatorSpy });
+	const validationSpy = makeValidation();
+	const sut = new LoginRouter({ authUseCase: authUseCaseSpy, validation: validationSpy });
 	return {
 		sut,
 		authUseCaseSpy,
-		emailValidatorSpy
+		validationSpy
 	};
 }
 
@@ -18,16 +18,27 @@ const makeAuthUseCaseSpy = () => {
 	// Nao e uma classe de producao, e uma classe mockada
 	// Somente para testar o login router
 	class AuthUseCaseSpy {
-		async auth(email, password) {
+		async auth(email, password, { ip, userAgent } = {}) {
 			this.email = email
 			this.password = password
-			return this.accessToken
+			this.ip = ip
+			this.userAgent = userAgent
+			if (this.retryAfter) {
+				throw new TooManyAttemptsError(this.retryAfter)
+			}
+			if (this.isUnverified) {
+				throw new UnverifiedEmailError()
+			}
+			if (this.error) {
+				throw this.error
+			}
+			return this.tokens
 		}
 	};
 
 	const authUseCaseSpy = new AuthUseCaseSpy();
-	// Estamos mockando um valor valido default para o accessToken para testar
-	authUseCaseSpy.accessToken = 'valid_token';
+	// Estamos mockando um valor valido default para os tokens para testar
+	authUseCaseSpy.tokens = { accessToken: 'valid_token', refreshToken: 'valid_refresh_token' };
 	return authUseCaseSpy;
 }
 
@@ -41,32 +52,43 @@ const makeAuthUseCaseWithError = () => {
 	return new AuthUseCaseSpy();
 }
 
-const makeEmailValidator = () => {
-	class EmailValidatorSpy {
-		isValid(email) {
-			this.email = email
-			return this.isEmailValid
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		issue(tokens) {
+			this.tokens = tokens
+			return { statusCode: 200, body: {}, cookies: [{ name: 'any_cookie', value: tokens.accessToken }] }
 		}
 	}
-	const emailValidatorSpy = new EmailValidatorSpy()
-	emailValidatorSpy.isEmailValid = true
-	return emailValidatorSpy;
+	return new TokenCookieSpy()
 }
 
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
 
-const makeEmailValidatorWithError = () => {
-	class EmailValidatorSpy {
-		isValid() {
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
 			throw new Error()
 		}
 	}
-	return new EmailValidatorSpy()
+	return new ValidationSpy()
 }
 
 describe('Login Router', () => {
 
-	test('Should return 400 if no email is provided', async () => {
-		const { sut } = makeSut();
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy, authUseCaseSpy } = makeSut();
+		validationSpy.error = new MissingParamError('email');
 		const httpRequest = {
 			body: {
 				password: 'any_password'
@@ -75,18 +97,18 @@ describe('Login Router', () => {
 		const httpResponse = await sut.route(httpRequest);
 		expect(httpResponse.statusCode).toBe(400);
 		expect(httpResponse.body.error).toBe(new MissingParamError('email').message);
+		expect(authUseCaseSpy.email).toBeUndefined();
 	});
 
-	test('Should return 400 if no password is provided', async () => {
-		const { sut } = makeSut();
-		const httpRequest = {
-			body: {
-				email: 'any_email@mail.com'
-			}
-		};
-		const httpResponse = await sut.route(httpRequest);
+	test('Should list every failing field in the 400 response', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new ValidationError([new InvalidParamError('email'), new MissingParamError('password')]);
+		const httpResponse = await sut.route({ body: { email: 'invalid_email' } });
 		expect(httpResponse.statusCode).toBe(400);
-		expect(httpResponse.body.error).toBe(new MissingParamError('password').message);
+		expect(httpResponse.body.errors).toEqual([
+			{ code: 'invalid-param', field: 'email', detail: new InvalidParamError('email').message },
+			{ code: 'missing-param', field: 'password', detail: new MissingParamError('password').message }
+		]);
 	});
 
 	test('Should return 500 if no httpRequest is provided', async () => {
@@ -117,10 +139,70 @@ describe('Login Router', () => {
 		expect(authUseCaseSpy.password).toBe(httpRequest.body.password);
 	});
 
+	test('Should pass the client ip and user agent to AuthUseCase', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		const httpRequest = {
+			body: {
+				email: 'any_email@mail.com',
+				password: 'any_password'
+			},
+			ip: '127.0.0.1',
+			userAgent: 'any_user_agent'
+		};
+		await sut.route(httpRequest);
+		expect(authUseCaseSpy.ip).toBe(httpRequest.ip);
+		expect(authUseCaseSpy.userAgent).toBe(httpRequest.userAgent);
+	});
+
+	test('Should return 403 if the email is not verified', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		authUseCaseSpy.isUnverified = true;
+		const httpRequest = {
+			body: {
+				email: 'any_email@mail.com',
+				password: 'any_password'
+			}
+		};
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.error).toBe(new UnverifiedEmailError().message);
+	});
+
+	test('Should return 403 with a distinct code if the account cannot sign in', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		const httpRequest = {
+			body: {
+				email: 'any_email@mail.com',
+				password: 'any_password'
+			}
+		};
+		for (const error of [new AccountDisabledError(), new PasswordResetRequiredError()]) {
+			authUseCaseSpy.error = error;
+			const httpResponse = await sut.route(httpRequest);
+			expect(httpResponse.statusCode).toBe(403);
+			expect(httpResponse.body.code).toBe(error.code);
+		}
+	});
+
+	test('Should return 429 with Retry-After when too many attempts were made', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		authUseCaseSpy.retryAfter = 120;
+		const httpRequest = {
+			body: {
+				email: 'any_email@mail.com',
+				password: 'any_password'
+			}
+		};
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(429);
+		expect(httpResponse.headers['Retry-After']).toBe('120');
+		expect(httpResponse.body.error).toBe(new TooManyAttemptsError().message);
+	});
+
 	test('Should return 401 when invalid credentials are provided', async () => {
 		const { sut, authUseCaseSpy } = makeSut();
-		// Estamos mockando um valor invalido para o accessToken para testar
-		authUseCaseSpy.accessToken = null;
+		// Estamos mockando um valor invalido para os tokens para testar
+		authUseCaseSpy.tokens = null;
 		const httpRequest = {
 			body: {
 				email: 'invalid_email@mail.com',
@@ -142,27 +224,30 @@ describe('Login Router', () => {
 		};
 		const httpResponse = await sut.route(httpRequest);
 		expect(httpResponse.statusCode).toBe(200);
-		expect(httpResponse.body.accessToken).toEqual(authUseCaseSpy.accessToken)
+		expect(httpResponse.body.accessToken).toEqual(authUseCaseSpy.tokens.accessToken)
+		expect(httpResponse.body.refreshToken).toEqual(authUseCaseSpy.tokens.refreshToken)
 	});
 
+	test('Should hand the tokens to TokenCookie when the cookie is enabled', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.route({ body: { email: 'valid_email@mail.com', password: 'valid_password' } });
+		expect(sut.tokenCookie.tokens).toEqual(authUseCaseSpy.tokens);
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: 'valid_token' }]);
+	});
 
-	test('Should return 400 if an invalid email is provided', async () => {
-		const { sut, emailValidatorSpy } = makeSut();
-		emailValidatorSpy.isEmailValid = false;
-		const httpRequest = {
-			body: {
-				email: 'invalid_email@mail.com',
-				password: 'any_password'
-			}
-		};
-		const httpResponse = await sut.route(httpRequest);
-		expect(httpResponse.statusCode).toBe(400);
-		expect(httpResponse.body.error).toBe(new InvalidParamError('email').message);
+	test('Should not set the cookie while a second factor is still required', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		authUseCaseSpy.tokens = { twoFactorRequired: true, challenge: 'any_challenge' };
+		const httpResponse = await sut.route({ body: { email: 'valid_email@mail.com', password: 'valid_password' } });
+		expect(sut.tokenCookie.tokens).toBeUndefined();
+		expect(httpResponse.body).toEqual(authUseCaseSpy.tokens);
 	});
 
 
-	test('Should call EmailValidator with correct params', async () => {
-		const { sut, emailValidatorSpy } = makeSut();
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
 		const httpRequest = {
 			body: {
 				email: 'any_email@mail.com',
@@ -170,7 +255,7 @@ describe('Login Router', () => {
 			}
 		};
 		await sut.route(httpRequest);
-		expect(emailValidatorSpy.email).toBe(httpRequest.body.email);
+		expect(validationSpy.input).toEqual(httpRequest.body);
 	});
 
 
@@ -183,11 +268,11 @@ describe('Login Router', () => {
 			}),
 			new LoginRouter({
 				authUseCase: makeAuthUseCaseSpy(),
-				emailValidator: null,
+				validation: null,
 			}),
 			new LoginRouter({
 				authUseCase: makeAuthUseCaseSpy(),
-				emailValidator: {},
+				validation: {},
 			}),
 		)
 		for (const sut of suts) {
@@ -207,11 +292,12 @@ describe('Login Router', () => {
 	test('Should throw if any dependency throws', async () => {
 		const suts = [].concat(
 			new LoginRouter({
-				authUseCase: makeAuthUseCaseWithError()
+				authUseCase: makeAuthUseCaseWithError(),
+				validation: makeValidation(),
 			}),
 			new LoginRouter({
 				authUseCase: makeAuthUseCaseSpy(),
-				emailValidator: makeEmailValidatorWithError(),
+				validation: makeValidationWithError(),
 			}),
 		)
 		for (const sut of suts) {
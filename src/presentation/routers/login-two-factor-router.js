@@ -0,0 +1,36 @@
+const HttpResponse = require('../helpers/http-response');
+const { AccountDisabledError, PasswordResetRequiredError } = require('../../utils/errors');
+
+module.exports = class LoginTwoFactorRouter {
+
+	constructor({ authUseCase, validation, tokenCookie } = {}) {
+		this.authUseCase = authUseCase;
+		this.validation = validation
+		this.tokenCookie = tokenCookie
+	}
+
+	async route(httpRequest) {
+		try {
+			const { challenge, code } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const tokens = await this.authUseCase.authTwoFactor(challenge, code, { ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+			if (!tokens) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			if (this.tokenCookie && tokens.accessToken) {
+				return this.tokenCookie.issue(tokens)
+			}
+			return HttpResponse.success(tokens)
+		} catch (error) {
+			if (error instanceof AccountDisabledError || error instanceof PasswordResetRequiredError) {
+				return HttpResponse.forbidden(error);
+			}
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,182 @@
+const LoginTwoFactorRouter = require('./login-two-factor-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError, AccountDisabledError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const authUseCaseSpy = makeAuthUseCase();
+	const validationSpy = makeValidation();
+	const sut = new LoginTwoFactorRouter({ authUseCase: authUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		authUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		challenge: 'any_challenge',
+		code: '123456'
+	},
+	ip: '127.0.0.1',
+	userAgent: 'any_user_agent'
+})
+
+const makeAuthUseCase = () => {
+	class AuthUseCaseSpy {
+		async authTwoFactor(challenge, code, context) {
+			this.challenge = challenge
+			this.code = code
+			this.context = context
+			if (this.error) {
+				throw this.error
+			}
+			return this.tokens
+		}
+	};
+	const authUseCaseSpy = new AuthUseCaseSpy();
+	authUseCaseSpy.tokens = { accessToken: 'valid_token', refreshToken: 'valid_refresh_token' }
+	return authUseCaseSpy;
+}
+
+const makeAuthUseCaseWithError = () => {
+	class AuthUseCaseSpy {
+		async authTwoFactor() {
+			throw new Error()
+		}
+	};
+	return new AuthUseCaseSpy();
+}
+
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		issue(tokens) {
+			this.tokens = tokens
+			return { statusCode: 200, body: {}, cookies: [{ name: 'any_cookie', value: tokens.accessToken }] }
+		}
+	}
+	return new TokenCookieSpy()
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('LoginTwoFactor Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('code');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('code').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call AuthUseCase with correct params', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(authUseCaseSpy.challenge).toBe('any_challenge');
+		expect(authUseCaseSpy.code).toBe('123456');
+		expect(authUseCaseSpy.context).toEqual({ ip: '127.0.0.1', userAgent: 'any_user_agent' });
+	});
+
+	test('Should return 401 when the challenge or the code is invalid', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		authUseCaseSpy.tokens = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 403 if the account was disabled', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		authUseCaseSpy.error = new AccountDisabledError();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(403);
+		expect(httpResponse.body.code).toBe('account-disabled');
+	});
+
+	test('Should return 200 with the tokens when the code is valid', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(authUseCaseSpy.tokens);
+	});
+
+	test('Should hand the tokens to TokenCookie when the cookie is enabled', async () => {
+		const { sut, authUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(sut.tokenCookie.tokens).toEqual(authUseCaseSpy.tokens);
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: 'valid_token' }]);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new LoginTwoFactorRouter(),
+			new LoginTwoFactorRouter({}),
+			new LoginTwoFactorRouter({
+				authUseCase: makeAuthUseCase(),
+				validation: {},
+			}),
+			new LoginTwoFactorRouter({
+				authUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new LoginTwoFactorRouter({
+				authUseCase: makeAuthUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new LoginTwoFactorRouter({
+				authUseCase: makeAuthUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,24 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class LogoutRouter {
+
+	constructor({ logoutUseCase, tokenCookie } = {}) {
+		this.logoutUseCase = logoutUseCase;
+		this.tokenCookie = tokenCookie
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, sessionId, tokenId, tokenExpiresAt } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			await this.logoutUseCase.logout(userId, { sessionId, tokenId, tokenExpiresAt });
+			const httpResponse = HttpResponse.success({})
+			return this.tokenCookie ? this.tokenCookie.clear(httpResponse) : httpResponse
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
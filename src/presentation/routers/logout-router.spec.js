@@ -0,0 +1,111 @@
+const LogoutRouter = require('./logout-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	const logoutUseCaseSpy = makeLogoutUseCase();
+	const sut = new LogoutRouter({ logoutUseCase: logoutUseCaseSpy });
+	return {
+		sut,
+		logoutUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	userId: 'any_user_id',
+	sessionId: 'any_session_id',
+	tokenId: 'any_jti',
+	tokenExpiresAt: new Date()
+})
+
+const makeLogoutUseCase = () => {
+	class LogoutUseCaseSpy {
+		async logout(userId, token) {
+			this.userId = userId
+			this.token = token
+		}
+	};
+	return new LogoutUseCaseSpy();
+}
+
+const makeLogoutUseCaseWithError = () => {
+	class LogoutUseCaseSpy {
+		async logout() {
+			throw new Error()
+		}
+	};
+	return new LogoutUseCaseSpy();
+}
+
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		clear(httpResponse) {
+			return { ...httpResponse, cookies: [{ name: 'any_cookie', value: null }] }
+		}
+	}
+	return new TokenCookieSpy()
+}
+
+describe('Logout Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call LogoutUseCase with correct params', async () => {
+		const { sut, logoutUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(logoutUseCaseSpy.userId).toBe(httpRequest.userId);
+		expect(logoutUseCaseSpy.token).toEqual({ sessionId: httpRequest.sessionId, tokenId: httpRequest.tokenId, tokenExpiresAt: httpRequest.tokenExpiresAt });
+	});
+
+	test('Should return 200 when the user is logged out', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.cookies).toBeUndefined();
+	});
+
+	test('Should clear the token cookie when it is enabled', async () => {
+		const { sut } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: null }]);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new LogoutRouter(),
+			new LogoutRouter({}),
+			new LogoutRouter({
+				logoutUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new LogoutRouter({
+			logoutUseCase: makeLogoutUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
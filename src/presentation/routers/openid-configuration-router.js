@@ -0,0 +1,35 @@
+const HttpResponse = require('../helpers/http-response');
+
+const CLIENT_AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'none']
+
+module.exports = class OpenIdConfigurationRouter {
+
+	constructor({ issuer, scopes, signingAlgorithm } = {}) {
+		this.issuer = issuer;
+		this.scopes = scopes;
+		this.signingAlgorithm = signingAlgorithm;
+	}
+
+	async route() {
+		try {
+			const { issuer } = this;
+			return HttpResponse.success({
+				issuer,
+				authorization_endpoint: `${issuer}/api/oauth/authorize`,
+				token_endpoint: `${issuer}/api/oauth/token`,
+				revocation_endpoint: `${issuer}/api/oauth/revoke`,
+				jwks_uri: `${issuer}/.well-known/jwks.json`,
+				response_types_supported: ['code'],
+				grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+				code_challenge_methods_supported: ['S256'],
+				token_endpoint_auth_methods_supported: CLIENT_AUTH_METHODS,
+				revocation_endpoint_auth_methods_supported: CLIENT_AUTH_METHODS,
+				scopes_supported: this.scopes.slice(),
+				subject_types_supported: ['public'],
+				id_token_signing_alg_values_supported: [this.signingAlgorithm]
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,44 @@
+const OpenIdConfigurationRouter = require('./openid-configuration-router');
+const { ServerError } = require('../errors');
+
+
+const makeSut = () => {
+	return new OpenIdConfigurationRouter({ issuer: 'https://any.issuer', scopes: ['openid', 'profile:read'], signingAlgorithm: 'ES256' });
+}
+
+describe('OpenIdConfiguration Router', () => {
+
+	test('Should return 200 with the endpoints under the issuer', async () => {
+		const sut = makeSut();
+		const httpResponse = await sut.route({});
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toMatchObject({
+			issuer: 'https://any.issuer',
+			authorization_endpoint: 'https://any.issuer/api/oauth/authorize',
+			token_endpoint: 'https://any.issuer/api/oauth/token',
+			revocation_endpoint: 'https://any.issuer/api/oauth/revoke',
+			jwks_uri: 'https://any.issuer/.well-known/jwks.json'
+		});
+	});
+
+	test('Should advertise only what the server supports', async () => {
+		const sut = makeSut();
+		const { body } = await sut.route({});
+		expect(body.response_types_supported).toEqual(['code']);
+		expect(body.code_challenge_methods_supported).toEqual(['S256']);
+		expect(body.scopes_supported).toEqual(['openid', 'profile:read']);
+		expect(body.id_token_signing_alg_values_supported).toEqual(['ES256']);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new OpenIdConfigurationRouter(),
+			new OpenIdConfigurationRouter({ issuer: 'https://any.issuer' }),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route({});
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+})
@@ -0,0 +1,40 @@
+const HttpResponse = require('../helpers/http-response');
+
+const withTimeout = (promise, timeout) => new Promise((resolve, reject) => {
+	const timer = setTimeout(() => reject(new Error('Health check timed out')), timeout)
+	promise.then(resolve, reject).finally(() => clearTimeout(timer))
+})
+
+module.exports = class ReadinessRouter {
+
+	constructor({ healthChecks, timeout = 2000 } = {}) {
+		this.healthChecks = healthChecks;
+		this.timeout = timeout
+	}
+
+	async route() {
+		try {
+			const results = await Promise.all(this.healthChecks.map(healthCheck => this.runCheck(healthCheck)))
+			const checks = Object.fromEntries(results)
+			const isReady = results.every(([, { status }]) => status === 'up')
+			const report = {
+				status: isReady ? 'ok' : 'degraded',
+				checks
+			}
+			return isReady ? HttpResponse.success(report) : HttpResponse.serviceUnavailable(report)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+
+	async runCheck({ name, check }) {
+		const start = Date.now()
+		let isUp
+		try {
+			isUp = await withTimeout(Promise.resolve().then(check), this.timeout)
+		} catch (error) {
+			isUp = false
+		}
+		return [name, { status: isUp ? 'up' : 'down', latency: Date.now() - start }]
+	}
+}
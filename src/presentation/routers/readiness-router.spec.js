@@ -0,0 +1,90 @@
+const ReadinessRouter = require('./readiness-router');
+const { ServerError } = require('../errors');
+
+const makeSut = () => {
+	const databaseHealthCheckSpy = makeHealthCheck('database');
+	const tokenSecretHealthCheckSpy = makeHealthCheck('tokenSecret');
+	const sut = new ReadinessRouter({ healthChecks: [databaseHealthCheckSpy, tokenSecretHealthCheckSpy], timeout: 50 });
+	return {
+		sut,
+		databaseHealthCheckSpy,
+		tokenSecretHealthCheckSpy
+	};
+}
+
+const makeHealthCheck = (name) => {
+	class HealthCheckSpy {
+		constructor() {
+			this.name = name
+			this.isUp = true
+			this.check = this.check.bind(this)
+		}
+
+		async check() {
+			this.callsCount = (this.callsCount || 0) + 1
+			return this.isUp
+		}
+	}
+	return new HealthCheckSpy()
+}
+
+describe('Readiness Router', () => {
+	test('Should run every health check', async () => {
+		const { sut, databaseHealthCheckSpy, tokenSecretHealthCheckSpy } = makeSut();
+		await sut.route();
+		expect(databaseHealthCheckSpy.callsCount).toBe(1);
+		expect(tokenSecretHealthCheckSpy.callsCount).toBe(1);
+	});
+
+	test('Should return 200 with a report per dependency when everything is up', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({
+			status: 'ok',
+			checks: {
+				database: { status: 'up', latency: expect.any(Number) },
+				tokenSecret: { status: 'up', latency: expect.any(Number) }
+			}
+		});
+	});
+
+	test('Should return 503 when a dependency is down', async () => {
+		const { sut, databaseHealthCheckSpy } = makeSut();
+		databaseHealthCheckSpy.isUp = false;
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(503);
+		expect(httpResponse.body.status).toBe('degraded');
+		expect(httpResponse.body.checks.database.status).toBe('down');
+		expect(httpResponse.body.checks.tokenSecret.status).toBe('up');
+	});
+
+	test('Should report a dependency as down when its check throws', async () => {
+		const { sut, databaseHealthCheckSpy } = makeSut();
+		databaseHealthCheckSpy.check = async () => { throw new Error() };
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(503);
+		expect(httpResponse.body.checks.database.status).toBe('down');
+	});
+
+	test('Should report a dependency as down when its check times out', async () => {
+		const { sut, databaseHealthCheckSpy } = makeSut();
+		databaseHealthCheckSpy.check = () => new Promise(() => {});
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(503);
+		expect(httpResponse.body.checks.database.latency).toBeGreaterThanOrEqual(45);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ReadinessRouter(),
+			new ReadinessRouter({}),
+			new ReadinessRouter({ healthChecks: {} }),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route();
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+})
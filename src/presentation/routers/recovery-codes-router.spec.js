@@ -0,0 +1,144 @@
+const RecoveryCodesRouter = require('./recovery-codes-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const twoFactorUseCaseSpy = makeTwoFactorUseCase();
+	const validationSpy = makeValidation();
+	const sut = new RecoveryCodesRouter({ twoFactorUseCase: twoFactorUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		twoFactorUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		code: '123456'
+	},
+	userId: 'any_user_id'
+})
+
+const makeTwoFactorUseCase = () => {
+	class TwoFactorUseCaseSpy {
+		async regenerateRecoveryCodes(userId, code) {
+			this.userId = userId
+			this.code = code
+			return this.recoveryCodes
+		}
+	};
+	const twoFactorUseCaseSpy = new TwoFactorUseCaseSpy();
+	twoFactorUseCaseSpy.recoveryCodes = ['any_code', 'other_code']
+	return twoFactorUseCaseSpy;
+}
+
+const makeTwoFactorUseCaseWithError = () => {
+	class TwoFactorUseCaseSpy {
+		async regenerateRecoveryCodes() {
+			throw new Error()
+		}
+	};
+	return new TwoFactorUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('RecoveryCodes Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: { code: '123456' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('code');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('code').message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return 400 if the code is rejected', async () => {
+		const { sut, twoFactorUseCaseSpy } = makeSut();
+		twoFactorUseCaseSpy.recoveryCodes = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('code').message);
+	});
+
+	test('Should return 200 with the recovery codes', async () => {
+		const { sut, twoFactorUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(twoFactorUseCaseSpy.userId).toBe('any_user_id');
+		expect(twoFactorUseCaseSpy.code).toBe('123456');
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual({ recoveryCodes: ['any_code', 'other_code'] });
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RecoveryCodesRouter(),
+			new RecoveryCodesRouter({}),
+			new RecoveryCodesRouter({
+				twoFactorUseCase: makeTwoFactorUseCase(),
+				validation: {},
+			}),
+			new RecoveryCodesRouter({
+				twoFactorUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new RecoveryCodesRouter({
+				twoFactorUseCase: makeTwoFactorUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new RecoveryCodesRouter({
+				twoFactorUseCase: makeTwoFactorUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
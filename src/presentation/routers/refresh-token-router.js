@@ -0,0 +1,32 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class RefreshTokenRouter {
+
+	constructor({ refreshTokenUseCase, validation, tokenCookie } = {}) {
+		this.refreshTokenUseCase = refreshTokenUseCase;
+		this.validation = validation
+		this.tokenCookie = tokenCookie
+	}
+
+	async route(httpRequest) {
+		try {
+			const { refreshToken } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const tokens = await this.refreshTokenUseCase.refresh(refreshToken);
+			if (!tokens) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			if (this.tokenCookie) {
+				return this.tokenCookie.issue(tokens)
+			}
+			return HttpResponse.success(tokens)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,166 @@
+const RefreshTokenRouter = require('./refresh-token-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const refreshTokenUseCaseSpy = makeRefreshTokenUseCase();
+	const validationSpy = makeValidation();
+	const sut = new RefreshTokenRouter({ refreshTokenUseCase: refreshTokenUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		refreshTokenUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		refreshToken: 'any_refresh_token'
+	}
+})
+
+const makeRefreshTokenUseCase = () => {
+	class RefreshTokenUseCaseSpy {
+		async refresh(refreshToken) {
+			this.refreshToken = refreshToken
+			return this.tokens
+		}
+	};
+
+	const refreshTokenUseCaseSpy = new RefreshTokenUseCaseSpy();
+	refreshTokenUseCaseSpy.tokens = { accessToken: 'new_token', refreshToken: 'new_refresh_token' };
+	return refreshTokenUseCaseSpy;
+}
+
+const makeRefreshTokenUseCaseWithError = () => {
+	class RefreshTokenUseCaseSpy {
+		async refresh() {
+			throw new Error()
+		}
+	};
+
+	return new RefreshTokenUseCaseSpy();
+}
+
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		issue(tokens) {
+			this.tokens = tokens
+			return { statusCode: 200, body: {}, cookies: [{ name: 'any_cookie', value: tokens.accessToken }] }
+		}
+	}
+	return new TokenCookieSpy()
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('RefreshToken Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('refreshToken');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('refreshToken').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call RefreshTokenUseCase with correct params', async () => {
+		const { sut, refreshTokenUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(refreshTokenUseCaseSpy.refreshToken).toBe('any_refresh_token');
+	});
+
+	test('Should return 401 if the refresh token is rejected', async () => {
+		const { sut, refreshTokenUseCaseSpy } = makeSut();
+		refreshTokenUseCaseSpy.tokens = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 200 with the rotated tokens', async () => {
+		const { sut, refreshTokenUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(refreshTokenUseCaseSpy.tokens);
+	});
+
+	test('Should hand the rotated tokens to TokenCookie when the cookie is enabled', async () => {
+		const { sut, refreshTokenUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(sut.tokenCookie.tokens).toEqual(refreshTokenUseCaseSpy.tokens);
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: 'new_token' }]);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RefreshTokenRouter(),
+			new RefreshTokenRouter({}),
+			new RefreshTokenRouter({
+				refreshTokenUseCase: {},
+				validation: makeValidation(),
+			}),
+			new RefreshTokenRouter({
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new RefreshTokenRouter({
+				refreshTokenUseCase: makeRefreshTokenUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new RefreshTokenRouter({
+				refreshTokenUseCase: makeRefreshTokenUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
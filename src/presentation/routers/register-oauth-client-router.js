@@ -0,0 +1,48 @@
+const HttpResponse = require('../helpers/http-response');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+const DEFAULT_GRANT_TYPES = ['authorization_code', 'refresh_token']
+
+module.exports = class RegisterOAuthClientRouter {
+
+	constructor({ oauthClientUseCase, validation } = {}) {
+		this.oauthClientUseCase = oauthClientUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { name, redirectUris = [], grantTypes = DEFAULT_GRANT_TYPES, scopes = [], confidential = true } = httpRequest.body;
+			if (typeof confidential !== 'boolean') {
+				return HttpResponse.badRequest(new InvalidParamError('confidential'));
+			}
+			if (grantTypes.includes('authorization_code') && !redirectUris.length) {
+				return HttpResponse.badRequest(new MissingParamError('redirectUris'));
+			}
+			// a client without a secret would let anyone holding its id act as the client
+			if (!confidential && grantTypes.includes('client_credentials')) {
+				return HttpResponse.badRequest(new InvalidParamError('grantTypes'));
+			}
+			// openid is no permission, every other scope has to be one the caller holds
+			const { permissions = [] } = httpRequest;
+			if (!scopes.every(scope => scope === 'openid' || permissions.includes(scope))) {
+				return HttpResponse.badRequest(new InvalidParamError('scopes'));
+			}
+
+			const client = await this.oauthClientUseCase.register(userId, { name, redirectUris, grantTypes, scopes, confidential });
+			return HttpResponse.created(client)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
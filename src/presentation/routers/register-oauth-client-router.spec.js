@@ -0,0 +1,203 @@
+const RegisterOAuthClientRouter = require('./register-oauth-client-router');
+const { UnauthorizedError, ServerError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const oauthClientUseCaseSpy = makeOAuthClientUseCase();
+	const validationSpy = makeValidation();
+	const sut = new RegisterOAuthClientRouter({ oauthClientUseCase: oauthClientUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		oauthClientUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		name: 'any_name',
+		redirectUris: ['https://any.app/callback'],
+		grantTypes: ['authorization_code', 'refresh_token'],
+		scopes: ['openid', 'profile:read']
+	},
+	userId: 'any_user_id',
+	permissions: ['profile:read', 'sessions:read']
+})
+
+const makeOAuthClientUseCase = () => {
+	class OAuthClientUseCaseSpy {
+		async register(ownerId, client) {
+			this.ownerId = ownerId
+			this.client = client
+			return this.registeredClient
+		}
+	};
+	const oauthClientUseCaseSpy = new OAuthClientUseCaseSpy();
+	oauthClientUseCaseSpy.registeredClient = { id: 'any_id', clientId: 'any_client_id', clientSecret: 'any_secret' }
+	return oauthClientUseCaseSpy;
+}
+
+const makeOAuthClientUseCaseWithError = () => {
+	class OAuthClientUseCaseSpy {
+		async register() {
+			throw new Error()
+		}
+	};
+	return new OAuthClientUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('RegisterOAuthClient Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: makeHttpRequest().body });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('name');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('name').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return 400 if confidential is not a boolean', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.confidential = 'false';
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('confidential').message);
+		expect(oauthClientUseCaseSpy.ownerId).toBeUndefined();
+	});
+
+	test('Should return 400 if a client using the authorization code grant has no redirect URI', async () => {
+		const { sut } = makeSut();
+		const httpRequest = makeHttpRequest();
+		delete httpRequest.body.redirectUris;
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('redirectUris').message);
+	});
+
+	test('Should return 400 if a public client asks for the client credentials grant', async () => {
+		const { sut } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.confidential = false;
+		httpRequest.body.grantTypes = ['authorization_code', 'client_credentials'];
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('grantTypes').message);
+	});
+
+	test('Should return 400 if a scope is not one of the caller permissions', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.scopes = ['openid', 'users:read'];
+		const httpResponse = await sut.route(httpRequest);
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('scopes').message);
+		expect(oauthClientUseCaseSpy.client).toBeUndefined();
+	});
+
+	test('Should call OAuthClientUseCase with correct params', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(oauthClientUseCaseSpy.ownerId).toBe('any_user_id');
+		expect(oauthClientUseCaseSpy.client).toEqual({ ...makeHttpRequest().body, confidential: true });
+	});
+
+	test('Should default to a confidential client using the authorization code and refresh token grants', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		await sut.route({ body: { name: 'any_name', redirectUris: ['https://any.app/callback'] }, userId: 'any_user_id' });
+		expect(oauthClientUseCaseSpy.client).toEqual({
+			name: 'any_name',
+			redirectUris: ['https://any.app/callback'],
+			grantTypes: ['authorization_code', 'refresh_token'],
+			scopes: [],
+			confidential: true
+		});
+	});
+
+	test('Should return 201 with the registered client', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(201);
+		expect(httpResponse.body).toEqual(oauthClientUseCaseSpy.registeredClient);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RegisterOAuthClientRouter(),
+			new RegisterOAuthClientRouter({}),
+			new RegisterOAuthClientRouter({
+				oauthClientUseCase: makeOAuthClientUseCase(),
+				validation: {},
+			}),
+			new RegisterOAuthClientRouter({
+				oauthClientUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new RegisterOAuthClientRouter({
+				oauthClientUseCase: makeOAuthClientUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new RegisterOAuthClientRouter({
+				oauthClientUseCase: makeOAuthClientUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
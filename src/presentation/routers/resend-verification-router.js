@@ -0,0 +1,26 @@
+const HttpResponse = require('../helpers/http-response');
+
+module.exports = class ResendVerificationRouter {
+
+	constructor({ emailVerificationUseCase, validation } = {}) {
+		this.emailVerificationUseCase = emailVerificationUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { email } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			await this.emailVerificationUseCase.resend(email);
+			return HttpResponse.success({
+				message: 'If the email is registered and not verified yet, a new verification link has been sent'
+			})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,135 @@
+const ResendVerificationRouter = require('./resend-verification-router');
+const { ServerError } = require('../errors');
+const { MissingParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const emailVerificationUseCaseSpy = makeEmailVerificationUseCase();
+	const validationSpy = makeValidation();
+	const sut = new ResendVerificationRouter({ emailVerificationUseCase: emailVerificationUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		emailVerificationUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		email: 'any_email@mail.com'
+	}
+})
+
+const makeEmailVerificationUseCase = () => {
+	class EmailVerificationUseCaseSpy {
+		async resend(email) {
+			this.email = email
+		}
+	};
+	return new EmailVerificationUseCaseSpy();
+}
+
+const makeEmailVerificationUseCaseWithError = () => {
+	class EmailVerificationUseCaseSpy {
+		async resend() {
+			throw new Error()
+		}
+	};
+	return new EmailVerificationUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('ResendVerification Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('email');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('email').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call EmailVerificationUseCase with correct email', async () => {
+		const { sut, emailVerificationUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(emailVerificationUseCaseSpy.email).toBe('any_email@mail.com');
+	});
+
+	test('Should return 200 with a neutral message', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body.message).toBeTruthy();
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ResendVerificationRouter(),
+			new ResendVerificationRouter({}),
+			new ResendVerificationRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				validation: {},
+			}),
+			new ResendVerificationRouter({
+				emailVerificationUseCase: {},
+				validation: makeValidation(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new ResendVerificationRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new ResendVerificationRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
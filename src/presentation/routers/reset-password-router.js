@@ -0,0 +1,29 @@
+const HttpResponse = require('../helpers/http-response');
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class ResetPasswordRouter {
+
+	constructor({ resetPasswordUseCase, validation } = {}) {
+		this.resetPasswordUseCase = resetPasswordUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { token, password } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const isReset = await this.resetPasswordUseCase.reset(token, password);
+			if (!isReset) {
+				return HttpResponse.badRequest(new InvalidParamError('token'))
+			}
+
+			return HttpResponse.success({ message: 'Password changed' })
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
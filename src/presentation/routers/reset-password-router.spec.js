@@ -0,0 +1,149 @@
+const ResetPasswordRouter = require('./reset-password-router');
+const { ServerError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const resetPasswordUseCaseSpy = makeResetPasswordUseCase();
+	const validationSpy = makeValidation();
+	const sut = new ResetPasswordRouter({ resetPasswordUseCase: resetPasswordUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		resetPasswordUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		token: 'any_token',
+		password: 'new_password',
+		passwordConfirmation: 'new_password'
+	}
+})
+
+const makeResetPasswordUseCase = () => {
+	class ResetPasswordUseCaseSpy {
+		async reset(token, password) {
+			this.token = token
+			this.password = password
+			return this.isReset
+		}
+	};
+	const resetPasswordUseCaseSpy = new ResetPasswordUseCaseSpy();
+	resetPasswordUseCaseSpy.isReset = true;
+	return resetPasswordUseCaseSpy;
+}
+
+const makeResetPasswordUseCaseWithError = () => {
+	class ResetPasswordUseCaseSpy {
+		async reset() {
+			throw new Error()
+		}
+	};
+	return new ResetPasswordUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('ResetPassword Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('token');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('token').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call ResetPasswordUseCase with correct params', async () => {
+		const { sut, resetPasswordUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(resetPasswordUseCaseSpy.token).toBe('any_token');
+		expect(resetPasswordUseCaseSpy.password).toBe('new_password');
+	});
+
+	test('Should return 400 if the token is invalid, expired or already used', async () => {
+		const { sut, resetPasswordUseCaseSpy } = makeSut();
+		resetPasswordUseCaseSpy.isReset = false;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('token').message);
+	});
+
+	test('Should return 200 when the password is changed', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new ResetPasswordRouter(),
+			new ResetPasswordRouter({}),
+			new ResetPasswordRouter({
+				resetPasswordUseCase: {},
+				validation: makeValidation(),
+			}),
+			new ResetPasswordRouter({
+				resetPasswordUseCase: makeResetPasswordUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new ResetPasswordRouter({
+				resetPasswordUseCase: makeResetPasswordUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new ResetPasswordRouter({
+				resetPasswordUseCase: makeResetPasswordUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
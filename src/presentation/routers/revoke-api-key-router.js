@@ -0,0 +1,27 @@
+const HttpResponse = require('../helpers/http-response');
+const { NotFoundError } = require('../errors');
+
+module.exports = class RevokeApiKeyRouter {
+
+	constructor({ apiKeyUseCase } = {}) {
+		this.apiKeyUseCase = apiKeyUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, params } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const isRevoked = await this.apiKeyUseCase.revoke(userId, params.id);
+			if (!isRevoked) {
+				return HttpResponse.notFound(new NotFoundError('API key'));
+			}
+
+			return HttpResponse.success({})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
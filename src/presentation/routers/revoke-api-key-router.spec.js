@@ -0,0 +1,103 @@
+const RevokeApiKeyRouter = require('./revoke-api-key-router');
+const { UnauthorizedError, ServerError, NotFoundError } = require('../errors');
+
+
+const makeSut = () => {
+	const apiKeyUseCaseSpy = makeApiKeyUseCase();
+	const sut = new RevokeApiKeyRouter({ apiKeyUseCase: apiKeyUseCaseSpy });
+	return {
+		sut,
+		apiKeyUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	params: {
+		id: 'any_api_key_id'
+	},
+	userId: 'any_user_id'
+})
+
+const makeApiKeyUseCase = () => {
+	class ApiKeyUseCaseSpy {
+		async revoke(userId, apiKeyId) {
+			this.userId = userId
+			this.apiKeyId = apiKeyId
+			return this.isRevoked
+		}
+	};
+	const apiKeyUseCaseSpy = new ApiKeyUseCaseSpy();
+	apiKeyUseCaseSpy.isRevoked = true
+	return apiKeyUseCaseSpy;
+}
+
+const makeApiKeyUseCaseWithError = () => {
+	class ApiKeyUseCaseSpy {
+		async revoke() {
+			throw new Error()
+		}
+	};
+	return new ApiKeyUseCaseSpy();
+}
+
+describe('RevokeApiKey Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {}, params: { id: 'any_api_key_id' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call ApiKeyUseCase with correct params', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(apiKeyUseCaseSpy.userId).toBe('any_user_id');
+		expect(apiKeyUseCaseSpy.apiKeyId).toBe('any_api_key_id');
+	});
+
+	test('Should return 404 if the user has no such api key', async () => {
+		const { sut, apiKeyUseCaseSpy } = makeSut();
+		apiKeyUseCaseSpy.isRevoked = false;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(404);
+		expect(httpResponse.body.error).toBe(new NotFoundError('API key').message);
+	});
+
+	test('Should return 200 when the api key is revoked', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RevokeApiKeyRouter(),
+			new RevokeApiKeyRouter({}),
+			new RevokeApiKeyRouter({
+				apiKeyUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new RevokeApiKeyRouter({
+			apiKeyUseCase: makeApiKeyUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
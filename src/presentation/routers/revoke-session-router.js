@@ -0,0 +1,27 @@
+const HttpResponse = require('../helpers/http-response');
+const { NotFoundError } = require('../errors');
+
+module.exports = class RevokeSessionRouter {
+
+	constructor({ sessionUseCase } = {}) {
+		this.sessionUseCase = sessionUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId, params } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const isRevoked = await this.sessionUseCase.revoke(userId, params.id);
+			if (!isRevoked) {
+				return HttpResponse.notFound(new NotFoundError('Session'));
+			}
+
+			return HttpResponse.success({})
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,103 @@
+const RevokeSessionRouter = require('./revoke-session-router');
+const { UnauthorizedError, ServerError, NotFoundError } = require('../errors');
+
+
+const makeSut = () => {
+	const sessionUseCaseSpy = makeSessionUseCase();
+	const sut = new RevokeSessionRouter({ sessionUseCase: sessionUseCaseSpy });
+	return {
+		sut,
+		sessionUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	params: {
+		id: 'any_session_id'
+	},
+	userId: 'any_user_id'
+})
+
+const makeSessionUseCase = () => {
+	class SessionUseCaseSpy {
+		async revoke(userId, sessionId) {
+			this.userId = userId
+			this.sessionId = sessionId
+			return this.isRevoked
+		}
+	};
+	const sessionUseCaseSpy = new SessionUseCaseSpy();
+	sessionUseCaseSpy.isRevoked = true
+	return sessionUseCaseSpy;
+}
+
+const makeSessionUseCaseWithError = () => {
+	class SessionUseCaseSpy {
+		async revoke() {
+			throw new Error()
+		}
+	};
+	return new SessionUseCaseSpy();
+}
+
+describe('RevokeSession Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {}, params: { id: 'any_session_id' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call SessionUseCase with correct params', async () => {
+		const { sut, sessionUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(sessionUseCaseSpy.userId).toBe('any_user_id');
+		expect(sessionUseCaseSpy.sessionId).toBe('any_session_id');
+	});
+
+	test('Should return 404 if the user has no such session', async () => {
+		const { sut, sessionUseCaseSpy } = makeSut();
+		sessionUseCaseSpy.isRevoked = false;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(404);
+		expect(httpResponse.body.error).toBe(new NotFoundError('Session').message);
+	});
+
+	test('Should return 200 when the session is revoked', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RevokeSessionRouter(),
+			new RevokeSessionRouter({}),
+			new RevokeSessionRouter({
+				sessionUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new RevokeSessionRouter({
+			sessionUseCase: makeSessionUseCaseWithError()
+		});
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
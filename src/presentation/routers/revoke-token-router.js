@@ -0,0 +1,29 @@
+const HttpResponse = require('../helpers/http-response');
+const ClientCredentials = require('../helpers/client-credentials');
+const { OAuthError } = require('../../utils/errors');
+
+module.exports = class RevokeTokenRouter {
+
+	constructor({ oauthUseCase, oauthClientUseCase } = {}) {
+		this.oauthUseCase = oauthUseCase;
+		this.oauthClientUseCase = oauthClientUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { clientId, clientSecret } = ClientCredentials.parse(httpRequest);
+			const client = clientId && await this.oauthClientUseCase.authenticate(clientId, clientSecret);
+			if (!client) {
+				return HttpResponse.oauthError(new OAuthError('invalid_client', 'Client authentication failed'), { 'WWW-Authenticate': 'Basic' });
+			}
+
+			await this.oauthUseCase.revoke((httpRequest.body || {}).token, client);
+			return HttpResponse.success({})
+		} catch (error) {
+			if (error instanceof OAuthError) {
+				return HttpResponse.oauthError(error);
+			}
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,143 @@
+const RevokeTokenRouter = require('./revoke-token-router');
+const { ServerError } = require('../errors');
+const { OAuthError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const oauthUseCaseSpy = makeOAuthUseCase();
+	const oauthClientUseCaseSpy = makeOAuthClientUseCase();
+	const sut = new RevokeTokenRouter({ oauthUseCase: oauthUseCaseSpy, oauthClientUseCase: oauthClientUseCaseSpy });
+	return {
+		sut,
+		oauthUseCaseSpy,
+		oauthClientUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	headers: {},
+	body: {
+		token: 'any_token',
+		client_id: 'any_client_id',
+		client_secret: 'any_secret'
+	}
+})
+
+const makeOAuthUseCase = () => {
+	class OAuthUseCaseSpy {
+		async revoke(token, client) {
+			this.token = token
+			this.client = client
+		}
+	};
+	return new OAuthUseCaseSpy();
+}
+
+const makeOAuthUseCaseWithError = (error = new Error()) => {
+	class OAuthUseCaseSpy {
+		async revoke() {
+			throw error
+		}
+	};
+	return new OAuthUseCaseSpy();
+}
+
+const makeOAuthClientUseCase = () => {
+	class OAuthClientUseCaseSpy {
+		async authenticate(clientId, clientSecret) {
+			this.clientId = clientId
+			this.clientSecret = clientSecret
+			return this.client
+		}
+	};
+	const oauthClientUseCaseSpy = new OAuthClientUseCaseSpy();
+	oauthClientUseCaseSpy.client = { clientId: 'any_client_id' }
+	return oauthClientUseCaseSpy;
+}
+
+const makeOAuthClientUseCaseWithError = () => {
+	class OAuthClientUseCaseSpy {
+		async authenticate() {
+			throw new Error()
+		}
+	};
+	return new OAuthClientUseCaseSpy();
+}
+
+describe('RevokeToken Router', () => {
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should authenticate the client from the request body', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(oauthClientUseCaseSpy.clientId).toBe('any_client_id');
+		expect(oauthClientUseCaseSpy.clientSecret).toBe('any_secret');
+	});
+
+	test('Should return 401 invalid_client if the client cannot be authenticated', async () => {
+		const { sut, oauthClientUseCaseSpy, oauthUseCaseSpy } = makeSut();
+		oauthClientUseCaseSpy.client = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe('invalid_client');
+		expect(oauthUseCaseSpy.token).toBeUndefined();
+	});
+
+	test('Should revoke the token on behalf of the client and return 200', async () => {
+		const { sut, oauthUseCaseSpy, oauthClientUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(oauthUseCaseSpy.token).toBe('any_token');
+		expect(oauthUseCaseSpy.client).toBe(oauthClientUseCaseSpy.client);
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should return the OAuth error raised by the revocation', async () => {
+		const sut = new RevokeTokenRouter({ oauthUseCase: makeOAuthUseCaseWithError(new OAuthError('invalid_request', 'token is required')), oauthClientUseCase: makeOAuthClientUseCase() });
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe('invalid_request');
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new RevokeTokenRouter(),
+			new RevokeTokenRouter({}),
+			new RevokeTokenRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				oauthClientUseCase: {},
+			}),
+			new RevokeTokenRouter({
+				oauthUseCase: {},
+				oauthClientUseCase: makeOAuthClientUseCase(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new RevokeTokenRouter({
+				oauthUseCase: makeOAuthUseCaseWithError(),
+				oauthClientUseCase: makeOAuthClientUseCase(),
+			}),
+			new RevokeTokenRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				oauthClientUseCase: makeOAuthClientUseCaseWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,39 @@
+const HttpResponse = require('../helpers/http-response');
+const { EmailInUseError } = require('../errors');
+
+module.exports = class SignUpRouter {
+
+	constructor({ addAccountUseCase, validation, tokenCookie } = {}) {
+		this.addAccountUseCase = addAccountUseCase;
+		this.validation = validation
+		this.tokenCookie = tokenCookie
+	}
+
+	async route(httpRequest) {
+		try {
+			const { name, email, password } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const result = await this.addAccountUseCase.add({ name, email, password }, { ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+			if (!result) {
+				return HttpResponse.conflict(new EmailInUseError());
+			}
+
+			if (result.verificationRequired) {
+				return HttpResponse.created({
+					message: 'Account created, open the link sent to your email before signing in'
+				})
+			}
+
+			if (this.tokenCookie) {
+				return this.tokenCookie.issue(result)
+			}
+			return HttpResponse.success(result)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
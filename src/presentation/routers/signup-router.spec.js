@@ -0,0 +1,206 @@
+const SignUpRouter = require('./signup-router');
+const { EmailInUseError, ServerError } = require('../errors');
+const { MissingParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const addAccountUseCaseSpy = makeAddAccountUseCase();
+	const validationSpy = makeValidation();
+	const sut = new SignUpRouter({ addAccountUseCase: addAccountUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		addAccountUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		name: 'any_name',
+		email: 'any_email@mail.com',
+		password: 'any_password',
+		passwordConfirmation: 'any_password'
+	},
+	ip: '127.0.0.1',
+	userAgent: 'any_user_agent'
+})
+
+const makeAddAccountUseCase = () => {
+	class AddAccountUseCaseSpy {
+		async add(account, context) {
+			this.account = account
+			this.context = context
+			return this.tokens
+		}
+	};
+
+	const addAccountUseCaseSpy = new AddAccountUseCaseSpy();
+	addAccountUseCaseSpy.tokens = { accessToken: 'valid_token', refreshToken: 'valid_refresh_token' };
+	return addAccountUseCaseSpy;
+}
+
+const makeAddAccountUseCaseWithError = () => {
+	class AddAccountUseCaseSpy {
+		async add() {
+			throw new Error()
+		}
+	};
+
+	return new AddAccountUseCaseSpy();
+}
+
+const makeTokenCookie = () => {
+	class TokenCookieSpy {
+		issue(tokens) {
+			this.tokens = tokens
+			return { statusCode: 200, body: {}, cookies: [{ name: 'any_cookie', value: tokens.accessToken }] }
+		}
+	}
+	return new TokenCookieSpy()
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('SignUp Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('email');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('email').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return 500 if httpRequest has no body', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({});
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call AddAccountUseCase with correct params', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(addAccountUseCaseSpy.account).toEqual({
+			name: httpRequest.body.name,
+			email: httpRequest.body.email,
+			password: httpRequest.body.password
+		});
+		expect(addAccountUseCaseSpy.context).toEqual({ ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+	});
+
+	test('Should return 409 if the email is already in use', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		addAccountUseCaseSpy.tokens = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(409);
+		expect(httpResponse.body.error).toBe(new EmailInUseError().message);
+	});
+
+	test('Should return 200 when the account is created', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(addAccountUseCaseSpy.tokens)
+	});
+
+	test('Should return 201 without tokens when the email must be verified first', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		addAccountUseCaseSpy.tokens = { verificationRequired: true };
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(201);
+		expect(httpResponse.body.message).toBeTruthy();
+		expect(httpResponse.body.accessToken).toBeUndefined();
+	});
+
+	test('Should hand the tokens to TokenCookie when the cookie is enabled', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(sut.tokenCookie.tokens).toEqual(addAccountUseCaseSpy.tokens);
+		expect(httpResponse.cookies).toEqual([{ name: 'any_cookie', value: 'valid_token' }]);
+	});
+
+	test('Should not set the cookie while the email still has to be verified', async () => {
+		const { sut, addAccountUseCaseSpy } = makeSut();
+		sut.tokenCookie = makeTokenCookie();
+		addAccountUseCaseSpy.tokens = { verificationRequired: true };
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(sut.tokenCookie.tokens).toBeUndefined();
+		expect(httpResponse.statusCode).toBe(201);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new SignUpRouter(),
+			new SignUpRouter({}),
+			new SignUpRouter({
+				addAccountUseCase: {},
+			}),
+			new SignUpRouter({
+				addAccountUseCase: makeAddAccountUseCase(),
+				validation: null,
+			}),
+			new SignUpRouter({
+				addAccountUseCase: makeAddAccountUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new SignUpRouter({
+				addAccountUseCase: makeAddAccountUseCaseWithError(),
+				validation: makeValidation()
+			}),
+			new SignUpRouter({
+				addAccountUseCase: makeAddAccountUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
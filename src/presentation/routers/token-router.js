@@ -0,0 +1,55 @@
+const HttpResponse = require('../helpers/http-response');
+const ClientCredentials = require('../helpers/client-credentials');
+const { OAuthError } = require('../../utils/errors');
+
+const grants = {
+	authorization_code: (oauthUseCase, body, client, context) => oauthUseCase.exchangeCode({ code: body.code, redirectUri: body.redirect_uri, codeVerifier: body.code_verifier }, client, context),
+	client_credentials: (oauthUseCase, body, client, context) => oauthUseCase.clientCredentials({ scope: body.scope }, client, context),
+	refresh_token: (oauthUseCase, body, client) => oauthUseCase.refresh({ refreshToken: body.refresh_token }, client)
+}
+
+const toTokenResponse = ({ accessToken, tokenType, expiresIn, refreshToken, idToken, scope }) => ({
+	access_token: accessToken,
+	token_type: tokenType,
+	expires_in: expiresIn,
+	refresh_token: refreshToken,
+	id_token: idToken,
+	scope
+})
+
+module.exports = class TokenRouter {
+
+	constructor({ oauthUseCase, oauthClientUseCase } = {}) {
+		this.oauthUseCase = oauthUseCase;
+		this.oauthClientUseCase = oauthClientUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const body = httpRequest.body || {};
+			const grant = grants[body.grant_type];
+			if (!grant) {
+				return HttpResponse.oauthError(body.grant_type
+					? new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${body.grant_type}`)
+					: new OAuthError('invalid_request', 'grant_type is required'));
+			}
+
+			const { clientId, clientSecret } = ClientCredentials.parse(httpRequest);
+			const client = clientId && await this.oauthClientUseCase.authenticate(clientId, clientSecret);
+			if (!client) {
+				return HttpResponse.oauthError(new OAuthError('invalid_client', 'Client authentication failed'), { 'WWW-Authenticate': 'Basic' });
+			}
+
+			const tokens = await grant(this.oauthUseCase, body, client, { ip: httpRequest.ip, userAgent: httpRequest.userAgent });
+			return {
+				...HttpResponse.success(toTokenResponse(tokens)),
+				headers: { 'Cache-Control': 'no-store', Pragma: 'no-cache' }
+			}
+		} catch (error) {
+			if (error instanceof OAuthError) {
+				return HttpResponse.oauthError(error);
+			}
+			return HttpResponse.serverError(error);
+		}
+	}
+}
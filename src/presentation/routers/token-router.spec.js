@@ -0,0 +1,216 @@
+const TokenRouter = require('./token-router');
+const { ServerError } = require('../errors');
+const { OAuthError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const oauthUseCaseSpy = makeOAuthUseCase();
+	const oauthClientUseCaseSpy = makeOAuthClientUseCase();
+	const sut = new TokenRouter({ oauthUseCase: oauthUseCaseSpy, oauthClientUseCase: oauthClientUseCaseSpy });
+	return {
+		sut,
+		oauthUseCaseSpy,
+		oauthClientUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	headers: {
+		authorization: `Basic ${Buffer.from('any_client_id:any_secret').toString('base64')}`
+	},
+	body: {
+		grant_type: 'authorization_code',
+		code: 'any_code',
+		redirect_uri: 'https://any.app/callback',
+		code_verifier: 'any_verifier'
+	},
+	ip: '127.0.0.1',
+	userAgent: 'any_agent'
+})
+
+const makeOAuthUseCase = () => {
+	class OAuthUseCaseSpy {
+		async exchangeCode(request, client, context) {
+			this.grant = 'authorization_code'
+			this.request = request
+			this.client = client
+			this.context = context
+			return this.tokens
+		}
+
+		async clientCredentials(request, client) {
+			this.grant = 'client_credentials'
+			this.request = request
+			this.client = client
+			return this.tokens
+		}
+
+		async refresh(request, client) {
+			this.grant = 'refresh_token'
+			this.request = request
+			this.client = client
+			return this.tokens
+		}
+	};
+	const oauthUseCaseSpy = new OAuthUseCaseSpy();
+	oauthUseCaseSpy.tokens = { accessToken: 'any_token', tokenType: 'Bearer', expiresIn: 900, refreshToken: 'any_refresh_token', idToken: 'any_id_token', scope: 'openid' }
+	return oauthUseCaseSpy;
+}
+
+const makeOAuthUseCaseWithError = (error = new Error()) => {
+	class OAuthUseCaseSpy {
+		async exchangeCode() {
+			throw error
+		}
+	};
+	return new OAuthUseCaseSpy();
+}
+
+const makeOAuthClientUseCase = () => {
+	class OAuthClientUseCaseSpy {
+		async authenticate(clientId, clientSecret) {
+			this.clientId = clientId
+			this.clientSecret = clientSecret
+			return this.client
+		}
+	};
+	const oauthClientUseCaseSpy = new OAuthClientUseCaseSpy();
+	oauthClientUseCaseSpy.client = { clientId: 'any_client_id' }
+	return oauthClientUseCaseSpy;
+}
+
+const makeOAuthClientUseCaseWithError = () => {
+	class OAuthClientUseCaseSpy {
+		async authenticate() {
+			throw new Error()
+		}
+	};
+	return new OAuthClientUseCaseSpy();
+}
+
+describe('Token Router', () => {
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return invalid_request if no grant_type is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ ...makeHttpRequest(), body: {} });
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe('invalid_request');
+	});
+
+	test('Should return unsupported_grant_type for other grants', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route({ ...makeHttpRequest(), body: { grant_type: 'password' } });
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe('unsupported_grant_type');
+		expect(oauthClientUseCaseSpy.clientId).toBeUndefined();
+	});
+
+	test('Should authenticate the client from the Basic header', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(oauthClientUseCaseSpy.clientId).toBe('any_client_id');
+		expect(oauthClientUseCaseSpy.clientSecret).toBe('any_secret');
+	});
+
+	test('Should return 401 invalid_client if the client cannot be authenticated', async () => {
+		const { sut, oauthClientUseCaseSpy, oauthUseCaseSpy } = makeSut();
+		oauthClientUseCaseSpy.client = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.headers['WWW-Authenticate']).toBe('Basic');
+		expect(httpResponse.body.error).toBe('invalid_client');
+		expect(oauthUseCaseSpy.grant).toBeUndefined();
+	});
+
+	test('Should return 401 invalid_client if no client id is provided', async () => {
+		const { sut, oauthClientUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route({ body: makeHttpRequest().body });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(oauthClientUseCaseSpy.clientId).toBeUndefined();
+	});
+
+	test('Should exchange an authorization code for the authenticated client', async () => {
+		const { sut, oauthUseCaseSpy, oauthClientUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(oauthUseCaseSpy.grant).toBe('authorization_code');
+		expect(oauthUseCaseSpy.request).toEqual({ code: 'any_code', redirectUri: 'https://any.app/callback', codeVerifier: 'any_verifier' });
+		expect(oauthUseCaseSpy.client).toBe(oauthClientUseCaseSpy.client);
+		expect(oauthUseCaseSpy.context).toEqual({ ip: '127.0.0.1', userAgent: 'any_agent' });
+	});
+
+	test('Should dispatch the client credentials and refresh token grants', async () => {
+		const { sut, oauthUseCaseSpy } = makeSut();
+		await sut.route({ ...makeHttpRequest(), body: { grant_type: 'client_credentials', scope: 'any_scope' } });
+		expect(oauthUseCaseSpy.grant).toBe('client_credentials');
+		expect(oauthUseCaseSpy.request).toEqual({ scope: 'any_scope' });
+		await sut.route({ ...makeHttpRequest(), body: { grant_type: 'refresh_token', refresh_token: 'any_refresh_token' } });
+		expect(oauthUseCaseSpy.grant).toBe('refresh_token');
+		expect(oauthUseCaseSpy.request).toEqual({ refreshToken: 'any_refresh_token' });
+	});
+
+	test('Should return the tokens in the RFC 6749 shape without letting them be cached', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.headers).toEqual({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+		expect(httpResponse.body).toEqual({
+			access_token: 'any_token',
+			token_type: 'Bearer',
+			expires_in: 900,
+			refresh_token: 'any_refresh_token',
+			id_token: 'any_id_token',
+			scope: 'openid'
+		});
+	});
+
+	test('Should return the OAuth error raised by the grant', async () => {
+		const sut = new TokenRouter({ oauthUseCase: makeOAuthUseCaseWithError(new OAuthError('invalid_grant', 'any description')), oauthClientUseCase: makeOAuthClientUseCase() });
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body).toEqual({ error: 'invalid_grant', error_description: 'any description' });
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new TokenRouter(),
+			new TokenRouter({}),
+			new TokenRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				oauthClientUseCase: {},
+			}),
+			new TokenRouter({
+				oauthUseCase: {},
+				oauthClientUseCase: makeOAuthClientUseCase(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new TokenRouter({
+				oauthUseCase: makeOAuthUseCaseWithError(),
+				oauthClientUseCase: makeOAuthClientUseCase(),
+			}),
+			new TokenRouter({
+				oauthUseCase: makeOAuthUseCase(),
+				oauthClientUseCase: makeOAuthClientUseCaseWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
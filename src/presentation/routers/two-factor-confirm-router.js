@@ -0,0 +1,34 @@
+const HttpResponse = require('../helpers/http-response');
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class TwoFactorConfirmRouter {
+
+	constructor({ twoFactorUseCase, validation } = {}) {
+		this.twoFactorUseCase = twoFactorUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const { code } = httpRequest.body;
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const recoveryCodes = await this.twoFactorUseCase.confirm(userId, code);
+			if (!recoveryCodes) {
+				return HttpResponse.badRequest(new InvalidParamError('code'));
+			}
+
+			return HttpResponse.success({ recoveryCodes })
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,27 @@
+const HttpResponse = require('../helpers/http-response');
+const { TwoFactorAlreadyEnabledError } = require('../errors');
+
+module.exports = class TwoFactorEnrollRouter {
+
+	constructor({ twoFactorUseCase } = {}) {
+		this.twoFactorUseCase = twoFactorUseCase;
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const enrollment = await this.twoFactorUseCase.enroll(userId);
+			if (!enrollment) {
+				return HttpResponse.conflict(new TwoFactorAlreadyEnabledError());
+			}
+
+			return HttpResponse.success(enrollment)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,92 @@
+const TwoFactorEnrollRouter = require('./two-factor-enroll-router');
+const { UnauthorizedError, ServerError, TwoFactorAlreadyEnabledError } = require('../errors');
+
+
+const makeSut = () => {
+	const twoFactorUseCaseSpy = makeTwoFactorUseCase();
+	const sut = new TwoFactorEnrollRouter({ twoFactorUseCase: twoFactorUseCaseSpy });
+	return {
+		sut,
+		twoFactorUseCaseSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {},
+	userId: 'any_user_id'
+})
+
+const makeTwoFactorUseCase = () => {
+	class TwoFactorUseCaseSpy {
+		async enroll(userId) {
+			this.userId = userId
+			return this.enrollment
+		}
+	};
+	const twoFactorUseCaseSpy = new TwoFactorUseCaseSpy();
+	twoFactorUseCaseSpy.enrollment = { secret: 'any_secret', uri: 'otpauth://totp/any_uri' }
+	return twoFactorUseCaseSpy;
+}
+
+const makeTwoFactorUseCaseWithError = () => {
+	class TwoFactorUseCaseSpy {
+		async enroll() {
+			throw new Error()
+		}
+	};
+	return new TwoFactorUseCaseSpy();
+}
+
+describe('TwoFactorEnroll Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: {} });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should return 409 if two-factor is already enabled', async () => {
+		const { sut, twoFactorUseCaseSpy } = makeSut();
+		twoFactorUseCaseSpy.enrollment = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(409);
+		expect(httpResponse.body.code).toBe(new TwoFactorAlreadyEnabledError().code);
+	});
+
+	test('Should return 200 with the secret and the otpauth URI', async () => {
+		const { sut, twoFactorUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(twoFactorUseCaseSpy.userId).toBe('any_user_id');
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(twoFactorUseCaseSpy.enrollment);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new TwoFactorEnrollRouter(),
+			new TwoFactorEnrollRouter({}),
+			new TwoFactorEnrollRouter({
+				twoFactorUseCase: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const sut = new TwoFactorEnrollRouter({ twoFactorUseCase: makeTwoFactorUseCaseWithError() });
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(500);
+	})
+})
@@ -0,0 +1,34 @@
+const HttpResponse = require('../helpers/http-response');
+const { NotFoundError } = require('../errors');
+
+module.exports = class UpdateProfileRouter {
+
+	constructor({ profileUseCase, validation } = {}) {
+		this.profileUseCase = profileUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { userId } = httpRequest;
+			if (!userId) {
+				return HttpResponse.unauthorizedError();
+			}
+
+			const error = this.validation.validate(httpRequest.body);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const { name } = httpRequest.body;
+			const profile = await this.profileUseCase.update(userId, { name });
+			if (!profile) {
+				return HttpResponse.notFound(new NotFoundError('User'));
+			}
+
+			return HttpResponse.success(profile)
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
@@ -0,0 +1,158 @@
+const UpdateProfileRouter = require('./update-profile-router');
+const { UnauthorizedError, ServerError, NotFoundError } = require('../errors');
+const { MissingParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const profileUseCaseSpy = makeProfileUseCase();
+	const validationSpy = makeValidation();
+	const sut = new UpdateProfileRouter({ profileUseCase: profileUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		profileUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	body: {
+		name: 'new_name'
+	},
+	userId: 'any_user_id'
+})
+
+const makeProfileUseCase = () => {
+	class ProfileUseCaseSpy {
+		async update(userId, profile) {
+			this.userId = userId
+			this.profile = profile
+			return this.updatedProfile
+		}
+	};
+	const profileUseCaseSpy = new ProfileUseCaseSpy();
+	profileUseCaseSpy.updatedProfile = { id: 'any_user_id', name: 'new_name', email: 'any_email@mail.com' }
+	return profileUseCaseSpy;
+}
+
+const makeProfileUseCaseWithError = () => {
+	class ProfileUseCaseSpy {
+		async update() {
+			throw new Error()
+		}
+	};
+	return new ProfileUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('UpdateProfile Router', () => {
+
+	test('Should return 401 if the request is not authenticated', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route({ body: { name: 'new_name' } });
+		expect(httpResponse.statusCode).toBe(401);
+		expect(httpResponse.body.error).toBe(new UnauthorizedError().message);
+	});
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('name');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('name').message);
+	});
+
+	test('Should call Validation with the request body', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.body);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should only pass the editable fields to ProfileUseCase', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		httpRequest.body.email = 'other_email@mail.com';
+		await sut.route(httpRequest);
+		expect(profileUseCaseSpy.userId).toBe('any_user_id');
+		expect(profileUseCaseSpy.profile).toEqual({ name: 'new_name' });
+	});
+
+	test('Should return 404 if the user no longer exists', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		profileUseCaseSpy.updatedProfile = null;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(404);
+		expect(httpResponse.body.error).toBe(new NotFoundError('User').message);
+	});
+
+	test('Should return 200 with the updated profile', async () => {
+		const { sut, profileUseCaseSpy } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+		expect(httpResponse.body).toEqual(profileUseCaseSpy.updatedProfile);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new UpdateProfileRouter(),
+			new UpdateProfileRouter({}),
+			new UpdateProfileRouter({
+				profileUseCase: {},
+				validation: makeValidation(),
+			}),
+			new UpdateProfileRouter({
+				profileUseCase: makeProfileUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new UpdateProfileRouter({
+				profileUseCase: makeProfileUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new UpdateProfileRouter({
+				profileUseCase: makeProfileUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,29 @@
+const HttpResponse = require('../helpers/http-response');
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class VerifyEmailRouter {
+
+	constructor({ emailVerificationUseCase, validation } = {}) {
+		this.emailVerificationUseCase = emailVerificationUseCase;
+		this.validation = validation
+	}
+
+	async route(httpRequest) {
+		try {
+			const { token } = httpRequest.query;
+			const error = this.validation.validate(httpRequest.query);
+			if (error) {
+				return HttpResponse.badRequest(error);
+			}
+
+			const isVerified = await this.emailVerificationUseCase.verify(token);
+			if (!isVerified) {
+				return HttpResponse.badRequest(new InvalidParamError('token'))
+			}
+
+			return HttpResponse.success({ message: 'Email verified' })
+		} catch (error) {
+			return HttpResponse.serverError(error);
+		}
+	}
+}
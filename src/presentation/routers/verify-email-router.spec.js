@@ -0,0 +1,145 @@
+const VerifyEmailRouter = require('./verify-email-router');
+const { ServerError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+
+const makeSut = () => {
+	const emailVerificationUseCaseSpy = makeEmailVerificationUseCase();
+	const validationSpy = makeValidation();
+	const sut = new VerifyEmailRouter({ emailVerificationUseCase: emailVerificationUseCaseSpy, validation: validationSpy });
+	return {
+		sut,
+		emailVerificationUseCaseSpy,
+		validationSpy
+	};
+}
+
+const makeHttpRequest = () => ({
+	query: {
+		token: 'any_token'
+	}
+})
+
+const makeEmailVerificationUseCase = () => {
+	class EmailVerificationUseCaseSpy {
+		async verify(token) {
+			this.token = token
+			return this.isVerified
+		}
+	};
+	const emailVerificationUseCaseSpy = new EmailVerificationUseCaseSpy();
+	emailVerificationUseCaseSpy.isVerified = true;
+	return emailVerificationUseCaseSpy;
+}
+
+const makeEmailVerificationUseCaseWithError = () => {
+	class EmailVerificationUseCaseSpy {
+		async verify() {
+			throw new Error()
+		}
+	};
+	return new EmailVerificationUseCaseSpy();
+}
+
+const makeValidation = () => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = null
+	return validationSpy;
+}
+
+const makeValidationWithError = () => {
+	class ValidationSpy {
+		validate() {
+			throw new Error()
+		}
+	}
+	return new ValidationSpy()
+}
+
+describe('VerifyEmail Router', () => {
+
+	test('Should return 400 with the error returned by Validation', async () => {
+		const { sut, validationSpy } = makeSut();
+		validationSpy.error = new MissingParamError('token');
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new MissingParamError('token').message);
+	});
+
+	test('Should call Validation with the request query', async () => {
+		const { sut, validationSpy } = makeSut();
+		const httpRequest = makeHttpRequest();
+		await sut.route(httpRequest);
+		expect(validationSpy.input).toEqual(httpRequest.query);
+	});
+
+	test('Should return 500 if no httpRequest is provided', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route();
+		expect(httpResponse.statusCode).toBe(500);
+		expect(httpResponse.body.error).toBe(new ServerError().message);
+	});
+
+	test('Should call EmailVerificationUseCase with correct token', async () => {
+		const { sut, emailVerificationUseCaseSpy } = makeSut();
+		await sut.route(makeHttpRequest());
+		expect(emailVerificationUseCaseSpy.token).toBe('any_token');
+	});
+
+	test('Should return 400 if the token is invalid, expired or already used', async () => {
+		const { sut, emailVerificationUseCaseSpy } = makeSut();
+		emailVerificationUseCaseSpy.isVerified = false;
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(400);
+		expect(httpResponse.body.error).toBe(new InvalidParamError('token').message);
+	});
+
+	test('Should return 200 when the email is verified', async () => {
+		const { sut } = makeSut();
+		const httpResponse = await sut.route(makeHttpRequest());
+		expect(httpResponse.statusCode).toBe(200);
+	});
+
+	test('Should throw if invalid dependency are provided', async () => {
+		const suts = [].concat(
+			new VerifyEmailRouter(),
+			new VerifyEmailRouter({}),
+			new VerifyEmailRouter({
+				emailVerificationUseCase: {},
+				validation: makeValidation(),
+			}),
+			new VerifyEmailRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				validation: {},
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+			expect(httpResponse.body.error).toBe(new ServerError().message);
+		}
+	})
+
+	test('Should throw if any dependency throws', async () => {
+		const suts = [].concat(
+			new VerifyEmailRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCaseWithError(),
+				validation: makeValidation(),
+			}),
+			new VerifyEmailRouter({
+				emailVerificationUseCase: makeEmailVerificationUseCase(),
+				validation: makeValidationWithError(),
+			}),
+		)
+		for (const sut of suts) {
+			const httpResponse = await sut.route(makeHttpRequest());
+			expect(httpResponse.statusCode).toBe(500);
+		}
+	})
+})
@@ -0,0 +1,16 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class CompareFieldsValidation {
+	constructor(fieldName, fieldToCompareName) {
+		this.fieldName = fieldName
+		this.fieldToCompareName = fieldToCompareName
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value && value !== input[this.fieldToCompareName]) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
@@ -0,0 +1,22 @@
+const CompareFieldsValidation = require('./compare-fields-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new CompareFieldsValidation('passwordConfirmation', 'password')
+
+describe('CompareFields Validation', () => {
+	test('Should return InvalidParamError if the fields do not match', () => {
+		const sut = makeSut()
+		const error = sut.validate({ password: 'any_password', passwordConfirmation: 'other_password' })
+		expect(error).toEqual(new InvalidParamError('passwordConfirmation'))
+	})
+
+	test('Should return null if the fields match', () => {
+		const sut = makeSut()
+		expect(sut.validate({ password: 'any_password', passwordConfirmation: 'any_password' })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({ password: 'any_password' })).toBeNull()
+	})
+})
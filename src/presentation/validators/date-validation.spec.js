@@ -0,0 +1,24 @@
+const DateValidation = require('./date-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new DateValidation('from')
+
+describe('Date Validation', () => {
+	test('Should return InvalidParamError if the field is not a date', () => {
+		const sut = makeSut()
+		expect(sut.validate({ from: 'invalid_date' })).toEqual(new InvalidParamError('from'))
+		expect(sut.validate({ from: 1700000000 })).toEqual(new InvalidParamError('from'))
+	})
+
+	test('Should return null for any valid date', () => {
+		const sut = makeSut()
+		expect(sut.validate({ from: '2024-01-01' })).toBeNull()
+		expect(sut.validate({ from: new Date(Date.now() - 1000).toISOString() })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+		expect(sut.validate({ from: null })).toBeNull()
+	})
+})
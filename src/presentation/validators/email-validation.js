@@ -0,0 +1,17 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class EmailValidation {
+	constructor(fieldName, emailValidator) {
+		this.fieldName = fieldName
+		this.emailValidator = emailValidator
+	}
+
+	validate(input) {
+		const email = input[this.fieldName]
+		// other types are StringValidation's to report, the validator would throw on them
+		if (typeof email === 'string' && email && !this.emailValidator.isValid(email)) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
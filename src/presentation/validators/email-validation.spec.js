@@ -0,0 +1,61 @@
+const EmailValidation = require('./email-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => {
+	const emailValidatorSpy = makeEmailValidator()
+	const sut = new EmailValidation('email', emailValidatorSpy)
+	return { sut, emailValidatorSpy }
+}
+
+const makeEmailValidator = () => {
+	class EmailValidatorSpy {
+		isValid(email) {
+			this.email = email
+			return this.isEmailValid
+		}
+	}
+	const emailValidatorSpy = new EmailValidatorSpy()
+	emailValidatorSpy.isEmailValid = true
+	return emailValidatorSpy
+}
+
+describe('Email Validation', () => {
+	test('Should call EmailValidator with correct email', () => {
+		const { sut, emailValidatorSpy } = makeSut()
+		sut.validate({ email: 'any_email@mail.com' })
+		expect(emailValidatorSpy.email).toBe('any_email@mail.com')
+	})
+
+	test('Should return InvalidParamError if EmailValidator returns false', () => {
+		const { sut, emailValidatorSpy } = makeSut()
+		emailValidatorSpy.isEmailValid = false
+		expect(sut.validate({ email: 'invalid_email' })).toEqual(new InvalidParamError('email'))
+	})
+
+	test('Should return null if the email is valid', () => {
+		const { sut } = makeSut()
+		expect(sut.validate({ email: 'valid_email@mail.com' })).toBeNull()
+	})
+
+	test('Should leave a missing email to RequiredFieldValidation', () => {
+		const { sut, emailValidatorSpy } = makeSut()
+		expect(sut.validate({})).toBeNull()
+		expect(emailValidatorSpy.email).toBeUndefined()
+	})
+
+	test('Should leave an email that is not a string to StringValidation', () => {
+		const { sut, emailValidatorSpy } = makeSut()
+		expect(sut.validate({ email: 12345678 })).toBeNull()
+		expect(sut.validate({ email: ['any_email@mail.com', 'other_email@mail.com'] })).toBeNull()
+		expect(emailValidatorSpy.email).toBeUndefined()
+	})
+
+	test('Should throw if EmailValidator throws', () => {
+		const sut = new EmailValidation('email', {
+			isValid() {
+				throw new Error()
+			}
+		})
+		expect(() => sut.validate({ email: 'any_email@mail.com' })).toThrow()
+	})
+})
@@ -0,0 +1,19 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class FutureDateValidation {
+	constructor(fieldName) {
+		this.fieldName = fieldName
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined || value === null) {
+			return null
+		}
+		const date = new Date(value)
+		if (typeof value !== 'string' || isNaN(date) || date <= new Date()) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
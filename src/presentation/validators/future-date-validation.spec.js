@@ -0,0 +1,28 @@
+const FutureDateValidation = require('./future-date-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new FutureDateValidation('expiresAt')
+
+describe('FutureDate Validation', () => {
+	test('Should return InvalidParamError if the field is not a date', () => {
+		const sut = makeSut()
+		expect(sut.validate({ expiresAt: 'invalid_date' })).toEqual(new InvalidParamError('expiresAt'))
+		expect(sut.validate({ expiresAt: 1700000000 })).toEqual(new InvalidParamError('expiresAt'))
+	})
+
+	test('Should return InvalidParamError if the date is in the past', () => {
+		const sut = makeSut()
+		expect(sut.validate({ expiresAt: new Date(Date.now() - 1000).toISOString() })).toEqual(new InvalidParamError('expiresAt'))
+	})
+
+	test('Should return null if the date is in the future', () => {
+		const sut = makeSut()
+		expect(sut.validate({ expiresAt: new Date(Date.now() + 60000).toISOString() })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+		expect(sut.validate({ expiresAt: null })).toBeNull()
+	})
+})
@@ -0,0 +1,27 @@
+const RequiredFieldValidation = require('./required-field-validation');
+const StringValidation = require('./string-validation');
+const EmailValidation = require('./email-validation');
+const CompareFieldsValidation = require('./compare-fields-validation');
+const MinLengthValidation = require('./min-length-validation');
+const StringListValidation = require('./string-list-validation');
+const FutureDateValidation = require('./future-date-validation');
+const DateValidation = require('./date-validation');
+const IntegerRangeValidation = require('./integer-range-validation');
+const OneOfValidation = require('./one-of-validation');
+const RedirectUriValidation = require('./redirect-uri-validation');
+const ValidationComposite = require('./validation-composite');
+
+module.exports = {
+	RequiredFieldValidation,
+	StringValidation,
+	EmailValidation,
+	CompareFieldsValidation,
+	MinLengthValidation,
+	StringListValidation,
+	FutureDateValidation,
+	DateValidation,
+	IntegerRangeValidation,
+	OneOfValidation,
+	RedirectUriValidation,
+	ValidationComposite
+}
@@ -0,0 +1,22 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class IntegerRangeValidation {
+	constructor(fieldName, min, max) {
+		this.fieldName = fieldName
+		this.min = min
+		this.max = max
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined || value === null) {
+			return null
+		}
+		// query strings only carry text, so numeric strings count as numbers
+		const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+		if (!Number.isInteger(number) || number < this.min || number > this.max) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
@@ -0,0 +1,32 @@
+const IntegerRangeValidation = require('./integer-range-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new IntegerRangeValidation('limit', 1, 100)
+
+describe('IntegerRange Validation', () => {
+	test('Should return InvalidParamError if the field is not an integer', () => {
+		const sut = makeSut()
+		expect(sut.validate({ limit: 'any_value' })).toEqual(new InvalidParamError('limit'))
+		expect(sut.validate({ limit: '1.5' })).toEqual(new InvalidParamError('limit'))
+		expect(sut.validate({ limit: '' })).toEqual(new InvalidParamError('limit'))
+		expect(sut.validate({ limit: ['10'] })).toEqual(new InvalidParamError('limit'))
+	})
+
+	test('Should return InvalidParamError if the field is out of range', () => {
+		const sut = makeSut()
+		expect(sut.validate({ limit: 0 })).toEqual(new InvalidParamError('limit'))
+		expect(sut.validate({ limit: '101' })).toEqual(new InvalidParamError('limit'))
+	})
+
+	test('Should return null if the field is an integer within range', () => {
+		const sut = makeSut()
+		expect(sut.validate({ limit: 1 })).toBeNull()
+		expect(sut.validate({ limit: '100' })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+		expect(sut.validate({ limit: null })).toBeNull()
+	})
+})
@@ -0,0 +1,16 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class MinLengthValidation {
+	constructor(fieldName, minLength) {
+		this.fieldName = fieldName
+		this.minLength = minLength
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (typeof value === 'string' && value && value.length < this.minLength) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
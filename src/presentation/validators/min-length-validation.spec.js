@@ -0,0 +1,26 @@
+const MinLengthValidation = require('./min-length-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new MinLengthValidation('password', 8)
+
+describe('MinLength Validation', () => {
+	test('Should return InvalidParamError if the field is too short', () => {
+		const sut = makeSut()
+		expect(sut.validate({ password: '1234567' })).toEqual(new InvalidParamError('password'))
+	})
+
+	test('Should return null if the field is long enough', () => {
+		const sut = makeSut()
+		expect(sut.validate({ password: '12345678' })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+	})
+
+	test('Should leave a field that is not a string to StringValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({ password: 1234 })).toBeNull()
+	})
+})
@@ -0,0 +1,19 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class OneOfValidation {
+	constructor(fieldName, values) {
+		this.fieldName = fieldName
+		this.values = values
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined || value === null) {
+			return null
+		}
+		if (!this.values.includes(value)) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
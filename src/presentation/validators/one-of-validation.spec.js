@@ -0,0 +1,23 @@
+const OneOfValidation = require('./one-of-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new OneOfValidation('status', ['active', 'disabled'])
+
+describe('OneOf Validation', () => {
+	test('Should return InvalidParamError if the field is not one of the allowed values', () => {
+		const sut = makeSut()
+		expect(sut.validate({ status: 'any_status' })).toEqual(new InvalidParamError('status'))
+		expect(sut.validate({ status: ['active'] })).toEqual(new InvalidParamError('status'))
+	})
+
+	test('Should return null if the field is one of the allowed values', () => {
+		const sut = makeSut()
+		expect(sut.validate({ status: 'active' })).toBeNull()
+		expect(sut.validate({ status: 'disabled' })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+	})
+})
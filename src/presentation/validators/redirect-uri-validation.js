@@ -0,0 +1,27 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+// native apps register custom schemes, so any absolute URI goes as long as it carries no fragment
+const isRedirectUri = value => {
+	try {
+		return !new URL(value).hash && !value.includes('#')
+	} catch (error) {
+		return false
+	}
+}
+
+module.exports = class RedirectUriValidation {
+	constructor(fieldName) {
+		this.fieldName = fieldName
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined) {
+			return null
+		}
+		if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && isRedirectUri(item))) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
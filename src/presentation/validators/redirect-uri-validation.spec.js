@@ -0,0 +1,30 @@
+const RedirectUriValidation = require('./redirect-uri-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new RedirectUriValidation('redirectUris')
+
+describe('RedirectUri Validation', () => {
+	test('Should return InvalidParamError if the field is not a list', () => {
+		const sut = makeSut()
+		expect(sut.validate({ redirectUris: 'https://any.app/callback' })).toEqual(new InvalidParamError('redirectUris'))
+	})
+
+	test('Should return InvalidParamError for relative URIs and URIs with a fragment', () => {
+		const sut = makeSut()
+		expect(sut.validate({ redirectUris: ['/callback'] })).toEqual(new InvalidParamError('redirectUris'))
+		expect(sut.validate({ redirectUris: ['https://any.app/callback#fragment'] })).toEqual(new InvalidParamError('redirectUris'))
+		expect(sut.validate({ redirectUris: ['https://any.app/callback#'] })).toEqual(new InvalidParamError('redirectUris'))
+		expect(sut.validate({ redirectUris: ['https://any.app/callback', 1] })).toEqual(new InvalidParamError('redirectUris'))
+	})
+
+	test('Should return null for absolute URIs, custom schemes included', () => {
+		const sut = makeSut()
+		expect(sut.validate({ redirectUris: ['https://any.app/callback?source=any', 'http://localhost:8080/callback', 'com.any.app:/callback'] })).toBeNull()
+		expect(sut.validate({ redirectUris: [] })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+	})
+})
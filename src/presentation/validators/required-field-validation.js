@@ -0,0 +1,14 @@
+const { MissingParamError } = require('../../utils/errors');
+
+module.exports = class RequiredFieldValidation {
+	constructor(fieldName) {
+		this.fieldName = fieldName
+	}
+
+	validate(input) {
+		if (!input[this.fieldName]) {
+			return new MissingParamError(this.fieldName)
+		}
+		return null
+	}
+}
@@ -0,0 +1,17 @@
+const RequiredFieldValidation = require('./required-field-validation');
+const { MissingParamError } = require('../../utils/errors');
+
+const makeSut = () => new RequiredFieldValidation('field')
+
+describe('RequiredField Validation', () => {
+	test('Should return MissingParamError if the field is not provided', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toEqual(new MissingParamError('field'))
+		expect(sut.validate({ field: '' })).toEqual(new MissingParamError('field'))
+	})
+
+	test('Should return null if the field is provided', () => {
+		const sut = makeSut()
+		expect(sut.validate({ field: 'any_value' })).toBeNull()
+	})
+})
@@ -0,0 +1,22 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class StringListValidation {
+	constructor(fieldName, values) {
+		this.fieldName = fieldName
+		this.values = values
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined) {
+			return null
+		}
+		if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item)) {
+			return new InvalidParamError(this.fieldName)
+		}
+		if (this.values && !value.every(item => this.values.includes(item))) {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
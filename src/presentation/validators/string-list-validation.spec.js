@@ -0,0 +1,34 @@
+const StringListValidation = require('./string-list-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new StringListValidation('scopes')
+
+describe('StringList Validation', () => {
+	test('Should return InvalidParamError if the field is not a list', () => {
+		const sut = makeSut()
+		expect(sut.validate({ scopes: 'any_scope' })).toEqual(new InvalidParamError('scopes'))
+	})
+
+	test('Should return InvalidParamError if an item is not a non-empty string', () => {
+		const sut = makeSut()
+		expect(sut.validate({ scopes: ['any_scope', 1] })).toEqual(new InvalidParamError('scopes'))
+		expect(sut.validate({ scopes: [''] })).toEqual(new InvalidParamError('scopes'))
+	})
+
+	test('Should return null if every item is a string', () => {
+		const sut = makeSut()
+		expect(sut.validate({ scopes: ['any_scope', 'other_scope'] })).toBeNull()
+		expect(sut.validate({ scopes: [] })).toBeNull()
+	})
+
+	test('Should return InvalidParamError if an item is not one of the allowed values', () => {
+		const sut = new StringListValidation('scopes', ['any_scope', 'other_scope'])
+		expect(sut.validate({ scopes: ['any_scope', 'unknown_scope'] })).toEqual(new InvalidParamError('scopes'))
+		expect(sut.validate({ scopes: ['other_scope'] })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+	})
+})
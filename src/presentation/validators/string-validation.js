@@ -0,0 +1,18 @@
+const { InvalidParamError } = require('../../utils/errors');
+
+module.exports = class StringValidation {
+	constructor(fieldName) {
+		this.fieldName = fieldName
+	}
+
+	validate(input) {
+		const value = input[this.fieldName]
+		if (value === undefined || value === null) {
+			return null
+		}
+		if (typeof value !== 'string') {
+			return new InvalidParamError(this.fieldName)
+		}
+		return null
+	}
+}
@@ -0,0 +1,24 @@
+const StringValidation = require('./string-validation');
+const { InvalidParamError } = require('../../utils/errors');
+
+const makeSut = () => new StringValidation('field')
+
+describe('String Validation', () => {
+	test('Should return InvalidParamError if the field is not a string', () => {
+		const sut = makeSut()
+		expect(sut.validate({ field: 12345678 })).toEqual(new InvalidParamError('field'))
+		expect(sut.validate({ field: true })).toEqual(new InvalidParamError('field'))
+		expect(sut.validate({ field: ['any_value', 'other_value'] })).toEqual(new InvalidParamError('field'))
+		expect(sut.validate({ field: { $ne: null } })).toEqual(new InvalidParamError('field'))
+	})
+
+	test('Should return null if the field is a string', () => {
+		const sut = makeSut()
+		expect(sut.validate({ field: 'any_value' })).toBeNull()
+	})
+
+	test('Should leave a missing field to RequiredFieldValidation', () => {
+		const sut = makeSut()
+		expect(sut.validate({})).toBeNull()
+	})
+})
@@ -0,0 +1,18 @@
+const { ValidationError } = require('../errors');
+
+module.exports = class ValidationComposite {
+	constructor(validations = []) {
+		this.validations = validations
+	}
+
+	validate(input = {}) {
+		const errors = []
+		for (const validation of this.validations) {
+			const error = validation.validate(input)
+			if (error) {
+				errors.push(error)
+			}
+		}
+		return errors.length ? new ValidationError(errors) : null
+	}
+}
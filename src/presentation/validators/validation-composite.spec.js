@@ -0,0 +1,55 @@
+const ValidationComposite = require('./validation-composite');
+const { ValidationError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../../utils/errors');
+
+const makeValidation = (error = null) => {
+	class ValidationSpy {
+		validate(input) {
+			this.input = input
+			return this.error
+		}
+	}
+	const validationSpy = new ValidationSpy()
+	validationSpy.error = error
+	return validationSpy
+}
+
+describe('Validation Composite', () => {
+	test('Should call every validation with the input', () => {
+		const validationSpies = [makeValidation(), makeValidation()]
+		const sut = new ValidationComposite(validationSpies)
+		sut.validate({ field: 'any_value' })
+		for (const validationSpy of validationSpies) {
+			expect(validationSpy.input).toEqual({ field: 'any_value' })
+		}
+	})
+
+	test('Should return null if every validation succeeds', () => {
+		const sut = new ValidationComposite([makeValidation(), makeValidation()])
+		expect(sut.validate({})).toBeNull()
+	})
+
+	test('Should return a ValidationError listing every failing validation', () => {
+		const sut = new ValidationComposite([
+			makeValidation(new MissingParamError('email')),
+			makeValidation(),
+			makeValidation(new InvalidParamError('passwordConfirmation'))
+		])
+		const error = sut.validate({})
+		expect(error).toBeInstanceOf(ValidationError)
+		expect(error.errors).toEqual([new MissingParamError('email'), new InvalidParamError('passwordConfirmation')])
+		expect(error.message).toBe('Missing param: email, Invalid param: passwordConfirmation')
+	})
+
+	test('Should keep the message of a single failing validation', () => {
+		const sut = new ValidationComposite([makeValidation(new MissingParamError('email'))])
+		expect(sut.validate({}).message).toBe(new MissingParamError('email').message)
+	})
+
+	test('Should validate an empty input if none is provided', () => {
+		const validationSpy = makeValidation()
+		const sut = new ValidationComposite([validationSpy])
+		sut.validate()
+		expect(validationSpy.input).toEqual({})
+	})
+})
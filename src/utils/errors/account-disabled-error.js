@@ -0,0 +1,7 @@
+module.exports = class AccountDisabledError extends Error {
+	constructor() {
+		super('Account disabled')
+		this.name = 'AccountDisabledError'
+		this.code = 'account-disabled'
+	}
+}
@@ -1,7 +1,19 @@
 const MissingParamError = require('./missign-param-error');
 const InvalidParamError = require('./invalid-param-error');
+const TooManyAttemptsError = require('./too-many-attempts-error');
+const UnverifiedEmailError = require('./unverified-email-error');
+const InvalidConfigError = require('./invalid-config-error');
+const AccountDisabledError = require('./account-disabled-error');
+const PasswordResetRequiredError = require('./password-reset-required-error');
+const OAuthError = require('./oauth-error');
 
 module.exports = {
 	MissingParamError,
 	InvalidParamError,
-}
\ No newline at end of file
+	TooManyAttemptsError,
+	UnverifiedEmailError,
+	InvalidConfigError,
+	AccountDisabledError,
+	PasswordResetRequiredError,
+	OAuthError,
+}
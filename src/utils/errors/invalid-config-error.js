@@ -0,0 +1,8 @@
+module.exports = class InvalidConfigError extends Error {
+	constructor(errors) {
+		super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`)
+		this.name = 'InvalidConfigError'
+		this.code = 'invalid-config'
+		this.errors = errors
+	}
+}
@@ -2,5 +2,7 @@ module.exports = class InvalidParamError extends Error {
 	constructor(paramName) {
 		super(`Invalid param: ${paramName}`)
 		this.name = 'InvalidParamError'
+		this.code = 'invalid-param'
+		this.field = paramName
 	}
 }
\ No newline at end of file
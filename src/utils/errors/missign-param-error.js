@@ -2,5 +2,7 @@ module.exports = class MissingParamError extends Error {
 	constructor(paramName) {
 		super(`Missing param: ${paramName}`)
 		this.name = 'MissingParamError'
+		this.code = 'missing-param'
+		this.field = paramName
 	}
 }
\ No newline at end of file
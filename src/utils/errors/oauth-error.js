@@ -0,0 +1,10 @@
+module.exports = class OAuthError extends Error {
+	constructor(code, description, { redirectUri, state } = {}) {
+		super(description || code)
+		this.name = 'OAuthError'
+		this.code = code
+		// only set once the redirect URI is known to belong to the client, so the error can be sent back to it
+		this.redirectUri = redirectUri
+		this.state = state
+	}
+}
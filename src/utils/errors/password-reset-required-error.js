@@ -0,0 +1,7 @@
+module.exports = class PasswordResetRequiredError extends Error {
+	constructor() {
+		super('Password reset required')
+		this.name = 'PasswordResetRequiredError'
+		this.code = 'password-reset-required'
+	}
+}
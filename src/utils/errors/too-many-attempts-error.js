@@ -0,0 +1,8 @@
+module.exports = class TooManyAttemptsError extends Error {
+	constructor(retryAfter) {
+		super('Too many attempts, try again later')
+		this.name = 'TooManyAttemptsError'
+		this.code = 'too-many-attempts'
+		this.retryAfter = retryAfter
+	}
+}
@@ -0,0 +1,7 @@
+module.exports = class UnverifiedEmailError extends Error {
+	constructor() {
+		super('Email not verified')
+		this.name = 'UnverifiedEmailError'
+		this.code = 'email-not-verified'
+	}
+}
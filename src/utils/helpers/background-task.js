@@ -0,0 +1,21 @@
+module.exports = class BackgroundTask {
+
+	constructor({ logErrorRepository } = {}) {
+		this.logErrorRepository = logErrorRepository
+	}
+
+	// the caller has answered already, so a failure can only be recorded
+	run(task) {
+		return Promise.resolve()
+			.then(task)
+			.catch(error => this.logError(error))
+	}
+
+	async logError(error) {
+		try {
+			await this.logErrorRepository.log({ stack: error.stack || String(error) })
+		} catch (logError) {
+			console.error(error, logError)
+		}
+	}
+}
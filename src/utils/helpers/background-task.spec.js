@@ -0,0 +1,46 @@
+const BackgroundTask = require('./background-task')
+
+const makeSut = () => {
+	const logErrorRepositorySpy = makeLogErrorRepository()
+	const sut = new BackgroundTask({ logErrorRepository: logErrorRepositorySpy })
+	return { sut, logErrorRepositorySpy }
+}
+
+const makeLogErrorRepository = () => {
+	class LogErrorRepositorySpy {
+		async log(error) {
+			this.error = error
+		}
+	}
+	return new LogErrorRepositorySpy()
+}
+
+describe('BackgroundTask', () => {
+	test('Should run the task without logging anything when it succeeds', async () => {
+		const { sut, logErrorRepositorySpy } = makeSut()
+		const task = jest.fn(async () => 'any_result')
+		await sut.run(task)
+		expect(task).toHaveBeenCalled()
+		expect(logErrorRepositorySpy.error).toBeUndefined()
+	})
+
+	test('Should log the stack of a failing task instead of rejecting', async () => {
+		const { sut, logErrorRepositorySpy } = makeSut()
+		const error = new Error('any_error')
+		await expect(sut.run(async () => { throw error })).resolves.toBeUndefined()
+		expect(logErrorRepositorySpy.error).toEqual({ stack: error.stack })
+	})
+
+	test('Should also catch tasks that throw synchronously', async () => {
+		const { sut, logErrorRepositorySpy } = makeSut()
+		await sut.run(() => { throw new Error('any_error') })
+		expect(logErrorRepositorySpy.error.stack).toContain('any_error')
+	})
+
+	test('Should not reject even if logging fails', async () => {
+		const sut = new BackgroundTask({ logErrorRepository: {} })
+		const consoleSpy = jest.spyOn(console, 'error').mockImplementationOnce(() => {})
+		await expect(sut.run(async () => { throw new Error() })).resolves.toBeUndefined()
+		expect(consoleSpy).toHaveBeenCalled()
+	})
+})
@@ -1,7 +1,36 @@
 const bcrypt = require('bcrypt');
-const { MissingParamError } = require('../errors');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { MissingParamError, InvalidParamError } = require('../errors');
+
+const scrypt = promisify(crypto.scrypt)
+
+const SCRYPT_PREFIX = '$scrypt$'
+const SCRYPT_BLOCK_SIZE = 8
+const SCRYPT_PARALLELIZATION = 1
+const SCRYPT_KEY_LENGTH = 64
+const DEFAULT_COSTS = { bcrypt: 12, scrypt: 15 }
+
+const parseScryptHash = hash => {
+	const [, , params, salt, key] = hash.split('$')
+	const { ln, r, p } = Object.fromEntries(params.split(',').map(param => param.split('=')))
+	return { ln: Number(ln), r: Number(r), p: Number(p), salt: Buffer.from(salt, 'base64'), key: Buffer.from(key, 'base64') }
+}
+
+const deriveScryptKey = (value, salt, { ln, r, p }, keyLength) => {
+	const N = 2 ** ln
+	return scrypt(value, salt, keyLength, { N, r, p, maxmem: 256 * N * r })
+}
 
 module.exports = class Encrypter {
+	constructor({ algorithm = 'bcrypt', cost = DEFAULT_COSTS[algorithm] } = {}) {
+		if (!DEFAULT_COSTS[algorithm]) {
+			throw new InvalidParamError('algorithm')
+		}
+		this.algorithm = algorithm
+		this.cost = cost
+	}
+
 	async compare(value, hash) {
 		if (!value) {
 			throw new MissingParamError('value')
@@ -9,7 +38,41 @@ module.exports = class Encrypter {
 		if (!hash) {
 			throw new MissingParamError('hash')
 		}
+		if (hash.startsWith(SCRYPT_PREFIX)) {
+			const { salt, key, ...params } = parseScryptHash(hash)
+			const derivedKey = await deriveScryptKey(value, salt, params, key.length)
+			return crypto.timingSafeEqual(derivedKey, key)
+		}
 		const isValid = await bcrypt.compare(value, hash);
 		return isValid;
 	}
+
+	async hash(value) {
+		if (!value) {
+			throw new MissingParamError('value')
+		}
+		if (this.algorithm === 'scrypt') {
+			const salt = crypto.randomBytes(16)
+			const params = { ln: this.cost, r: SCRYPT_BLOCK_SIZE, p: SCRYPT_PARALLELIZATION }
+			const key = await deriveScryptKey(value, salt, params, SCRYPT_KEY_LENGTH)
+			return `${SCRYPT_PREFIX}ln=${params.ln},r=${params.r},p=${params.p}$${salt.toString('base64')}$${key.toString('base64')}`
+		}
+		const hashedValue = await bcrypt.hash(value, this.cost);
+		return hashedValue;
+	}
+
+	needsRehash(hash) {
+		if (!hash) {
+			throw new MissingParamError('hash')
+		}
+		const isScrypt = hash.startsWith(SCRYPT_PREFIX)
+		if (isScrypt !== (this.algorithm === 'scrypt')) {
+			return true
+		}
+		if (isScrypt) {
+			const { ln, r, p } = parseScryptHash(hash)
+			return ln !== this.cost || r !== SCRYPT_BLOCK_SIZE || p !== SCRYPT_PARALLELIZATION
+		}
+		return bcrypt.getRounds(hash) !== this.cost
+	}
 }
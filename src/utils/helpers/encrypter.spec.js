@@ -1,17 +1,26 @@
 jest.mock('bcrypt', () => ({
 	isValid: true,
-	hash: '',
+	hashedValue: 'hashed_value',
 	value: '',
 	async compare(value, hash) {
 		this.value = value
-		this.hash = hash
+		this.comparedHash = hash
 		return this.isValid
+	},
+	async hash(value, salt) {
+		this.value = value
+		this.salt = salt
+		return this.hashedValue
+	},
+	rounds: 12,
+	getRounds() {
+		return this.rounds
 	}
 }))
 
 const Encrypter = require('./encrypter');
 const bcrypt = require('bcrypt');
-const { MissingParamError } = require('../errors');
+const { MissingParamError, InvalidParamError } = require('../errors');
 
 const makeSut = () => {
 	return new Encrypter();
@@ -37,7 +46,7 @@ describe('Encrypter', () => {
 		const sut = makeSut();
 		await sut.compare('any_value', 'hashed_value')
 		expect(bcrypt.value).toBe('any_value')
-		expect(bcrypt.hash).toBe('hashed_value')
+		expect(bcrypt.comparedHash).toBe('hashed_value')
 	})
 
 
@@ -47,4 +56,69 @@ describe('Encrypter', () => {
 		expect(promise).rejects.toThrow(new MissingParamError('value'))
 		expect(sut.compare('any_value')).rejects.toThrow(new MissingParamError('hash'))
 	})
-})
\ No newline at end of file
+
+	test('Should return the hash generated by bcrypt', async () => {
+		const sut = makeSut();
+		const hashedValue = await sut.hash('any_value')
+		expect(hashedValue).toBe(bcrypt.hashedValue)
+	})
+
+	test('Should call bcrypt hash with correct values', async () => {
+		const sut = new Encrypter({ cost: 10 });
+		await sut.hash('any_value')
+		expect(bcrypt.value).toBe('any_value')
+		expect(bcrypt.salt).toBe(10)
+	})
+
+	test('Should throw if no value is provided to hash', async () => {
+		const sut = makeSut();
+		expect(sut.hash()).rejects.toThrow(new MissingParamError('value'))
+	})
+
+	test('Should throw if an unknown algorithm is configured', () => {
+		expect(() => new Encrypter({ algorithm: 'md5' })).toThrow(new InvalidParamError('algorithm'))
+	})
+
+	test('Should ask for a rehash when the bcrypt cost changed', () => {
+		const sut = makeSut();
+		bcrypt.rounds = 10
+		expect(sut.needsRehash('$2b$10$hashed_value')).toBe(true)
+		bcrypt.rounds = 12
+		expect(sut.needsRehash('$2b$12$hashed_value')).toBe(false)
+	})
+
+	test('Should throw if no hash is provided to needsRehash', () => {
+		const sut = makeSut();
+		expect(() => sut.needsRehash()).toThrow(new MissingParamError('hash'))
+	})
+
+	describe('scrypt', () => {
+		const makeScryptSut = (cost = 4) => new Encrypter({ algorithm: 'scrypt', cost })
+
+		test('Should produce a hash that compare accepts', async () => {
+			const sut = makeScryptSut();
+			const hashedValue = await sut.hash('any_value')
+			expect(hashedValue).toMatch(/^\$scrypt\$ln=4,r=8,p=1\$/)
+			expect(await sut.compare('any_value', hashedValue)).toBe(true)
+			expect(await sut.compare('other_value', hashedValue)).toBe(false)
+		})
+
+		test('Should salt every hash', async () => {
+			const sut = makeScryptSut();
+			expect(await sut.hash('any_value')).not.toBe(await sut.hash('any_value'))
+		})
+
+		test('Should ask for a rehash when the cost or the algorithm changed', async () => {
+			const hashedValue = await makeScryptSut(4).hash('any_value')
+			expect(makeScryptSut(4).needsRehash(hashedValue)).toBe(false)
+			expect(makeScryptSut(5).needsRehash(hashedValue)).toBe(true)
+			expect(makeSut().needsRehash(hashedValue)).toBe(true)
+			expect(makeScryptSut(4).needsRehash('$2b$12$hashed_value')).toBe(true)
+		})
+
+		test('Should verify scrypt hashes even when bcrypt is configured', async () => {
+			const hashedValue = await makeScryptSut().hash('any_value')
+			expect(await makeSut().compare('any_value', hashedValue)).toBe(true)
+		})
+	})
+})
@@ -0,0 +1,38 @@
+const { MissingParamError } = require('../errors');
+
+const ALL_EVENTS = '*'
+
+module.exports = class EventBus {
+	constructor() {
+		this.handlers = new Map()
+	}
+
+	subscribe(type, handler) {
+		if (!type) {
+			throw new MissingParamError('type')
+		}
+		if (!handler) {
+			throw new MissingParamError('handler')
+		}
+		const handlers = this.handlers.get(type) || []
+		this.handlers.set(type, [...handlers, handler])
+		return () => {
+			this.handlers.set(type, this.handlers.get(type).filter(subscribed => subscribed !== handler))
+		}
+	}
+
+	async publish(event) {
+		if (!event || !event.type) {
+			throw new MissingParamError('event')
+		}
+		const handlers = [...(this.handlers.get(event.type) || []), ...(this.handlers.get(ALL_EVENTS) || [])]
+		for (const handler of handlers) {
+			// a failing subscriber must not undo the action that raised the event
+			try {
+				await handler(event)
+			} catch (error) {
+				console.error(error)
+			}
+		}
+	}
+}
@@ -0,0 +1,70 @@
+const EventBus = require('./event-bus')
+const { MissingParamError } = require('../errors');
+
+
+const makeSut = () => {
+	return new EventBus()
+}
+
+const makeHandler = () => {
+	const handler = async event => {
+		handler.events.push(event)
+	}
+	handler.events = []
+	return handler
+}
+
+describe('Event Bus', () => {
+
+	test('Should deliver an event to the handlers subscribed to its type', async () => {
+		const sut = makeSut()
+		const handler = makeHandler()
+		const otherHandler = makeHandler()
+		sut.subscribe('AnyEvent', handler)
+		sut.subscribe('OtherEvent', otherHandler)
+		const event = { type: 'AnyEvent' }
+		await sut.publish(event)
+		expect(handler.events).toEqual([event])
+		expect(otherHandler.events).toEqual([])
+	})
+
+	test('Should deliver every event to wildcard handlers', async () => {
+		const sut = makeSut()
+		const handler = makeHandler()
+		sut.subscribe('*', handler)
+		await sut.publish({ type: 'AnyEvent' })
+		await sut.publish({ type: 'OtherEvent' })
+		expect(handler.events.map(({ type }) => type)).toEqual(['AnyEvent', 'OtherEvent'])
+	})
+
+	test('Should stop delivering events once unsubscribed', async () => {
+		const sut = makeSut()
+		const handler = makeHandler()
+		const unsubscribe = sut.subscribe('AnyEvent', handler)
+		unsubscribe()
+		await sut.publish({ type: 'AnyEvent' })
+		expect(handler.events).toEqual([])
+	})
+
+	test('Should keep delivering when a handler throws', async () => {
+		const sut = makeSut()
+		const handler = makeHandler()
+		const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {})
+		sut.subscribe('AnyEvent', async () => {
+			throw new Error('any_error')
+		})
+		sut.subscribe('AnyEvent', handler)
+		await expect(sut.publish({ type: 'AnyEvent' })).resolves.toBeUndefined()
+		expect(handler.events).toHaveLength(1)
+		expect(consoleError).toHaveBeenCalledWith(new Error('any_error'))
+		consoleError.mockRestore()
+	})
+
+	test('Should throw if no params are provided', async () => {
+		const sut = makeSut()
+		expect(() => sut.subscribe()).toThrow(new MissingParamError('type'))
+		expect(() => sut.subscribe('AnyEvent')).toThrow(new MissingParamError('handler'))
+		await expect(sut.publish()).rejects.toThrow(new MissingParamError('event'))
+		await expect(sut.publish({})).rejects.toThrow(new MissingParamError('event'))
+	})
+})
@@ -0,0 +1,2 @@
+// addresses are stored and looked up in one spelling, so case or stray spaces never make a second account
+module.exports = email => email.trim().toLowerCase()
@@ -0,0 +1,7 @@
+const normalizeEmail = require('./normalize-email')
+
+describe('normalizeEmail', () => {
+	test('Should trim and lower case the address', () => {
+		expect(normalizeEmail(' Any_Email@Mail.COM ')).toBe('any_email@mail.com')
+	})
+})
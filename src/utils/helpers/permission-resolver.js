@@ -0,0 +1,40 @@
+const { InvalidConfigError } = require('../errors');
+
+const flatten = (roles, role, path = []) => {
+	if (path.includes(role)) {
+		throw new InvalidConfigError([`Role "${role}" inherits from itself through ${[...path, role].join(' > ')}`])
+	}
+	if (!roles[role]) {
+		throw new InvalidConfigError([`Role "${path[path.length - 1]}" inherits from unknown role "${role}"`])
+	}
+	const { permissions = [], inherits = [] } = roles[role]
+	return inherits.reduce(
+		(result, parent) => result.concat(flatten(roles, parent, [...path, role])),
+		permissions
+	)
+}
+
+module.exports = class PermissionResolver {
+	constructor({ roles = {}, defaultRoles = [] } = {}) {
+		this.permissionsByRole = {}
+		for (const role of Object.keys(roles)) {
+			this.permissionsByRole[role] = [...new Set(flatten(roles, role))]
+		}
+		const unknownRoles = defaultRoles.filter(role => !roles[role])
+		if (unknownRoles.length) {
+			throw new InvalidConfigError(unknownRoles.map(role => `Default role "${role}" is not defined`))
+		}
+		this.defaultRoles = defaultRoles
+	}
+
+	resolve({ roles, permissions = [] } = {}) {
+		const userRoles = roles && roles.length ? roles : this.defaultRoles
+		const resolved = new Set(permissions)
+		for (const role of userRoles) {
+			for (const permission of this.permissionsByRole[role] || []) {
+				resolved.add(permission)
+			}
+		}
+		return { roles: userRoles, permissions: [...resolved].sort() }
+	}
+}
@@ -0,0 +1,51 @@
+const PermissionResolver = require('./permission-resolver')
+const { InvalidConfigError } = require('../errors');
+
+const roles = {
+	user: { permissions: ['profile:read'] },
+	support: { inherits: ['user'], permissions: ['users:read'] },
+	admin: { inherits: ['support'], permissions: ['users:write'] }
+}
+
+const makeSut = () => {
+	return new PermissionResolver({ roles, defaultRoles: ['user'] })
+}
+
+describe('PermissionResolver', () => {
+
+	test('Should resolve the permissions of a role', () => {
+		const sut = makeSut()
+		expect(sut.resolve({ roles: ['user'] })).toEqual({ roles: ['user'], permissions: ['profile:read'] })
+	})
+
+	test('Should include the permissions of inherited roles', () => {
+		const sut = makeSut()
+		expect(sut.resolve({ roles: ['admin'] }).permissions).toEqual(['profile:read', 'users:read', 'users:write'])
+	})
+
+	test('Should add the permissions granted directly to the user', () => {
+		const sut = makeSut()
+		expect(sut.resolve({ roles: ['user'], permissions: ['reports:read'] }).permissions).toEqual(['profile:read', 'reports:read'])
+	})
+
+	test('Should fall back to the default roles', () => {
+		const sut = makeSut()
+		expect(sut.resolve({})).toEqual({ roles: ['user'], permissions: ['profile:read'] })
+		expect(sut.resolve({ roles: [] })).toEqual({ roles: ['user'], permissions: ['profile:read'] })
+	})
+
+	test('Should ignore roles that are no longer configured', () => {
+		const sut = makeSut()
+		expect(sut.resolve({ roles: ['user', 'removed'] }).permissions).toEqual(['profile:read'])
+	})
+
+	test('Should throw InvalidConfigError on inheritance cycles', () => {
+		const cyclic = { user: { inherits: ['admin'] }, admin: { inherits: ['user'] } }
+		expect(() => new PermissionResolver({ roles: cyclic })).toThrow(InvalidConfigError)
+	})
+
+	test('Should throw InvalidConfigError on unknown roles', () => {
+		expect(() => new PermissionResolver({ roles: { admin: { inherits: ['user'] } } })).toThrow(InvalidConfigError)
+		expect(() => new PermissionResolver({ roles, defaultRoles: ['guest'] })).toThrow(InvalidConfigError)
+	})
+})
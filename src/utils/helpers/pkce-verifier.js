@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// RFC 7636 only allows unreserved characters and a length that carries enough entropy
+const VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/
+
+module.exports = class PkceVerifier {
+	async verify(codeVerifier, codeChallenge) {
+		if (typeof codeVerifier !== 'string' || !VERIFIER_PATTERN.test(codeVerifier) || !codeChallenge) {
+			return false
+		}
+		const expected = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'))
+		const actual = Buffer.from(codeChallenge)
+		return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+	}
+}
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const PkceVerifier = require('./pkce-verifier')
+
+const makeSut = () => {
+	return new PkceVerifier()
+}
+
+const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'
+
+describe('PKCE Verifier', () => {
+
+	test('Should accept the verifier the S256 challenge was derived from', async () => {
+		const sut = makeSut()
+		// example from RFC 7636 appendix B
+		expect(await sut.verify(codeVerifier, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')).toBe(true)
+	})
+
+	test('Should reject a verifier that does not match the challenge', async () => {
+		const sut = makeSut()
+		const otherVerifier = crypto.randomBytes(32).toString('base64url')
+		expect(await sut.verify(otherVerifier, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')).toBe(false)
+		expect(await sut.verify(codeVerifier, 'short')).toBe(false)
+	})
+
+	test('Should reject malformed verifiers', async () => {
+		const sut = makeSut()
+		expect(await sut.verify('too_short', 'any_challenge')).toBe(false)
+		expect(await sut.verify(`${codeVerifier}!`, 'any_challenge')).toBe(false)
+		expect(await sut.verify(undefined, 'any_challenge')).toBe(false)
+		expect(await sut.verify(codeVerifier)).toBe(false)
+	})
+})
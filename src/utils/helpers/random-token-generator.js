@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const { MissingParamError } = require('../errors');
+
+module.exports = class RandomTokenGenerator {
+	constructor(size = 32) {
+		this.size = size
+	}
+
+	async generate() {
+		return crypto.randomBytes(this.size).toString('hex')
+	}
+
+	async hash(token) {
+		if (!token) {
+			throw new MissingParamError('token')
+		}
+		return crypto.createHash('sha256').update(token).digest('hex')
+	}
+}
@@ -0,0 +1,35 @@
+const RandomTokenGenerator = require('./random-token-generator')
+const { MissingParamError } = require('../errors');
+
+
+const makeSut = () => {
+	return new RandomTokenGenerator()
+}
+
+describe('Random Token Generator', () => {
+
+	test('Should return a hex token with the configured size', async () => {
+		const sut = new RandomTokenGenerator(16)
+		const token = await sut.generate()
+		expect(token).toMatch(/^[0-9a-f]{32}$/)
+	})
+
+	test('Should return a different token on each call', async () => {
+		const sut = makeSut()
+		const token = await sut.generate()
+		expect(await sut.generate()).not.toBe(token)
+	})
+
+	test('Should return the same hash for the same token', async () => {
+		const sut = makeSut()
+		const hash = await sut.hash('any_token')
+		expect(hash).toMatch(/^[0-9a-f]{64}$/)
+		expect(await sut.hash('any_token')).toBe(hash)
+		expect(await sut.hash('other_token')).not.toBe(hash)
+	})
+
+	test('Should throw if no token is provided to hash', () => {
+		const sut = makeSut()
+		expect(sut.hash()).rejects.toThrow(new MissingParamError('token'))
+	})
+})
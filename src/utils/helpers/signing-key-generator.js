@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { MissingParamError, InvalidParamError } = require('../errors');
+
+const generateKeyPair = promisify(crypto.generateKeyPair)
+
+const KEY_TYPES = {
+	RS256: ['rsa', { modulusLength: 2048 }],
+	ES256: ['ec', { namedCurve: 'prime256v1' }]
+}
+
+const PRIVATE_KEY_CIPHER = 'aes-256-cbc'
+
+module.exports = class SigningKeyGenerator {
+	constructor(passphrase) {
+		this.passphrase = passphrase
+	}
+
+	async generate(algorithm) {
+		if (!this.passphrase) {
+			throw new MissingParamError('passphrase')
+		}
+		if (!KEY_TYPES[algorithm]) {
+			throw new InvalidParamError('algorithm')
+		}
+		const [type, options] = KEY_TYPES[algorithm]
+		// the private half is only ever stored encrypted, so a leaked key table cannot sign tokens
+		const { publicKey, privateKey } = await generateKeyPair(type, {
+			...options,
+			publicKeyEncoding: { type: 'spki', format: 'pem' },
+			privateKeyEncoding: { type: 'pkcs8', format: 'pem', cipher: PRIVATE_KEY_CIPHER, passphrase: this.passphrase }
+		})
+		return { kid: crypto.randomUUID(), algorithm, publicKey, privateKey }
+	}
+
+	loadPrivateKey(privateKey) {
+		if (!privateKey) {
+			throw new MissingParamError('privateKey')
+		}
+		return crypto.createPrivateKey({ key: privateKey, format: 'pem', passphrase: this.passphrase })
+	}
+
+	toJwk({ kid, algorithm, publicKey } = {}) {
+		if (!publicKey) {
+			throw new MissingParamError('publicKey')
+		}
+		return { ...crypto.createPublicKey(publicKey).export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' }
+	}
+}
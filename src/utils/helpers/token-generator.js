@@ -1,17 +1,47 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { MissingParamError } = require('../errors');
 
 module.exports = class TokenGenerator {
-	constructor(secret) {
-		this.secret = secret
+	constructor(keyStore, expiresIn) {
+		this.keyStore = keyStore
+		this.expiresIn = expiresIn
 	}
-	async generate(id) {
-		if (!this.secret) {
-			throw new MissingParamError('secret');
+	async generate(id, claims = {}) {
+		if (!this.keyStore) {
+			throw new MissingParamError('keyStore');
 		}
 		if (!id) {
 			throw new MissingParamError('id');
 		}
-		return jwt.sign({ _id: id }, this.secret)
+		const { kid, algorithm, privateKey } = await this.keyStore.getSigningKey()
+		const options = { jwtid: crypto.randomUUID(), algorithm, keyid: kid }
+		if (this.expiresIn) {
+			options.expiresIn = this.expiresIn
+		}
+		return jwt.sign({ ...claims, _id: id }, privateKey, options)
+	}
+
+	async verify(token) {
+		if (!this.keyStore) {
+			throw new MissingParamError('keyStore');
+		}
+		if (!token) {
+			throw new MissingParamError('token');
+		}
+		const decoded = jwt.decode(token, { complete: true })
+		if (!decoded || !decoded.header.kid) {
+			return null
+		}
+		const key = await this.keyStore.getVerificationKey(decoded.header.kid)
+		if (!key) {
+			return null
+		}
+		try {
+			// pinning the algorithm to the key stops a token from choosing how it gets verified
+			return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] })
+		} catch (error) {
+			return null
+		}
 	}
-}
\ No newline at end of file
+}
@@ -1,11 +1,27 @@
 jest.mock('jsonwebtoken', () => ({
 	token: 'any_token',
 	id: '',
-	secret: '',
-	sign(payload, secret) {
+	key: '',
+	header: { alg: 'ES256', kid: 'any_kid' },
+	sign(payload, key, options) {
 		this.payload = payload
-		this.secret = secret
+		this.key = key
+		this.options = options
 		return this.token
+	},
+	decode(token, options) {
+		this.decodedToken = token
+		this.decodeOptions = options
+		return this.header && { header: this.header, payload: this.payload }
+	},
+	verify(token, key, options) {
+		this.verifiedToken = token
+		this.key = key
+		this.verifyOptions = options
+		if (!this.payload) {
+			throw new Error('invalid token')
+		}
+		return this.payload
 	}
 }))
 
@@ -15,11 +31,31 @@ const { MissingParamError } = require('../errors');
 
 
 const makeSut = () => {
-	return new TokenGenerator('secret')
+	return new TokenGenerator(makeKeyStore())
+}
+
+const makeKeyStore = () => {
+	class KeyStoreSpy {
+		async getSigningKey() {
+			return { kid: 'any_kid', algorithm: 'ES256', privateKey: 'any_private_key' }
+		}
+
+		async getVerificationKey(kid) {
+			this.kid = kid
+			return this.verificationKey
+		}
+	}
+	const keyStoreSpy = new KeyStoreSpy()
+	keyStoreSpy.verificationKey = { kid: 'any_kid', algorithm: 'ES256', publicKey: 'any_public_key' }
+	return keyStoreSpy
 }
 
 describe('Token Generator', () => {
 
+	beforeEach(() => {
+		jwt.header = { alg: 'ES256', kid: 'any_kid' }
+	})
+
 	test('Should return null if JWT returns null', async () => {
 		const sut = makeSut()
 		jwt.token = null;
@@ -29,6 +65,7 @@ describe('Token Generator', () => {
 
 	test('Should return null if JWT returns token', async () => {
 		const sut = makeSut()
+		jwt.token = 'any_token'
 		const token = await sut.generate('any_id')
 		expect(token).toBe(jwt.token)
 	})
@@ -37,13 +74,41 @@ describe('Token Generator', () => {
 		const sut = makeSut()
 		await sut.generate('any_id')
 		expect(jwt.payload).toEqual({ _id: 'any_id' })
-		expect(jwt.secret).toBe('secret')
+		expect(jwt.key).toBe('any_private_key')
+	})
+
+	test('Should sign with the algorithm and kid of the active key', async () => {
+		const sut = makeSut()
+		await sut.generate('any_id')
+		expect(jwt.options.algorithm).toBe('ES256')
+		expect(jwt.options.keyid).toBe('any_kid')
+	})
+
+	test('Should add the extra claims to the payload', async () => {
+		const sut = makeSut()
+		await sut.generate('any_id', { sid: 'any_session_id' })
+		expect(jwt.payload).toEqual({ _id: 'any_id', sid: 'any_session_id' })
+	})
+
+	test('Should sign the token with the given expiration', async () => {
+		const sut = new TokenGenerator(makeKeyStore(), 900)
+		await sut.generate('any_id')
+		expect(jwt.options.expiresIn).toBe(900)
+	})
+
+	test('Should sign each token with a unique id', async () => {
+		const sut = makeSut()
+		await sut.generate('any_id')
+		const { jwtid } = jwt.options
+		await sut.generate('any_id')
+		expect(jwtid).toBeTruthy()
+		expect(jwt.options.jwtid).not.toBe(jwtid)
 	})
 
-	test('Should throw if no secret is provided', () => {
+	test('Should throw if no key store is provided', () => {
 		const sut = new TokenGenerator()
 		const promise = sut.generate('any_id')
-		expect(promise).rejects.toThrow(new MissingParamError('secret'))
+		expect(promise).rejects.toThrow(new MissingParamError('keyStore'))
 	})
 
 	test('Should throw if no id is provided', () => {
@@ -51,4 +116,46 @@ describe('Token Generator', () => {
 		const promise = sut.generate()
 		expect(promise).rejects.toThrow(new MissingParamError('id'))
 	})
-})
\ No newline at end of file
+
+	test('Should return the payload if JWT verifies the token with the key of its kid', async () => {
+		const keyStoreSpy = makeKeyStore()
+		const sut = new TokenGenerator(keyStoreSpy)
+		jwt.payload = { _id: 'any_id' }
+		const payload = await sut.verify('any_token')
+		expect(payload).toEqual({ _id: 'any_id' })
+		expect(keyStoreSpy.kid).toBe('any_kid')
+		expect(jwt.verifiedToken).toBe('any_token')
+		expect(jwt.key).toBe('any_public_key')
+		expect(jwt.verifyOptions).toEqual({ algorithms: ['ES256'] })
+	})
+
+	test('Should return null if the token cannot be decoded or has no kid', async () => {
+		const sut = makeSut()
+		jwt.payload = { _id: 'any_id' }
+		jwt.header = null
+		expect(await sut.verify('invalid_token')).toBeNull()
+		jwt.header = { alg: 'HS256' }
+		expect(await sut.verify('any_token')).toBeNull()
+	})
+
+	test('Should return null if the kid is unknown', async () => {
+		const keyStoreSpy = makeKeyStore()
+		const sut = new TokenGenerator(keyStoreSpy)
+		jwt.payload = { _id: 'any_id' }
+		keyStoreSpy.verificationKey = null
+		expect(await sut.verify('any_token')).toBeNull()
+	})
+
+	test('Should return null if JWT throws while verifying the token', async () => {
+		const sut = makeSut()
+		jwt.payload = null
+		const payload = await sut.verify('invalid_token')
+		expect(payload).toBeNull()
+	})
+
+	test('Should throw if no token is provided to verify', () => {
+		const sut = makeSut()
+		expect(sut.verify()).rejects.toThrow(new MissingParamError('token'))
+		expect(new TokenGenerator().verify('any_token')).rejects.toThrow(new MissingParamError('keyStore'))
+	})
+})
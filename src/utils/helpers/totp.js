@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { MissingParamError } = require('../errors');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const toBase32 = buffer => {
+	let bits = ''
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, '0')
+	}
+	let output = ''
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+	}
+	return output
+}
+
+const fromBase32 = value => {
+	let bits = ''
+	for (const char of value.toUpperCase().replace(/=+$/, '')) {
+		const index = BASE32_ALPHABET.indexOf(char)
+		if (index === -1) {
+			throw new Error(`Invalid base32 character: ${char}`)
+		}
+		bits += index.toString(2).padStart(5, '0')
+	}
+	const bytes = []
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2))
+	}
+	return Buffer.from(bytes)
+}
+
+module.exports = class Totp {
+	constructor({ issuer, digits = 6, period = 30, window = 1, secretSize = 20 } = {}) {
+		this.issuer = issuer
+		this.digits = digits
+		this.period = period
+		this.window = window
+		this.secretSize = secretSize
+	}
+
+	generateSecret() {
+		return toBase32(crypto.randomBytes(this.secretSize))
+	}
+
+	uri(secret, account) {
+		if (!secret) {
+			throw new MissingParamError('secret')
+		}
+		if (!account) {
+			throw new MissingParamError('account')
+		}
+		const label = this.issuer ? `${this.issuer}:${account}` : account
+		const params = new URLSearchParams({ secret, algorithm: 'SHA1', digits: String(this.digits), period: String(this.period) })
+		if (this.issuer) {
+			params.set('issuer', this.issuer)
+		}
+		return `otpauth://totp/${encodeURIComponent(label)}?${params}`
+	}
+
+	generate(secret, time = Date.now()) {
+		if (!secret) {
+			throw new MissingParamError('secret')
+		}
+		return this.hotp(fromBase32(secret), Math.floor(time / 1000 / this.period))
+	}
+
+	verify(secret, code, time = Date.now()) {
+		return this.match(secret, code, time) !== null
+	}
+
+	// returns the time step the code belongs to, so callers can refuse to accept it twice
+	match(secret, code, time = Date.now()) {
+		if (!secret) {
+			throw new MissingParamError('secret')
+		}
+		if (!code || !/^\d+$/.test(code) || code.length !== this.digits) {
+			return null
+		}
+		const key = fromBase32(secret)
+		const counter = Math.floor(time / 1000 / this.period)
+		let step = null
+		for (let offset = -this.window; offset <= this.window; offset++) {
+			const expected = this.hotp(key, counter + offset)
+			if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+				step = counter + offset
+			}
+		}
+		return step
+	}
+
+	hotp(key, counter) {
+		const message = Buffer.alloc(8)
+		message.writeBigUInt64BE(BigInt(counter))
+		const digest = crypto.createHmac('sha1', key).update(message).digest()
+		const offset = digest[digest.length - 1] & 0xf
+		const binary = digest.readUInt32BE(offset) & 0x7fffffff
+		return String(binary % 10 ** this.digits).padStart(this.digits, '0')
+	}
+}
@@ -0,0 +1,76 @@
+const Totp = require('./totp')
+const { MissingParamError } = require('../errors');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+const makeSut = () => {
+	return new Totp({ issuer: 'Any Issuer' })
+}
+
+describe('Totp', () => {
+
+	test('Should match the RFC 6238 test vectors', () => {
+		const sut = new Totp({ digits: 8 })
+		expect(sut.generate(RFC_SECRET, 59 * 1000)).toBe('94287082')
+		expect(sut.generate(RFC_SECRET, 1111111109 * 1000)).toBe('07081804')
+		expect(sut.generate(RFC_SECRET, 1234567890 * 1000)).toBe('89005924')
+		expect(sut.generate(RFC_SECRET, 20000000000 * 1000)).toBe('65353130')
+	})
+
+	test('Should generate a base32 secret with the configured size', () => {
+		const sut = makeSut()
+		const secret = sut.generateSecret()
+		expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+		expect(sut.generateSecret()).not.toBe(secret)
+	})
+
+	test('Should build an otpauth URI for the account', () => {
+		const sut = makeSut()
+		const uri = new URL(sut.uri(RFC_SECRET, 'any_email@mail.com'))
+		expect(uri.protocol).toBe('otpauth:')
+		expect(uri.host).toBe('totp')
+		expect(decodeURIComponent(uri.pathname)).toBe('/Any Issuer:any_email@mail.com')
+		expect(uri.searchParams.get('secret')).toBe(RFC_SECRET)
+		expect(uri.searchParams.get('issuer')).toBe('Any Issuer')
+		expect(uri.searchParams.get('digits')).toBe('6')
+		expect(uri.searchParams.get('period')).toBe('30')
+	})
+
+	test('Should accept codes inside the window and reject the rest', () => {
+		const sut = makeSut()
+		const now = 1234567890 * 1000
+		const code = sut.generate(RFC_SECRET, now)
+		expect(sut.verify(RFC_SECRET, code, now)).toBe(true)
+		expect(sut.verify(RFC_SECRET, code, now + 30 * 1000)).toBe(true)
+		expect(sut.verify(RFC_SECRET, code, now - 30 * 1000)).toBe(true)
+		expect(sut.verify(RFC_SECRET, code, now + 90 * 1000)).toBe(false)
+	})
+
+	test('Should return the time step a code was generated for', () => {
+		const sut = makeSut()
+		const now = 1234567890 * 1000
+		const code = sut.generate(RFC_SECRET, now)
+		const step = Math.floor(now / 1000 / 30)
+		expect(sut.match(RFC_SECRET, code, now)).toBe(step)
+		expect(sut.match(RFC_SECRET, code, now + 30 * 1000)).toBe(step)
+		expect(sut.match(RFC_SECRET, code, now + 90 * 1000)).toBeNull()
+		expect(sut.match(RFC_SECRET, 'abcdef', now)).toBeNull()
+	})
+
+	test('Should reject malformed codes', () => {
+		const sut = makeSut()
+		expect(sut.verify(RFC_SECRET, '')).toBe(false)
+		expect(sut.verify(RFC_SECRET, '12345')).toBe(false)
+		expect(sut.verify(RFC_SECRET, 'abcdef')).toBe(false)
+	})
+
+	test('Should throw if no params are provided', () => {
+		const sut = makeSut()
+		expect(() => sut.generate()).toThrow(new MissingParamError('secret'))
+		expect(() => sut.verify()).toThrow(new MissingParamError('secret'))
+		expect(() => sut.match()).toThrow(new MissingParamError('secret'))
+		expect(() => sut.uri()).toThrow(new MissingParamError('secret'))
+		expect(() => sut.uri(RFC_SECRET)).toThrow(new MissingParamError('account'))
+	})
+})